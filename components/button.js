@@ -7,6 +7,12 @@
  * myButton.render();
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+}
+
 class EZButton {
   constructor(container, options = {}) {
     this.container = container;
@@ -15,31 +21,57 @@ class EZButton {
       style: options.style || 'primary',
       emoji: options.emoji || '',
       url: options.url || '',
+      customId: options.customId || '',
+      skuId: options.skuId || '',
       disabled: options.disabled || false,
       active: options.active || false,
+      html: options.html || false,
+      emojiCdn: options.emojiCdn || null,
+      role: options.role || '',
+      debounce: options.debounce || 0,
+      blockWhilePending: options.blockWhilePending !== false,
+      errorDuration: options.errorDuration || 4000,
       ...options
     };
     this.element = null;
     this.elements = {};
+    this.isToggle = Boolean(options.active || options.onActive || options.onInactive);
+    this.isLoading = false;
+    this.pendingCount = 0;
+    this.lastClickTime = 0;
+    this.errorTimeout = null;
 
     this.onClickCallback = options.onClick || null;
     this.onHoverCallback = options.onHover || null;
     this.onActiveCallback = options.onActive || null;
     this.onInactiveCallback = options.onInactive || null;
+    this.onErrorCallback = options.onError || null;
   }
 
   render() {
-    this.element = document.createElement('div');
+    // URL buttons are real links so they open, copy and announce like any other link
+    // discord:// is allowed too, since Discord accepts it for link buttons
+    const url = EZSanitize.sanitizeUrl(this.options.url, [...EZSanitize.ALLOWED_PROTOCOLS, 'discord:']);
+    this.element = document.createElement(url ? 'a' : 'button');
     this.element.className = 'EZbtn';
     this.element.classList.add(`EZbtn-${this.options.style}`);
 
+    if (url) {
+      this.element.href = url;
+      this.element.target = '_blank';
+      this.element.rel = 'noopener noreferrer';
+    } else {
+      this.element.type = 'button';
+    }
+
+    if (this.options.role) this.element.setAttribute('role', this.options.role);
     if (this.options.disabled) this.element.classList.add('EZbtn-disabled');
     if (this.options.active) this.element.classList.add('EZbtn-active');
 
     let buttonHTML = '';
-    if (this.options.emoji) buttonHTML += `<span class="EZbtn-emoji">${this.options.emoji}</span>`;
+    if (this.options.emoji) buttonHTML += `<span class="EZbtn-emoji">${this._renderEmoji(this.options.emoji)}</span>`;
 
-    buttonHTML += `<span class="EZbtn-text">${this.options.text}</span>`;
+    buttonHTML += `<span class="EZbtn-text">${EZSanitize.html(this.options.text, this.options.html)}</span>`;
 
     this.element.innerHTML = buttonHTML;
     this.elements = {
@@ -49,18 +81,38 @@ class EZButton {
     };
 
     if (!document.getElementById('EZbtn-styles')) this._addStyles();
+    this._updateActiveState();
+    this._updateDisabledState();
+    if (this.isLoading) this._applyLoadingState();
 
     this._setupEventListeners();
     this.container.appendChild(this.element);
     return this.element;
   }
 
-  _setupEventListeners() {
-    if (this.options.disabled) return;
+  _renderEmoji(emoji) {
+    return EZEmoji.render(emoji, { cdn: this.options.emojiCdn, html: this.options.html });
+  }
 
+  _setupEventListeners() {
     this.element.addEventListener('click', (e) => {
-      if (this.options.url) window.open(this.options.url, '_blank');
-      if (this.onClickCallback) this.onClickCallback(e, this);
+      const now = Date.now();
+      const blocked = this.options.disabled
+        || (this.isLoading && this.options.blockWhilePending)
+        || (this.options.debounce && now - this.lastClickTime < this.options.debounce);
+
+      if (blocked) {
+        e.preventDefault();
+        return;
+      }
+
+      this.lastClickTime = now;
+      this._clearError();
+
+      if (this.onClickCallback) {
+        const result = this.onClickCallback(e, this);
+        if (result && typeof result.then === 'function') this._trackPending(result);
+      }
     });
 
     if (this.onHoverCallback) {
@@ -74,11 +126,96 @@ class EZButton {
     }
   }
 
+  /**
+   * Show the loading state until a promise returned by onClick settles
+   * @param {Promise} promise - The promise returned by the click handler
+   */
+  _trackPending(promise) {
+    this.pendingCount++;
+    this.setLoading(true);
+
+    const settle = () => {
+      this.pendingCount--;
+      if (this.pendingCount === 0) this.setLoading(false);
+    };
+
+    promise.then(settle, (error) => {
+      settle();
+      this._showError(error);
+    });
+  }
+
+  _applyLoadingState() {
+    if (!this.element) return;
+
+    this.element.classList.toggle('EZbtn-loading', this.isLoading);
+    this.element.setAttribute('aria-busy', String(this.isLoading));
+    this._updateDisabledState();
+
+    if (this.elements.emoji) this.elements.emoji.style.display = this.isLoading ? 'none' : '';
+
+    if (this.isLoading && !this.elements.spinner) {
+      const spinner = document.createElement('span');
+      spinner.className = 'EZbtn-spinner';
+      spinner.setAttribute('aria-hidden', 'true');
+      this.element.insertBefore(spinner, this.elements.text);
+      this.elements.spinner = spinner;
+    } else if (!this.isLoading && this.elements.spinner) {
+      this.elements.spinner.remove();
+      this.elements.spinner = null;
+    }
+  }
+
+  /**
+   * Mirror the active state for assistive technology - aria-checked when the button acts as a radio or checkbox,
+   * aria-pressed once it is used as a toggle (active set or an onActive/onInactive callback given)
+   */
+  _updateActiveState() {
+    const active = String(Boolean(this.options.active));
+    const checkable = ['radio', 'checkbox', 'switch', 'menuitemradio', 'menuitemcheckbox'].includes(this.options.role);
+
+    if (checkable) this.element.setAttribute('aria-checked', active);
+    else if (this.isToggle && this.element.tagName === 'BUTTON') this.element.setAttribute('aria-pressed', active);
+  }
+
+  // aria-disabled rather than the disabled attribute keeps the button focusable, so its label is still read out
+  _updateDisabledState() {
+    if (this.options.disabled || this.isLoading) this.element.setAttribute('aria-disabled', 'true');
+    else this.element.removeAttribute('aria-disabled');
+  }
+
+  _showError(error) {
+    const message = error && error.message ? error.message : String(error || 'Something went wrong');
+
+    if (this.element) {
+      this.element.classList.add('EZbtn-error');
+      this.element.title = message;
+    }
+
+    clearTimeout(this.errorTimeout);
+    this.errorTimeout = setTimeout(() => this._clearError(), this.options.errorDuration);
+
+    if (this.onErrorCallback) this.onErrorCallback(error, this);
+  }
+
+  _clearError() {
+    clearTimeout(this.errorTimeout);
+    this.errorTimeout = null;
+
+    if (this.element && this.element.classList.contains('EZbtn-error')) {
+      this.element.classList.remove('EZbtn-error');
+      this.element.removeAttribute('title');
+    }
+  }
+
   _addStyles() {
     const style = document.createElement('style');
     style.id = 'EZbtn-styles';
     style.textContent = `
       .EZbtn {
+          appearance: none;
+          border: none;
+          text-decoration: none;
           display: inline-flex;
           align-items: center;
           padding: 10px 16px;
@@ -94,6 +231,15 @@ class EZButton {
           user-select: none;
       }
 
+      .EZbtn:focus {
+          outline: none;
+      }
+
+      .EZbtn:focus-visible {
+          outline: 2px solid #00A8FC;
+          outline-offset: 2px;
+      }
+
       .EZbtn-primary {
           background-color: #5865F2;
           color: white;
@@ -141,11 +287,48 @@ class EZButton {
           text-decoration: none;
       }
 
+      .EZbtn-premium {
+          background-color: #5865F2;
+          color: white;
+      }
+
+      .EZbtn-premium:hover {
+          background-color: #4752C4;
+      }
+
       .EZbtn-disabled {
           opacity: 0.5;
           cursor: not-allowed;
       }
 
+      .EZbtn-loading {
+          cursor: progress;
+          opacity: 0.7;
+      }
+
+      .EZbtn-spinner {
+          width: 14px;
+          height: 14px;
+          border: 2px solid currentColor;
+          border-right-color: transparent;
+          border-radius: 50%;
+          animation: EZbtn-spin 0.75s linear infinite;
+      }
+
+      @keyframes EZbtn-spin {
+          to { transform: rotate(360deg); }
+      }
+
+      .EZbtn-error {
+          box-shadow: inset 0 0 0 2px #ED4245;
+          animation: EZbtn-shake 0.3s ease;
+      }
+
+      @keyframes EZbtn-shake {
+          25% { transform: translateX(-3px); }
+          75% { transform: translateX(3px); }
+      }
+
       .EZbtn-active {
           box-shadow: inset 0 0 0 2px rgba(255, 255, 255, 0.3);
       }
@@ -154,6 +337,12 @@ class EZButton {
           font-size: 18px;
           line-height: 1;
       }
+
+      .EZbtn-emoji .ez-emoji {
+          display: block;
+          width: 18px;
+          height: 18px;
+      }
     `;
 
     document.head.appendChild(style);
@@ -203,8 +392,11 @@ class EZButton {
 
   setActive(active) {
     this.options.active = active;
+    this.isToggle = true;
 
     if (this.element) {
+      this._updateActiveState();
+
       if (active) {
         this.element.classList.add('EZbtn-active');
         if (this.onActiveCallback) this.onActiveCallback(this);
@@ -228,10 +420,15 @@ class EZButton {
 
   setText(text) {
     this.options.text = text;
-    if (this.elements.text) this.elements.text.textContent = text;
+    if (this.elements.text) this.elements.text.innerHTML = EZSanitize.html(text, this.options.html);
     return this;
   }
 
+  /**
+   * Set or remove the button's emoji
+   * @param {string|Object} emoji - A Unicode emoji, a custom emoji (<:name:id>, <a:name:id> or { id, name, animated }) or '' to remove it
+   * @returns {EZButton} - Returns this for method chaining
+   */
   setEmoji(emoji) {
     this.options.emoji = emoji;
     if (this.element) {
@@ -244,11 +441,11 @@ class EZButton {
 
       else if (emoji) {
         if (emojiElement) {
-          emojiElement.textContent = emoji;
+          emojiElement.innerHTML = this._renderEmoji(emoji);
         } else {
           emojiElement = document.createElement('span');
           emojiElement.className = 'EZbtn-emoji';
-          emojiElement.textContent = emoji;
+          emojiElement.innerHTML = this._renderEmoji(emoji);
           this.elements.emoji = emojiElement;
           const textElement = this.elements.text;
           this.element.insertBefore(emojiElement, textElement);
@@ -258,6 +455,18 @@ class EZButton {
     return this;
   }
 
+  /**
+   * Show or hide the loading state - a spinner in place of the emoji, with clicks blocked unless blockWhilePending is off
+   * Buttons enter this state on their own while a promise returned by onClick is pending
+   * @param {boolean} loading - Whether the button is loading
+   * @returns {EZButton} - Returns this for method chaining
+   */
+  setLoading(loading) {
+    this.isLoading = loading;
+    this._applyLoadingState();
+    return this;
+  }
+
   setButtonStyle(style) {
     if (this.element) {
       this.element.classList.remove(`EZbtn-${this.options.style}`);
@@ -275,6 +484,7 @@ class EZButton {
       } else {
         this.element.classList.remove('EZbtn-disabled');
       }
+      this._updateDisabledState();
     }
     return this;
   }
@@ -291,6 +501,90 @@ class EZButton {
     };
   }
 
+  /**
+   * Check the button against Discord's rules for button components
+   * @returns {Object} - { valid, errors: [{ path, code, message, limit, length }] } - limit and length are only set for length errors
+   */
+  validate() {
+    const limits = EZButton.LIMITS;
+    const json = this.toDiscordJSON();
+    const errors = [];
+
+    const checkLength = (path, label, value, limit) => {
+      const length = Array.from(String(value || '')).length;
+      if (length > limit) {
+        errors.push({ path, code: 'too_long', message: `${label} must be ${limit} characters or fewer (currently ${length})`, limit, length });
+      }
+    };
+
+    checkLength('label', 'Label', json.label, limits.label);
+
+    if (json.style === EZButton.STYLES.link) {
+      if (!json.url) errors.push({ path: 'url', code: 'required', message: 'Link buttons need a url' });
+      else if (!/^(https?|discord):\/\//i.test(json.url)) errors.push({ path: 'url', code: 'invalid', message: 'Link button urls must start with http://, https:// or discord://' });
+    } else if (json.style === EZButton.STYLES.premium) {
+      if (!json.sku_id) errors.push({ path: 'sku_id', code: 'required', message: 'Premium buttons need a SKU id' });
+    } else if (!json.custom_id) {
+      errors.push({ path: 'custom_id', code: 'required', message: 'Buttons need a custom id so interactions can be routed to them' });
+    } else {
+      checkLength('custom_id', 'Custom id', json.custom_id, limits.customId);
+    }
+
+    if (json.style !== EZButton.STYLES.premium && !json.label && !json.emoji) {
+      errors.push({ path: 'label', code: 'required', message: 'Buttons need a label or an emoji' });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Convert the button to a Discord button component
+   * Link buttons (the link style, or any button with a url) send their url, premium buttons their SKU
+   * and every other button its customId - left out when none was set, which validate() reports
+   * @returns {Object} - { type: 2, style, label, emoji, custom_id | url | sku_id, disabled }
+   */
+  toDiscordJSON() {
+    const isLink = this.options.style === 'link' || Boolean(this.options.url);
+    const isPremium = !isLink && this.options.style === 'premium';
+    const style = isLink ? EZButton.STYLES.link : (EZButton.STYLES[this.options.style] || EZButton.STYLES.primary);
+
+    const component = {
+      type: EZButton.COMPONENT_TYPE,
+      style,
+      label: isPremium ? undefined : (this.options.text || undefined),
+      emoji: isPremium ? undefined : EZEmoji.toDiscordJSON(this.options.emoji),
+      custom_id: isLink || isPremium ? undefined : (this.options.customId || undefined),
+      url: isLink ? (this.options.url || undefined) : undefined,
+      sku_id: isPremium ? (this.options.skuId || undefined) : undefined,
+      disabled: this.options.disabled || undefined
+    };
+
+    Object.keys(component).forEach(key => {
+      if (component[key] === undefined) delete component[key];
+    });
+
+    return component;
+  }
+
+  /**
+   * Convert a Discord button component into EZButton options - the inverse of toDiscordJSON
+   * @param {Object} json - The button component from the Discord API or a saved config
+   * @returns {Object} - Options for the EZButton constructor or update()
+   */
+  static fromDiscordJSON(json = {}) {
+    const style = Object.keys(EZButton.STYLES).find(name => EZButton.STYLES[name] === json.style) || 'primary';
+
+    return {
+      text: json.label || '',
+      style,
+      emoji: EZEmoji.toString(json.emoji),
+      url: json.url || '',
+      customId: json.custom_id || '',
+      skuId: json.sku_id || '',
+      disabled: json.disabled === true
+    };
+  }
+
   /**
    * Gets the list of available elements that can be styled
    * @returns {Object} Object containing element names and descriptions
@@ -304,6 +598,23 @@ class EZButton {
   }
 }
 
+
+EZButton.COMPONENT_TYPE = 2;
+
+EZButton.STYLES = {
+  primary: 1,
+  secondary: 2,
+  success: 3,
+  danger: 4,
+  link: 5,
+  premium: 6
+};
+
+EZButton.LIMITS = {
+  label: 80,
+  customId: 100
+};
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = EZButton;
 } else {
@@ -10,12 +10,21 @@
  * });
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+  globalThis.EZEmojiPicker = globalThis.EZEmojiPicker || require('./emojiPicker');
+}
+
 class EZButtonCreator {
   constructor(container, options = {}) {
     this.container = container;
     this.options = {
       initialData: options.initialData || {},
       stylesAvailable: options.stylesAvailable || ['primary', 'secondary', 'success', 'danger', 'link'],
+      emojiCdn: options.emojiCdn || null,
+      customEmojis: options.customEmojis || [],
       ...options
     };
 
@@ -39,23 +48,7 @@ class EZButtonCreator {
     this.originalData = JSON.parse(JSON.stringify(this.currentData));
     this.lastKnownData = JSON.parse(JSON.stringify(this.currentData));
 
-    this.emojis = [
-      '😀', '😃', '😄', '😁', '😆', '😅', '😂', '🤣', '😊', '😇',
-      '🙂', '🙃', '😉', '😌', '😍', '🥰', '😘', '😗', '😙', '😚',
-      '😋', '😛', '😝', '😜', '🤪', '🤨', '🧐', '🤓', '😎', '🤩',
-      '🥳', '😏', '😒', '😞', '😔', '😟', '😕', '🙁', '☹️', '😣',
-      '😖', '😫', '😩', '🥺', '😢', '😭', '😤', '😠', '😡', '🤬',
-      '🤯', '😳', '🥵', '🥶', '😱', '😨', '😰', '😥', '😓', '🤗',
-      '🤔', '🤭', '🤫', '🤥', '😶', '😐', '😑', '😬', '🙄', '😯',
-      '😦', '😧', '😮', '😲', '🥱', '😴', '🤤', '😪', '😵', '🤐',
-      '🥴', '🤢', '🤮', '🤧', '😷', '🤒', '🤕', '🤑', '🤠', '😈',
-      '👿', '👹', '👺', '🤡', '💩', '👻', '💀', '☠️', '👽', '👾',
-      '🎮', '🎯', '🎲', '🎭', '🎨', '🎪', '🎫', '🎟️', '🎪', '🎭',
-      '💻', '🖥️', '📱', '📲', '☎️', '📞', '📟', '📠', '📺', '📻',
-      '🎵', '🎶', '🎙️', '🎚️', '🎛️', '🎤', '🎧', '📻', '🎷', '🎸',
-      '❤️', '🧡', '💛', '💚', '💙', '💜', '🖤', '🤍', '🤎', '💔',
-      '✨', '🎉', '🎊', '🎈', '🎂', '🎁', '🎗️', '🎟️', '🎫', '🎖️'
-    ];
+    this.emojiPicker = null;
   }
 
   init() {
@@ -102,7 +95,7 @@ class EZButtonCreator {
     if (this.currentData.emoji) {
       buttonHTML += `
           <div class="emoji-container">
-              <span class="btn-emoji">${this.currentData.emoji}</span>
+              <span class="btn-emoji">${EZEmoji.render(this.currentData.emoji, { cdn: this.options.emojiCdn })}</span>
               <button class="emoji-remove-btn" title="Remove emoji">×</button>
           </div>
       `;
@@ -110,23 +103,10 @@ class EZButtonCreator {
       buttonHTML += `<span class="emoji-ghost-button" title="Add emoji">+</span>`;
     }
 
-    buttonHTML += `<span class="btn-text" contenteditable="true">${this.currentData.text}</span>`;
+    buttonHTML += `<span class="btn-text" contenteditable="true">${EZSanitize.escapeHtml(this.currentData.text)}</span>`;
 
     buttonElement.innerHTML = buttonHTML;
 
-    const emojiPicker = document.createElement('div');
-    emojiPicker.className = 'emoji-picker';
-    emojiPicker.id = 'emoji-picker';
-    emojiPicker.style.display = 'none';
-
-    emojiPicker.innerHTML = `
-        <div class="emoji-picker-header">
-            <input type="text" id="emoji-search" placeholder="Search emojis...">
-            <button id="close-emoji-picker" class="close-button">✕</button>
-        </div>
-        <div class="emoji-list" id="emoji-list"></div>
-      `;
-
     const settingsModal = document.createElement('div');
     settingsModal.className = 'button-settings-modal';
     settingsModal.id = 'button-settings-modal';
@@ -142,8 +122,8 @@ class EZButtonCreator {
                     <label>Style</label>
                     <div class="style-options">
                         ${this.options.stylesAvailable.map(style => `
-                            <div class="style-option ${this.currentData.style === style ? 'selected' : ''}" data-style="${style}">
-                                ${style}
+                            <div class="style-option ${this.currentData.style === style ? 'selected' : ''}" data-style="${EZSanitize.escapeHtml(style)}">
+                                ${EZSanitize.escapeHtml(style)}
                             </div>
                         `).join('')}
                     </div>
@@ -151,7 +131,7 @@ class EZButtonCreator {
 
                 <div class="setting-group">
                     <label for="button-url">URL (Optional)</label>
-                    <input type="text" id="button-url" class="setting-input" value="${this.currentData.url}" placeholder="https://example.com">
+                    <input type="text" id="button-url" class="setting-input" value="${EZSanitize.escapeHtml(this.currentData.url)}" placeholder="https://example.com">
                 </div>
 
                 <div class="setting-group">
@@ -168,19 +148,9 @@ class EZButtonCreator {
     backgroundOverlay.id = 'button-background-overlay';
 
     this.container.appendChild(buttonElement);
-    this.container.appendChild(emojiPicker);
     this.container.appendChild(settingsModal);
     this.container.appendChild(backgroundOverlay);
 
-    const emojiList = document.getElementById('emoji-list');
-    this.emojis.forEach(emoji => {
-      const emojiElement = document.createElement('div');
-      emojiElement.className = 'emoji-item';
-      emojiElement.textContent = emoji;
-      emojiElement.setAttribute('data-emoji', emoji);
-      emojiList.appendChild(emojiElement);
-    });
-
     if (!document.getElementById('button-creator-styles')) {
       this._addStyles();
     }
@@ -191,10 +161,6 @@ class EZButtonCreator {
       emojiGhost: buttonElement.querySelector('.emoji-ghost-button'),
       emojiContainer: buttonElement.querySelector('.emoji-container'),
       emojiRemoveBtn: buttonElement.querySelector('.emoji-remove-btn'),
-      emojiPicker: document.getElementById('emoji-picker'),
-      emojiSearch: document.getElementById('emoji-search'),
-      emojiList: document.getElementById('emoji-list'),
-      closeEmojiPicker: document.getElementById('close-emoji-picker'),
       settingsModal: document.getElementById('button-settings-modal'),
       closeSettings: document.getElementById('close-settings'),
       buttonUrl: document.getElementById('button-url'),
@@ -217,7 +183,7 @@ class EZButtonCreator {
     if (this.elements.emojiGhost) {
       this.elements.emojiGhost.addEventListener('click', (e) => {
         e.stopPropagation();
-        this._openEmojiPicker(e);
+        this._openEmojiPicker(e.currentTarget);
       });
     }
 
@@ -232,7 +198,7 @@ class EZButtonCreator {
       this.elements.emojiContainer.addEventListener('click', (e) => {
         if (e.target !== this.elements.emojiRemoveBtn) {
           e.stopPropagation();
-          this._openEmojiPicker(e);
+          this._openEmojiPicker(e.currentTarget);
         }
       });
     }
@@ -250,37 +216,11 @@ class EZButtonCreator {
       }
     });
 
-    this.elements.closeEmojiPicker.addEventListener('click', () => {
-      this.elements.emojiPicker.style.display = 'none';
-    });
-
     this.elements.closeSettings.addEventListener('click', () => {
       this.elements.settingsModal.style.display = 'none';
       this._hideBackgroundOverlay();
     });
 
-    this.elements.emojiList.addEventListener('click', (e) => {
-      if (e.target.classList.contains('emoji-item')) {
-        const emoji = e.target.getAttribute('data-emoji');
-        this.setEmoji(emoji);
-        this.elements.emojiPicker.style.display = 'none';
-      }
-    });
-
-    this.elements.emojiSearch.addEventListener('input', (e) => {
-      const searchTerm = e.target.value.toLowerCase();
-      const emojiItems = this.elements.emojiList.querySelectorAll('.emoji-item');
-
-      emojiItems.forEach(item => {
-        const emoji = item.textContent;
-        if (searchTerm === '' || emoji.toLowerCase().includes(searchTerm)) {
-          item.style.display = 'block';
-        } else {
-          item.style.display = 'none';
-        }
-      });
-    });
-
     this.elements.styleOptions.forEach(option => {
       option.addEventListener('click', () => {
         const style = option.getAttribute('data-style');
@@ -303,19 +243,12 @@ class EZButtonCreator {
     });
 
     window.addEventListener('scroll', () => {
-      this.elements.emojiPicker.style.display = 'none';
+      if (this.emojiPicker) this.emojiPicker.close(false);
       this.elements.settingsModal.style.display = 'none';
       this._hideBackgroundOverlay();
     });
 
     document.addEventListener('click', (e) => {
-      if (this.elements.emojiPicker.style.display !== 'none' &&
-        !this.elements.emojiPicker.contains(e.target) &&
-        (!this.elements.emojiGhost || !this.elements.emojiGhost.contains(e.target)) &&
-        (!this.elements.emojiContainer || !this.elements.emojiContainer.contains(e.target))) {
-        this.elements.emojiPicker.style.display = 'none';
-      }
-
       if (this.elements.settingsModal.style.display !== 'none' &&
         !this.elements.settingsModal.contains(e.target) &&
         !this.elements.button.contains(e.target)) {
@@ -333,7 +266,6 @@ class EZButtonCreator {
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
         this._hideBackgroundOverlay();
-        this.elements.emojiPicker.style.display = 'none';
         this.elements.settingsModal.style.display = 'none';
       }
     });
@@ -347,35 +279,23 @@ class EZButtonCreator {
     this.elements.backgroundOverlay.style.display = 'none';
   }
 
-  _openEmojiPicker(clickEvent) {
+  _openEmojiPicker(anchor) {
     this.elements.settingsModal.style.display = 'none';
     this._hideBackgroundOverlay();
 
-    const pickerStyle = this.elements.emojiPicker.style;
-    pickerStyle.position = 'fixed';
-    pickerStyle.top = `${clickEvent.clientY}px`;
-    pickerStyle.left = `${clickEvent.clientX}px`;
-    pickerStyle.display = 'block';
-
-    setTimeout(() => {
-      const pickerRect = this.elements.emojiPicker.getBoundingClientRect();
-      const viewportWidth = window.innerWidth;
-      const viewportHeight = window.innerHeight;
-
-      if (pickerRect.right > viewportWidth) {
-        pickerStyle.left = `${viewportWidth - pickerRect.width - 10}px`;
-      }
-
-      if (pickerRect.bottom > viewportHeight) {
-        pickerStyle.top = `${viewportHeight - pickerRect.height - 10}px`;
-      }
-    }, 0);
+    if (!this.emojiPicker) {
+      this.emojiPicker = new EZEmojiPicker(document.body, {
+        customEmojis: this.options.customEmojis,
+        emojiCdn: this.options.emojiCdn,
+        onSelect: (emoji) => this.setEmoji(emoji)
+      });
+    }
 
-    this.elements.emojiSearch.focus();
+    this.emojiPicker.open(anchor);
   }
 
   _openSettingsModal(clickEvent) {
-    this.elements.emojiPicker.style.display = 'none';
+    if (this.emojiPicker) this.emojiPicker.close(false);
 
     const modalStyle = this.elements.settingsModal.style;
     modalStyle.position = 'fixed';
@@ -400,7 +320,7 @@ class EZButtonCreator {
   }
 
   setEmoji(emoji) {
-    this.currentData.emoji = emoji;
+    this.currentData.emoji = EZEmoji.toString(emoji);
 
     this._createDOM();
     this._setupEventListeners();
@@ -548,6 +468,12 @@ class EZButtonCreator {
             line-height: 1;
         }
 
+        .btn-emoji .ez-emoji {
+            display: block;
+            width: 18px;
+            height: 18px;
+        }
+
         /* Ghost button for emoji */
         .emoji-ghost-button {
             display: flex;
@@ -614,61 +540,6 @@ class EZButtonCreator {
             z-index: 900;
         }
 
-        /* Emoji Picker Styles */
-        .emoji-picker {
-            background-color: #36393f;
-            border: 1px solid #202225;
-            border-radius: 5px;
-            box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
-            width: 300px;
-            max-height: 400px;
-            overflow: hidden;
-            z-index: 1000;
-            position: fixed;
-        }
-
-        .emoji-picker-header {
-            display: flex;
-            padding: 8px;
-            border-bottom: 1px solid #202225;
-            background-color: #2f3136;
-        }
-
-        .emoji-picker-header input {
-            flex-grow: 1;
-            background-color: #40444b;
-            border: none;
-            border-radius: 3px;
-            color: #dcddde;
-            padding: 8px;
-            font-size: 14px;
-            outline: none;
-        }
-
-        .emoji-list {
-            display: grid;
-            grid-template-columns: repeat(6, 1fr);
-            gap: 5px;
-            padding: 10px;
-            max-height: 300px;
-            overflow-y: auto;
-        }
-
-        .emoji-item {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 36px;
-            height: 36px;
-            font-size: 22px;
-            cursor: pointer;
-            border-radius: 3px;
-        }
-
-        .emoji-item:hover {
-            background-color: #40444b;
-        }
-
         /* Settings Modal Styles */
         .button-settings-modal {
             background-color: #36393f;
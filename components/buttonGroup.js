@@ -0,0 +1,281 @@
+/**
+ * Button Group Component
+ * A segmented control of joined EZButtons where one (radio mode) or several (checkbox mode) can be selected
+ *
+ * Usage:
+ * const myGroup = new EZButtonGroup(containerElement, {
+ *   mode: 'radio',
+ *   items: [{ label: 'Day', value: 'day' }, { label: 'Week', value: 'week' }],
+ *   value: 'day',
+ *   onChange: (value) => console.log(value)
+ * });
+ * myGroup.render();
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZButton = globalThis.EZButton || require('./button');
+}
+
+class EZButtonGroup {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      items: options.items || [],
+      mode: options.mode === 'checkbox' ? 'checkbox' : 'radio',
+      style: options.style || 'secondary',
+      activeStyle: options.activeStyle || 'primary',
+      allowDeselect: options.allowDeselect || false,
+      disabled: options.disabled || false,
+      html: options.html || false,
+      emojiCdn: options.emojiCdn || null,
+      ...options
+    };
+    this.options.value = this._normalizeValue(options.value);
+
+    this.element = null;
+    this.elements = {};
+    this.buttons = [];
+    this.initialValue = this._isMultiple() ? [...this.options.value] : this.options.value;
+
+    this.onChangeCallback = options.onChange || null;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'ez-button-group';
+    this.element.setAttribute('role', this._isMultiple() ? 'group' : 'radiogroup');
+    if (this.options.disabled) this.element.classList.add('ez-button-group-disabled');
+
+    this.buttons = this.options.items.map(item => {
+      const button = new EZButton(this.element, {
+        text: item.label !== undefined ? item.label : item.value,
+        emoji: item.emoji || '',
+        style: this.options.style,
+        disabled: this.options.disabled || item.disabled || false,
+        html: this.options.html,
+        emojiCdn: this.options.emojiCdn,
+        role: this._isMultiple() ? 'checkbox' : 'radio',
+        onClick: () => this._toggle(item.value)
+      });
+      button.render();
+      return button;
+    });
+
+    this.elements = {
+      root: this.element,
+      buttons: this.buttons.map(button => button.element)
+    };
+
+    if (!document.getElementById('ez-button-group-styles')) this._addStyles();
+
+    this._updateButtonStates();
+    this._setupKeyboardNavigation();
+    this.container.appendChild(this.element);
+    return this.element;
+  }
+
+  _isMultiple() {
+    return this.options.mode === 'checkbox';
+  }
+
+  _normalizeValue(value) {
+    if (this._isMultiple()) {
+      if (value === undefined || value === null || value === '') return [];
+      return Array.isArray(value) ? [...value] : [value];
+    }
+
+    if (Array.isArray(value)) return value.length ? value[0] : null;
+    return value === undefined || value === '' ? null : value;
+  }
+
+  _isSelected(value) {
+    return this._isMultiple() ? this.options.value.includes(value) : this.options.value === value;
+  }
+
+  /**
+   * In radio mode only one button is in the tab order - the selected one, or the first enabled button
+   * @param {number} index - The button's index
+   * @returns {boolean} - Whether the button should be reachable with Tab
+   */
+  _isFocusTarget(index) {
+    const selectedIndex = this.options.items.findIndex(item => this._isSelected(item.value));
+    if (selectedIndex !== -1) return index === selectedIndex;
+    return index === this.options.items.findIndex(item => !item.disabled);
+  }
+
+  _toggle(value) {
+    if (this.options.disabled) return;
+
+    const item = this.options.items.find(candidate => candidate.value === value);
+    if (!item || item.disabled) return;
+
+    if (this._isMultiple()) {
+      this.setValue(this._isSelected(value)
+        ? this.options.value.filter(selected => selected !== value)
+        : [...this.options.value, value]);
+    } else if (this._isSelected(value)) {
+      if (this.options.allowDeselect) this.setValue(null);
+    } else {
+      this.setValue(value);
+    }
+  }
+
+  _updateButtonStates() {
+    this.buttons.forEach((button, index) => {
+      const selected = this._isSelected(this.options.items[index].value);
+      button.setButtonStyle(selected ? this.options.activeStyle : this.options.style);
+      button.setActive(selected);
+      if (!this._isMultiple()) button.element.tabIndex = this._isFocusTarget(index) ? 0 : -1;
+    });
+  }
+
+  /**
+   * Move between the buttons with the arrow keys, Home and End - in radio mode moving also selects
+   */
+  _setupKeyboardNavigation() {
+    this.element.addEventListener('keydown', (e) => {
+      const currentIndex = this.buttons.findIndex(button => button.element === e.target);
+      if (currentIndex === -1) return;
+
+      const enabled = this.buttons
+        .map((button, index) => index)
+        .filter(index => !this.options.disabled && !this.options.items[index].disabled);
+      if (!enabled.length) return;
+
+      const position = enabled.indexOf(currentIndex);
+      let targetIndex;
+
+      if (e.key === 'ArrowRight' || e.key === 'ArrowDown') targetIndex = enabled[(position + 1) % enabled.length];
+      else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') targetIndex = enabled[(position - 1 + enabled.length) % enabled.length];
+      else if (e.key === 'Home') targetIndex = enabled[0];
+      else if (e.key === 'End') targetIndex = enabled[enabled.length - 1];
+      else return;
+
+      e.preventDefault();
+      this.buttons[targetIndex].element.focus();
+      if (!this._isMultiple()) this.setValue(this.options.items[targetIndex].value);
+    });
+  }
+
+  _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-button-group-styles';
+    style.textContent = `
+      .ez-button-group {
+          display: inline-flex;
+          margin: 4px;
+      }
+
+      .ez-button-group > .EZbtn {
+          margin: 0;
+          border-radius: 0;
+      }
+
+      .ez-button-group > .EZbtn + .EZbtn {
+          border-left: 1px solid rgba(0, 0, 0, 0.25);
+      }
+
+      .ez-button-group > .EZbtn:first-child {
+          border-radius: 3px 0 0 3px;
+      }
+
+      .ez-button-group > .EZbtn:last-child {
+          border-radius: 0 3px 3px 0;
+      }
+
+      .ez-button-group > .EZbtn:only-child {
+          border-radius: 3px;
+      }
+
+      .ez-button-group > .EZbtn-active {
+          box-shadow: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Select values - a single value in radio mode, an array in checkbox mode
+   * Calls onChange when the selection changes
+   * @param {*} value - The value (or values) to select - null or an empty array clears the selection
+   * @returns {EZButtonGroup} - Returns this for method chaining
+   */
+  setValue(value) {
+    const prevValue = this.options.value;
+    this.options.value = this._normalizeValue(value);
+
+    if (this.element) this._updateButtonStates();
+
+    const changed = this._isMultiple()
+      ? JSON.stringify(prevValue) !== JSON.stringify(this.options.value)
+      : prevValue !== this.options.value;
+
+    if (this.onChangeCallback && changed) this.onChangeCallback(this.getValue(), this);
+
+    return this;
+  }
+
+  getValue() {
+    if (this._isMultiple()) return [...this.options.value];
+    return this.options.value;
+  }
+
+  /**
+   * Restore the value the group was created with
+   * @returns {EZButtonGroup} - Returns this for method chaining
+   */
+  reset() {
+    return this.setValue(this._isMultiple() ? [...this.initialValue] : this.initialValue);
+  }
+
+  disable() {
+    this.options.disabled = true;
+    if (this.element) {
+      this.element.classList.add('ez-button-group-disabled');
+      this.buttons.forEach(button => button.setDisabled(true));
+    }
+    return this;
+  }
+
+  enable() {
+    this.options.disabled = false;
+    if (this.element) {
+      this.element.classList.remove('ez-button-group-disabled');
+      this.buttons.forEach((button, index) => button.setDisabled(Boolean(this.options.items[index].disabled)));
+    }
+    return this;
+  }
+
+  /**
+   * Set a specific CSS style property on a group element
+   * @param {string} property - The CSS property name
+   * @param {string} value - The CSS property value
+   * @param {string} elementName - The element to target (root, buttons) - defaults to root
+   * @returns {EZButtonGroup} - Returns this for method chaining
+   */
+  setStyleProperty(property, value, elementName = 'root') {
+    const targets = elementName === 'buttons' ? this.elements.buttons || [] : [this.elements[elementName]];
+    targets.forEach(target => {
+      if (target) target.style[property] = value;
+    });
+    return this;
+  }
+
+  /**
+   * Gets the list of available elements that can be styled
+   * @returns {Object} Object containing element names and descriptions
+   */
+  getElementsList() {
+    return {
+      root: "The group container",
+      buttons: "The buttons in the group (styling applied to all buttons)"
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZButtonGroup;
+} else {
+  window.EZButtonGroup = EZButtonGroup;
+}
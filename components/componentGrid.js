@@ -0,0 +1,450 @@
+/**
+ * Action Row Grid Component
+ * Lays out EZButtons and EZSelectMenus in Discord action rows and enforces Discord's rules:
+ * at most 5 rows, at most 5 buttons per row, and a select menu always sits in a row of its own
+ *
+ * Usage:
+ * const grid = new EZComponentGrid(containerElement, {
+ *   rows: [
+ *     [{ component: 'button', text: 'Yes', style: 'success' }, { component: 'button', text: 'No', style: 'danger' }],
+ *     [{ component: 'select', placeholder: 'Pick one', options: [{ label: 'A', value: 'a' }] }]
+ *   ],
+ *   reorderable: true,
+ *   onInvalid: (result) => console.log(result.errors[0].message)
+ * });
+ * grid.render();
+ * grid.moveComponent(0, 1, 0, 0);
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZButton = globalThis.EZButton || require('./button');
+  globalThis.EZSelectMenu = globalThis.EZSelectMenu || require('./selectMenu');
+}
+
+class EZComponentGrid {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      rows: options.rows || [],
+      reorderable: options.reorderable || false,
+      html: options.html || false,
+      emojiCdn: options.emojiCdn || null,
+      ...options
+    };
+
+    this.element = null;
+    this.elements = {};
+    this.rows = this.options.rows.map(row => row.map(component => this._createComponent(component)));
+    this.dragSource = null;
+
+    this.onChangeCallback = options.onChange || null;
+    this.invalidCallback = options.onInvalid || null;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'ez-component-grid';
+    if (this.options.reorderable) this.element.classList.add('ez-component-grid-reorderable');
+
+    this.elements = { root: this.element, rows: [] };
+
+    if (!document.getElementById('ez-component-grid-styles')) this._addStyles();
+    if (this.options.reorderable) this._setupDragAndDrop();
+
+    this._renderRows();
+    this.container.appendChild(this.element);
+    return this.element;
+  }
+
+  /**
+   * Lay the rows out again, reusing each component's element so selections and other state survive a move
+   */
+  _renderRows() {
+    this.element.innerHTML = '';
+    this.elements.rows = this.rows.map((row, rowIndex) => {
+      const rowElement = document.createElement('div');
+      rowElement.className = 'ez-action-row';
+      rowElement.dataset.row = rowIndex;
+      this.element.appendChild(rowElement);
+
+      row.forEach(component => {
+        component.container = rowElement;
+        if (component.element) rowElement.appendChild(component.element);
+        else component.render();
+
+        if (this.options.reorderable) component.element.draggable = true;
+      });
+
+      return rowElement;
+    });
+  }
+
+  _createComponent(component) {
+    if (component instanceof EZButton || component instanceof EZSelectMenu) return component;
+
+    const { component: kind, ...componentOptions } = component;
+    const shared = { html: this.options.html, emojiCdn: this.options.emojiCdn };
+    return kind === 'select'
+      ? new EZSelectMenu(null, { ...shared, ...componentOptions })
+      : new EZButton(null, { ...shared, ...componentOptions });
+  }
+
+  _destroyComponent(component) {
+    if (component.destroy) component.destroy();
+    else if (component.element) component.element.remove();
+  }
+
+  _setupDragAndDrop() {
+    this.element.addEventListener('dragstart', (e) => {
+      const position = this._findPosition(e.target);
+      if (!position) return;
+
+      this.dragSource = position;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', '');
+      e.target.classList.add('ez-component-dragging');
+    });
+
+    this.element.addEventListener('dragover', (e) => {
+      if (this.dragSource && e.target.closest('.ez-action-row')) e.preventDefault();
+    });
+
+    this.element.addEventListener('drop', (e) => {
+      const rowElement = e.target.closest('.ez-action-row');
+      if (!this.dragSource || !rowElement) return;
+      e.preventDefault();
+
+      const target = this._findPosition(e.target);
+      const toRow = Number(rowElement.dataset.row);
+      const toIndex = target && target.rowIndex === toRow ? target.index : this.rows[toRow].length;
+      this.moveComponent(this.dragSource.rowIndex, this.dragSource.index, toRow, toIndex);
+    });
+
+    this.element.addEventListener('dragend', () => {
+      this.element.querySelectorAll('.ez-component-dragging').forEach(element => element.classList.remove('ez-component-dragging'));
+      this.dragSource = null;
+    });
+  }
+
+  /**
+   * Find the row and index of the component that contains an element
+   * @param {HTMLElement} target - An element inside the grid
+   * @returns {Object|null} - { rowIndex, index }, or null when the element is not inside a component
+   */
+  _findPosition(target) {
+    for (let rowIndex = 0; rowIndex < this.rows.length; rowIndex++) {
+      const index = this.rows[rowIndex].findIndex(component => component.element && component.element.contains(target));
+      if (index !== -1) return { rowIndex, index };
+    }
+    return null;
+  }
+
+  /**
+   * Check one row against Discord's action row rules
+   * @param {Array} row - The row's components
+   * @param {number} rowIndex - The row's position, used in error paths and messages
+   * @returns {Object[]} - Errors: { path, code, message, limit, length } - limit and length are omitted for select placement
+   */
+  _checkRow(row, rowIndex) {
+    const limit = EZComponentGrid.LIMITS.rowComponents;
+    const path = `components[${rowIndex}].components`;
+    const errors = [];
+
+    if (row.length > limit) {
+      errors.push({
+        path,
+        code: 'too_many',
+        message: `Action row ${rowIndex + 1} can hold at most ${limit} buttons (currently ${row.length})`,
+        limit,
+        length: row.length
+      });
+    }
+
+    const selectIndex = row.findIndex(component => component instanceof EZSelectMenu);
+    if (selectIndex !== -1 && row.length > 1) {
+      errors.push({
+        path: `${path}[${selectIndex}]`,
+        code: 'select_not_alone',
+        message: `The select menu in action row ${rowIndex + 1} must be the only component in its row`
+      });
+    }
+
+    return errors;
+  }
+
+  _checkRowCount(count) {
+    const limit = EZComponentGrid.LIMITS.rows;
+    if (count <= limit) return [];
+
+    return [{
+      path: 'components',
+      code: 'too_many',
+      message: `Messages can have at most ${limit} action rows (currently ${count})`,
+      limit,
+      length: count
+    }];
+  }
+
+  /**
+   * Apply a change only when the rows it produces are valid, otherwise report why through onInvalid
+   * @param {Array[]} rows - The rows after the change
+   * @param {number[]} changedRows - Indexes of the rows the change touched, in the new layout
+   * @returns {boolean} - Whether the change was applied
+   */
+  _commit(rows, changedRows) {
+    const errors = [
+      ...(rows.length > this.rows.length ? this._checkRowCount(rows.length) : []),
+      ...changedRows.reduce((result, rowIndex) => result.concat(this._checkRow(rows[rowIndex], rowIndex)), [])
+    ];
+
+    if (errors.length) {
+      if (this.invalidCallback) this.invalidCallback({ valid: false, errors }, this);
+      return false;
+    }
+
+    // Select menus keep document listeners (and portal dropdowns) until they are destroyed
+    const remaining = new Set([].concat(...rows));
+    this.rows.forEach(row => row.forEach(component => {
+      if (!remaining.has(component)) this._destroyComponent(component);
+    }));
+
+    this.rows = rows;
+    if (this.element) this._renderRows();
+    if (this.onChangeCallback) this.onChangeCallback(this.toJSON(), this);
+    return true;
+  }
+
+  _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-component-grid-styles';
+    style.textContent = `
+      .ez-component-grid {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .ez-action-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        min-height: 32px;
+      }
+
+      .ez-action-row > .EZbtn {
+        margin: 0;
+      }
+
+      .ez-action-row > .ez-select-menu {
+        position: relative;
+        flex: 1;
+        width: 100%;
+        max-width: 400px;
+      }
+
+      .ez-component-grid-reorderable .ez-action-row {
+        border-radius: 4px;
+        outline: 1px dashed transparent;
+        outline-offset: 2px;
+      }
+
+      .ez-component-grid-reorderable .ez-action-row:hover {
+        outline-color: #4e5058;
+      }
+
+      .ez-component-grid-reorderable .ez-action-row > * {
+        cursor: grab;
+      }
+
+      .ez-component-dragging {
+        opacity: 0.5;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Get the component at a position
+   * @param {number} rowIndex - The row's index
+   * @param {number} index - The component's index within the row
+   * @returns {EZButton|EZSelectMenu|null} - The component, or null when there is none
+   */
+  getComponent(rowIndex, index) {
+    return (this.rows[rowIndex] && this.rows[rowIndex][index]) || null;
+  }
+
+  /**
+   * Add an action row - refused with an onInvalid call when it would break Discord's rules
+   * @param {Array} components - EZButton/EZSelectMenu instances or options with component: 'button' | 'select'
+   * @param {number} index - Where to insert the row - defaults to the end
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  addRow(components = [], index = this.rows.length) {
+    const rows = [...this.rows];
+    rows.splice(index, 0, components.map(component => this._createComponent(component)));
+    this._commit(rows, [Math.min(index, rows.length - 1)]);
+    return this;
+  }
+
+  /**
+   * Remove an action row and destroy its components
+   * @param {number} index - The row's index
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  removeRow(index) {
+    if (!this.rows[index]) return this;
+    this._commit(this.rows.filter((row, i) => i !== index), []);
+    return this;
+  }
+
+  /**
+   * Move an action row to another position
+   * @param {number} fromIndex - The row's current index
+   * @param {number} toIndex - The row's new index
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  moveRow(fromIndex, toIndex) {
+    if (!this.rows[fromIndex] || toIndex < 0 || toIndex >= this.rows.length) return this;
+
+    const rows = [...this.rows];
+    rows.splice(toIndex, 0, rows.splice(fromIndex, 1)[0]);
+    this._commit(rows, []);
+    return this;
+  }
+
+  /**
+   * Add a component to a row - refused with an onInvalid call when the row would break Discord's rules
+   * @param {number} rowIndex - The row's index
+   * @param {EZButton|EZSelectMenu|Object} component - An instance, or options with component: 'button' | 'select'
+   * @param {number} index - Where to insert the component - defaults to the end of the row
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  addComponent(rowIndex, component, index = undefined) {
+    if (!this.rows[rowIndex]) return this;
+
+    const rows = this.rows.map(row => [...row]);
+    rows[rowIndex].splice(index === undefined ? rows[rowIndex].length : index, 0, this._createComponent(component));
+    this._commit(rows, [rowIndex]);
+    return this;
+  }
+
+  /**
+   * Remove a component from a row and destroy it - the row itself stays, even when it becomes empty
+   * @param {number} rowIndex - The row's index
+   * @param {number} index - The component's index within the row
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  removeComponent(rowIndex, index) {
+    if (!this.getComponent(rowIndex, index)) return this;
+
+    const rows = this.rows.map(row => [...row]);
+    rows[rowIndex].splice(index, 1);
+    this._commit(rows, []);
+    return this;
+  }
+
+  /**
+   * Move a component within its row or to another row - refused with an onInvalid call when the target row would break Discord's rules
+   * @param {number} fromRow - The component's current row
+   * @param {number} fromIndex - The component's current index within its row
+   * @param {number} toRow - The target row
+   * @param {number} toIndex - The index within the target row
+   * @returns {EZComponentGrid} - Returns this for method chaining
+   */
+  moveComponent(fromRow, fromIndex, toRow, toIndex) {
+    if (!this.getComponent(fromRow, fromIndex) || !this.rows[toRow]) return this;
+
+    const rows = this.rows.map(row => [...row]);
+    const [component] = rows[fromRow].splice(fromIndex, 1);
+    rows[toRow].splice(Math.min(toIndex, rows[toRow].length), 0, component);
+    this._commit(rows, [toRow]);
+    return this;
+  }
+
+  /**
+   * Check every row against Discord's rules, including rows left empty,
+   * each button's own rules, that every select menu has a custom id and that custom ids are unique across the grid
+   * @returns {Object} - { valid, errors: [{ path, code, message, limit, length }] }
+   */
+  validate() {
+    const errors = this._checkRowCount(this.rows.length);
+    const customIds = new Set();
+
+    this.rows.forEach((row, rowIndex) => {
+      if (!row.length) {
+        errors.push({ path: `components[${rowIndex}].components`, code: 'required', message: `Action row ${rowIndex + 1} is empty` });
+      }
+      errors.push(...this._checkRow(row, rowIndex));
+
+      row.forEach((component, index) => {
+        const path = `components[${rowIndex}].components[${index}]`;
+        if (component instanceof EZButton) {
+          component.validate().errors.forEach(error => errors.push({ ...error, path: `${path}.${error.path}` }));
+        }
+
+        const customId = component.toDiscordJSON().custom_id;
+        if (customId === undefined) {
+          if (component instanceof EZSelectMenu) {
+            errors.push({ path: `${path}.custom_id`, code: 'required', message: 'Select menus need a custom id so interactions can be routed to them' });
+          }
+          return;
+        }
+
+        if (customIds.has(customId)) {
+          errors.push({ path: `${path}.custom_id`, code: 'duplicate', message: `Custom id "${customId}" is already used by another component in this message` });
+        }
+        customIds.add(customId);
+      });
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Convert the grid to Discord action rows
+   * @returns {Object[]} - One { type: 1, components } object per row
+   */
+  toJSON() {
+    return this.rows.map(row => ({
+      type: EZComponentGrid.ACTION_ROW_TYPE,
+      components: row.map(component => component.toDiscordJSON())
+    }));
+  }
+
+  /**
+   * Remove the grid from the page and destroy every component in it
+   */
+  destroy() {
+    this.rows.forEach(row => row.forEach(component => this._destroyComponent(component)));
+    if (this.element) this.element.remove();
+
+    this.element = null;
+    this.elements = {};
+  }
+
+  /**
+   * Gets the list of available elements that can be styled
+   * @returns {Object} Object containing element names and descriptions
+   */
+  getElementsList() {
+    return {
+      root: "The grid container",
+      rows: "The action row elements, one per row"
+    };
+  }
+}
+
+EZComponentGrid.ACTION_ROW_TYPE = 1;
+
+EZComponentGrid.LIMITS = {
+  rows: 5,
+  rowComponents: 5
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZComponentGrid;
+} else {
+  window.EZComponentGrid = EZComponentGrid;
+}
@@ -7,23 +7,40 @@
  * myEmbed.render();
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZMarkdown = globalThis.EZMarkdown || require('./markdown');
+  globalThis.EZEmbedValidator = globalThis.EZEmbedValidator || require('./embedValidator');
+}
+
 class EZEmbed {
   constructor(container, options = {}) {
     this.container = container;
     this.options = {
       title: options.title || 'Title',
+      url: options.url || '',
       description: options.description || 'Description',
       color: options.color || '#5865F2',
       author: options.author || { name: '', iconUrl: '' },
       thumbnail: options.thumbnail || '',
       image: options.image || '',
+      images: options.images || [],
       fields: options.fields || [],
       footer: options.footer || { text: '', timestamp: false },
+      timestamp: options.timestamp || null,
+      markdown: options.markdown !== false,
+      html: options.html || false,
+      directory: options.directory || null,
+      emojiCdn: options.emojiCdn || null,
+      locale: options.locale || undefined,
       ...options
     };
 
     this.element = null;
+    this.timestampInterval = null;
     this.colorClickCallback = options.onColorClick || null;
+    this.invalidCallback = options.onInvalid || null;
   }
 
   render() {
@@ -45,6 +62,7 @@ class EZEmbed {
     `;
 
     if (!document.getElementById('discord-embed-styles')) this._addStyles();
+    if (this.options.markdown) EZMarkdown.bindSpoilers(this.element);
 
     const leftBorder = this.element.querySelector('.left-border');
     leftBorder.style.backgroundColor = this.options.color;
@@ -59,28 +77,37 @@ class EZEmbed {
     }
 
     this.container.appendChild(this.element);
+    this._watchTimestamps();
     return this.element;
   }
 
+  _watchTimestamps() {
+    clearInterval(this.timestampInterval);
+    this.timestampInterval = this.options.markdown ? EZMarkdown.watchTimestamps(this.element, this.options.locale) : null;
+  }
+
   _renderAuthor() {
     if (!this.options.author || !this.options.author.name) return '';
 
+    const iconUrl = EZSanitize.sanitizeUrl(this.options.author.iconUrl);
+    const name = EZSanitize.html(this.options.author.name, this.options.html);
+
     return `
       <div class="author-section">
-        ${this.options.author.iconUrl ? `<div class="author-icon"><img src="${this.options.author.iconUrl}" alt=""></div>` : ''}
-        <div class="author-name">${this.options.author.name}</div>
+        ${iconUrl ? `<div class="author-icon"><img src="${EZSanitize.escapeHtml(iconUrl)}" alt=""></div>` : ''}
+        <div class="author-name">${this._renderLink(this.options.author.url, name)}</div>
       </div>
     `;
   }
 
   _renderTitle() {
     if (!this.options.title) return '';
-    return `<div class="embed-title">${this.options.title}</div>`;
+    return `<div class="embed-title">${this._renderLink(this.options.url, this._renderMarkdown(this.options.title, 'title'))}</div>`;
   }
 
   _renderDescription() {
     if (!this.options.description) return '';
-    return `<div class="embed-description">${this.options.description}</div>`;
+    return `<div class="embed-description">${this._renderMarkdown(this.options.description, 'description')}</div>`;
   }
 
   _renderFields() {
@@ -90,31 +117,64 @@ class EZEmbed {
       <div class="fields-container">
         ${this.options.fields.map(field => `
           <div class="embed-field ${field.inline === false ? 'full-width' : ''}">
-            <div class="field-name">${field.name}</div>
-            <div class="field-value">${field.value}</div>
+            <div class="field-name">${this._renderMarkdown(field.name, 'fieldName')}</div>
+            <div class="field-value">${this._renderMarkdown(field.value, 'fieldValue')}</div>
           </div>
         `).join('')}
       </div>
     `;
   }
 
+  _renderLink(url, contentHTML) {
+    const href = EZSanitize.sanitizeUrl(url);
+    if (!href) return contentHTML;
+    return `<a href="${EZSanitize.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${contentHTML}</a>`;
+  }
+
+  _renderMarkdown(text, context) {
+    if (this.options.html || !this.options.markdown) return EZSanitize.html(text, this.options.html);
+    return EZMarkdown.render(text, context, {
+      directory: this.options.directory,
+      locale: this.options.locale,
+      emojiCdn: this.options.emojiCdn
+    });
+  }
+
   _renderThumbnail() {
-    if (!this.options.thumbnail) return '';
-    return `<div class="thumbnail"><img src="${this.options.thumbnail}" alt=""></div>`;
+    const thumbnail = EZSanitize.sanitizeUrl(this.options.thumbnail);
+    if (!thumbnail) return '';
+    return `<div class="thumbnail"><img src="${EZSanitize.escapeHtml(thumbnail)}" alt=""></div>`;
   }
 
   _renderImage() {
-    if (!this.options.image) return '';
-    return `<div class="image-panel"><img src="${this.options.image}" alt=""></div>`;
+    const images = this._getImages().map(url => EZSanitize.sanitizeUrl(url)).filter(Boolean);
+    if (!images.length) return '';
+    if (images.length === 1) return `<div class="image-panel"><img src="${EZSanitize.escapeHtml(images[0])}" alt=""></div>`;
+
+    return `
+      <div class="image-gallery gallery-count-${images.length}">
+        ${images.map(src => `<div class="gallery-item"><img src="${EZSanitize.escapeHtml(src)}" alt=""></div>`).join('')}
+      </div>
+    `;
+  }
+
+  _getImages() {
+    if (this.options.images && this.options.images.length) return this.options.images.slice(0, EZEmbedValidator.LIMITS.images);
+    return this.options.image ? [this.options.image] : [];
   }
 
   _renderFooter() {
-    if (!this.options.footer || (!this.options.footer.text && !this.options.footer.timestamp)) return '';
+    const footer = this.options.footer || {};
+    const timestamp = this._getTimestamp();
+    if (!footer.text && !timestamp) return '';
+
+    const iconUrl = footer.text ? EZSanitize.sanitizeUrl(footer.iconUrl) : '';
 
     return `
       <div class="embed-footer">
-        <div class="footer-text">${this.options.footer.text || ''}</div>
-        ${this.options.footer.timestamp ? `<div class="footer-timestamp">${new Date().toLocaleString()}</div>` : ''}
+        ${iconUrl ? `<img class="footer-icon" src="${EZSanitize.escapeHtml(iconUrl)}" alt="">` : ''}
+        <div class="footer-text">${EZSanitize.html(footer.text, this.options.html)}</div>
+        ${timestamp ? `<time class="footer-timestamp" datetime="${EZSanitize.escapeHtml(timestamp)}">${EZSanitize.escapeHtml(EZMarkdown.formatCalendar(new Date(timestamp), this.options.locale))}</time>` : ''}
       </div>
     `;
   }
@@ -184,6 +244,21 @@ class EZEmbed {
           max-width: 375px;
       }
 
+      .discord-embed .embed-title a {
+          color: #00a8fc;
+          text-decoration: none;
+      }
+
+      .discord-embed .author-name a {
+          color: inherit;
+          text-decoration: none;
+      }
+
+      .discord-embed .embed-title a:hover,
+      .discord-embed .author-name a:hover {
+          text-decoration: underline;
+      }
+
       .discord-embed .embed-description {
           font-size: 14px;
           text-align: left;
@@ -208,6 +283,31 @@ class EZEmbed {
           object-fit: cover;
       }
 
+      .discord-embed .image-gallery {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          grid-auto-rows: 150px;
+          gap: 4px;
+          max-width: 400px;
+          border-radius: 4px;
+          overflow: hidden;
+      }
+
+      .discord-embed .image-gallery.gallery-count-2 {
+          grid-auto-rows: 200px;
+      }
+
+      .discord-embed .image-gallery.gallery-count-3 .gallery-item:first-child {
+          grid-row: 1 / 3;
+      }
+
+      .discord-embed .gallery-item img {
+          display: block;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+      }
+
       .discord-embed .image-panel img {
           max-width: 100%;
           border-radius: 4px;
@@ -251,6 +351,18 @@ class EZEmbed {
           font-size: 12px;
           color: #b9bbbe;
       }
+
+      .discord-embed .footer-icon {
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          margin-right: 8px;
+          object-fit: cover;
+      }
+
+      .discord-embed .footer-text {
+          flex: 1;
+      }
     `;
 
     document.head.appendChild(style);
@@ -264,6 +376,17 @@ class EZEmbed {
     }
   }
 
+  /**
+   * Set the guild data used to resolve user, role and channel mentions
+   * @param {Object} directory - Guild data: { users: [{id, username, globalName}], roles: [{id, name, color}], channels: [{id, name}] }
+   * @returns {EZEmbed} - Returns this for method chaining
+   */
+  setDirectory(directory) {
+    this.options.directory = directory;
+    if (this.element) this.update({});
+    return this;
+  }
+
   setColor(color) {
     this.options.color = color;
     this.element.style.borderLeftColor = color;
@@ -273,35 +396,145 @@ class EZEmbed {
     }
   }
 
+  /**
+   * Check the embed against Discord's limits
+   * Calls the onInvalid callback with the result when any limit is exceeded
+   * @returns {Object} - { valid, errors, totalLength } - see EZEmbedValidator.validate
+   */
+  validate() {
+    const result = EZEmbedValidator.validate(this.options);
+    if (!result.valid && this.invalidCallback) this.invalidCallback(result, this);
+    return result;
+  }
+
+  /**
+   * Convert the embed to Discord's format
+   * Galleries become one embed per image sharing the same url, which Discord groups into a grid -
+   * without a url Discord would show them as separate embeds, so only the first image is kept and onInvalid is called
+   * @returns {Object|Object[]} - The embed, or an array of embeds when there is more than one image
+   */
   toJSON() {
+    const author = this.options.author || {};
+    const images = this._getImages();
+    const footer = this.options.footer || {};
+
     const embed = {
       title: this.options.title || undefined,
+      url: this.options.url || undefined,
       description: this.options.description || undefined,
       color: this.options.color ? parseInt(this.options.color.replace('#', ''), 16) : undefined,
-      author: this.options.author && this.options.author.name ? {
-        name: this.options.author.name,
-        icon_url: this.options.author.iconUrl
+      author: author.name ? {
+        name: author.name,
+        url: author.url || undefined,
+        icon_url: author.iconUrl || undefined
       } : undefined,
       thumbnail: this.options.thumbnail ? { url: this.options.thumbnail } : undefined,
-      image: this.options.image ? { url: this.options.image } : undefined,
+      image: images.length ? { url: images[0] } : undefined,
       fields: this.options.fields && this.options.fields.length > 0 ?
         this.options.fields.map(field => ({
           name: field.name,
           value: field.value,
           inline: field.inline !== false
         })) : undefined,
-      footer: this.options.footer && (this.options.footer.text || this.options.footer.timestamp) ? {
-        text: this.options.footer.text || '',
-        icon_url: this.options.footer.iconUrl
+      footer: footer.text || footer.timestamp ? {
+        text: footer.text || '',
+        icon_url: footer.iconUrl || undefined
       } : undefined,
-      timestamp: this.options.footer && this.options.footer.timestamp ? new Date().toISOString() : undefined
+      timestamp: this._getTimestamp()
     };
 
     Object.keys(embed).forEach(key => {
       if (embed[key] === undefined) delete embed[key];
+      else if (typeof embed[key] === 'object' && !Array.isArray(embed[key])) {
+        Object.keys(embed[key]).forEach(subKey => {
+          if (embed[key][subKey] === undefined) delete embed[key][subKey];
+        });
+        if (Object.keys(embed[key]).length === 0) delete embed[key];
+      }
     });
 
-    return embed;
+    if (images.length <= 1) return embed;
+
+    if (!this.options.url) {
+      if (this.invalidCallback) {
+        const errors = EZEmbedValidator.validate(this.options).errors.filter(error => error.path === 'url');
+        this.invalidCallback({ valid: false, errors }, this);
+      }
+      return embed;
+    }
+
+    return [embed, ...images.slice(1).map(url => ({ url: this.options.url, image: { url } }))];
+  }
+
+  _getTimestamp() {
+    const timestamp = this.options.timestamp;
+    const date = timestamp ? new Date(timestamp) : null;
+
+    // An unparseable timestamp is ignored rather than letting toISOString throw mid-render
+    if (date && !isNaN(date.getTime())) return typeof timestamp === 'string' ? timestamp : date.toISOString();
+    return this.options.footer && this.options.footer.timestamp ? new Date().toISOString() : undefined;
+  }
+
+  /**
+   * Replace the embed's content with a Discord embed payload
+   * @param {Object|Object[]} json - The embed object (or gallery array) from the Discord API or a saved config
+   * @returns {EZEmbed} - Returns this for method chaining
+   */
+  loadJSON(json) {
+    this.update(EZEmbed.fromJSON(json));
+    return this;
+  }
+
+  /**
+   * Convert a Discord embed payload into EZEmbed options - the inverse of toJSON
+   * An array is read as a gallery: embeds after the first that share its url contribute their image
+   * @param {Object|Object[]} json - The embed object (or gallery array) from the Discord API or a saved config
+   * @returns {Object} - Options for the EZEmbed constructor, update() or EZEmbedCreator initialData
+   */
+  static fromJSON(json = {}) {
+    if (Array.isArray(json)) {
+      const [first = {}, ...rest] = json;
+      const options = EZEmbed.fromJSON(first);
+      const galleryImages = rest
+        .filter(embed => embed && embed.url && embed.url === first.url && embed.image && embed.image.url)
+        .map(embed => embed.image.url);
+
+      if (options.image && galleryImages.length) {
+        options.images = [options.image, ...galleryImages];
+        options.image = '';
+      }
+
+      return options;
+    }
+
+    const author = json.author || {};
+    const footer = json.footer || {};
+
+    return {
+      title: json.title || '',
+      url: json.url || '',
+      description: json.description || '',
+      color: typeof json.color === 'number' ? `#${json.color.toString(16).padStart(6, '0').toUpperCase()}` : (json.color || ''),
+      author: {
+        name: author.name || '',
+        url: author.url || '',
+        iconUrl: author.icon_url || ''
+      },
+      thumbnail: json.thumbnail && json.thumbnail.url ? json.thumbnail.url : '',
+      image: json.image && json.image.url ? json.image.url : '',
+      images: [],
+      fields: (json.fields || []).map(field => ({
+        name: field.name || '',
+        value: field.value || '',
+        inline: field.inline === true
+      })),
+      footer: {
+        text: footer.text || '',
+        iconUrl: footer.icon_url || '',
+        timestamp: false
+      },
+      timestamp: json.timestamp || null
+    };
   }
 }
 
@@ -10,6 +10,14 @@
  * });
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZMarkdown = globalThis.EZMarkdown || require('./markdown');
+  globalThis.EZEmbedValidator = globalThis.EZEmbedValidator || require('./embedValidator');
+  globalThis.EZEmbed = globalThis.EZEmbed || require('./embed');
+}
+
 class EZEmbedCreator {
   constructor(container, options = {}) {
     this.container = container;
@@ -19,23 +27,31 @@ class EZEmbedCreator {
         '#5865F2', '#ED4245', '#FEE75C',
         '#57F287', '#EB459E', '#7289DA'
       ],
+      directory: options.directory || null,
+      emojiCdn: options.emojiCdn || null,
       ...options
     };
 
     this.elements = {};
     this.eventHandlers = {
-      update: []
+      update: [],
+      invalid: [],
+      valid: []
     };
+    this.isValid = true;
 
     this.currentData = {
       title: 'Title',
+      url: '',
       description: 'Description',
       color: '#5865F2',
-      author: { name: 'Author Name', iconUrl: '' },
+      author: { name: 'Author Name', url: '', iconUrl: '' },
       thumbnail: '',
       image: '',
+      images: [],
       fields: [],
-      footer: { text: 'Footer Text', timestamp: false }
+      footer: { text: 'Footer Text', iconUrl: '', timestamp: false },
+      timestamp: null
     };
 
     if (options.initialData) this.currentData = { ...this.currentData, ...options.initialData };
@@ -47,6 +63,7 @@ class EZEmbedCreator {
   init() {
     this._createDOM();
     this._setupEventListeners();
+    this._renderValidation(EZEmbedValidator.validate(this.currentData));
     return this;
   }
 
@@ -84,21 +101,31 @@ class EZEmbedCreator {
       <div class="embed-content">
         <div class="author-section">
             <div class="author-icon" id="author-icon">+</div>
-            <div id="author-name" contenteditable="true" class="author-name">${this.currentData.author.name}</div>
+            <div id="author-name" contenteditable="true" class="author-name">${EZSanitize.escapeHtml(this.currentData.author.name)}</div>
+            <span class="char-counter"></span>
+            <input type="url" id="author-url" class="url-input" placeholder="Author URL (optional)" value="${EZSanitize.escapeHtml(this.currentData.author.url)}">
         </div>
-        <div id="preview-title" contenteditable="true" class="embed-title">${this.currentData.title}</div>
-        <div id="preview-description" contenteditable="true" class="embed-description">${this.currentData.description}</div>
+        <div id="preview-title" contenteditable="true" class="embed-title${this.currentData.url ? ' has-link' : ''}"></div>
+        <div class="char-counter"></div>
+        <input type="url" id="title-url" class="url-input" placeholder="Title URL (optional)" value="${EZSanitize.escapeHtml(this.currentData.url)}">
+        <div id="preview-description" contenteditable="true" class="embed-description"></div>
+        <div class="char-counter"></div>
         <div class="fields-container" id="fields-container">
             <div class="add-field-placeholder" id="add-field-placeholder">+ Add Field</div>
             <div class="add-full-width-placeholder" id="add-full-width-placeholder">+ Add Full-Width Field</div>
         </div>
         <div class="image-panel" id="image-panel">+ Add Image</div>
         <div id="preview-footer" class="embed-footer">
-            <div contenteditable="true" id="footer-text" class="footer-text">${this.currentData.footer.text}</div>
+            <div class="footer-icon" id="footer-icon" title="Footer icon">+</div>
+            <div contenteditable="true" id="footer-text" class="footer-text">${EZSanitize.escapeHtml(this.currentData.footer.text)}</div>
+            <span class="char-counter"></span>
             <label class="timestamp-label">
-                <input type="checkbox" id="timestamp-checkbox" ${this.currentData.footer.timestamp ? 'checked' : ''}> Include Timestamp
+                <input type="checkbox" id="timestamp-checkbox" ${this.currentData.footer.timestamp || this.currentData.timestamp ? 'checked' : ''}> Include Timestamp
             </label>
+            <input type="datetime-local" id="timestamp-input" class="timestamp-input" title="Leave empty to use the current time"
+              value="${this._toDateTimeLocal(this.currentData.timestamp)}" ${this.currentData.footer.timestamp || this.currentData.timestamp ? '' : 'style="display: none;"'}>
         </div>
+        <div class="char-counter total-counter" id="total-counter"></div>
       </div>
     `;
 
@@ -116,9 +143,9 @@ class EZEmbedCreator {
           <button id="close-color-picker" class="close-button">✕</button>
       </div>
       <div id="color-picker-content" class="color-picker-content">
-          <input type="color" id="embed-color-picker" value="${this.currentData.color}">
+          <input type="color" id="embed-color-picker" value="${EZSanitize.escapeHtml(this.currentData.color)}">
           <div class="color-presets">
-              ${this.options.colorPresets.map(color => `<div class="color-preset" style="background-color: ${color};" data-color="${color}"></div>`).join('')}
+              ${this.options.colorPresets.map(color => EZSanitize.sanitizeColor(color)).filter(Boolean).map(color => `<div class="color-preset" style="background-color: ${color};" data-color="${color}"></div>`).join('')}
           </div>
       </div>
     `;
@@ -138,6 +165,10 @@ class EZEmbedCreator {
       embedColorBar: document.getElementById('embed-color-bar'),
       embedColorPicker: document.getElementById('embed-color-picker'),
       timestampCheckbox: document.getElementById('timestamp-checkbox'),
+      timestampInput: document.getElementById('timestamp-input'),
+      titleUrl: document.getElementById('title-url'),
+      authorUrl: document.getElementById('author-url'),
+      footerIcon: document.getElementById('footer-icon'),
       fieldsContainer: document.getElementById('fields-container'),
       addFieldPlaceholder: document.getElementById('add-field-placeholder'),
       addFullWidthPlaceholder: document.getElementById('add-full-width-placeholder'),
@@ -145,7 +176,8 @@ class EZEmbedCreator {
       imagePanel: document.getElementById('image-panel'),
       authorIcon: document.getElementById('author-icon'),
       colorPickerModal: document.getElementById('color-picker-modal'),
-      closeColorPicker: document.getElementById('close-color-picker')
+      closeColorPicker: document.getElementById('close-color-picker'),
+      totalCounter: document.getElementById('total-counter')
     };
 
 
@@ -156,9 +188,14 @@ class EZEmbedCreator {
   }
 
   _loadInitialImages() {
-    if (this.currentData.thumbnail) this.elements.thumbnail.innerHTML = `<img src="${this.currentData.thumbnail}" style="width:100%; height:100%; object-fit:cover; border-radius:4px;">`;
-    if (this.currentData.image) this.elements.imagePanel.innerHTML = `<img src="${this.currentData.image}" style="max-width:100%; max-height:300px; border-radius:4px;">`;
-    if (this.currentData.author && this.currentData.author.iconUrl) this.elements.authorIcon.innerHTML = `<img src="${this.currentData.author.iconUrl}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
+    const thumbnail = EZSanitize.sanitizeUrl(this.currentData.thumbnail);
+    const authorIcon = this.currentData.author ? EZSanitize.sanitizeUrl(this.currentData.author.iconUrl) : '';
+    const footerIcon = this.currentData.footer ? EZSanitize.sanitizeUrl(this.currentData.footer.iconUrl) : '';
+
+    if (thumbnail) this.elements.thumbnail.innerHTML = `<img src="${EZSanitize.escapeHtml(thumbnail)}" style="width:100%; height:100%; object-fit:cover; border-radius:4px;">`;
+    this._renderGallery();
+    if (authorIcon) this.elements.authorIcon.innerHTML = `<img src="${EZSanitize.escapeHtml(authorIcon)}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
+    if (footerIcon) this.elements.footerIcon.innerHTML = `<img src="${EZSanitize.escapeHtml(footerIcon)}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
   }
 
   _populateFields() {
@@ -171,13 +208,24 @@ class EZEmbedCreator {
       const fieldElem = document.createElement('div');
       fieldElem.className = `embed-field${field.inline === false ? ' full-width' : ''}`;
       fieldElem.innerHTML = `
-          <div contenteditable="true" class="field-name">${field.name}</div>
+          <div contenteditable="true" class="field-name"></div>
+          <div class="char-counter"></div>
           <button class="remove-field-button">✕</button>
-          <div contenteditable="true" class="field-value">${field.value}</div>
+          <div contenteditable="true" class="field-value"></div>
+          <div class="char-counter"></div>
       `;
 
+      this._bindMarkdownPreview(fieldElem.querySelector('.field-name'), field.name, 'fieldName');
+      this._bindMarkdownPreview(fieldElem.querySelector('.field-value'), field.value, 'fieldValue');
+      this._bindFieldRemoveButton(fieldElem, fieldsContainer);
+
       fieldsContainer.insertBefore(fieldElem, addFieldPlaceholder);
     });
+
+    if (fieldsContainer.querySelectorAll('.embed-field').length >= EZEmbedValidator.LIMITS.fields) {
+      addFieldPlaceholder.style.display = 'none';
+      document.getElementById('add-full-width-placeholder').style.display = 'none';
+    }
   }
 
   _setupEventListeners() {
@@ -231,14 +279,55 @@ class EZEmbedCreator {
     this._setupContentEditableListeners();
 
 
-    this.elements.timestampCheckbox.addEventListener('change', () => {
-      this.currentData.footer.timestamp = this.elements.timestampCheckbox.checked;
+    this.elements.timestampCheckbox.addEventListener('change', () => this._updateTimestamp());
+    this.elements.timestampInput.addEventListener('change', () => this._updateTimestamp());
+
+
+    this.elements.titleUrl.addEventListener('input', () => {
+      this.currentData.url = this._readUrlInput(this.elements.titleUrl);
+      this.elements.previewTitle.classList.toggle('has-link', !!this.currentData.url);
+      this._notifyUpdate();
+    });
+
+    this.elements.authorUrl.addEventListener('input', () => {
+      this.currentData.author.url = this._readUrlInput(this.elements.authorUrl);
       this._notifyUpdate();
     });
   }
 
+  _readUrlInput(input) {
+    const value = input.value.trim();
+    input.classList.toggle('invalid-region', !!value && !EZSanitize.sanitizeUrl(value));
+    return value;
+  }
+
+  _updateTimestamp() {
+    const checked = this.elements.timestampCheckbox.checked;
+    const value = this.elements.timestampInput.value;
+    const date = value ? new Date(value) : null;
+
+    this.currentData.timestamp = checked && date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    this.currentData.footer.timestamp = checked && !this.currentData.timestamp;
+    this.elements.timestampInput.style.display = checked ? '' : 'none';
+    this._notifyUpdate();
+  }
+
+  _toDateTimeLocal(timestamp) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) return '';
+
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
   _setupContentEditableListeners() {
 
+    this._bindMarkdownPreview(this.elements.previewTitle, this.currentData.title, 'title');
+    this._bindMarkdownPreview(this.elements.previewDescription, this.currentData.description, 'description');
+
+
     this.elements.previewTitle.addEventListener('input', () => {
       this.currentData.title = this.elements.previewTitle.innerText.trim();
       this._notifyUpdate();
@@ -266,6 +355,33 @@ class EZEmbedCreator {
     this._setupFieldsObserver();
   }
 
+  _bindMarkdownPreview(element, text, context) {
+    element.dataset.raw = text || '';
+    element.innerHTML = this._renderMarkdown(element.dataset.raw, context);
+
+    // Show the raw markdown while editing and the rendered result otherwise
+    element.addEventListener('focus', () => {
+      element.textContent = element.dataset.raw;
+    });
+
+    element.addEventListener('input', () => {
+      element.dataset.raw = element.innerText.trim();
+    });
+
+    element.addEventListener('blur', () => {
+      element.innerHTML = this._renderMarkdown(element.dataset.raw, context);
+    });
+  }
+
+  _renderMarkdown(text, context) {
+    return EZMarkdown.render(text, context, { directory: this.options.directory, emojiCdn: this.options.emojiCdn });
+  }
+
+  _getEditableText(element) {
+    if (element.dataset.raw === undefined || document.activeElement === element) return element.innerText.trim();
+    return element.dataset.raw;
+  }
+
   _setupFieldsObserver() {
 
     const observer = new MutationObserver(() => {
@@ -290,8 +406,8 @@ class EZEmbedCreator {
 
       if (nameElem && valueElem) {
         fields.push({
-          name: nameElem.innerText.trim(),
-          value: valueElem.innerText.trim(),
+          name: this._getEditableText(nameElem),
+          value: this._getEditableText(valueElem),
           inline: !field.classList.contains('full-width')
         });
       }
@@ -311,7 +427,7 @@ class EZEmbedCreator {
         if (e.target.files && e.target.files[0]) {
           const reader = new FileReader();
           reader.onload = (event) => {
-            this.elements.thumbnail.innerHTML = `<img src="${event.target.result}" style="width:100%; height:100%; object-fit:cover; border-radius:4px;">`;
+            this.elements.thumbnail.innerHTML = `<img src="${EZSanitize.escapeHtml(event.target.result)}" style="width:100%; height:100%; object-fit:cover; border-radius:4px;">`;
             this.currentData.thumbnail = event.target.result;
             this._notifyUpdate();
           };
@@ -322,7 +438,38 @@ class EZEmbedCreator {
     });
 
 
-    this.elements.imagePanel.addEventListener('click', () => {
+    this.elements.imagePanel.addEventListener('click', (e) => {
+      const images = [...this._getImages()];
+      const item = e.target.closest('.gallery-item');
+
+      if (item) {
+        const index = Number(item.dataset.index);
+        const moveButton = e.target.closest('.gallery-move-button');
+
+        if (e.target.closest('.gallery-remove-button')) {
+          images.splice(index, 1);
+          this._setImages(images);
+        } else if (moveButton) {
+          const target = index + Number(moveButton.dataset.direction);
+          if (target < 0 || target >= images.length) return;
+          [images[index], images[target]] = [images[target], images[index]];
+          this._setImages(images);
+        } else {
+          this._pickImage(src => {
+            images[index] = src;
+            this._setImages(images);
+          });
+        }
+        return;
+      }
+
+      if (!images.length || e.target.closest('.gallery-add')) {
+        this._pickImage(src => this._setImages([...images, src]));
+      }
+    });
+
+
+    this.elements.authorIcon.addEventListener('click', () => {
       const input = document.createElement('input');
       input.type = 'file';
       input.accept = 'image/*';
@@ -330,8 +477,8 @@ class EZEmbedCreator {
         if (e.target.files && e.target.files[0]) {
           const reader = new FileReader();
           reader.onload = (event) => {
-            this.elements.imagePanel.innerHTML = `<img src="${event.target.result}" style="max-width:100%; max-height:300px; border-radius:4px;">`;
-            this.currentData.image = event.target.result;
+            this.elements.authorIcon.innerHTML = `<img src="${EZSanitize.escapeHtml(event.target.result)}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
+            this.currentData.author.iconUrl = event.target.result;
             this._notifyUpdate();
           };
           reader.readAsDataURL(e.target.files[0]);
@@ -341,7 +488,7 @@ class EZEmbedCreator {
     });
 
 
-    this.elements.authorIcon.addEventListener('click', () => {
+    this.elements.footerIcon.addEventListener('click', () => {
       const input = document.createElement('input');
       input.type = 'file';
       input.accept = 'image/*';
@@ -349,8 +496,8 @@ class EZEmbedCreator {
         if (e.target.files && e.target.files[0]) {
           const reader = new FileReader();
           reader.onload = (event) => {
-            this.elements.authorIcon.innerHTML = `<img src="${event.target.result}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
-            this.currentData.author.iconUrl = event.target.result;
+            this.elements.footerIcon.innerHTML = `<img src="${EZSanitize.escapeHtml(event.target.result)}" style="width:100%; height:100%; object-fit:cover; border-radius:50%;">`;
+            this.currentData.footer.iconUrl = event.target.result;
             this._notifyUpdate();
           };
           reader.readAsDataURL(e.target.files[0]);
@@ -361,7 +508,7 @@ class EZEmbedCreator {
   }
 
   _createField(isFullWidth) {
-    const MAX_FIELDS = 25;
+    const MAX_FIELDS = EZEmbedValidator.LIMITS.fields;
     const fieldsContainer = this.elements.fieldsContainer;
 
     if (fieldsContainer.querySelectorAll('.embed-field').length >= MAX_FIELDS) return;
@@ -369,21 +516,17 @@ class EZEmbedCreator {
     const field = document.createElement('div');
     field.className = `embed-field${isFullWidth ? ' full-width' : ''}`;
     field.innerHTML = `
-        <div contenteditable="true" class="field-name">Field Name</div>
+        <div contenteditable="true" class="field-name"></div>
+        <div class="char-counter"></div>
         <button class="remove-field-button">✕</button>
-        <div contenteditable="true" class="field-value">Field Value</div>
+        <div contenteditable="true" class="field-value"></div>
+        <div class="char-counter"></div>
     `;
 
-    const removeButton = field.querySelector('.remove-field-button');
-    removeButton.addEventListener('click', () => {
-      field.remove();
-      this._updateFieldsData();
+    this._bindMarkdownPreview(field.querySelector('.field-name'), 'Field Name', 'fieldName');
+    this._bindMarkdownPreview(field.querySelector('.field-value'), 'Field Value', 'fieldValue');
 
-      if (fieldsContainer.querySelectorAll('.embed-field').length < MAX_FIELDS) {
-        this.elements.addFieldPlaceholder.style.display = "flex";
-        this.elements.addFullWidthPlaceholder.style.display = "flex";
-      }
-    });
+    this._bindFieldRemoveButton(field, fieldsContainer);
 
     fieldsContainer.insertBefore(field, this.elements.addFieldPlaceholder);
 
@@ -395,6 +538,72 @@ class EZEmbedCreator {
     }
   }
 
+  _pickImage(onLoad) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = (e) => {
+      if (e.target.files && e.target.files[0]) {
+        const reader = new FileReader();
+        reader.onload = (event) => onLoad(event.target.result);
+        reader.readAsDataURL(e.target.files[0]);
+      }
+    };
+    input.click();
+  }
+
+  _getImages() {
+    if (this.currentData.images && this.currentData.images.length) return this.currentData.images;
+    return this.currentData.image ? [this.currentData.image] : [];
+  }
+
+  _setImages(images) {
+    this.currentData.images = images.slice(0, EZEmbedValidator.LIMITS.images);
+    this.currentData.image = this.currentData.images[0] || '';
+    this._renderGallery();
+    this._notifyUpdate();
+  }
+
+  _renderGallery() {
+    const images = this._getImages();
+    const panel = this.elements.imagePanel;
+    panel.classList.toggle('has-images', images.length > 0);
+
+    if (!images.length) {
+      panel.innerHTML = '+ Add Image';
+      return;
+    }
+
+    panel.innerHTML = `
+      <div class="image-gallery gallery-count-${images.length}">
+        ${images.map((url, index) => `
+          <div class="gallery-item" data-index="${index}" title="Click to replace">
+            <img src="${EZSanitize.escapeHtml(EZSanitize.sanitizeUrl(url))}" alt="">
+            <div class="gallery-item-actions">
+              <button class="gallery-move-button" data-direction="-1" title="Move left" ${index === 0 ? 'disabled' : ''}>←</button>
+              <button class="gallery-move-button" data-direction="1" title="Move right" ${index === images.length - 1 ? 'disabled' : ''}>→</button>
+              <button class="gallery-remove-button" title="Remove">✕</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      ${images.length < EZEmbedValidator.LIMITS.images ? '<div class="gallery-add">+ Add Image</div>' : ''}
+    `;
+  }
+
+  _bindFieldRemoveButton(field, fieldsContainer) {
+    const removeButton = field.querySelector('.remove-field-button');
+    removeButton.addEventListener('click', () => {
+      field.remove();
+      this._updateFieldsData();
+
+      if (fieldsContainer.querySelectorAll('.embed-field').length < EZEmbedValidator.LIMITS.fields) {
+        this.elements.addFieldPlaceholder.style.display = "flex";
+        this.elements.addFullWidthPlaceholder.style.display = "flex";
+      }
+    });
+  }
+
   _updateEmbedColor(color) {
     this.currentData.color = color;
     this.elements.preview.style.borderLeftColor = color;
@@ -408,9 +617,79 @@ class EZEmbedCreator {
     if (Object.keys(changedData).length > 0) {
       this.lastKnownData = JSON.parse(JSON.stringify(this.currentData));
       this.trigger('update', changedData);
+      this.validate();
     }
   }
 
+  /**
+   * Check the embed against Discord's limits and highlight the offending regions
+   * Triggers `invalid` with the result while any limit is exceeded and `valid` once it is fixed
+   * @returns {Object} - { valid, errors, totalLength } - see EZEmbedValidator.validate
+   */
+  validate() {
+    const result = EZEmbedValidator.validate(this.currentData);
+    this._renderValidation(result);
+
+    if (!result.valid) {
+      this.trigger('invalid', result);
+    } else if (!this.isValid) {
+      this.trigger('valid', result);
+    }
+
+    this.isValid = result.valid;
+    return result;
+  }
+
+  _renderValidation(result) {
+    const limits = EZEmbedValidator.LIMITS;
+    const errorsByPath = {};
+    result.errors.forEach(error => {
+      if (!errorsByPath[error.path]) errorsByPath[error.path] = error;
+    });
+
+    const regions = [
+      { path: 'title', element: this.elements.previewTitle, value: this.currentData.title, limit: limits.title },
+      { path: 'description', element: this.elements.previewDescription, value: this.currentData.description, limit: limits.description },
+      { path: 'author.name', element: this.elements.authorName, value: this.currentData.author && this.currentData.author.name, limit: limits.authorName },
+      { path: 'footer.text', element: this.elements.footerText, value: this.currentData.footer && this.currentData.footer.text, limit: limits.footerText }
+    ];
+
+    this.elements.fieldsContainer.querySelectorAll('.embed-field').forEach((fieldElement, index) => {
+      const field = this.currentData.fields[index] || {};
+      regions.push(
+        { path: `fields[${index}].name`, element: fieldElement.querySelector('.field-name'), value: field.name, limit: limits.fieldName },
+        { path: `fields[${index}].value`, element: fieldElement.querySelector('.field-value'), value: field.value, limit: limits.fieldValue }
+      );
+    });
+
+    regions.forEach(region => {
+      if (!region.element) return;
+
+      const error = errorsByPath[region.path];
+      const length = EZEmbedValidator.getLength(region.value);
+      const counter = region.element.nextElementSibling;
+
+      region.element.classList.toggle('invalid-region', !!error);
+      region.element.title = error ? error.message : '';
+
+      if (counter && counter.classList.contains('char-counter')) {
+        const text = `${length}/${region.limit}`;
+        if (counter.textContent !== text) counter.textContent = text;
+        counter.classList.toggle('over-limit', length > region.limit);
+      }
+    });
+
+    const totalText = `${result.totalLength}/${limits.total}`;
+    if (this.elements.totalCounter.textContent !== totalText) this.elements.totalCounter.textContent = totalText;
+    this.elements.totalCounter.classList.toggle('over-limit', !!errorsByPath.total);
+    this.elements.totalCounter.title = errorsByPath.total ? errorsByPath.total.message : '';
+    this.elements.fieldsContainer.classList.toggle('invalid-region', !!errorsByPath.fields);
+
+    const urlValue = this.elements.titleUrl.value.trim();
+    this.elements.titleUrl.classList.toggle('invalid-region', !!errorsByPath.url || (!!urlValue && !EZSanitize.sanitizeUrl(urlValue)));
+    this.elements.titleUrl.title = errorsByPath.url ? errorsByPath.url.message : '';
+  }
+
   _getChangedData() {
     const changes = {};
 
@@ -524,6 +803,34 @@ class EZEmbedCreator {
           max-width: 375px;
       }
 
+      .embed-preview [contenteditable="true"]:focus {
+          white-space: pre-wrap;
+      }
+
+      .embed-preview .char-counter {
+          display: none;
+          grid-column: 1 / 3;
+          font-size: 11px;
+          color: #b9bbbe;
+          text-align: right;
+      }
+
+      .embed-preview [contenteditable="true"]:focus + .char-counter,
+      .embed-preview .char-counter.over-limit,
+      .embed-preview .total-counter {
+          display: block;
+      }
+
+      .embed-preview .char-counter.over-limit {
+          color: #ed4245;
+      }
+
+      .embed-preview .invalid-region {
+          outline: 1px solid #ed4245;
+          border-radius: 3px;
+          background-color: rgba(237, 66, 69, 0.1);
+      }
+
       .embed-preview .thumbnail {
           position: absolute;
           top: 16px;
@@ -560,6 +867,85 @@ class EZEmbedCreator {
           overflow: hidden;
       }
 
+      .embed-preview .image-panel.has-images {
+          flex-direction: column;
+          align-items: stretch;
+          gap: 4px;
+          min-height: 0;
+          border: none;
+          background: none;
+          cursor: default;
+      }
+
+      .embed-preview .image-gallery {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          grid-auto-rows: 150px;
+          gap: 4px;
+          border-radius: 4px;
+          overflow: hidden;
+      }
+
+      .embed-preview .image-gallery.gallery-count-1 {
+          grid-template-columns: 1fr;
+          grid-auto-rows: 300px;
+      }
+
+      .embed-preview .image-gallery.gallery-count-2 {
+          grid-auto-rows: 200px;
+      }
+
+      .embed-preview .image-gallery.gallery-count-3 .gallery-item:first-child {
+          grid-row: 1 / 3;
+      }
+
+      .embed-preview .gallery-item {
+          position: relative;
+          cursor: pointer;
+      }
+
+      .embed-preview .gallery-item img {
+          display: block;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+      }
+
+      .embed-preview .gallery-item-actions {
+          position: absolute;
+          top: 4px;
+          right: 4px;
+          display: none;
+          gap: 2px;
+      }
+
+      .embed-preview .gallery-item:hover .gallery-item-actions {
+          display: flex;
+      }
+
+      .embed-preview .gallery-item-actions button {
+          background: rgba(0, 0, 0, 0.6);
+          border: none;
+          border-radius: 3px;
+          color: white;
+          cursor: pointer;
+          padding: 2px 6px;
+      }
+
+      .embed-preview .gallery-item-actions button:disabled {
+          opacity: 0.4;
+          cursor: default;
+      }
+
+      .embed-preview .gallery-add {
+          padding: 8px;
+          text-align: center;
+          color: #72767d;
+          border: 1px dashed rgba(255, 255, 255, 0.2);
+          border-radius: 4px;
+          cursor: pointer;
+      }
+
       .embed-preview .fields-container {
           display: flex;
           flex-wrap: wrap;
@@ -592,6 +978,7 @@ class EZEmbedCreator {
 
       .embed-preview .remove-field-button {
           grid-column: 2 / 3;
+          grid-row: 1;
           background: none;
           border: none;
           color: #72767d;
@@ -651,6 +1038,54 @@ class EZEmbedCreator {
           text-align: left;
       }
 
+      .embed-preview .footer-icon {
+          width: 20px;
+          height: 20px;
+          margin-right: 8px;
+          border-radius: 50%;
+          background: #2f3136;
+          cursor: pointer;
+          border: 1px dashed rgba(255, 255, 255, 0.2);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          flex-shrink: 0;
+          font-size: 12px;
+      }
+
+      .embed-preview .timestamp-input {
+          margin-left: 8px;
+          background: #2f3136;
+          border: 1px solid #202225;
+          border-radius: 3px;
+          color: #dcddde;
+          font-size: 12px;
+          padding: 2px 4px;
+      }
+
+      .embed-preview .url-input {
+          background: transparent;
+          border: none;
+          border-bottom: 1px dashed rgba(255, 255, 255, 0.2);
+          color: #00a8fc;
+          font-size: 12px;
+          padding: 2px 0;
+          outline: none;
+      }
+
+      .embed-preview .author-section .url-input {
+          margin-left: auto;
+          max-width: 160px;
+      }
+
+      .embed-preview .url-input:focus {
+          border-bottom-color: #00a8fc;
+      }
+
+      .embed-preview .embed-title.has-link {
+          color: #00a8fc;
+      }
+
       .timestamp-label {
           display: flex;
           align-items: center;
@@ -760,44 +1195,38 @@ class EZEmbedCreator {
     this.currentData = { ...this.currentData, ...newData };
     this._createDOM();
     this._setupEventListeners();
+    this._renderValidation(EZEmbedValidator.validate(this.currentData));
     return this;
   }
 
-  toJSON() {
-    const embed = {
-      title: this.currentData.title || undefined,
-      description: this.currentData.description || undefined,
-      color: this.currentData.color ? parseInt(this.currentData.color.replace('#', ''), 16) : undefined,
-      author: this.currentData.author && this.currentData.author.name ? {
-        name: this.currentData.author.name,
-        icon_url: this.currentData.author.iconUrl || undefined
-      } : undefined,
-      thumbnail: this.currentData.thumbnail ? { url: this.currentData.thumbnail } : undefined,
-      image: this.currentData.image ? { url: this.currentData.image } : undefined,
-      fields: this.currentData.fields && this.currentData.fields.length > 0 ?
-        this.currentData.fields.map(field => ({
-          name: field.name,
-          value: field.value,
-          inline: field.inline !== false
-        })) : undefined,
-      footer: this.currentData.footer && (this.currentData.footer.text || this.currentData.footer.timestamp) ? {
-        text: this.currentData.footer.text || ''
-      } : undefined,
-      timestamp: this.currentData.footer && this.currentData.footer.timestamp ?
-        new Date().toISOString() : undefined
-    };
+  /**
+   * Load a Discord embed payload into the creator
+   * @param {Object|Object[]} json - The embed object (or gallery array) from the Discord API or a saved config
+   * @returns {EZEmbedCreator} - Returns this for method chaining
+   */
+  loadJSON(json) {
+    this.setData(EZEmbedCreator.fromJSON(json));
+    this._notifyUpdate();
+    return this;
+  }
 
-    Object.keys(embed).forEach(key => {
-      if (embed[key] === undefined) delete embed[key];
-      else if (typeof embed[key] === 'object' && !Array.isArray(embed[key])) {
-        Object.keys(embed[key]).forEach(subKey => {
-          if (embed[key][subKey] === undefined) delete embed[key][subKey];
-        });
-        if (Object.keys(embed[key]).length === 0) delete embed[key];
-      }
-    });
+  /**
+   * Convert a Discord embed payload into creator data - the inverse of toJSON
+   * @param {Object|Object[]} json - The embed object (or gallery array) from the Discord API or a saved config
+   * @returns {Object} - Data for setData() or the initialData option
+   */
+  static fromJSON(json) {
+    return EZEmbed.fromJSON(json);
+  }
 
-    return embed;
+  /**
+   * Convert the embed to Discord's format
+   * Galleries become one embed per image sharing the same url, which Discord groups into a grid
+   * @returns {Object|Object[]} - The embed, or an array of embeds when there is more than one image
+   */
+  toJSON() {
+    // EZEmbed owns the serializer - the creator's data uses the same shape as its options
+    return new EZEmbed(null, this.currentData).toJSON();
   }
 }
 
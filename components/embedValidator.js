@@ -0,0 +1,151 @@
+/**
+ * Discord Embed Validator
+ * Checks embed data against the limits Discord enforces before sending
+ *
+ * Usage:
+ * const result = EZEmbedValidator.validate(myEmbed.toJSON());
+ * if (!result.valid) console.log(result.errors);
+ */
+
+class EZEmbedValidator {
+  /**
+   * Check embed data against Discord's limits
+   * @param {Object|Object[]} embed - Embed data - EZEmbed options, creator data or the output of toJSON, gallery arrays included
+   * @returns {Object} - { valid, errors: [{ path, code, message, limit, length }], totalLength } - limit and length are omitted for the gallery url check
+   */
+  static validate(embed = {}) {
+    if (Array.isArray(embed)) return EZEmbedValidator._validateGallery(embed);
+
+    const limits = EZEmbedValidator.LIMITS;
+    const errors = [];
+    let totalLength = 0;
+
+    const checkLength = (path, label, value, limit) => {
+      const length = EZEmbedValidator.getLength(value);
+      if (length > limit) {
+        errors.push({
+          path,
+          code: 'too_long',
+          message: `${label} must be ${limit} characters or fewer (currently ${length})`,
+          limit,
+          length
+        });
+      }
+      totalLength += length;
+    };
+
+    checkLength('title', 'Title', embed.title, limits.title);
+    checkLength('description', 'Description', embed.description, limits.description);
+    if (embed.author) checkLength('author.name', 'Author name', embed.author.name, limits.authorName);
+    if (embed.footer) checkLength('footer.text', 'Footer text', embed.footer.text, limits.footerText);
+
+    const fields = embed.fields || [];
+    if (fields.length > limits.fields) {
+      errors.push({
+        path: 'fields',
+        code: 'too_many',
+        message: `Embeds can have at most ${limits.fields} fields (currently ${fields.length})`,
+        limit: limits.fields,
+        length: fields.length
+      });
+    }
+
+    fields.forEach((field, index) => {
+      ['name', 'value'].forEach(key => {
+        const path = `fields[${index}].${key}`;
+        const label = `Field ${index + 1} ${key}`;
+
+        if (!EZEmbedValidator.getLength(String(field[key] || '').trim())) {
+          errors.push({ path, code: 'required', message: `${label} is required`, limit: key === 'name' ? limits.fieldName : limits.fieldValue, length: 0 });
+        }
+
+        checkLength(path, label, field[key], key === 'name' ? limits.fieldName : limits.fieldValue);
+      });
+    });
+
+    const images = embed.images || [];
+    if (images.length > limits.images) {
+      errors.push({
+        path: 'images',
+        code: 'too_many',
+        message: `Galleries can show at most ${limits.images} images (currently ${images.length})`,
+        limit: limits.images,
+        length: images.length
+      });
+    }
+
+    if (images.length > 1 && !embed.url) {
+      errors.push({ path: 'url', code: 'required', message: 'Gallery embeds need a url so Discord can group their images' });
+    }
+
+    if (totalLength > limits.total) {
+      errors.push({
+        path: 'total',
+        code: 'too_long',
+        message: `Embeds can contain at most ${limits.total} characters in total (currently ${totalLength})`,
+        limit: limits.total,
+        length: totalLength
+      });
+    }
+
+    return { valid: errors.length === 0, errors, totalLength };
+  }
+
+  /**
+   * Check a serialized gallery - the first embed holds the content, the rest one image each under the same url
+   * @param {Object[]} embeds - A gallery array from EZEmbed's toJSON or the Discord API
+   * @returns {Object} - The same result as validate
+   */
+  static _validateGallery(embeds) {
+    const [first = {}, ...rest] = embeds;
+    const result = EZEmbedValidator.validate(first);
+    const errors = result.errors.filter(error => error.path !== 'total');
+    const imageCount = rest.length + 1;
+    const limit = EZEmbedValidator.LIMITS.images;
+
+    if (imageCount > limit) {
+      errors.push({
+        path: 'images',
+        code: 'too_many',
+        message: `Galleries can show at most ${limit} images (currently ${imageCount})`,
+        limit,
+        length: imageCount
+      });
+    }
+
+    if (!first.url || rest.some(embed => !embed || embed.url !== first.url)) {
+      errors.push({ path: 'url', code: 'required', message: 'Gallery embeds need a url so Discord can group their images' });
+    }
+
+    errors.push(...result.errors.filter(error => error.path === 'total'));
+    return { valid: errors.length === 0, errors, totalLength: result.totalLength };
+  }
+
+  /**
+   * Count characters the way Discord does - by code point rather than UTF-16 unit
+   * @param {*} value - The value to measure
+   * @returns {number} - The number of characters
+   */
+  static getLength(value) {
+    if (value === undefined || value === null) return 0;
+    return Array.from(String(value)).length;
+  }
+}
+
+EZEmbedValidator.LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footerText: 2048,
+  authorName: 256,
+  images: 4,
+  total: 6000
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZEmbedValidator;
+} else {
+  window.EZEmbedValidator = EZEmbedValidator;
+}
@@ -0,0 +1,140 @@
+/**
+ * Shared Emoji Helpers
+ * Reads Unicode and Discord custom emoji in any of the forms the components accept,
+ * renders custom emoji as CDN images and converts them to Discord's partial emoji objects
+ *
+ * Accepted forms:
+ * '🔥'                                          - a Unicode emoji
+ * '<:party:123456789012345678>'                 - a custom emoji, as Discord writes it in messages
+ * '<a:party:123456789012345678>'                - an animated custom emoji
+ * { id: '123456789012345678', name: 'party', animated: true }
+ *
+ * Usage:
+ * element.innerHTML = EZEmoji.render('<:party:123456789012345678>');
+ * EZEmoji.CDN = '/emoji-mirror/'; // serve custom emoji images from a local mirror
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+}
+
+class EZEmoji {
+  /**
+   * Read an emoji from any accepted form
+   * @param {string|Object} emoji - A Unicode emoji, a <:name:id> / <a:name:id> string or an { id, name, animated } object
+   * @returns {Object|null} - { name, id, animated } - id is null for Unicode emoji - or null when there is no emoji
+   */
+  static parse(emoji) {
+    if (!emoji) return null;
+
+    if (typeof emoji === 'object') {
+      if (!emoji.id && !emoji.name) return null;
+      return { name: emoji.name ? String(emoji.name) : '', id: emoji.id ? String(emoji.id) : null, animated: Boolean(emoji.id && emoji.animated) };
+    }
+
+    const custom = String(emoji).trim().match(EZEmoji.CUSTOM_PATTERN);
+    if (custom) return { name: custom[2], id: custom[3], animated: custom[1] === 'a' };
+
+    return { name: String(emoji), id: null, animated: false };
+  }
+
+  /**
+   * Whether an emoji is a guild's custom emoji rather than a Unicode one
+   * @param {string|Object} emoji - The emoji in any accepted form
+   * @returns {boolean} - True for custom emoji
+   */
+  static isCustom(emoji) {
+    const parsed = EZEmoji.parse(emoji);
+    return Boolean(parsed && parsed.id);
+  }
+
+  /**
+   * Write an emoji as a string - Unicode as-is, custom emoji as <:name:id> or <a:name:id> (<::id> when the name is unknown)
+   * @param {string|Object} emoji - The emoji in any accepted form
+   * @returns {string} - The emoji string, or an empty string when there is no emoji
+   */
+  static toString(emoji) {
+    const parsed = EZEmoji.parse(emoji);
+    if (!parsed) return '';
+    if (!parsed.id) return parsed.name;
+
+    return `<${parsed.animated ? 'a' : ''}:${parsed.name}:${parsed.id}>`;
+  }
+
+  /**
+   * Convert an emoji to Discord's partial emoji object, as used by buttons and select options
+   * @param {string|Object} emoji - The emoji in any accepted form
+   * @returns {Object|undefined} - { name } for Unicode, { name, id, animated } for custom emoji, or undefined when there is no emoji
+   */
+  static toDiscordJSON(emoji) {
+    const parsed = EZEmoji.parse(emoji);
+    if (!parsed) return undefined;
+    if (!parsed.id) return { name: parsed.name };
+
+    const json = { name: parsed.name || undefined, id: parsed.id, animated: parsed.animated || undefined };
+    Object.keys(json).forEach(key => {
+      if (json[key] === undefined) delete json[key];
+    });
+    return json;
+  }
+
+  /**
+   * Get the image URL of a custom emoji
+   * @param {string|Object} emoji - The emoji in any accepted form
+   * @param {string} cdn - The base URL images are served from - defaults to EZEmoji.CDN
+   * @returns {string} - The image URL, or an empty string for Unicode emoji
+   */
+  static getUrl(emoji, cdn = null) {
+    const parsed = EZEmoji.parse(emoji);
+    if (!parsed || !parsed.id) return '';
+
+    const base = cdn || EZEmoji.CDN;
+    return `${base}${base.endsWith('/') ? '' : '/'}${parsed.id}.${parsed.animated ? 'gif' : 'png'}`;
+  }
+
+  /**
+   * Render an emoji as HTML - custom emoji become images, Unicode emoji are escaped text
+   * @param {string|Object} emoji - The emoji in any accepted form
+   * @param {Object} options - { cdn, html, className } - html leaves Unicode text unescaped, className is added to images
+   * @returns {string} - The HTML, or an empty string when there is no emoji
+   */
+  static render(emoji, options = {}) {
+    const parsed = EZEmoji.parse(emoji);
+    if (!parsed) return '';
+    if (!parsed.id) return EZSanitize.html(parsed.name, options.html);
+
+    if (typeof document !== 'undefined' && !document.getElementById('ez-emoji-styles')) EZEmoji._addStyles();
+
+    const src = EZSanitize.sanitizeUrl(EZEmoji.getUrl(parsed, options.cdn));
+    const label = EZSanitize.escapeHtml(`:${parsed.name || 'emoji'}:`);
+    if (!src) return label;
+
+    const className = `ez-emoji${options.className ? ` ${EZSanitize.escapeHtml(options.className)}` : ''}`;
+    return `<img class="${className}" src="${EZSanitize.escapeHtml(src)}" alt="${label}" title="${label}" draggable="false">`;
+  }
+
+  static _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-emoji-styles';
+    style.textContent = `
+      .ez-emoji {
+        width: 1.375em;
+        height: 1.375em;
+        object-fit: contain;
+        vertical-align: -0.3em;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+EZEmoji.CDN = 'https://cdn.discordapp.com/emojis/';
+// The name may be empty - the API sends name: null for emoji it can no longer resolve
+EZEmoji.CUSTOM_PATTERN = /^<(a?):(\w{0,32}):(\d{1,20})>$/;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZEmoji;
+} else {
+  window.EZEmoji = EZEmoji;
+}
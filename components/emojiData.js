@@ -0,0 +1,2006 @@
+/**
+ * Emoji Dataset
+ * Every Unicode emoji up to Emoji 15.1 with its name, shortcodes and search keywords, grouped by category
+ * Used by EZEmojiPicker - generated from emojibase-data 17.0.0 by scripts/generateEmojiData.js,
+ * so regenerate it rather than editing entries by hand
+ *
+ * Entries are [emoji, name, shortcodes, keywords, skinTones]:
+ * shortcodes and keywords are space-separated, and skinTones is 1 when a tone modifier follows
+ * the first code point, or the five toned variants when it does not - it is left out when the emoji has no tones
+ *
+ * emojibase-data (https://emojibase.dev) is distributed under the MIT License:
+ *
+ * MIT License
+ *
+ * Copyright (c) 2017-2019 Miles Johnson
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const EZEmojiData = {
+  categories: [
+    {
+      id: 'smileys',
+      name: 'Smileys & Emotion',
+      icon: '😀',
+      emojis: [
+        ['😀', 'grinning face', 'grinning', 'cheerful cheery face grin grinning happy laugh nice smile smiling teeth'],
+        ['😃', 'grinning face with big eyes', 'smiley', 'awesome big eyes face grin grinning happy mouth open smile smiling teeth yay'],
+        ['😄', 'grinning face with smiling eyes', 'smile', 'eye eyes face grin grinning happy laugh lol mouth open smile smiling'],
+        ['😁', 'beaming face with smiling eyes', 'grin', 'beaming eye eyes face grin grinning happy nice smile smiling teeth'],
+        ['😆', 'grinning squinting face', 'laughing satisfied', 'closed eyes face grinning haha hahaha happy laugh lol mouth open rofl smile smiling squinting'],
+        ['😅', 'grinning face with sweat', 'sweat_smile', 'cold dejected excited face grinning mouth nervous open smile smiling stress stressed sweat'],
+        ['🤣', 'rolling on the floor laughing', 'rolling_on_the_floor_laughing rofl', 'crying face floor funny haha happy hehe hilarious joy laugh lmao lol rofl roflmao rolling tear'],
+        ['😂', 'face with tears of joy', 'joy', 'crying face feels funny haha happy hehe hilarious joy laugh lmao lol rofl roflmao tear'],
+        ['🙂', 'slightly smiling face', 'slightly_smiling_face', 'face happy slightly smile smiling'],
+        ['🙃', 'upside-down face', 'upside_down_face', 'face hehe smile upside-down'],
+        ['🫠', 'melting face', 'melting_face', 'disappear dissolve embarrassed face haha heat hot liquid lol melt melting sarcasm sarcastic'],
+        ['😉', 'winking face', 'wink', 'face flirt heartbreaker sexy slide tease wink winking winks'],
+        ['😊', 'smiling face with smiling eyes', 'blush', 'blush eye eyes face glad satisfied smile smiling'],
+        ['😇', 'smiling face with halo', 'innocent', 'angel angelic angels blessed face fairy fairytale fantasy halo happy innocent peaceful smile smiling spirit tale'],
+        ['🥰', 'smiling face with hearts', 'smiling_face_with_3_hearts smiling_face_with_three_hearts', '3 adore crush face heart hearts ily love romance smile smiling you'],
+        ['😍', 'smiling face with heart-eyes', 'heart_eyes', '143 bae eye face feels heart-eyes hearts ily kisses love romance romantic smile xoxo'],
+        ['🤩', 'star-struck', 'star-struck grinning_face_with_star_eyes star_struck', 'excited eyes face grinning smile star starry-eyed wow'],
+        ['😘', 'face blowing a kiss', 'kissing_heart', 'adorbs bae blowing face flirt heart ily kiss love lover miss muah romantic smooch xoxo you'],
+        ['😗', 'kissing face', 'kissing', '143 date dating face flirt ily kiss love smooch smooches xoxo you'],
+        ['☺️', 'smiling face', 'relaxed', 'face happy outlined relaxed smile smiling'],
+        ['😚', 'kissing face with closed eyes', 'kissing_closed_eyes', '143 bae blush closed date dating eye eyes face flirt ily kisses kissing smooches xoxo'],
+        ['😙', 'kissing face with smiling eyes', 'kissing_smiling_eyes', '143 closed date dating eye eyes face flirt ily kiss kisses kissing love night smile smiling'],
+        ['🥲', 'smiling face with tear', 'smiling_face_with_tear', 'face glad grateful happy joy pain proud relieved smile smiley smiling tear touched'],
+        ['😋', 'face savoring food', 'yum', 'delicious eat face food full hungry savor smile smiling tasty um yum yummy'],
+        ['😛', 'face with tongue', 'stuck_out_tongue', 'awesome cool face nice party stuck-out sweet tongue'],
+        ['😜', 'winking face with tongue', 'stuck_out_tongue_winking_eye', 'crazy epic eye face funny joke loopy nutty party stuck-out tongue wacky weirdo wink winking yolo'],
+        ['🤪', 'zany face', 'zany_face grinning_face_with_one_large_and_one_small_eye', 'crazy eye eyes face goofy large small zany'],
+        ['😝', 'squinting face with tongue', 'stuck_out_tongue_closed_eyes', 'closed eye eyes face gross horrible omg squinting stuck-out taste tongue whatever yolo'],
+        ['🤑', 'money-mouth face', 'money_mouth_face', 'face money money-mouth mouth paid'],
+        ['🤗', 'smiling face with open hands', 'hugging_face hugs', 'face hands hug hugging open smiling'],
+        ['🤭', 'face with hand over mouth', 'face_with_hand_over_mouth smiling_face_with_smiling_eyes_and_hand_covering_mouth hand_over_mouth', 'face giggle giggling hand mouth oops realization secret shock sudden surprise whoops'],
+        ['🫢', 'face with open eyes and hand over mouth', 'face_with_open_eyes_and_hand_over_mouth', 'amazement awe disbelief embarrass eyes face gasp hand mouth omg open over quiet scared shock surprise'],
+        ['🫣', 'face with peeking eye', 'face_with_peeking_eye', 'captivated embarrass eye face hide hiding peek peeking peep scared shy stare'],
+        ['🤫', 'shushing face', 'shushing_face face_with_finger_covering_closed_lips', 'face quiet shh shush shushing'],
+        ['🤔', 'thinking face', 'thinking_face thinking', 'chin consider face hmm ponder pondering thinking wondering'],
+        ['🫡', 'saluting face', 'saluting_face', 'face good luck ma’am ok respect salute saluting sir troops yes'],
+        ['🤐', 'zipper-mouth face', 'zipper_mouth_face', 'face keep mouth quiet secret shut zip zipper zipper-mouth'],
+        ['🤨', 'face with raised eyebrow', 'face_with_raised_eyebrow face_with_one_eyebrow_raised raised_eyebrow', 'disapproval disbelief distrust emoji eyebrow face hmm mild raised skeptic skeptical skepticism surprise what'],
+        ['😐', 'neutral face', 'neutral_face', 'awkward blank deadpan expressionless face fine jealous meh neutral oh shade straight unamused unhappy unimpressed whatever'],
+        ['😑', 'expressionless face', 'expressionless', 'awkward dead expressionless face fine inexpressive jealous meh not oh omg straight uh unhappy unimpressed whatever'],
+        ['😶', 'face without mouth', 'no_mouth', 'awkward blank expressionless face mouth mouthless mute quiet secret silence silent speechless'],
+        ['🫥', 'dotted line face', 'dotted_line_face', 'depressed disappear dotted face hidden hide introvert invisible line meh whatever wtv'],
+        ['😶‍🌫️', 'face in clouds', 'face_in_clouds', 'absentminded clouds face fog head'],
+        ['😏', 'smirking face', 'smirk', 'boss dapper face flirt homie kidding leer shade slick sly smirk smug snicker suave suspicious swag'],
+        ['😒', 'unamused face', 'unamused', '... bored face fine jealous jel jelly pissed smh ugh uhh unamused unhappy weird whatever'],
+        ['🙄', 'face with rolling eyes', 'face_with_rolling_eyes roll_eyes', 'eyeroll eyes face rolling shade ugh whatever'],
+        ['😬', 'grimacing face', 'grimacing', 'awk awkward dentist face grimace grimacing grinning smile smiling'],
+        ['😮‍💨', 'face exhaling', 'face_exhaling', 'blow blowing exhale exhaling exhausted face gasp groan relief sigh smiley smoke whisper whistle'],
+        ['🤥', 'lying face', 'lying_face', 'face liar lie lying pinocchio'],
+        ['🫨', 'shaking face', 'shaking_face', 'crazy daze earthquake face omg panic shaking shock surprise vibrate whoa wow'],
+        ['🙂‍↔️', 'head shaking horizontally', 'head_shaking_horizontally', 'head horizontally no shake shaking'],
+        ['🙂‍↕️', 'head shaking vertically', 'head_shaking_vertically', 'head nod shaking vertically yes'],
+        ['😌', 'relieved face', 'relieved', 'calm face peace relief relieved zen'],
+        ['😔', 'pensive face', 'pensive', 'awful bored dejected died disappointed face losing lost pensive sad sucks'],
+        ['😪', 'sleepy face', 'sleepy', 'crying face good night sad sleep sleeping sleepy tired'],
+        ['🤤', 'drooling face', 'drooling_face', 'drooling face'],
+        ['😴', 'sleeping face', 'sleeping', 'bed bedtime face good goodnight nap night sleep sleeping tired whatever yawn zzz'],
+        ['😷', 'face with medical mask', 'mask', 'cold dentist dermatologist doctor dr face germs mask medical medicine sick'],
+        ['🤒', 'face with thermometer', 'face_with_thermometer', 'face ill sick thermometer'],
+        ['🤕', 'face with head-bandage', 'face_with_head_bandage', 'bandage face head-bandage hurt injury ouch'],
+        ['🤢', 'nauseated face', 'nauseated_face', 'face gross nasty nauseated sick vomit'],
+        ['🤮', 'face vomiting', 'face_vomiting face_with_open_mouth_vomiting vomiting_face', 'barf ew face gross puke sick spew throw up vomit vomiting'],
+        ['🤧', 'sneezing face', 'sneezing_face', 'face fever flu gesundheit sick sneeze sneezing'],
+        ['🥵', 'hot face', 'hot_face', 'dying face feverish heat hot panting red-faced stroke sweating tongue'],
+        ['🥶', 'cold face', 'cold_face', 'blue blue-faced cold face freezing frostbite icicles subzero teeth'],
+        ['🥴', 'woozy face', 'woozy_face', 'dizzy drunk eyes face intoxicated mouth tipsy uneven wavy woozy'],
+        ['😵', 'face with crossed-out eyes', 'dizzy_face', 'crossed-out dead dizzy eyes face feels knocked out sick tired'],
+        ['😵‍💫', 'face with spiral eyes', 'face_with_spiral_eyes', 'confused dizzy eyes face hypnotized omg smiley spiral trouble whoa woah woozy'],
+        ['🤯', 'exploding head', 'exploding_head shocked_face_with_exploding_head', 'blown explode exploding head mind mindblown no shocked way'],
+        ['🤠', 'cowboy hat face', 'face_with_cowboy_hat cowboy_hat_face', 'cowboy cowgirl face hat'],
+        ['🥳', 'partying face', 'partying_face', 'bday birthday celebrate celebration excited face happy hat hooray horn party partying'],
+        ['🥸', 'disguised face', 'disguised_face', 'disguise eyebrow face glasses incognito moustache mustache nose person spy tache tash'],
+        ['😎', 'smiling face with sunglasses', 'sunglasses', 'awesome beach bright bro chilling cool face rad relaxed shades slay smile style sunglasses swag win'],
+        ['🤓', 'nerd face', 'nerd_face', 'brainy clever expert face geek gifted glasses intelligent nerd smart'],
+        ['🧐', 'face with monocle', 'face_with_monocle monocle_face', 'classy face fancy monocle rich stuffy wealthy'],
+        ['😕', 'confused face', 'confused', 'befuddled confused confusing dunno face frown hm meh not sad sorry sure'],
+        ['🫤', 'face with diagonal mouth', 'face_with_diagonal_mouth', 'confused confusion diagonal disappointed doubt doubtful face frustrated frustration meh mouth skeptical unsure whatever wtv'],
+        ['😟', 'worried face', 'worried', 'anxious butterflies face nerves nervous sad stress stressed surprised worried worry'],
+        ['🙁', 'slightly frowning face', 'slightly_frowning_face', 'face frown frowning sad slightly'],
+        ['☹️', 'frowning face', 'white_frowning_face frowning_face', 'face frown frowning sad'],
+        ['😮', 'face with open mouth', 'open_mouth', 'believe face forgot mouth omg open shocked surprised sympathy unbelievable unreal whoa wow you'],
+        ['😯', 'hushed face', 'hushed', 'epic face hushed omg stunned surprised whoa woah'],
+        ['😲', 'astonished face', 'astonished', 'astonished cost face no omg shocked totally way'],
+        ['😳', 'flushed face', 'flushed', 'amazed awkward crazy dazed dead disbelief embarrassed face flushed geez heat hot impressed jeez what wow'],
+        ['🥺', 'pleading face', 'pleading_face', 'begging big eyes face mercy not pleading please pretty puppy sad why'],
+        ['🥹', 'face holding back tears', 'face_holding_back_tears', 'admiration aww back cry embarrassed face feelings grateful gratitude holding joy please proud resist sad tears'],
+        ['😦', 'frowning face with open mouth', 'frowning', 'caught face frown frowning guard mouth open scared scary surprise what wow'],
+        ['😧', 'anguished face', 'anguished', 'anguished face forgot scared scary stressed surprise unhappy what wow'],
+        ['😨', 'fearful face', 'fearful', 'afraid anxious blame face fear fearful scared worried'],
+        ['😰', 'anxious face with sweat', 'cold_sweat', 'anxious blue cold eek face mouth nervous open rushed scared sweat yikes'],
+        ['😥', 'sad but relieved face', 'disappointed_relieved', 'anxious call close complicated disappointed face not relieved sad sweat time whew'],
+        ['😢', 'crying face', 'cry', 'awful cry crying face feels miss sad tear triste unhappy'],
+        ['😭', 'loudly crying face', 'sob', 'bawling cry crying face loudly sad sob tear tears unhappy'],
+        ['😱', 'face screaming in fear', 'scream', 'epic face fear fearful munch scared scream screamer screaming shocked surprised woah'],
+        ['😖', 'confounded face', 'confounded', 'annoyed confounded confused cringe distraught face feels frustrated mad sad'],
+        ['😣', 'persevering face', 'persevere', 'concentrate concentration face focus headache persevere persevering'],
+        ['😞', 'disappointed face', 'disappointed', 'awful blame dejected disappointed face fail losing sad unhappy'],
+        ['😓', 'downcast face with sweat', 'sweat', 'close cold downcast face feels headache nervous sad scared sweat yikes'],
+        ['😩', 'weary face', 'weary', 'crying face fail feels hungry mad nooo sad sleepy tired unhappy weary'],
+        ['😫', 'tired face', 'tired_face', 'cost face feels nap sad sneeze tired'],
+        ['🥱', 'yawning face', 'yawning_face', 'bedtime bored face goodnight nap night sleep sleepy tired whatever yawn yawning zzz'],
+        ['😤', 'face with steam from nose', 'triumph', 'anger angry face feels fume fuming furious fury mad nose steam triumph unhappy won'],
+        ['😡', 'enraged face', 'rage pout', 'anger angry enraged face feels mad maddening pouting rage red shade unhappy upset'],
+        ['😠', 'angry face', 'angry', 'anger angry blame face feels frustrated mad maddening rage shade unhappy upset'],
+        ['🤬', 'face with symbols on mouth', 'face_with_symbols_on_mouth serious_face_with_symbols_covering_mouth cursing_face', 'censor cursing cussing face mad mouth pissed swearing symbols'],
+        ['😈', 'smiling face with horns', 'smiling_imp', 'demon devil evil face fairy fairytale fantasy horns purple shade smile smiling tale'],
+        ['👿', 'angry face with horns', 'imp', 'angry demon devil evil face fairy fairytale fantasy horns imp mischievous purple shade tale'],
+        ['💀', 'skull', 'skull', 'body dead death face fairy fairytale i’m lmao monster tale yolo'],
+        ['☠️', 'skull and crossbones', 'skull_and_crossbones', 'bone crossbones dead death face monster skull'],
+        ['💩', 'pile of poo', 'hankey poop shit', 'bs comic doo dung face fml monster pile poo poop smelly smh stink stinks stinky turd'],
+        ['🤡', 'clown face', 'clown_face', 'clown face'],
+        ['👹', 'ogre', 'japanese_ogre', 'creature devil face fairy fairytale fantasy mask monster scary tale'],
+        ['👺', 'goblin', 'japanese_goblin', 'angry creature face fairy fairytale fantasy mask mean monster tale'],
+        ['👻', 'ghost', 'ghost', 'boo creature excited face fairy fairytale fantasy halloween haunting monster scary silly tale'],
+        ['👽', 'alien', 'alien', 'creature extraterrestrial face fairy fairytale fantasy monster space tale ufo'],
+        ['👾', 'alien monster', 'space_invader', 'alien creature extraterrestrial face fairy fairytale fantasy game gamer games monster pixelated space tale ufo'],
+        ['🤖', 'robot', 'robot_face robot', 'face monster'],
+        ['😺', 'grinning cat', 'smiley_cat', 'animal cat face grinning mouth open smile smiling'],
+        ['😸', 'grinning cat with smiling eyes', 'smile_cat', 'animal cat eye eyes face grin grinning smile smiling'],
+        ['😹', 'cat with tears of joy', 'joy_cat', 'animal cat face joy laugh laughing lol tear tears'],
+        ['😻', 'smiling cat with heart-eyes', 'heart_eyes_cat', 'animal cat eye face heart heart-eyes love smile smiling'],
+        ['😼', 'cat with wry smile', 'smirk_cat', 'animal cat face ironic smile wry'],
+        ['😽', 'kissing cat', 'kissing_cat', 'animal cat closed eye eyes face kiss kissing'],
+        ['🙀', 'weary cat', 'scream_cat', 'animal cat face oh surprised weary'],
+        ['😿', 'crying cat', 'crying_cat_face', 'animal cat cry crying face sad tear'],
+        ['😾', 'pouting cat', 'pouting_cat', 'animal cat face pouting'],
+        ['🙈', 'see-no-evil monkey', 'see_no_evil', 'embarrassed evil face forbidden forgot gesture hide monkey no omg prohibited scared secret smh watch'],
+        ['🙉', 'hear-no-evil monkey', 'hear_no_evil', 'animal ears evil face forbidden gesture hear listen monkey no not prohibited secret shh tmi'],
+        ['🙊', 'speak-no-evil monkey', 'speak_no_evil', 'animal evil face forbidden gesture monkey no not oops prohibited quiet secret speak stealth'],
+        ['💌', 'love letter', 'love_letter', 'heart letter love mail romance valentine'],
+        ['💘', 'heart with arrow', 'cupid', '143 adorbs arrow cupid date emotion heart ily love romance valentine'],
+        ['💝', 'heart with ribbon', 'gift_heart', '143 anniversary emotion heart ily kisses ribbon valentine xoxo'],
+        ['💖', 'sparkling heart', 'sparkling_heart', '143 emotion excited good heart ily kisses morning night sparkle sparkling xoxo'],
+        ['💗', 'growing heart', 'heartpulse', '143 emotion excited growing heart heartpulse ily kisses muah nervous pulse xoxo'],
+        ['💓', 'beating heart', 'heartbeat', '143 beating cardio emotion heart heartbeat ily love pulsating pulse'],
+        ['💞', 'revolving hearts', 'revolving_hearts', '143 adorbs anniversary emotion heart hearts revolving'],
+        ['💕', 'two hearts', 'two_hearts', '143 anniversary date dating emotion heart hearts ily kisses love loving two xoxo'],
+        ['💟', 'heart decoration', 'heart_decoration', '143 decoration emotion heart hearth purple white'],
+        ['❣️', 'heart exclamation', 'heavy_heart_exclamation_mark_ornament heavy_heart_exclamation', 'exclamation heart heavy mark punctuation'],
+        ['💔', 'broken heart', 'broken_heart', 'break broken crushed emotion heart heartbroken lonely sad'],
+        ['❤️‍🔥', 'heart on fire', 'heart_on_fire', 'burn fire heart love lust sacred'],
+        ['❤️‍🩹', 'mending heart', 'mending_heart', 'healthier heart improving mending recovering recuperating well'],
+        ['❤️', 'red heart', 'heart', 'emotion heart love red'],
+        ['🩷', 'pink heart', 'pink_heart', '143 adorable cute emotion heart ily like love pink special sweet'],
+        ['🧡', 'orange heart', 'orange_heart', '143 heart orange'],
+        ['💛', 'yellow heart', 'yellow_heart', '143 cardiac emotion heart ily love yellow'],
+        ['💚', 'green heart', 'green_heart', '143 emotion green heart ily love romantic'],
+        ['💙', 'blue heart', 'blue_heart', '143 blue emotion heart ily love romance'],
+        ['🩵', 'light blue heart', 'light_blue_heart', '143 blue cute cyan emotion heart ily light like love sky special teal'],
+        ['💜', 'purple heart', 'purple_heart', '143 bestest emotion heart ily love purple'],
+        ['🤎', 'brown heart', 'brown_heart', '143 brown heart'],
+        ['🖤', 'black heart', 'black_heart', 'black evil heart wicked'],
+        ['🩶', 'grey heart', 'grey_heart', '143 emotion gray grey heart ily love silver slate special'],
+        ['🤍', 'white heart', 'white_heart', '143 heart white'],
+        ['💋', 'kiss mark', 'kiss', 'dating emotion heart kiss kissing lips mark romance sexy'],
+        ['💯', 'hundred points', '100', '100 a+ agree clearly definitely faithful fleek full hundred keep perfect point score true truth yup'],
+        ['💢', 'anger symbol', 'anger', 'anger angry comic mad symbol upset'],
+        ['💥', 'collision', 'boom collision', 'bomb boom collide comic explode'],
+        ['💫', 'dizzy', 'dizzy', 'comic shining shooting star stars'],
+        ['💦', 'sweat droplets', 'sweat_drops', 'comic drip droplet droplets drops splashing squirt sweat water wet work workout'],
+        ['💨', 'dashing away', 'dash', 'away cloud comic dash dashing fart fast go gone gotta running smoke'],
+        ['🕳️', 'hole', 'hole', 'hole'],
+        ['💬', 'speech balloon', 'speech_balloon', 'balloon bubble comic dialog message sms speech talk text typing'],
+        ['👁️‍🗨️', 'eye in speech bubble', 'eye-in-speech-bubble eye_speech_bubble', 'balloon bubble eye speech witness'],
+        ['🗨️', 'left speech bubble', 'left_speech_bubble', 'balloon bubble dialog left speech'],
+        ['🗯️', 'right anger bubble', 'right_anger_bubble', 'anger angry balloon bubble mad right'],
+        ['💭', 'thought balloon', 'thought_balloon', 'balloon bubble cartoon cloud comic daydream decisions dream idea invent invention realize think thoughts wonder'],
+        ['💤', 'ZZZ', 'zzz', 'comic good goodnight night sleep sleeping sleepy tired zzz']
+      ]
+    },
+    {
+      id: 'people',
+      name: 'People & Body',
+      icon: '👋',
+      emojis: [
+        ['👋', 'waving hand', 'wave', 'bye cya g2g greetings gtg hand hello hey hi later outtie ttfn ttyl wave yo you', 1],
+        ['🤚', 'raised back of hand', 'raised_back_of_hand', 'back backhand hand raised', 1],
+        ['🖐️', 'hand with fingers splayed', 'raised_hand_with_fingers_splayed', 'finger fingers hand raised splayed stop', 1],
+        ['✋', 'raised hand', 'hand raised_hand', '5 five hand high raised stop', 1],
+        ['🖖', 'vulcan salute', 'spock-hand vulcan_salute', 'finger hand hands salute vulcan', 1],
+        ['🫱', 'rightwards hand', 'rightwards_hand', 'hand handshake hold reach right rightward rightwards shake', 1],
+        ['🫲', 'leftwards hand', 'leftwards_hand', 'hand handshake hold left leftward leftwards reach shake', 1],
+        ['🫳', 'palm down hand', 'palm_down_hand', 'dismiss down drop dropped hand palm pick shoo up', 1],
+        ['🫴', 'palm up hand', 'palm_up_hand', 'beckon catch come hand hold know lift me offer palm tell', 1],
+        ['🫷', 'leftwards pushing hand', 'leftwards_pushing_hand', 'block five halt hand high hold leftward leftwards pause push pushing refuse slap stop wait', 1],
+        ['🫸', 'rightwards pushing hand', 'rightwards_pushing_hand', 'block five halt hand high hold pause push pushing refuse rightward rightwards slap stop wait', 1],
+        ['👌', 'OK hand', 'ok_hand', 'awesome bet dope fleek fosho got gotcha hand legit ok okay pinch rad sure sweet three', 1],
+        ['🤌', 'pinched fingers', 'pinched_fingers', 'fingers gesture hand hold huh interrogation patience pinched relax sarcastic ugh what zip', 1],
+        ['🤏', 'pinching hand', 'pinching_hand', 'amount bit fingers hand little pinching small sort', 1],
+        ['✌️', 'victory hand', 'v', 'hand peace v victory', 1],
+        ['🤞', 'crossed fingers', 'crossed_fingers hand_with_index_and_middle_fingers_crossed', 'cross crossed finger fingers hand luck', 1],
+        ['🫰', 'hand with index finger and thumb crossed', 'hand_with_index_finger_and_thumb_crossed', '<3 crossed expensive finger hand heart index love money snap thumb', 1],
+        ['🤟', 'love-you gesture', 'i_love_you_hand_sign love_you_gesture', 'fingers gesture hand ily love love-you three you', 1],
+        ['🤘', 'sign of the horns', 'the_horns sign_of_the_horns metal', 'finger hand horns rock-on sign', 1],
+        ['🤙', 'call me hand', 'call_me_hand', 'call hand hang loose me shaka', 1],
+        ['👈', 'backhand index pointing left', 'point_left', 'backhand finger hand index left point pointing', 1],
+        ['👉', 'backhand index pointing right', 'point_right', 'backhand finger hand index point pointing right', 1],
+        ['👆', 'backhand index pointing up', 'point_up_2', 'backhand finger hand index point pointing up', 1],
+        ['🖕', 'middle finger', 'middle_finger reversed_hand_with_middle_finger_extended fu', 'finger hand middle', 1],
+        ['👇', 'backhand index pointing down', 'point_down', 'backhand down finger hand index point pointing', 1],
+        ['☝️', 'index pointing up', 'point_up', 'finger hand index point pointing this up', 1],
+        ['🫵', 'index pointing at the viewer', 'index_pointing_at_the_viewer', 'at finger hand index pointing poke viewer you', 1],
+        ['👍', 'thumbs up', '+1 thumbsup', '+1 good hand like thumb up yes', 1],
+        ['👎', 'thumbs down', '-1 thumbsdown', '-1 bad dislike down good hand no nope thumb thumbs', 1],
+        ['✊', 'raised fist', 'fist fist_raised', 'clenched fist hand punch raised solidarity', 1],
+        ['👊', 'oncoming fist', 'facepunch punch fist_oncoming', 'absolutely agree boom bro bruh bump clenched correct fist hand knuckle oncoming pound punch rock ttyl', 1],
+        ['🤛', 'left-facing fist', 'left-facing_fist fist_left', 'fist left-facing leftwards', 1],
+        ['🤜', 'right-facing fist', 'right-facing_fist fist_right', 'fist right-facing rightwards', 1],
+        ['👏', 'clapping hands', 'clap', 'applause approval awesome clap congrats congratulations excited good great hand homie job nice prayed well yay', 1],
+        ['🙌', 'raising hands', 'raised_hands', 'celebration gesture hand hands hooray praise raised raising', 1],
+        ['🫶', 'heart hands', 'heart_hands', '<3 hands heart love you', 1],
+        ['👐', 'open hands', 'open_hands', 'hand hands hug jazz open swerve', 1],
+        ['🤲', 'palms up together', 'palms_up_together', 'cupped dua hands palms pray prayer together up wish', 1],
+        ['🤝', 'handshake', 'handshake', 'agreement deal hand meeting shake', 1],
+        ['🙏', 'folded hands', 'pray', 'appreciate ask beg blessed bow cmon five folded gesture hand high please pray thanks thx', 1],
+        ['✍️', 'writing hand', 'writing_hand', 'hand write writing', 1],
+        ['💅', 'nail polish', 'nail_care', 'bored care cosmetics done makeup manicure nail polish whatever', 1],
+        ['🤳', 'selfie', 'selfie', 'camera phone', 1],
+        ['💪', 'flexed biceps', 'muscle', 'arm beast bench biceps bodybuilder bro curls flex gains gym jacked muscle press ripped strong weightlift', 1],
+        ['🦾', 'mechanical arm', 'mechanical_arm', 'accessibility arm mechanical prosthetic'],
+        ['🦿', 'mechanical leg', 'mechanical_leg', 'accessibility leg mechanical prosthetic'],
+        ['🦵', 'leg', 'leg', 'bent foot kick knee limb', 1],
+        ['🦶', 'foot', 'foot', 'ankle feet kick stomp', 1],
+        ['👂', 'ear', 'ear', 'body ears hear hearing listen listening sound', 1],
+        ['🦻', 'ear with hearing aid', 'ear_with_hearing_aid', 'accessibility aid ear hard hearing', 1],
+        ['👃', 'nose', 'nose', 'body noses nosey odor smell smells', 1],
+        ['🧠', 'brain', 'brain', 'intelligent smart'],
+        ['🫀', 'anatomical heart', 'anatomical_heart', 'anatomical beat cardiology heart heartbeat organ pulse real red'],
+        ['🫁', 'lungs', 'lungs', 'breath breathe exhalation inhalation lung organ respiration'],
+        ['🦷', 'tooth', 'tooth', 'dentist pearly teeth white'],
+        ['🦴', 'bone', 'bone', 'bones dog skeleton wishbone'],
+        ['👀', 'eyes', 'eyes', 'body eye face googly look looking omg peep see seeing'],
+        ['👁️', 'eye', 'eye', '1 body one'],
+        ['👅', 'tongue', 'tongue', 'body lick slurp'],
+        ['👄', 'mouth', 'lips', 'beauty body kiss kissing lips lipstick'],
+        ['🫦', 'biting lip', 'biting_lip', 'anxious bite biting fear flirt flirting kiss lip lipstick nervous sexy uncomfortable worried worry'],
+        ['👶', 'baby', 'baby', 'babies children goo infant newborn pregnant young', 1],
+        ['🧒', 'child', 'child', 'bright-eyed grandchild kid young younger', 1],
+        ['👦', 'boy', 'boy', 'bright-eyed child grandson kid son young younger', 1],
+        ['👧', 'girl', 'girl', 'bright-eyed child daughter granddaughter kid virgo young younger zodiac', 1],
+        ['🧑', 'person', 'adult', 'adult', 1],
+        ['👱', 'person: blond hair', 'person_with_blond_hair blond_haired_person', 'blond blond-haired human person', 1],
+        ['👨', 'man', 'man', 'adult bro', 1],
+        ['🧔', 'person: beard', 'bearded_person', 'beard bearded person whiskers', 1],
+        ['🧔‍♂️', 'man: beard', 'man_with_beard man_beard', 'beard bearded man whiskers', 1],
+        ['🧔‍♀️', 'woman: beard', 'woman_with_beard woman_beard', 'beard bearded whiskers woman', 1],
+        ['👨‍🦰', 'man: red hair', 'red_haired_man', 'adult bro man red hair', 1],
+        ['👨‍🦱', 'man: curly hair', 'curly_haired_man', 'adult bro curly hair man', 1],
+        ['👨‍🦳', 'man: white hair', 'white_haired_man', 'adult bro man white hair', 1],
+        ['👨‍🦲', 'man: bald', 'bald_man', 'adult bald bro man', 1],
+        ['👩', 'woman', 'woman', 'adult lady', 1],
+        ['👩‍🦰', 'woman: red hair', 'red_haired_woman', 'adult lady red hair woman', 1],
+        ['🧑‍🦰', 'person: red hair', 'red_haired_person person_red_hair', 'adult person red hair', 1],
+        ['👩‍🦱', 'woman: curly hair', 'curly_haired_woman', 'adult curly hair lady woman', 1],
+        ['🧑‍🦱', 'person: curly hair', 'curly_haired_person person_curly_hair', 'adult curly hair person', 1],
+        ['👩‍🦳', 'woman: white hair', 'white_haired_woman', 'adult lady white hair woman', 1],
+        ['🧑‍🦳', 'person: white hair', 'white_haired_person person_white_hair', 'adult person white hair', 1],
+        ['👩‍🦲', 'woman: bald', 'bald_woman', 'adult bald lady woman', 1],
+        ['🧑‍🦲', 'person: bald', 'bald_person person_bald', 'adult bald person', 1],
+        ['👱‍♀️', 'woman: blond hair', 'blond-haired-woman blond_haired_woman blonde_woman', 'blond blond-haired blonde hair woman', 1],
+        ['👱‍♂️', 'man: blond hair', 'blond-haired-man blond_haired_man', 'blond blond-haired hair man', 1],
+        ['🧓', 'older person', 'older_adult', 'adult elderly grandparent old person wise', 1],
+        ['👴', 'old man', 'older_man', 'adult bald elderly gramps grandfather grandpa man old wise', 1],
+        ['👵', 'old woman', 'older_woman', 'adult elderly grandma grandmother granny lady old wise woman', 1],
+        ['🙍', 'person frowning', 'person_frowning frowning_person', 'annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated person upset', 1],
+        ['🙍‍♂️', 'man frowning', 'man-frowning frowning_man', 'annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated man upset', 1],
+        ['🙍‍♀️', 'woman frowning', 'woman-frowning frowning_woman', 'annoyed disappointed disgruntled disturbed frown frowning frustrated gesture irritated upset woman', 1],
+        ['🙎', 'person pouting', 'person_with_pouting_face pouting_face', 'disappointed downtrodden frown grimace person pouting scowl sulk upset whine', 1],
+        ['🙎‍♂️', 'man pouting', 'man-pouting pouting_man', 'disappointed downtrodden frown grimace man pouting scowl sulk upset whine', 1],
+        ['🙎‍♀️', 'woman pouting', 'woman-pouting pouting_woman', 'disappointed downtrodden frown grimace pouting scowl sulk upset whine woman', 1],
+        ['🙅', 'person gesturing NO', 'no_good', 'forbidden gesture hand no not person prohibit', 1],
+        ['🙅‍♂️', 'man gesturing NO', 'man-gesturing-no ng_man no_good_man', 'forbidden gesture hand man no not prohibit', 1],
+        ['🙅‍♀️', 'woman gesturing NO', 'woman-gesturing-no ng_woman no_good_woman', 'forbidden gesture hand no not prohibit woman', 1],
+        ['🙆', 'person gesturing OK', 'ok_woman ok_person', 'exercise gesture gesturing hand ok omg person', 1],
+        ['🙆‍♂️', 'man gesturing OK', 'man-gesturing-ok ok_man', 'exercise gesture gesturing hand man ok omg', 1],
+        ['🙆‍♀️', 'woman gesturing OK', 'woman-gesturing-ok ok_woman', 'exercise gesture gesturing hand ok omg woman', 1],
+        ['💁', 'person tipping hand', 'information_desk_person tipping_hand_person', 'fetch flick flip gossip hand person sarcasm sarcastic sassy seriously tipping whatever', 1],
+        ['💁‍♂️', 'man tipping hand', 'man-tipping-hand sassy_man tipping_hand_man', 'fetch flick flip gossip hand man sarcasm sarcastic sassy seriously tipping whatever', 1],
+        ['💁‍♀️', 'woman tipping hand', 'woman-tipping-hand sassy_woman tipping_hand_woman', 'fetch flick flip gossip hand sarcasm sarcastic sassy seriously tipping whatever woman', 1],
+        ['🙋', 'person raising hand', 'raising_hand', 'gesture hand here know me person pick question raise raising', 1],
+        ['🙋‍♂️', 'man raising hand', 'man-raising-hand raising_hand_man', 'gesture hand here know man me pick question raise raising', 1],
+        ['🙋‍♀️', 'woman raising hand', 'woman-raising-hand raising_hand_woman', 'gesture hand here know me pick question raise raising woman', 1],
+        ['🧏', 'deaf person', 'deaf_person', 'accessibility deaf ear gesture hear person', 1],
+        ['🧏‍♂️', 'deaf man', 'deaf_man', 'accessibility deaf ear gesture hear man', 1],
+        ['🧏‍♀️', 'deaf woman', 'deaf_woman', 'accessibility deaf ear gesture hear woman', 1],
+        ['🙇', 'person bowing', 'bow', 'apology ask beg bow bowing favor forgive gesture meditate meditation person pity regret sorry', 1],
+        ['🙇‍♂️', 'man bowing', 'man-bowing bowing_man', 'apology ask beg bow bowing favor forgive gesture man meditate meditation pity regret sorry', 1],
+        ['🙇‍♀️', 'woman bowing', 'woman-bowing bowing_woman', 'apology ask beg bow bowing favor forgive gesture meditate meditation pity regret sorry woman', 1],
+        ['🤦', 'person facepalming', 'face_palm facepalm', 'again bewilder disbelief exasperation facepalm no not oh omg person shock smh', 1],
+        ['🤦‍♂️', 'man facepalming', 'man-facepalming man_facepalming', 'again bewilder disbelief exasperation facepalm man no not oh omg shock smh', 1],
+        ['🤦‍♀️', 'woman facepalming', 'woman-facepalming woman_facepalming', 'again bewilder disbelief exasperation facepalm no not oh omg shock smh woman', 1],
+        ['🤷', 'person shrugging', 'shrug', 'doubt dunno guess idk ignorance indifference knows maybe person shrug shrugging whatever who', 1],
+        ['🤷‍♂️', 'man shrugging', 'man-shrugging man_shrugging', 'doubt dunno guess idk ignorance indifference knows man maybe shrug shrugging whatever who', 1],
+        ['🤷‍♀️', 'woman shrugging', 'woman-shrugging woman_shrugging', 'doubt dunno guess idk ignorance indifference knows maybe shrug shrugging whatever who woman', 1],
+        ['🧑‍⚕️', 'health worker', 'health_worker', 'doctor health healthcare nurse therapist worker', 1],
+        ['👨‍⚕️', 'man health worker', 'male-doctor man_health_worker', 'doctor health healthcare man nurse therapist worker', 1],
+        ['👩‍⚕️', 'woman health worker', 'female-doctor woman_health_worker', 'doctor health healthcare nurse therapist woman worker', 1],
+        ['🧑‍🎓', 'student', 'student', 'graduate', 1],
+        ['👨‍🎓', 'man student', 'male-student man_student', 'graduate man student', 1],
+        ['👩‍🎓', 'woman student', 'female-student woman_student', 'graduate student woman', 1],
+        ['🧑‍🏫', 'teacher', 'teacher', 'instructor lecturer professor', 1],
+        ['👨‍🏫', 'man teacher', 'male-teacher man_teacher', 'instructor lecturer man professor teacher', 1],
+        ['👩‍🏫', 'woman teacher', 'female-teacher woman_teacher', 'instructor lecturer professor teacher woman', 1],
+        ['🧑‍⚖️', 'judge', 'judge', 'justice law scales', 1],
+        ['👨‍⚖️', 'man judge', 'male-judge man_judge', 'judge justice law man scales', 1],
+        ['👩‍⚖️', 'woman judge', 'female-judge woman_judge', 'judge justice law scales woman', 1],
+        ['🧑‍🌾', 'farmer', 'farmer', 'gardener rancher', 1],
+        ['👨‍🌾', 'man farmer', 'male-farmer man_farmer', 'farmer gardener man rancher', 1],
+        ['👩‍🌾', 'woman farmer', 'female-farmer woman_farmer', 'farmer gardener rancher woman', 1],
+        ['🧑‍🍳', 'cook', 'cook', 'chef', 1],
+        ['👨‍🍳', 'man cook', 'male-cook man_cook', 'chef cook man', 1],
+        ['👩‍🍳', 'woman cook', 'female-cook woman_cook', 'chef cook woman', 1],
+        ['🧑‍🔧', 'mechanic', 'mechanic', 'electrician plumber tradesperson', 1],
+        ['👨‍🔧', 'man mechanic', 'male-mechanic man_mechanic', 'electrician man mechanic plumber tradesperson', 1],
+        ['👩‍🔧', 'woman mechanic', 'female-mechanic woman_mechanic', 'electrician mechanic plumber tradesperson woman', 1],
+        ['🧑‍🏭', 'factory worker', 'factory_worker', 'assembly factory industrial worker', 1],
+        ['👨‍🏭', 'man factory worker', 'male-factory-worker man_factory_worker', 'assembly factory industrial man worker', 1],
+        ['👩‍🏭', 'woman factory worker', 'female-factory-worker woman_factory_worker', 'assembly factory industrial woman worker', 1],
+        ['🧑‍💼', 'office worker', 'office_worker', 'architect business manager office white-collar worker', 1],
+        ['👨‍💼', 'man office worker', 'male-office-worker man_office_worker', 'architect business man manager office white-collar worker', 1],
+        ['👩‍💼', 'woman office worker', 'female-office-worker woman_office_worker', 'architect business manager office white-collar woman worker', 1],
+        ['🧑‍🔬', 'scientist', 'scientist', 'biologist chemist engineer mathematician physicist', 1],
+        ['👨‍🔬', 'man scientist', 'male-scientist man_scientist', 'biologist chemist engineer man mathematician physicist scientist', 1],
+        ['👩‍🔬', 'woman scientist', 'female-scientist woman_scientist', 'biologist chemist engineer mathematician physicist scientist woman', 1],
+        ['🧑‍💻', 'technologist', 'technologist', 'coder computer developer inventor software', 1],
+        ['👨‍💻', 'man technologist', 'male-technologist man_technologist', 'coder computer developer inventor man software technologist', 1],
+        ['👩‍💻', 'woman technologist', 'female-technologist woman_technologist', 'coder computer developer inventor software technologist woman', 1],
+        ['🧑‍🎤', 'singer', 'singer', 'actor entertainer rock rockstar star', 1],
+        ['👨‍🎤', 'man singer', 'male-singer man_singer', 'actor entertainer man rock rockstar singer star', 1],
+        ['👩‍🎤', 'woman singer', 'female-singer woman_singer', 'actor entertainer rock rockstar singer star woman', 1],
+        ['🧑‍🎨', 'artist', 'artist', 'palette', 1],
+        ['👨‍🎨', 'man artist', 'male-artist man_artist', 'artist man palette', 1],
+        ['👩‍🎨', 'woman artist', 'female-artist woman_artist', 'artist palette woman', 1],
+        ['🧑‍✈️', 'pilot', 'pilot', 'plane', 1],
+        ['👨‍✈️', 'man pilot', 'male-pilot man_pilot', 'man pilot plane', 1],
+        ['👩‍✈️', 'woman pilot', 'female-pilot woman_pilot', 'pilot plane woman', 1],
+        ['🧑‍🚀', 'astronaut', 'astronaut', 'rocket space', 1],
+        ['👨‍🚀', 'man astronaut', 'male-astronaut man_astronaut', 'astronaut man rocket space', 1],
+        ['👩‍🚀', 'woman astronaut', 'female-astronaut woman_astronaut', 'astronaut rocket space woman', 1],
+        ['🧑‍🚒', 'firefighter', 'firefighter', 'fire firetruck', 1],
+        ['👨‍🚒', 'man firefighter', 'male-firefighter man_firefighter', 'fire firefighter firetruck man', 1],
+        ['👩‍🚒', 'woman firefighter', 'female-firefighter woman_firefighter', 'fire firefighter firetruck woman', 1],
+        ['👮', 'police officer', 'cop police_officer', 'apprehend arrest citation cop law officer over police pulled undercover', 1],
+        ['👮‍♂️', 'man police officer', 'male-police-officer policeman', 'apprehend arrest citation cop law man officer over police pulled undercover', 1],
+        ['👮‍♀️', 'woman police officer', 'female-police-officer policewoman', 'apprehend arrest citation cop law officer over police pulled undercover woman', 1],
+        ['🕵️', 'detective', 'sleuth_or_spy detective', 'sleuth spy', 1],
+        ['🕵️‍♂️', 'man detective', 'male-detective male_detective', 'detective man sleuth spy', 1],
+        ['🕵️‍♀️', 'woman detective', 'female-detective female_detective', 'detective sleuth spy woman', 1],
+        ['💂', 'guard', 'guardsman guard', 'buckingham helmet london palace', 1],
+        ['💂‍♂️', 'man guard', 'male-guard guardsman', 'buckingham guard helmet london man palace', 1],
+        ['💂‍♀️', 'woman guard', 'female-guard guardswoman', 'buckingham guard helmet london palace woman', 1],
+        ['🥷', 'ninja', 'ninja', 'assassin fight fighter hidden person secret skills sly soldier stealth war', 1],
+        ['👷', 'construction worker', 'construction_worker', 'build construction fix hardhat hat man person rebuild remodel repair work worker', 1],
+        ['👷‍♂️', 'man construction worker', 'male-construction-worker construction_worker_man', 'build construction fix hardhat hat man rebuild remodel repair work worker', 1],
+        ['👷‍♀️', 'woman construction worker', 'female-construction-worker construction_worker_woman', 'build construction fix hardhat hat man rebuild remodel repair woman work worker', 1],
+        ['🫅', 'person with crown', 'person_with_crown', 'crown monarch noble person regal royal royalty', 1],
+        ['🤴', 'prince', 'prince', 'crown fairy fairytale fantasy king royal royalty tale', 1],
+        ['👸', 'princess', 'princess', 'crown fairy fairytale fantasy queen royal royalty tale', 1],
+        ['👳', 'person wearing turban', 'man_with_turban person_with_turban', 'person turban wearing', 1],
+        ['👳‍♂️', 'man wearing turban', 'man-wearing-turban man_with_turban', 'man turban wearing', 1],
+        ['👳‍♀️', 'woman wearing turban', 'woman-wearing-turban woman_with_turban', 'turban wearing woman', 1],
+        ['👲', 'person with skullcap', 'man_with_gua_pi_mao', 'cap chinese gua guapi hat mao person pi skullcap', 1],
+        ['🧕', 'woman with headscarf', 'person_with_headscarf woman_with_headscarf', 'bandana head headscarf hijab kerchief mantilla tichel woman', 1],
+        ['🤵', 'person in tuxedo', 'person_in_tuxedo', 'formal person tuxedo wedding', 1],
+        ['🤵‍♂️', 'man in tuxedo', 'man_in_tuxedo', 'formal groom man tuxedo wedding', 1],
+        ['🤵‍♀️', 'woman in tuxedo', 'woman_in_tuxedo', 'formal tuxedo wedding woman', 1],
+        ['👰', 'person with veil', 'bride_with_veil person_with_veil', 'person veil wedding', 1],
+        ['👰‍♂️', 'man with veil', 'man_with_veil', 'man veil wedding', 1],
+        ['👰‍♀️', 'woman with veil', 'woman_with_veil bride_with_veil', 'bride veil wedding woman', 1],
+        ['🤰', 'pregnant woman', 'pregnant_woman', 'pregnant woman', 1],
+        ['🫃', 'pregnant man', 'pregnant_man', 'belly bloated full man overeat pregnant', 1],
+        ['🫄', 'pregnant person', 'pregnant_person', 'belly bloated full overeat person pregnant stuffed', 1],
+        ['🤱', 'breast-feeding', 'breast-feeding breast_feeding', 'baby breast feeding mom mother nursing woman', 1],
+        ['👩‍🍼', 'woman feeding baby', 'woman_feeding_baby', 'baby feed feeding mom mother nanny newborn nursing woman', 1],
+        ['👨‍🍼', 'man feeding baby', 'man_feeding_baby', 'baby dad father feed feeding man nanny newborn nursing', 1],
+        ['🧑‍🍼', 'person feeding baby', 'person_feeding_baby', 'baby feed feeding nanny newborn nursing parent', 1],
+        ['👼', 'baby angel', 'angel', 'angel baby church face fairy fairytale fantasy tale', 1],
+        ['🎅', 'Santa Claus', 'santa', 'celebration christmas claus fairy fantasy father holiday merry santa tale xmas', 1],
+        ['🤶', 'Mrs. Claus', 'mrs_claus mother_christmas', 'celebration christmas claus fairy fantasy holiday merry mother mrs santa tale xmas', 1],
+        ['🧑‍🎄', 'Mx Claus', 'mx_claus', 'celebration christmas claus fairy fantasy holiday merry mx santa tale xmas', 1],
+        ['🦸', 'superhero', 'superhero', 'good hero superpower', 1],
+        ['🦸‍♂️', 'man superhero', 'male_superhero superhero_man', 'good hero man superhero superpower', 1],
+        ['🦸‍♀️', 'woman superhero', 'female_superhero superhero_woman', 'good hero heroine superhero superpower woman', 1],
+        ['🦹', 'supervillain', 'supervillain', 'bad criminal evil superpower villain', 1],
+        ['🦹‍♂️', 'man supervillain', 'male_supervillain supervillain_man', 'bad criminal evil man superpower supervillain villain', 1],
+        ['🦹‍♀️', 'woman supervillain', 'female_supervillain supervillain_woman', 'bad criminal evil superpower supervillain villain woman', 1],
+        ['🧙', 'mage', 'mage', 'fantasy magic play sorcerer sorceress sorcery spell summon witch wizard', 1],
+        ['🧙‍♂️', 'man mage', 'male_mage mage_man', 'fantasy mage magic man play sorcerer sorceress sorcery spell summon witch wizard', 1],
+        ['🧙‍♀️', 'woman mage', 'female_mage mage_woman', 'fantasy mage magic play sorcerer sorceress sorcery spell summon witch wizard woman', 1],
+        ['🧚', 'fairy', 'fairy', 'fairytale fantasy myth person pixie tale wings', 1],
+        ['🧚‍♂️', 'man fairy', 'male_fairy fairy_man', 'fairy fairytale fantasy man myth oberon person pixie puck tale wings', 1],
+        ['🧚‍♀️', 'woman fairy', 'female_fairy fairy_woman', 'fairy fairytale fantasy myth person pixie tale titania wings woman', 1],
+        ['🧛', 'vampire', 'vampire', 'blood dracula fangs halloween scary supernatural teeth undead', 1],
+        ['🧛‍♂️', 'man vampire', 'male_vampire vampire_man', 'blood fangs halloween man scary supernatural teeth undead vampire', 1],
+        ['🧛‍♀️', 'woman vampire', 'female_vampire vampire_woman', 'blood fangs halloween scary supernatural teeth undead vampire woman', 1],
+        ['🧜', 'merperson', 'merperson', 'creature fairytale folklore ocean sea siren trident', 1],
+        ['🧜‍♂️', 'merman', 'merman', 'creature fairytale folklore neptune ocean poseidon sea siren trident triton', 1],
+        ['🧜‍♀️', 'mermaid', 'mermaid', 'creature fairytale folklore merwoman ocean sea siren trident', 1],
+        ['🧝', 'elf', 'elf', 'elves enchantment fantasy folklore magic magical myth', 1],
+        ['🧝‍♂️', 'man elf', 'male_elf elf_man', 'elf elves enchantment fantasy folklore magic magical man myth', 1],
+        ['🧝‍♀️', 'woman elf', 'female_elf elf_woman', 'elf elves enchantment fantasy folklore magic magical myth woman', 1],
+        ['🧞', 'genie', 'genie', 'djinn fantasy jinn lamp myth rub wishes'],
+        ['🧞‍♂️', 'man genie', 'male_genie genie_man', 'djinn fantasy genie jinn lamp man myth rub wishes'],
+        ['🧞‍♀️', 'woman genie', 'female_genie genie_woman', 'djinn fantasy genie jinn lamp myth rub wishes woman'],
+        ['🧟', 'zombie', 'zombie', 'apocalypse dead halloween horror scary undead walking'],
+        ['🧟‍♂️', 'man zombie', 'male_zombie zombie_man', 'apocalypse dead halloween horror man scary undead walking zombie'],
+        ['🧟‍♀️', 'woman zombie', 'female_zombie zombie_woman', 'apocalypse dead halloween horror scary undead walking woman zombie'],
+        ['🧌', 'troll', 'troll', 'fairy fantasy monster tale trolling'],
+        ['💆', 'person getting massage', 'massage', 'face getting headache massage person relax relaxing salon soothe spa tension therapy treatment', 1],
+        ['💆‍♂️', 'man getting massage', 'man-getting-massage massage_man', 'face getting headache man massage relax relaxing salon soothe spa tension therapy treatment', 1],
+        ['💆‍♀️', 'woman getting massage', 'woman-getting-massage massage_woman', 'face getting headache massage relax relaxing salon soothe spa tension therapy treatment woman', 1],
+        ['💇', 'person getting haircut', 'haircut', 'barber beauty chop cosmetology cut groom hair haircut parlor person shears style', 1],
+        ['💇‍♂️', 'man getting haircut', 'man-getting-haircut haircut_man', 'barber beauty chop cosmetology cut groom hair haircut man parlor person shears style', 1],
+        ['💇‍♀️', 'woman getting haircut', 'woman-getting-haircut haircut_woman', 'barber beauty chop cosmetology cut groom hair haircut parlor person shears style woman', 1],
+        ['🚶', 'person walking', 'walking', 'amble gait hike man pace pedestrian person stride stroll walk walking', 1],
+        ['🚶‍♂️', 'man walking', 'man-walking walking_man', 'amble gait hike man pace pedestrian stride stroll walk walking', 1],
+        ['🚶‍♀️', 'woman walking', 'woman-walking walking_woman', 'amble gait hike man pace pedestrian stride stroll walk walking woman', 1],
+        ['🚶‍➡️', 'person walking: facing right', 'person_walking_facing_right', 'amble facing gait hike man pace pedestrian person right stride stroll walk walking', 1],
+        ['🚶‍♀️‍➡️', 'woman walking: facing right', 'woman_walking_facing_right', 'amble facing gait hike man pace pedestrian right stride stroll walk walking woman', 1],
+        ['🚶‍♂️‍➡️', 'man walking: facing right', 'man_walking_facing_right', 'amble facing gait hike man pace pedestrian right stride stroll walk walking', 1],
+        ['🧍', 'person standing', 'standing_person', 'person stand standing', 1],
+        ['🧍‍♂️', 'man standing', 'man_standing standing_man', 'man stand standing', 1],
+        ['🧍‍♀️', 'woman standing', 'woman_standing standing_woman', 'stand standing woman', 1],
+        ['🧎', 'person kneeling', 'kneeling_person', 'kneel kneeling knees person', 1],
+        ['🧎‍♂️', 'man kneeling', 'man_kneeling kneeling_man', 'kneel kneeling knees man', 1],
+        ['🧎‍♀️', 'woman kneeling', 'woman_kneeling kneeling_woman', 'kneel kneeling knees woman', 1],
+        ['🧎‍➡️', 'person kneeling: facing right', 'person_kneeling_facing_right', 'facing kneel kneeling knees person right', 1],
+        ['🧎‍♀️‍➡️', 'woman kneeling: facing right', 'woman_kneeling_facing_right', 'facing kneel kneeling knees right woman', 1],
+        ['🧎‍♂️‍➡️', 'man kneeling: facing right', 'man_kneeling_facing_right', 'facing kneel kneeling knees man right', 1],
+        ['🧑‍🦯', 'person with white cane', 'person_with_probing_cane', 'accessibility blind cane person probing white', 1],
+        ['🧑‍🦯‍➡️', 'person with white cane: facing right', 'person_with_white_cane_facing_right', 'accessibility blind cane facing person probing right white', 1],
+        ['👨‍🦯', 'man with white cane', 'man_with_probing_cane', 'accessibility blind cane man probing white', 1],
+        ['👨‍🦯‍➡️', 'man with white cane: facing right', 'man_with_white_cane_facing_right', 'accessibility blind cane facing man probing right white', 1],
+        ['👩‍🦯', 'woman with white cane', 'woman_with_probing_cane', 'accessibility blind cane probing white woman', 1],
+        ['👩‍🦯‍➡️', 'woman with white cane: facing right', 'woman_with_white_cane_facing_right', 'accessibility blind cane facing probing right white woman', 1],
+        ['🧑‍🦼', 'person in motorized wheelchair', 'person_in_motorized_wheelchair', 'accessibility motorized person wheelchair', 1],
+        ['🧑‍🦼‍➡️', 'person in motorized wheelchair: facing right', 'person_in_motorized_wheelchair_facing_right', 'accessibility facing motorized person right wheelchair', 1],
+        ['👨‍🦼', 'man in motorized wheelchair', 'man_in_motorized_wheelchair', 'accessibility man motorized wheelchair', 1],
+        ['👨‍🦼‍➡️', 'man in motorized wheelchair: facing right', 'man_in_motorized_wheelchair_facing_right', 'accessibility facing man motorized right wheelchair', 1],
+        ['👩‍🦼', 'woman in motorized wheelchair', 'woman_in_motorized_wheelchair', 'accessibility motorized wheelchair woman', 1],
+        ['👩‍🦼‍➡️', 'woman in motorized wheelchair: facing right', 'woman_in_motorized_wheelchair_facing_right', 'accessibility facing motorized right wheelchair woman', 1],
+        ['🧑‍🦽', 'person in manual wheelchair', 'person_in_manual_wheelchair', 'accessibility manual person wheelchair', 1],
+        ['🧑‍🦽‍➡️', 'person in manual wheelchair: facing right', 'person_in_manual_wheelchair_facing_right', 'accessibility facing manual person right wheelchair', 1],
+        ['👨‍🦽', 'man in manual wheelchair', 'man_in_manual_wheelchair', 'accessibility man manual wheelchair', 1],
+        ['👨‍🦽‍➡️', 'man in manual wheelchair: facing right', 'man_in_manual_wheelchair_facing_right', 'accessibility facing man manual right wheelchair', 1],
+        ['👩‍🦽', 'woman in manual wheelchair', 'woman_in_manual_wheelchair', 'accessibility manual wheelchair woman', 1],
+        ['👩‍🦽‍➡️', 'woman in manual wheelchair: facing right', 'woman_in_manual_wheelchair_facing_right', 'accessibility facing manual right wheelchair woman', 1],
+        ['🏃', 'person running', 'runner running', 'fast hurry marathon move person quick race racing run rush speed', 1],
+        ['🏃‍♂️', 'man running', 'man-running running_man', 'fast hurry man marathon move quick race racing run rush speed', 1],
+        ['🏃‍♀️', 'woman running', 'woman-running running_woman', 'fast hurry marathon move quick race racing run rush speed woman', 1],
+        ['🏃‍➡️', 'person running: facing right', 'person_running_facing_right', 'facing fast hurry marathon move person quick race racing right run rush speed', 1],
+        ['🏃‍♀️‍➡️', 'woman running: facing right', 'woman_running_facing_right', 'facing fast hurry marathon move quick race racing right run rush speed woman', 1],
+        ['🏃‍♂️‍➡️', 'man running: facing right', 'man_running_facing_right', 'facing fast hurry man marathon move quick race racing right run rush speed', 1],
+        ['💃', 'woman dancing', 'dancer woman_dancing', 'dance dancer dancing elegant festive flair flamenco groove let’s salsa tango woman', 1],
+        ['🕺', 'man dancing', 'man_dancing', 'dance dancer dancing elegant festive flair flamenco groove let’s man salsa tango', 1],
+        ['🕴️', 'person in suit levitating', 'man_in_business_suit_levitating business_suit_levitating', 'business levitating person suit', 1],
+        ['👯', 'people with bunny ears', 'dancers', 'bestie bff bunny counterpart dancer double ear identical pair party partying people soulmate twin twinsies', 1],
+        ['👯‍♂️', 'men with bunny ears', 'men-with-bunny-ears-partying man-with-bunny-ears-partying dancing_men', 'bestie bff bunny counterpart dancer double ear identical men pair party partying people soulmate twin twinsies', 1],
+        ['👯‍♀️', 'women with bunny ears', 'women-with-bunny-ears-partying woman-with-bunny-ears-partying dancing_women', 'bestie bff bunny counterpart dancer double ear identical pair party partying people soulmate twin twinsies women', 1],
+        ['🧖', 'person in steamy room', 'person_in_steamy_room sauna_person', 'day luxurious pamper person relax room sauna spa steam steambath unwind', 1],
+        ['🧖‍♂️', 'man in steamy room', 'man_in_steamy_room sauna_man', 'day luxurious man pamper relax room sauna spa steam steambath unwind', 1],
+        ['🧖‍♀️', 'woman in steamy room', 'woman_in_steamy_room sauna_woman', 'day luxurious pamper relax room sauna spa steam steambath unwind woman', 1],
+        ['🧗', 'person climbing', 'person_climbing climbing', 'climb climber climbing mountain person rock scale up', 1],
+        ['🧗‍♂️', 'man climbing', 'man_climbing climbing_man', 'climb climber climbing man mountain rock scale up', 1],
+        ['🧗‍♀️', 'woman climbing', 'woman_climbing climbing_woman', 'climb climber climbing mountain rock scale up woman', 1],
+        ['🤺', 'person fencing', 'fencer person_fencing', 'fencer fencing person sword'],
+        ['🏇', 'horse racing', 'horse_racing', 'horse jockey racehorse racing riding sport', 1],
+        ['⛷️', 'skier', 'skier', 'ski snow'],
+        ['🏂', 'snowboarder', 'snowboarder', 'ski snow snowboard sport', 1],
+        ['🏌️', 'person golfing', 'golfer golfing', 'ball birdie caddy driving golf golfing green person pga putt range tee', 1],
+        ['🏌️‍♂️', 'man golfing', 'man-golfing golfing_man', 'ball birdie caddy driving golf golfing green man pga putt range tee', 1],
+        ['🏌️‍♀️', 'woman golfing', 'woman-golfing golfing_woman', 'ball birdie caddy driving golf golfing green pga putt range tee woman', 1],
+        ['🏄', 'person surfing', 'surfer', 'beach ocean person sport surf surfer surfing swell waves', 1],
+        ['🏄‍♂️', 'man surfing', 'man-surfing surfing_man', 'beach man ocean sport surf surfer surfing swell waves', 1],
+        ['🏄‍♀️', 'woman surfing', 'woman-surfing surfing_woman', 'beach ocean person sport surf surfer surfing swell waves', 1],
+        ['🚣', 'person rowing boat', 'rowboat', 'boat canoe cruise fishing lake oar paddle person raft river row rowboat rowing', 1],
+        ['🚣‍♂️', 'man rowing boat', 'man-rowing-boat rowing_man', 'boat canoe cruise fishing lake man oar paddle raft river row rowboat rowing', 1],
+        ['🚣‍♀️', 'woman rowing boat', 'woman-rowing-boat rowing_woman', 'boat canoe cruise fishing lake oar paddle raft river row rowboat rowing woman', 1],
+        ['🏊', 'person swimming', 'swimmer', 'freestyle person sport swim swimmer swimming triathlon', 1],
+        ['🏊‍♂️', 'man swimming', 'man-swimming swimming_man', 'freestyle man sport swim swimmer swimming triathlon', 1],
+        ['🏊‍♀️', 'woman swimming', 'woman-swimming swimming_woman', 'freestyle man sport swim swimmer swimming triathlon', 1],
+        ['⛹️', 'person bouncing ball', 'person_with_ball bouncing_ball_person', 'athletic ball basketball bouncing championship dribble net person player throw', 1],
+        ['⛹️‍♂️', 'man bouncing ball', 'man-bouncing-ball basketball_man bouncing_ball_man', 'athletic ball basketball bouncing championship dribble man net player throw', 1],
+        ['⛹️‍♀️', 'woman bouncing ball', 'woman-bouncing-ball basketball_woman bouncing_ball_woman', 'athletic ball basketball bouncing championship dribble net player throw woman', 1],
+        ['🏋️', 'person lifting weights', 'weight_lifter weight_lifting', 'barbell bodybuilder deadlift lifter lifting person powerlifting weight weightlifter weights workout', 1],
+        ['🏋️‍♂️', 'man lifting weights', 'man-lifting-weights weight_lifting_man', 'barbell bodybuilder deadlift lifter lifting man powerlifting weight weightlifter weights workout', 1],
+        ['🏋️‍♀️', 'woman lifting weights', 'woman-lifting-weights weight_lifting_woman', 'barbell bodybuilder deadlift lifter lifting powerlifting weight weightlifter weights woman workout', 1],
+        ['🚴', 'person biking', 'bicyclist', 'bicycle bicyclist bike biking cycle cyclist person riding sport', 1],
+        ['🚴‍♂️', 'man biking', 'man-biking biking_man', 'bicycle bicyclist bike biking cycle cyclist man riding sport', 1],
+        ['🚴‍♀️', 'woman biking', 'woman-biking biking_woman', 'bicycle bicyclist bike biking cycle cyclist riding sport woman', 1],
+        ['🚵', 'person mountain biking', 'mountain_bicyclist', 'bicycle bicyclist bike biking cycle cyclist mountain person riding sport', 1],
+        ['🚵‍♂️', 'man mountain biking', 'man-mountain-biking mountain_biking_man', 'bicycle bicyclist bike biking cycle cyclist man mountain riding sport', 1],
+        ['🚵‍♀️', 'woman mountain biking', 'woman-mountain-biking mountain_biking_woman', 'bicycle bicyclist bike biking cycle cyclist mountain riding sport woman', 1],
+        ['🤸', 'person cartwheeling', 'person_doing_cartwheel cartwheeling', 'active cartwheel cartwheeling excited flip gymnastics happy person somersault', 1],
+        ['🤸‍♂️', 'man cartwheeling', 'man-cartwheeling man_cartwheeling', 'active cartwheel cartwheeling excited flip gymnastics happy man somersault', 1],
+        ['🤸‍♀️', 'woman cartwheeling', 'woman-cartwheeling woman_cartwheeling', 'active cartwheel cartwheeling excited flip gymnastics happy somersault woman', 1],
+        ['🤼', 'people wrestling', 'wrestlers wrestling', 'combat duel grapple people ring tournament wrestle wrestling', 1],
+        ['🤼‍♂️', 'men wrestling', 'man-wrestling men_wrestling', 'combat duel grapple men ring tournament wrestle wrestling', 1],
+        ['🤼‍♀️', 'women wrestling', 'woman-wrestling women_wrestling', 'combat duel grapple ring tournament women wrestle wrestling', 1],
+        ['🤽', 'person playing water polo', 'water_polo', 'person playing polo sport swimming water waterpolo', 1],
+        ['🤽‍♂️', 'man playing water polo', 'man-playing-water-polo man_playing_water_polo', 'man playing polo sport swimming water waterpolo', 1],
+        ['🤽‍♀️', 'woman playing water polo', 'woman-playing-water-polo woman_playing_water_polo', 'playing polo sport swimming water waterpolo woman', 1],
+        ['🤾', 'person playing handball', 'handball handball_person', 'athletics ball catch chuck handball hurl lob person pitch playing sport throw toss', 1],
+        ['🤾‍♂️', 'man playing handball', 'man-playing-handball man_playing_handball', 'athletics ball catch chuck handball hurl lob man pitch playing sport throw toss', 1],
+        ['🤾‍♀️', 'woman playing handball', 'woman-playing-handball woman_playing_handball', 'athletics ball catch chuck handball hurl lob pitch playing sport throw toss woman', 1],
+        ['🤹', 'person juggling', 'juggling juggling_person', 'act balance balancing handle juggle juggling manage multitask person skill', 1],
+        ['🤹‍♂️', 'man juggling', 'man-juggling man_juggling', 'act balance balancing handle juggle juggling man manage multitask skill', 1],
+        ['🤹‍♀️', 'woman juggling', 'woman-juggling woman_juggling', 'act balance balancing handle juggle juggling manage multitask skill woman', 1],
+        ['🧘', 'person in lotus position', 'person_in_lotus_position lotus_position', 'cross legged legs lotus meditation peace person position relax serenity yoga yogi zen', 1],
+        ['🧘‍♂️', 'man in lotus position', 'man_in_lotus_position lotus_position_man', 'cross legged legs lotus man meditation peace position relax serenity yoga yogi zen', 1],
+        ['🧘‍♀️', 'woman in lotus position', 'woman_in_lotus_position lotus_position_woman', 'cross legged legs lotus meditation peace position relax serenity woman yoga yogi zen', 1],
+        ['🛀', 'person taking bath', 'bath', 'bath bathtub person taking tub', 1],
+        ['🛌', 'person in bed', 'sleeping_accommodation sleeping_bed', 'bed bedtime good goodnight hotel nap night person sleep tired zzz', 1],
+        ['🧑‍🤝‍🧑', 'people holding hands', 'people_holding_hands', 'bae bestie bff couple dating flirt friends hand hold people twins', ['🧑🏻‍🤝‍🧑🏻', '🧑🏼‍🤝‍🧑🏼', '🧑🏽‍🤝‍🧑🏽', '🧑🏾‍🤝‍🧑🏾', '🧑🏿‍🤝‍🧑🏿']],
+        ['👭', 'women holding hands', 'two_women_holding_hands women_holding_hands', 'bae bestie bff couple dating flirt friends girls hand hold sisters twins women', 1],
+        ['👫', 'woman and man holding hands', 'man_and_woman_holding_hands woman_and_man_holding_hands couple', 'bae bestie bff couple dating flirt friends hand hold man twins woman', 1],
+        ['👬', 'men holding hands', 'two_men_holding_hands men_holding_hands', 'bae bestie bff boys brothers couple dating flirt friends hand hold men twins', 1],
+        ['💏', 'kiss', 'couplekiss', 'anniversary babe bae couple date dating heart love mwah person romance together xoxo', 1],
+        ['👩‍❤️‍💋‍👨', 'kiss: woman, man', 'woman-kiss-man couplekiss_man_woman', 'anniversary babe bae couple date dating heart kiss love man mwah person romance together woman xoxo', ['👩🏻‍❤️‍💋‍👨🏻', '👩🏼‍❤️‍💋‍👨🏼', '👩🏽‍❤️‍💋‍👨🏽', '👩🏾‍❤️‍💋‍👨🏾', '👩🏿‍❤️‍💋‍👨🏿']],
+        ['👨‍❤️‍💋‍👨', 'kiss: man, man', 'man-kiss-man couplekiss_man_man', 'anniversary babe bae couple date dating heart kiss love man mwah person romance together xoxo', ['👨🏻‍❤️‍💋‍👨🏻', '👨🏼‍❤️‍💋‍👨🏼', '👨🏽‍❤️‍💋‍👨🏽', '👨🏾‍❤️‍💋‍👨🏾', '👨🏿‍❤️‍💋‍👨🏿']],
+        ['👩‍❤️‍💋‍👩', 'kiss: woman, woman', 'woman-kiss-woman couplekiss_woman_woman', 'anniversary babe bae couple date dating heart kiss love mwah person romance together woman xoxo', ['👩🏻‍❤️‍💋‍👩🏻', '👩🏼‍❤️‍💋‍👩🏼', '👩🏽‍❤️‍💋‍👩🏽', '👩🏾‍❤️‍💋‍👩🏾', '👩🏿‍❤️‍💋‍👩🏿']],
+        ['💑', 'couple with heart', 'couple_with_heart', 'anniversary babe bae couple dating heart kiss love person relationship romance together you', 1],
+        ['👩‍❤️‍👨', 'couple with heart: woman, man', 'woman-heart-man couple_with_heart_woman_man', 'anniversary babe bae couple dating heart kiss love man person relationship romance together woman you', ['👩🏻‍❤️‍👨🏻', '👩🏼‍❤️‍👨🏼', '👩🏽‍❤️‍👨🏽', '👩🏾‍❤️‍👨🏾', '👩🏿‍❤️‍👨🏿']],
+        ['👨‍❤️‍👨', 'couple with heart: man, man', 'man-heart-man couple_with_heart_man_man', 'anniversary babe bae couple dating heart kiss love man person relationship romance together you', ['👨🏻‍❤️‍👨🏻', '👨🏼‍❤️‍👨🏼', '👨🏽‍❤️‍👨🏽', '👨🏾‍❤️‍👨🏾', '👨🏿‍❤️‍👨🏿']],
+        ['👩‍❤️‍👩', 'couple with heart: woman, woman', 'woman-heart-woman couple_with_heart_woman_woman', 'anniversary babe bae couple dating heart kiss love person relationship romance together woman you', ['👩🏻‍❤️‍👩🏻', '👩🏼‍❤️‍👩🏼', '👩🏽‍❤️‍👩🏽', '👩🏾‍❤️‍👩🏾', '👩🏿‍❤️‍👩🏿']],
+        ['👨‍👩‍👦', 'family: man, woman, boy', 'man-woman-boy family_man_woman_boy', 'boy child family man woman'],
+        ['👨‍👩‍👧', 'family: man, woman, girl', 'man-woman-girl family_man_woman_girl', 'child family girl man woman'],
+        ['👨‍👩‍👧‍👦', 'family: man, woman, girl, boy', 'man-woman-girl-boy family_man_woman_girl_boy', 'boy child family girl man woman'],
+        ['👨‍👩‍👦‍👦', 'family: man, woman, boy, boy', 'man-woman-boy-boy family_man_woman_boy_boy', 'boy child family man woman'],
+        ['👨‍👩‍👧‍👧', 'family: man, woman, girl, girl', 'man-woman-girl-girl family_man_woman_girl_girl', 'child family girl man woman'],
+        ['👨‍👨‍👦', 'family: man, man, boy', 'man-man-boy family_man_man_boy', 'boy child family man'],
+        ['👨‍👨‍👧', 'family: man, man, girl', 'man-man-girl family_man_man_girl', 'child family girl man'],
+        ['👨‍👨‍👧‍👦', 'family: man, man, girl, boy', 'man-man-girl-boy family_man_man_girl_boy', 'boy child family girl man'],
+        ['👨‍👨‍👦‍👦', 'family: man, man, boy, boy', 'man-man-boy-boy family_man_man_boy_boy', 'boy child family man'],
+        ['👨‍👨‍👧‍👧', 'family: man, man, girl, girl', 'man-man-girl-girl family_man_man_girl_girl', 'child family girl man'],
+        ['👩‍👩‍👦', 'family: woman, woman, boy', 'woman-woman-boy family_woman_woman_boy', 'boy child family woman'],
+        ['👩‍👩‍👧', 'family: woman, woman, girl', 'woman-woman-girl family_woman_woman_girl', 'child family girl woman'],
+        ['👩‍👩‍👧‍👦', 'family: woman, woman, girl, boy', 'woman-woman-girl-boy family_woman_woman_girl_boy', 'boy child family girl woman'],
+        ['👩‍👩‍👦‍👦', 'family: woman, woman, boy, boy', 'woman-woman-boy-boy family_woman_woman_boy_boy', 'boy child family woman'],
+        ['👩‍👩‍👧‍👧', 'family: woman, woman, girl, girl', 'woman-woman-girl-girl family_woman_woman_girl_girl', 'child family girl woman'],
+        ['👨‍👦', 'family: man, boy', 'man-boy family_man_boy', 'boy child family man'],
+        ['👨‍👦‍👦', 'family: man, boy, boy', 'man-boy-boy family_man_boy_boy', 'boy child family man'],
+        ['👨‍👧', 'family: man, girl', 'man-girl family_man_girl', 'child family girl man'],
+        ['👨‍👧‍👦', 'family: man, girl, boy', 'man-girl-boy family_man_girl_boy', 'boy child family girl man'],
+        ['👨‍👧‍👧', 'family: man, girl, girl', 'man-girl-girl family_man_girl_girl', 'child family girl man'],
+        ['👩‍👦', 'family: woman, boy', 'woman-boy family_woman_boy', 'boy child family woman'],
+        ['👩‍👦‍👦', 'family: woman, boy, boy', 'woman-boy-boy family_woman_boy_boy', 'boy child family woman'],
+        ['👩‍👧', 'family: woman, girl', 'woman-girl family_woman_girl', 'child family girl woman'],
+        ['👩‍👧‍👦', 'family: woman, girl, boy', 'woman-girl-boy family_woman_girl_boy', 'boy child family girl woman'],
+        ['👩‍👧‍👧', 'family: woman, girl, girl', 'woman-girl-girl family_woman_girl_girl', 'child family girl woman'],
+        ['🗣️', 'speaking head', 'speaking_head_in_silhouette speaking_head', 'face head silhouette speak speaking'],
+        ['👤', 'bust in silhouette', 'bust_in_silhouette', 'bust mysterious shadow silhouette'],
+        ['👥', 'busts in silhouette', 'busts_in_silhouette', 'bff bust busts everyone friend friends people silhouette'],
+        ['🫂', 'people hugging', 'people_hugging', 'comfort embrace farewell friendship goodbye hello hug hugging love people thanks'],
+        ['👪', 'family', 'family', 'child'],
+        ['🧑‍🧑‍🧒', 'family: adult, adult, child', 'family_adult_adult_child', 'adult child family'],
+        ['🧑‍🧑‍🧒‍🧒', 'family: adult, adult, child, child', 'family_adult_adult_child_child', 'adult child family'],
+        ['🧑‍🧒', 'family: adult, child', 'family_adult_child', 'adult child family'],
+        ['🧑‍🧒‍🧒', 'family: adult, child, child', 'family_adult_child_child', 'adult child family'],
+        ['👣', 'footprints', 'footprints', 'barefoot clothing footprint omw print walk']
+      ]
+    },
+    {
+      id: 'nature',
+      name: 'Animals & Nature',
+      icon: '🐻',
+      emojis: [
+        ['🐵', 'monkey face', 'monkey_face', 'animal banana face monkey'],
+        ['🐒', 'monkey', 'monkey', 'animal banana'],
+        ['🦍', 'gorilla', 'gorilla', 'animal'],
+        ['🦧', 'orangutan', 'orangutan', 'animal ape monkey'],
+        ['🐶', 'dog face', 'dog', 'adorbs animal dog face pet puppies puppy'],
+        ['🐕', 'dog', 'dog2', 'animal animals dogs pet'],
+        ['🦮', 'guide dog', 'guide_dog', 'accessibility animal blind dog guide'],
+        ['🐕‍🦺', 'service dog', 'service_dog', 'accessibility animal assistance dog service'],
+        ['🐩', 'poodle', 'poodle', 'animal dog fluffy'],
+        ['🐺', 'wolf', 'wolf', 'animal face'],
+        ['🦊', 'fox', 'fox_face', 'animal face'],
+        ['🦝', 'raccoon', 'raccoon', 'animal curious sly'],
+        ['🐱', 'cat face', 'cat', 'animal cat face kitten kitty pet'],
+        ['🐈', 'cat', 'cat2', 'animal animals cats kitten pet'],
+        ['🐈‍⬛', 'black cat', 'black_cat', 'animal black cat feline halloween meow unlucky'],
+        ['🦁', 'lion', 'lion_face lion', 'alpha animal face leo mane order rawr roar safari strong zodiac'],
+        ['🐯', 'tiger face', 'tiger', 'animal big cat face predator tiger'],
+        ['🐅', 'tiger', 'tiger2', 'animal big cat predator zoo'],
+        ['🐆', 'leopard', 'leopard', 'animal big cat predator zoo'],
+        ['🐴', 'horse face', 'horse', 'animal dressage equine face farm horse horses'],
+        ['🫎', 'moose', 'moose', 'alces animal antlers elk mammal'],
+        ['🫏', 'donkey', 'donkey', 'animal ass burro hinny mammal mule stubborn'],
+        ['🐎', 'horse', 'racehorse', 'animal equestrian farm racehorse racing'],
+        ['🦄', 'unicorn', 'unicorn_face unicorn', 'face'],
+        ['🦓', 'zebra', 'zebra_face zebra', 'animal stripe'],
+        ['🦌', 'deer', 'deer', 'animal'],
+        ['🦬', 'bison', 'bison', 'animal buffalo herd wisent'],
+        ['🐮', 'cow face', 'cow', 'animal cow face farm milk moo'],
+        ['🐂', 'ox', 'ox', 'animal animals bull farm taurus zodiac'],
+        ['🐃', 'water buffalo', 'water_buffalo', 'animal buffalo water zoo'],
+        ['🐄', 'cow', 'cow2', 'animal animals farm milk moo'],
+        ['🐷', 'pig face', 'pig', 'animal bacon face farm pig pork'],
+        ['🐖', 'pig', 'pig2', 'animal bacon farm pork sow'],
+        ['🐗', 'boar', 'boar', 'animal pig'],
+        ['🐽', 'pig nose', 'pig_nose', 'animal face farm nose pig smell snout'],
+        ['🐏', 'ram', 'ram', 'animal aries horns male sheep zodiac zoo'],
+        ['🐑', 'ewe', 'sheep', 'animal baa farm female fluffy lamb sheep wool'],
+        ['🐐', 'goat', 'goat', 'animal capricorn farm milk zodiac'],
+        ['🐪', 'camel', 'dromedary_camel', 'animal desert dromedary hump one'],
+        ['🐫', 'two-hump camel', 'camel', 'animal bactrian camel desert hump two two-hump'],
+        ['🦙', 'llama', 'llama', 'alpaca animal guanaco vicuña wool'],
+        ['🦒', 'giraffe', 'giraffe_face giraffe', 'animal spots'],
+        ['🐘', 'elephant', 'elephant', 'animal'],
+        ['🦣', 'mammoth', 'mammoth', 'animal extinction large tusk wooly'],
+        ['🦏', 'rhinoceros', 'rhinoceros', 'animal'],
+        ['🦛', 'hippopotamus', 'hippopotamus', 'animal hippo'],
+        ['🐭', 'mouse face', 'mouse', 'animal face mouse'],
+        ['🐁', 'mouse', 'mouse2', 'animal animals'],
+        ['🐀', 'rat', 'rat', 'animal'],
+        ['🐹', 'hamster', 'hamster', 'animal face pet'],
+        ['🐰', 'rabbit face', 'rabbit', 'animal bunny face pet rabbit'],
+        ['🐇', 'rabbit', 'rabbit2', 'animal bunny pet'],
+        ['🐿️', 'chipmunk', 'chipmunk', 'animal squirrel'],
+        ['🦫', 'beaver', 'beaver', 'animal dam teeth'],
+        ['🦔', 'hedgehog', 'hedgehog', 'animal spiny'],
+        ['🦇', 'bat', 'bat', 'animal vampire'],
+        ['🐻', 'bear', 'bear', 'animal face grizzly growl honey'],
+        ['🐻‍❄️', 'polar bear', 'polar_bear', 'animal arctic bear polar white'],
+        ['🐨', 'koala', 'koala', 'animal australia bear down face marsupial under'],
+        ['🐼', 'panda', 'panda_face', 'animal bamboo face'],
+        ['🦥', 'sloth', 'sloth', 'lazy slow'],
+        ['🦦', 'otter', 'otter', 'animal fishing playful'],
+        ['🦨', 'skunk', 'skunk', 'animal stink'],
+        ['🦘', 'kangaroo', 'kangaroo', 'animal joey jump marsupial'],
+        ['🦡', 'badger', 'badger', 'animal honey pester'],
+        ['🐾', 'paw prints', 'feet paw_prints', 'feet paw paws print prints'],
+        ['🦃', 'turkey', 'turkey', 'bird gobble thanksgiving'],
+        ['🐔', 'chicken', 'chicken', 'animal bird ornithology'],
+        ['🐓', 'rooster', 'rooster', 'animal bird ornithology'],
+        ['🐣', 'hatching chick', 'hatching_chick', 'animal baby bird chick egg hatching'],
+        ['🐤', 'baby chick', 'baby_chick', 'animal baby bird chick ornithology'],
+        ['🐥', 'front-facing baby chick', 'hatched_chick', 'animal baby bird chick front-facing newborn ornithology'],
+        ['🐦', 'bird', 'bird', 'animal ornithology'],
+        ['🐧', 'penguin', 'penguin', 'animal antarctica bird ornithology'],
+        ['🕊️', 'dove', 'dove_of_peace dove', 'bird fly ornithology peace'],
+        ['🦅', 'eagle', 'eagle', 'animal bird ornithology'],
+        ['🦆', 'duck', 'duck', 'animal bird ornithology'],
+        ['🦢', 'swan', 'swan', 'animal bird cygnet duckling ornithology ugly'],
+        ['🦉', 'owl', 'owl', 'animal bird ornithology wise'],
+        ['🦤', 'dodo', 'dodo', 'animal bird extinction large ornithology'],
+        ['🪶', 'feather', 'feather', 'bird flight light plumage'],
+        ['🦩', 'flamingo', 'flamingo', 'animal bird flamboyant ornithology tropical'],
+        ['🦚', 'peacock', 'peacock', 'animal bird colorful ornithology ostentatious peahen pretty proud'],
+        ['🦜', 'parrot', 'parrot', 'animal bird ornithology pirate talk'],
+        ['🪽', 'wing', 'wing', 'angelic ascend aviation bird fly flying heavenly mythology soar'],
+        ['🐦‍⬛', 'black bird', 'black_bird', 'animal beak bird black caw corvid crow ornithology raven rook'],
+        ['🪿', 'goose', 'goose', 'animal bird duck flock fowl gaggle gander geese honk ornithology silly'],
+        ['🐦‍🔥', 'phoenix', 'phoenix', 'ascend ascension emerge fantasy firebird glory immortal rebirth reincarnation reinvent renewal revival revive rise transform'],
+        ['🐸', 'frog', 'frog', 'animal face'],
+        ['🐊', 'crocodile', 'crocodile', 'animal zoo'],
+        ['🐢', 'turtle', 'turtle', 'animal terrapin tortoise'],
+        ['🦎', 'lizard', 'lizard', 'animal reptile'],
+        ['🐍', 'snake', 'snake', 'animal bearer ophiuchus serpent zodiac'],
+        ['🐲', 'dragon face', 'dragon_face', 'animal dragon face fairy fairytale tale'],
+        ['🐉', 'dragon', 'dragon', 'animal fairy fairytale knights tale'],
+        ['🦕', 'sauropod', 'sauropod', 'brachiosaurus brontosaurus dinosaur diplodocus'],
+        ['🦖', 'T-Rex', 't-rex', 'dinosaur rex t t-rex tyrannosaurus'],
+        ['🐳', 'spouting whale', 'whale', 'animal beach face ocean spouting whale'],
+        ['🐋', 'whale', 'whale2', 'animal beach ocean'],
+        ['🐬', 'dolphin', 'dolphin flipper', 'animal beach flipper ocean'],
+        ['🦭', 'seal', 'seal', 'animal lion ocean sea'],
+        ['🐟', 'fish', 'fish', 'animal dinner fishes fishing pisces zodiac'],
+        ['🐠', 'tropical fish', 'tropical_fish', 'animal fish fishes tropical'],
+        ['🐡', 'blowfish', 'blowfish', 'animal fish'],
+        ['🦈', 'shark', 'shark', 'animal fish'],
+        ['🐙', 'octopus', 'octopus', 'animal creature ocean'],
+        ['🐚', 'spiral shell', 'shell', 'animal beach conch sea shell spiral'],
+        ['🪸', 'coral', 'coral', 'change climate ocean reef sea'],
+        ['🪼', 'jellyfish', 'jellyfish', 'animal aquarium burn invertebrate jelly life marine ocean ouch plankton sea sting stinger tentacles'],
+        ['🦀', 'crab', 'crab', 'cancer zodiac'],
+        ['🦞', 'lobster', 'lobster', 'animal bisque claws seafood'],
+        ['🦐', 'shrimp', 'shrimp', 'food shellfish small'],
+        ['🦑', 'squid', 'squid', 'animal food mollusk'],
+        ['🦪', 'oyster', 'oyster', 'diving pearl'],
+        ['🐌', 'snail', 'snail', 'animal escargot garden nature slug'],
+        ['🦋', 'butterfly', 'butterfly', 'insect pretty'],
+        ['🐛', 'bug', 'bug', 'animal garden insect'],
+        ['🐜', 'ant', 'ant', 'animal garden insect'],
+        ['🐝', 'honeybee', 'bee honeybee', 'animal bee bumblebee honey insect nature spring'],
+        ['🪲', 'beetle', 'beetle', 'animal bug insect'],
+        ['🐞', 'lady beetle', 'ladybug lady_beetle', 'animal beetle garden insect lady ladybird ladybug nature'],
+        ['🦗', 'cricket', 'cricket', 'animal bug grasshopper insect orthoptera'],
+        ['🪳', 'cockroach', 'cockroach', 'animal insect pest roach'],
+        ['🕷️', 'spider', 'spider', 'animal insect'],
+        ['🕸️', 'spider web', 'spider_web', 'spider web'],
+        ['🦂', 'scorpion', 'scorpion', 'scorpio scorpius zodiac'],
+        ['🦟', 'mosquito', 'mosquito', 'bite disease fever insect malaria pest virus'],
+        ['🪰', 'fly', 'fly', 'animal disease insect maggot pest rotting'],
+        ['🪱', 'worm', 'worm', 'animal annelid earthworm parasite'],
+        ['🦠', 'microbe', 'microbe', 'amoeba bacteria science virus'],
+        ['💐', 'bouquet', 'bouquet', 'anniversary birthday date flower love plant romance'],
+        ['🌸', 'cherry blossom', 'cherry_blossom', 'blossom cherry flower plant spring springtime'],
+        ['💮', 'white flower', 'white_flower', 'flower white'],
+        ['🪷', 'lotus', 'lotus', 'beauty buddhism calm flower hinduism peace purity serenity'],
+        ['🏵️', 'rosette', 'rosette', 'plant'],
+        ['🌹', 'rose', 'rose', 'beauty elegant flower love plant red valentine'],
+        ['🥀', 'wilted flower', 'wilted_flower', 'dying flower wilted'],
+        ['🌺', 'hibiscus', 'hibiscus', 'flower plant'],
+        ['🌻', 'sunflower', 'sunflower', 'flower outdoors plant sun'],
+        ['🌼', 'blossom', 'blossom', 'buttercup dandelion flower plant'],
+        ['🌷', 'tulip', 'tulip', 'blossom flower growth plant'],
+        ['🪻', 'hyacinth', 'hyacinth', 'bloom bluebonnet flower indigo lavender lilac lupine plant purple shrub snapdragon spring violet'],
+        ['🌱', 'seedling', 'seedling', 'plant sapling sprout young'],
+        ['🪴', 'potted plant', 'potted_plant', 'decor grow house nurturing plant pot potted'],
+        ['🌲', 'evergreen tree', 'evergreen_tree', 'christmas evergreen forest pine tree'],
+        ['🌳', 'deciduous tree', 'deciduous_tree', 'deciduous forest green habitat shedding tree'],
+        ['🌴', 'palm tree', 'palm_tree', 'beach palm plant tree tropical'],
+        ['🌵', 'cactus', 'cactus', 'desert drought nature plant'],
+        ['🌾', 'sheaf of rice', 'ear_of_rice', 'ear grain grains plant rice sheaf'],
+        ['🌿', 'herb', 'herb', 'leaf plant'],
+        ['☘️', 'shamrock', 'shamrock', 'irish plant'],
+        ['🍀', 'four leaf clover', 'four_leaf_clover', '4 clover four four-leaf irish leaf lucky plant'],
+        ['🍁', 'maple leaf', 'maple_leaf', 'falling leaf maple'],
+        ['🍂', 'fallen leaf', 'fallen_leaf', 'autumn fall fallen falling leaf'],
+        ['🍃', 'leaf fluttering in wind', 'leaves', 'blow flutter fluttering leaf wind'],
+        ['🪹', 'empty nest', 'empty_nest', 'branch empty home nest nesting'],
+        ['🪺', 'nest with eggs', 'nest_with_eggs', 'bird branch egg eggs nest nesting'],
+        ['🍄', 'mushroom', 'mushroom', 'fungus toadstool']
+      ]
+    },
+    {
+      id: 'food',
+      name: 'Food & Drink',
+      icon: '🍔',
+      emojis: [
+        ['🍇', 'grapes', 'grapes', 'dionysus fruit grape'],
+        ['🍈', 'melon', 'melon', 'cantaloupe fruit'],
+        ['🍉', 'watermelon', 'watermelon', 'fruit'],
+        ['🍊', 'tangerine', 'tangerine mandarin orange', 'c citrus fruit nectarine orange vitamin'],
+        ['🍋', 'lemon', 'lemon', 'citrus fruit sour'],
+        ['🍋‍🟩', 'lime', 'lime', 'acidity citrus cocktail fruit garnish key margarita mojito refreshing salsa sour tangy tequila tropical zest'],
+        ['🍌', 'banana', 'banana', 'fruit potassium'],
+        ['🍍', 'pineapple', 'pineapple', 'colada fruit pina tropical'],
+        ['🥭', 'mango', 'mango', 'food fruit tropical'],
+        ['🍎', 'red apple', 'apple', 'apple diet food fruit health red ripe'],
+        ['🍏', 'green apple', 'green_apple', 'apple fruit green'],
+        ['🍐', 'pear', 'pear', 'fruit'],
+        ['🍑', 'peach', 'peach', 'fruit'],
+        ['🍒', 'cherries', 'cherries', 'berries cherry fruit red'],
+        ['🍓', 'strawberry', 'strawberry', 'berry fruit'],
+        ['🫐', 'blueberries', 'blueberries', 'berries berry bilberry blue blueberry food fruit'],
+        ['🥝', 'kiwi fruit', 'kiwifruit kiwi_fruit', 'food fruit kiwi'],
+        ['🍅', 'tomato', 'tomato', 'food fruit vegetable'],
+        ['🫒', 'olive', 'olive', 'food'],
+        ['🥥', 'coconut', 'coconut', 'colada palm piña'],
+        ['🥑', 'avocado', 'avocado', 'food fruit'],
+        ['🍆', 'eggplant', 'eggplant', 'aubergine vegetable'],
+        ['🥔', 'potato', 'potato', 'food vegetable'],
+        ['🥕', 'carrot', 'carrot', 'food vegetable'],
+        ['🌽', 'ear of corn', 'corn', 'corn crops ear farm maize maze'],
+        ['🌶️', 'hot pepper', 'hot_pepper', 'hot pepper'],
+        ['🫑', 'bell pepper', 'bell_pepper', 'bell capsicum food pepper vegetable'],
+        ['🥒', 'cucumber', 'cucumber', 'food pickle vegetable'],
+        ['🥬', 'leafy green', 'leafy_green', 'bok burgers cabbage choy green kale leafy lettuce salad'],
+        ['🥦', 'broccoli', 'broccoli', 'cabbage wild'],
+        ['🧄', 'garlic', 'garlic', 'flavoring'],
+        ['🧅', 'onion', 'onion', 'flavoring'],
+        ['🥜', 'peanuts', 'peanuts', 'food nut peanut vegetable'],
+        ['🫘', 'beans', 'beans', 'food kidney legume small'],
+        ['🌰', 'chestnut', 'chestnut', 'almond plant'],
+        ['🫚', 'ginger root', 'ginger_root', 'beer ginger health herb natural root spice'],
+        ['🫛', 'pea pod', 'pea_pod', 'beans beanstalk edamame legume pea pod soybean vegetable veggie'],
+        ['🍄‍🟫', 'brown mushroom', 'brown_mushroom', 'food fungi fungus mushroom nature pizza portobello shiitake shroom spore sprout toppings truffle vegetable vegetarian veggie'],
+        ['🍞', 'bread', 'bread', 'carbs food grain loaf restaurant toast wheat'],
+        ['🥐', 'croissant', 'croissant', 'bread breakfast crescent food french roll'],
+        ['🥖', 'baguette bread', 'baguette_bread', 'baguette bread food french'],
+        ['🫓', 'flatbread', 'flatbread', 'arepa bread food gordita lavash naan pita'],
+        ['🥨', 'pretzel', 'pretzel', 'convoluted twisted'],
+        ['🥯', 'bagel', 'bagel', 'bakery bread breakfast schmear'],
+        ['🥞', 'pancakes', 'pancakes', 'breakfast crêpe food hotcake pancake'],
+        ['🧇', 'waffle', 'waffle', 'breakfast indecisive iron'],
+        ['🧀', 'cheese wedge', 'cheese_wedge cheese', 'cheese wedge'],
+        ['🍖', 'meat on bone', 'meat_on_bone', 'bone meat'],
+        ['🍗', 'poultry leg', 'poultry_leg', 'bone chicken drumstick hungry leg poultry turkey'],
+        ['🥩', 'cut of meat', 'cut_of_meat', 'chop cut lambchop meat porkchop red steak'],
+        ['🥓', 'bacon', 'bacon', 'breakfast food meat'],
+        ['🍔', 'hamburger', 'hamburger', 'burger eat fast food hungry'],
+        ['🍟', 'french fries', 'fries', 'fast food french fries'],
+        ['🍕', 'pizza', 'pizza', 'cheese food hungry pepperoni slice'],
+        ['🌭', 'hot dog', 'hotdog', 'dog frankfurter hot hotdog sausage'],
+        ['🥪', 'sandwich', 'sandwich', 'bread'],
+        ['🌮', 'taco', 'taco', 'mexican'],
+        ['🌯', 'burrito', 'burrito', 'mexican wrap'],
+        ['🫔', 'tamale', 'tamale', 'food mexican pamonha wrapped'],
+        ['🥙', 'stuffed flatbread', 'stuffed_flatbread', 'falafel flatbread food gyro kebab stuffed'],
+        ['🧆', 'falafel', 'falafel', 'chickpea meatball'],
+        ['🥚', 'egg', 'egg', 'breakfast food'],
+        ['🍳', 'cooking', 'fried_egg cooking', 'breakfast easy egg fry frying over pan restaurant side sunny up'],
+        ['🥘', 'shallow pan of food', 'shallow_pan_of_food', 'casserole food paella pan shallow'],
+        ['🍲', 'pot of food', 'stew', 'food pot soup stew'],
+        ['🫕', 'fondue', 'fondue', 'cheese chocolate food melted pot ski'],
+        ['🥣', 'bowl with spoon', 'bowl_with_spoon', 'bowl breakfast cereal congee oatmeal porridge spoon'],
+        ['🥗', 'green salad', 'green_salad', 'food green salad'],
+        ['🍿', 'popcorn', 'popcorn', 'corn movie pop'],
+        ['🧈', 'butter', 'butter', 'dairy'],
+        ['🧂', 'salt', 'salt', 'condiment flavor mad salty shaker taste upset'],
+        ['🥫', 'canned food', 'canned_food', 'can canned food'],
+        ['🍱', 'bento box', 'bento', 'bento box food'],
+        ['🍘', 'rice cracker', 'rice_cracker', 'cracker food rice'],
+        ['🍙', 'rice ball', 'rice_ball', 'ball food japanese rice'],
+        ['🍚', 'cooked rice', 'rice', 'cooked food rice'],
+        ['🍛', 'curry rice', 'curry', 'curry food rice'],
+        ['🍜', 'steaming bowl', 'ramen', 'bowl chopsticks food noodle pho ramen soup steaming'],
+        ['🍝', 'spaghetti', 'spaghetti', 'food meatballs pasta restaurant'],
+        ['🍠', 'roasted sweet potato', 'sweet_potato', 'food potato roasted sweet'],
+        ['🍢', 'oden', 'oden', 'food kebab restaurant seafood skewer stick'],
+        ['🍣', 'sushi', 'sushi', 'food'],
+        ['🍤', 'fried shrimp', 'fried_shrimp', 'fried prawn shrimp tempura'],
+        ['🍥', 'fish cake with swirl', 'fish_cake', 'cake fish food pastry restaurant swirl'],
+        ['🥮', 'moon cake', 'moon_cake', 'autumn cake festival moon yuèbǐng'],
+        ['🍡', 'dango', 'dango', 'dessert japanese skewer stick sweet'],
+        ['🥟', 'dumpling', 'dumpling', 'empanada gyōza jiaozi pierogi potsticker'],
+        ['🥠', 'fortune cookie', 'fortune_cookie', 'cookie fortune prophecy'],
+        ['🥡', 'takeout box', 'takeout_box', 'box chopsticks delivery food oyster pail takeout'],
+        ['🍦', 'soft ice cream', 'icecream', 'cream dessert food ice icecream restaurant serve soft sweet'],
+        ['🍧', 'shaved ice', 'shaved_ice', 'dessert ice restaurant shaved sweet'],
+        ['🍨', 'ice cream', 'ice_cream', 'cream dessert food ice restaurant sweet'],
+        ['🍩', 'doughnut', 'doughnut', 'breakfast dessert donut food sweet'],
+        ['🍪', 'cookie', 'cookie', 'chip chocolate dessert sweet'],
+        ['🎂', 'birthday cake', 'birthday', 'bday birthday cake celebration dessert happy pastry sweet'],
+        ['🍰', 'shortcake', 'cake', 'cake dessert pastry slice sweet'],
+        ['🧁', 'cupcake', 'cupcake', 'bakery dessert sprinkles sugar sweet treat'],
+        ['🥧', 'pie', 'pie', 'apple filling fruit meat pastry pumpkin slice'],
+        ['🍫', 'chocolate bar', 'chocolate_bar', 'bar candy chocolate dessert halloween sweet tooth'],
+        ['🍬', 'candy', 'candy', 'cavities dessert halloween restaurant sweet tooth wrapper'],
+        ['🍭', 'lollipop', 'lollipop', 'candy dessert food restaurant sweet'],
+        ['🍮', 'custard', 'custard', 'dessert pudding sweet'],
+        ['🍯', 'honey pot', 'honey_pot', 'barrel bear food honey honeypot jar pot sweet'],
+        ['🍼', 'baby bottle', 'baby_bottle', 'babies baby birth born bottle drink infant milk newborn'],
+        ['🥛', 'glass of milk', 'glass_of_milk milk_glass', 'drink glass milk'],
+        ['☕', 'hot beverage', 'coffee', 'beverage cafe caffeine chai coffee drink hot morning steaming tea'],
+        ['🫖', 'teapot', 'teapot', 'brew drink food pot tea'],
+        ['🍵', 'teacup without handle', 'tea', 'beverage cup drink handle oolong tea teacup'],
+        ['🍶', 'sake', 'sake', 'bar beverage bottle cup drink restaurant'],
+        ['🍾', 'bottle with popping cork', 'champagne', 'bar bottle cork drink popping'],
+        ['🍷', 'wine glass', 'wine_glass', 'alcohol bar beverage booze club drink drinking drinks glass restaurant wine'],
+        ['🍸', 'cocktail glass', 'cocktail', 'alcohol bar booze club cocktail drink drinking drinks glass mad martini men'],
+        ['🍹', 'tropical drink', 'tropical_drink', 'alcohol bar booze club cocktail drink drinking drinks drunk mai party tai tropical tropics'],
+        ['🍺', 'beer mug', 'beer', 'alcohol ale bar beer booze drink drinking drinks mug octoberfest oktoberfest pint stein summer'],
+        ['🍻', 'clinking beer mugs', 'beers', 'alcohol bar beer booze bottoms cheers clink clinking drinking drinks mugs'],
+        ['🥂', 'clinking glasses', 'clinking_glasses', 'celebrate clink clinking drink glass glasses'],
+        ['🥃', 'tumbler glass', 'tumbler_glass', 'glass liquor scotch shot tumbler whiskey whisky'],
+        ['🫗', 'pouring liquid', 'pouring_liquid', 'accident drink empty glass liquid oops pour pouring spill water'],
+        ['🥤', 'cup with straw', 'cup_with_straw', 'cup drink juice malt soda soft straw water'],
+        ['🧋', 'bubble tea', 'bubble_tea', 'boba bubble food milk pearl tea'],
+        ['🧃', 'beverage box', 'beverage_box', 'beverage box juice straw sweet'],
+        ['🧉', 'mate', 'mate_drink mate', 'drink'],
+        ['🧊', 'ice', 'ice_cube', 'cold cube iceberg'],
+        ['🥢', 'chopsticks', 'chopsticks', 'hashi jeotgarak kuaizi'],
+        ['🍽️', 'fork and knife with plate', 'knife_fork_plate plate_with_cutlery', 'cooking dinner eat fork knife plate'],
+        ['🍴', 'fork and knife', 'fork_and_knife', 'breakfast breaky cooking cutlery delicious dinner eat feed food fork hungry knife lunch restaurant yum yummy'],
+        ['🥄', 'spoon', 'spoon', 'eat tableware'],
+        ['🔪', 'kitchen knife', 'hocho knife', 'chef cooking hocho kitchen knife tool weapon'],
+        ['🫙', 'jar', 'jar', 'condiment container empty nothing sauce store'],
+        ['🏺', 'amphora', 'amphora', 'aquarius cooking drink jug tool weapon zodiac']
+      ]
+    },
+    {
+      id: 'travel',
+      name: 'Travel & Places',
+      icon: '🚗',
+      emojis: [
+        ['🌍', 'globe showing Europe-Africa', 'earth_africa', 'africa earth europe europe-africa globe showing world'],
+        ['🌎', 'globe showing Americas', 'earth_americas', 'americas earth globe showing world'],
+        ['🌏', 'globe showing Asia-Australia', 'earth_asia', 'asia asia-australia australia earth globe showing world'],
+        ['🌐', 'globe with meridians', 'globe_with_meridians', 'earth globe internet meridians web world worldwide'],
+        ['🗺️', 'world map', 'world_map', 'map world'],
+        ['🗾', 'map of Japan', 'japan', 'japan map'],
+        ['🧭', 'compass', 'compass', 'direction magnetic navigation orienteering'],
+        ['🏔️', 'snow-capped mountain', 'snow_capped_mountain mountain_snow', 'cold mountain snow snow-capped'],
+        ['⛰️', 'mountain', 'mountain', 'mountain'],
+        ['🌋', 'volcano', 'volcano', 'eruption mountain nature'],
+        ['🗻', 'mount fuji', 'mount_fuji', 'fuji mount mountain nature'],
+        ['🏕️', 'camping', 'camping', 'camping'],
+        ['🏖️', 'beach with umbrella', 'beach_with_umbrella beach_umbrella', 'beach umbrella'],
+        ['🏜️', 'desert', 'desert', 'desert'],
+        ['🏝️', 'desert island', 'desert_island', 'desert island'],
+        ['🏞️', 'national park', 'national_park', 'national park'],
+        ['🏟️', 'stadium', 'stadium', 'stadium'],
+        ['🏛️', 'classical building', 'classical_building', 'building classical'],
+        ['🏗️', 'building construction', 'building_construction', 'building construction crane'],
+        ['🧱', 'brick', 'bricks', 'bricks clay mortar wall'],
+        ['🪨', 'rock', 'rock', 'boulder heavy solid stone tough'],
+        ['🪵', 'wood', 'wood', 'log lumber timber'],
+        ['🛖', 'hut', 'hut', 'home house roundhouse shelter yurt'],
+        ['🏘️', 'houses', 'house_buildings houses', 'house'],
+        ['🏚️', 'derelict house', 'derelict_house_building derelict_house', 'derelict home house'],
+        ['🏠', 'house', 'house', 'building country heart home ranch settle simple suburban suburbia where'],
+        ['🏡', 'house with garden', 'house_with_garden', 'building country garden heart home house ranch settle simple suburban suburbia where'],
+        ['🏢', 'office building', 'office', 'building city cubical job office'],
+        ['🏣', 'Japanese post office', 'post_office', 'building japanese office post'],
+        ['🏤', 'post office', 'european_post_office', 'building european office post'],
+        ['🏥', 'hospital', 'hospital', 'building doctor medicine'],
+        ['🏦', 'bank', 'bank', 'building'],
+        ['🏨', 'hotel', 'hotel', 'building'],
+        ['🏩', 'love hotel', 'love_hotel', 'building hotel love'],
+        ['🏪', 'convenience store', 'convenience_store', '24 building convenience hours store'],
+        ['🏫', 'school', 'school', 'building'],
+        ['🏬', 'department store', 'department_store', 'building department store'],
+        ['🏭', 'factory', 'factory', 'building'],
+        ['🏯', 'Japanese castle', 'japanese_castle', 'building castle japanese'],
+        ['🏰', 'castle', 'european_castle', 'building european'],
+        ['💒', 'wedding', 'wedding', 'chapel hitched nuptials romance'],
+        ['🗼', 'Tokyo tower', 'tokyo_tower', 'tokyo tower'],
+        ['🗽', 'Statue of Liberty', 'statue_of_liberty', 'liberty new ny nyc statue york'],
+        ['⛪', 'church', 'church', 'bless chapel christian cross religion'],
+        ['🕌', 'mosque', 'mosque', 'islam masjid muslim religion'],
+        ['🛕', 'hindu temple', 'hindu_temple', 'hindu temple'],
+        ['🕍', 'synagogue', 'synagogue', 'jew jewish judaism religion temple'],
+        ['⛩️', 'shinto shrine', 'shinto_shrine', 'religion shinto shrine'],
+        ['🕋', 'kaaba', 'kaaba', 'hajj islam muslim religion umrah'],
+        ['⛲', 'fountain', 'fountain', 'fountain'],
+        ['⛺', 'tent', 'tent', 'camping'],
+        ['🌁', 'foggy', 'foggy', 'fog'],
+        ['🌃', 'night with stars', 'night_with_stars', 'night star stars'],
+        ['🏙️', 'cityscape', 'cityscape', 'city'],
+        ['🌄', 'sunrise over mountains', 'sunrise_over_mountains', 'morning mountains over sun sunrise'],
+        ['🌅', 'sunrise', 'sunrise', 'morning nature sun'],
+        ['🌆', 'cityscape at dusk', 'city_sunset', 'at building city cityscape dusk evening landscape sun sunset'],
+        ['🌇', 'sunset', 'city_sunrise', 'building dusk sun'],
+        ['🌉', 'bridge at night', 'bridge_at_night', 'at bridge night'],
+        ['♨️', 'hot springs', 'hotsprings', 'hot hotsprings springs steaming'],
+        ['🎠', 'carousel horse', 'carousel_horse', 'carousel entertainment horse'],
+        ['🛝', 'playground slide', 'playground_slide', 'amusement park play playground playing slide sliding theme'],
+        ['🎡', 'ferris wheel', 'ferris_wheel', 'amusement ferris park theme wheel'],
+        ['🎢', 'roller coaster', 'roller_coaster', 'amusement coaster park roller theme'],
+        ['💈', 'barber pole', 'barber', 'barber cut fresh haircut pole shave'],
+        ['🎪', 'circus tent', 'circus_tent', 'circus tent'],
+        ['🚂', 'locomotive', 'steam_locomotive', 'caboose engine railway steam train trains travel'],
+        ['🚃', 'railway car', 'railway_car', 'car electric railway train tram travel trolleybus'],
+        ['🚄', 'high-speed train', 'bullettrain_side', 'high-speed railway shinkansen speed train'],
+        ['🚅', 'bullet train', 'bullettrain_front', 'bullet high-speed nose railway shinkansen speed train travel'],
+        ['🚆', 'train', 'train2', 'arrived choo railway'],
+        ['🚇', 'metro', 'metro', 'subway travel'],
+        ['🚈', 'light rail', 'light_rail', 'arrived light monorail rail railway'],
+        ['🚉', 'station', 'station', 'railway train'],
+        ['🚊', 'tram', 'tram', 'trolleybus'],
+        ['🚝', 'monorail', 'monorail', 'vehicle'],
+        ['🚞', 'mountain railway', 'mountain_railway', 'car mountain railway trip'],
+        ['🚋', 'tram car', 'train', 'bus car tram trolley trolleybus'],
+        ['🚌', 'bus', 'bus', 'school vehicle'],
+        ['🚍', 'oncoming bus', 'oncoming_bus', 'bus cars oncoming'],
+        ['🚎', 'trolleybus', 'trolleybus', 'bus tram trolley'],
+        ['🚐', 'minibus', 'minibus', 'bus drive van vehicle'],
+        ['🚑', 'ambulance', 'ambulance', 'emergency vehicle'],
+        ['🚒', 'fire engine', 'fire_engine', 'engine fire truck'],
+        ['🚓', 'police car', 'police_car', '5–0 car cops patrol police'],
+        ['🚔', 'oncoming police car', 'oncoming_police_car', 'car oncoming police'],
+        ['🚕', 'taxi', 'taxi', 'cab cabbie car drive vehicle yellow'],
+        ['🚖', 'oncoming taxi', 'oncoming_taxi', 'cab cabbie cars drove hail oncoming taxi yellow'],
+        ['🚗', 'automobile', 'car red_car', 'car driving vehicle'],
+        ['🚘', 'oncoming automobile', 'oncoming_automobile', 'automobile car cars drove oncoming vehicle'],
+        ['🚙', 'sport utility vehicle', 'blue_car', 'car drive recreational sport sportutility utility vehicle'],
+        ['🛻', 'pickup truck', 'pickup_truck', 'automobile car flatbed pick-up pickup transportation truck'],
+        ['🚚', 'delivery truck', 'truck', 'car delivery drive truck vehicle'],
+        ['🚛', 'articulated lorry', 'articulated_lorry', 'articulated car drive lorry move semi truck vehicle'],
+        ['🚜', 'tractor', 'tractor', 'vehicle'],
+        ['🏎️', 'racing car', 'racing_car', 'car racing zoom'],
+        ['🏍️', 'motorcycle', 'racing_motorcycle motorcycle', 'racing'],
+        ['🛵', 'motor scooter', 'motor_scooter', 'motor scooter'],
+        ['🦽', 'manual wheelchair', 'manual_wheelchair', 'accessibility manual wheelchair'],
+        ['🦼', 'motorized wheelchair', 'motorized_wheelchair', 'accessibility motorized wheelchair'],
+        ['🛺', 'auto rickshaw', 'auto_rickshaw', 'auto rickshaw tuk'],
+        ['🚲', 'bicycle', 'bike', 'bike class cycle cycling cyclist gang ride spin spinning'],
+        ['🛴', 'kick scooter', 'scooter kick_scooter', 'kick scooter'],
+        ['🛹', 'skateboard', 'skateboard', 'board skate skater wheels'],
+        ['🛼', 'roller skate', 'roller_skate', 'blades roller skate skates sport'],
+        ['🚏', 'bus stop', 'busstop', 'bus busstop stop'],
+        ['🛣️', 'motorway', 'motorway', 'highway road'],
+        ['🛤️', 'railway track', 'railway_track', 'railway track train'],
+        ['🛢️', 'oil drum', 'oil_drum', 'drum oil'],
+        ['⛽', 'fuel pump', 'fuelpump', 'diesel fuel fuelpump gas gasoline pump station'],
+        ['🛞', 'wheel', 'wheel', 'car circle tire turn vehicle'],
+        ['🚨', 'police car light', 'rotating_light', 'alarm alert beacon car emergency light police revolving siren'],
+        ['🚥', 'horizontal traffic light', 'traffic_light', 'horizontal intersection light signal stop stoplight traffic'],
+        ['🚦', 'vertical traffic light', 'vertical_traffic_light', 'drove intersection light signal stop stoplight traffic vertical'],
+        ['🛑', 'stop sign', 'octagonal_sign stop_sign', 'octagonal sign stop'],
+        ['🚧', 'construction', 'construction', 'barrier'],
+        ['⚓', 'anchor', 'anchor', 'ship tool'],
+        ['🛟', 'ring buoy', 'ring_buoy', 'buoy float life lifesaver preserver rescue ring safety save saver swim'],
+        ['⛵', 'sailboat', 'boat sailboat', 'boat resort sailing sea yacht'],
+        ['🛶', 'canoe', 'canoe', 'boat'],
+        ['🚤', 'speedboat', 'speedboat', 'billionaire boat lake luxury millionaire summer travel'],
+        ['🛳️', 'passenger ship', 'passenger_ship', 'passenger ship'],
+        ['⛴️', 'ferry', 'ferry', 'boat passenger'],
+        ['🛥️', 'motor boat', 'motor_boat', 'boat motor motorboat'],
+        ['🚢', 'ship', 'ship', 'boat passenger travel'],
+        ['✈️', 'airplane', 'airplane', 'aeroplane fly flying jet plane travel'],
+        ['🛩️', 'small airplane', 'small_airplane', 'aeroplane airplane plane small'],
+        ['🛫', 'airplane departure', 'airplane_departure flight_departure', 'aeroplane airplane check-in departure departures plane'],
+        ['🛬', 'airplane arrival', 'airplane_arriving flight_arrival', 'aeroplane airplane arrival arrivals arriving landing plane'],
+        ['🪂', 'parachute', 'parachute', 'hang-glide parasail skydive'],
+        ['💺', 'seat', 'seat', 'chair'],
+        ['🚁', 'helicopter', 'helicopter', 'copter roflcopter travel vehicle'],
+        ['🚟', 'suspension railway', 'suspension_railway', 'railway suspension'],
+        ['🚠', 'mountain cableway', 'mountain_cableway', 'cable cableway gondola lift mountain ski'],
+        ['🚡', 'aerial tramway', 'aerial_tramway', 'aerial cable car gondola ropeway tramway'],
+        ['🛰️', 'satellite', 'satellite artificial_satellite', 'space'],
+        ['🚀', 'rocket', 'rocket', 'launch rockets space travel'],
+        ['🛸', 'flying saucer', 'flying_saucer', 'aliens extra flying saucer terrestrial ufo'],
+        ['🛎️', 'bellhop bell', 'bellhop_bell', 'bell bellhop hotel'],
+        ['🧳', 'luggage', 'luggage', 'bag packing roller suitcase travel'],
+        ['⌛', 'hourglass done', 'hourglass', 'done hourglass sand time timer'],
+        ['⏳', 'hourglass not done', 'hourglass_flowing_sand', 'done flowing hourglass hours not sand timer waiting yolo'],
+        ['⌚', 'watch', 'watch', 'clock time'],
+        ['⏰', 'alarm clock', 'alarm_clock', 'alarm clock hours hrs late time waiting'],
+        ['⏱️', 'stopwatch', 'stopwatch', 'clock time'],
+        ['⏲️', 'timer clock', 'timer_clock', 'clock timer'],
+        ['🕰️', 'mantelpiece clock', 'mantelpiece_clock', 'clock mantelpiece time'],
+        ['🕛', 'twelve o’clock', 'clock12', '12 12:00 clock o’clock time twelve'],
+        ['🕧', 'twelve-thirty', 'clock1230', '12 12:30 30 clock thirty time twelve'],
+        ['🕐', 'one o’clock', 'clock1', '1 1:00 clock one o’clock time'],
+        ['🕜', 'one-thirty', 'clock130', '1 1:30 30 clock one thirty time'],
+        ['🕑', 'two o’clock', 'clock2', '2 2:00 clock o’clock time two'],
+        ['🕝', 'two-thirty', 'clock230', '2 2:30 30 clock thirty time two'],
+        ['🕒', 'three o’clock', 'clock3', '3 3:00 clock o’clock three time'],
+        ['🕞', 'three-thirty', 'clock330', '3 30 3:30 clock thirty three time'],
+        ['🕓', 'four o’clock', 'clock4', '4 4:00 clock four o’clock time'],
+        ['🕟', 'four-thirty', 'clock430', '30 4 4:30 clock four thirty time'],
+        ['🕔', 'five o’clock', 'clock5', '5 5:00 clock five o’clock time'],
+        ['🕠', 'five-thirty', 'clock530', '30 5 5:30 clock five thirty time'],
+        ['🕕', 'six o’clock', 'clock6', '6 6:00 clock o’clock six time'],
+        ['🕡', 'six-thirty', 'clock630', '30 6 6:30 clock six thirty'],
+        ['🕖', 'seven o’clock', 'clock7', '0 7 7:00 clock o’clock seven'],
+        ['🕢', 'seven-thirty', 'clock730', '30 7 7:30 clock seven thirty'],
+        ['🕗', 'eight o’clock', 'clock8', '8 8:00 clock eight o’clock time'],
+        ['🕣', 'eight-thirty', 'clock830', '30 8 8:30 clock eight thirty time'],
+        ['🕘', 'nine o’clock', 'clock9', '9 9:00 clock nine o’clock time'],
+        ['🕤', 'nine-thirty', 'clock930', '30 9 9:30 clock nine thirty time'],
+        ['🕙', 'ten o’clock', 'clock10', '0 10 10:00 clock o’clock ten'],
+        ['🕥', 'ten-thirty', 'clock1030', '10 10:30 30 clock ten thirty time'],
+        ['🕚', 'eleven o’clock', 'clock11', '11 11:00 clock eleven o’clock time'],
+        ['🕦', 'eleven-thirty', 'clock1130', '11 11:30 30 clock eleven thirty time'],
+        ['🌑', 'new moon', 'new_moon', 'dark moon new space'],
+        ['🌒', 'waxing crescent moon', 'waxing_crescent_moon', 'crescent dreams moon space waxing'],
+        ['🌓', 'first quarter moon', 'first_quarter_moon', 'first moon quarter space'],
+        ['🌔', 'waxing gibbous moon', 'moon waxing_gibbous_moon', 'gibbous moon space waxing'],
+        ['🌕', 'full moon', 'full_moon', 'full moon space'],
+        ['🌖', 'waning gibbous moon', 'waning_gibbous_moon', 'gibbous moon space waning'],
+        ['🌗', 'last quarter moon', 'last_quarter_moon', 'last moon quarter space'],
+        ['🌘', 'waning crescent moon', 'waning_crescent_moon', 'crescent moon space waning'],
+        ['🌙', 'crescent moon', 'crescent_moon', 'crescent moon ramadan space'],
+        ['🌚', 'new moon face', 'new_moon_with_face', 'face moon new space'],
+        ['🌛', 'first quarter moon face', 'first_quarter_moon_with_face', 'face first moon quarter space'],
+        ['🌜', 'last quarter moon face', 'last_quarter_moon_with_face', 'dreams face last moon quarter'],
+        ['🌡️', 'thermometer', 'thermometer', 'weather'],
+        ['☀️', 'sun', 'sunny', 'bright rays space sunny weather'],
+        ['🌝', 'full moon face', 'full_moon_with_face', 'bright face full moon'],
+        ['🌞', 'sun with face', 'sun_with_face', 'beach bright day face heat shine sun sunny sunshine weather'],
+        ['🪐', 'ringed planet', 'ringed_planet', 'planet ringed saturn saturnine'],
+        ['⭐', 'star', 'star', 'astronomy medium stars white'],
+        ['🌟', 'glowing star', 'star2', 'glittery glow glowing night shining sparkle star win'],
+        ['🌠', 'shooting star', 'stars', 'falling night shooting space star'],
+        ['🌌', 'milky way', 'milky_way', 'milky space way'],
+        ['☁️', 'cloud', 'cloud', 'weather'],
+        ['⛅', 'sun behind cloud', 'partly_sunny', 'behind cloud cloudy sun weather'],
+        ['⛈️', 'cloud with lightning and rain', 'thunder_cloud_and_rain cloud_with_lightning_and_rain', 'cloud lightning rain thunder thunderstorm'],
+        ['🌤️', 'sun behind small cloud', 'mostly_sunny sun_small_cloud sun_behind_small_cloud', 'behind cloud sun weather'],
+        ['🌥️', 'sun behind large cloud', 'barely_sunny sun_behind_cloud sun_behind_large_cloud', 'behind cloud sun weather'],
+        ['🌦️', 'sun behind rain cloud', 'partly_sunny_rain sun_behind_rain_cloud', 'behind cloud rain sun weather'],
+        ['🌧️', 'cloud with rain', 'rain_cloud cloud_with_rain', 'cloud rain weather'],
+        ['🌨️', 'cloud with snow', 'snow_cloud cloud_with_snow', 'cloud cold snow weather'],
+        ['🌩️', 'cloud with lightning', 'lightning lightning_cloud cloud_with_lightning', 'cloud lightning weather'],
+        ['🌪️', 'tornado', 'tornado tornado_cloud', 'cloud weather whirlwind'],
+        ['🌫️', 'fog', 'fog', 'cloud weather'],
+        ['🌬️', 'wind face', 'wind_blowing_face wind_face', 'blow cloud face wind'],
+        ['🌀', 'cyclone', 'cyclone', 'dizzy hurricane twister typhoon weather'],
+        ['🌈', 'rainbow', 'rainbow', 'gay genderqueer glbt glbtq lesbian lgbt lgbtq lgbtqia nature pride queer rain trans transgender weather'],
+        ['🌂', 'closed umbrella', 'closed_umbrella', 'closed clothing rain umbrella'],
+        ['☂️', 'umbrella', 'umbrella open_umbrella', 'clothing rain'],
+        ['☔', 'umbrella with rain drops', 'umbrella_with_rain_drops umbrella', 'clothing drop drops rain umbrella weather'],
+        ['⛱️', 'umbrella on ground', 'umbrella_on_ground parasol_on_ground', 'ground rain sun umbrella'],
+        ['⚡', 'high voltage', 'zap', 'danger electric electricity high lightning nature thunder thunderbolt voltage zap'],
+        ['❄️', 'snowflake', 'snowflake', 'cold snow weather'],
+        ['☃️', 'snowman', 'snowman snowman_with_snow', 'cold man snow'],
+        ['⛄', 'snowman without snow', 'snowman_without_snow snowman', 'cold man snow snowman'],
+        ['☄️', 'comet', 'comet', 'space'],
+        ['🔥', 'fire', 'fire', 'af burn flame hot lit litaf tool'],
+        ['💧', 'droplet', 'droplet', 'cold comic drop nature sad sweat tear water weather'],
+        ['🌊', 'water wave', 'ocean', 'nature ocean surf surfer surfing water wave']
+      ]
+    },
+    {
+      id: 'activities',
+      name: 'Activities',
+      icon: '⚽',
+      emojis: [
+        ['🎃', 'jack-o-lantern', 'jack_o_lantern', 'celebration halloween jack lantern pumpkin'],
+        ['🎄', 'Christmas tree', 'christmas_tree', 'celebration christmas tree'],
+        ['🎆', 'fireworks', 'fireworks', 'boom celebration entertainment yolo'],
+        ['🎇', 'sparkler', 'sparkler', 'boom celebration fireworks sparkle'],
+        ['🧨', 'firecracker', 'firecracker', 'dynamite explosive fire fireworks light pop popping spark'],
+        ['✨', 'sparkles', 'sparkles', '* magic sparkle star'],
+        ['🎈', 'balloon', 'balloon', 'birthday celebrate celebration'],
+        ['🎉', 'party popper', 'tada', 'awesome birthday celebrate celebration excited hooray party popper tada woohoo'],
+        ['🎊', 'confetti ball', 'confetti_ball', 'ball celebrate celebration confetti party woohoo'],
+        ['🎋', 'tanabata tree', 'tanabata_tree', 'banner celebration japanese tanabata tree'],
+        ['🎍', 'pine decoration', 'bamboo', 'bamboo celebration decoration japanese pine plant'],
+        ['🎎', 'Japanese dolls', 'dolls', 'celebration doll dolls festival japanese'],
+        ['🎏', 'carp streamer', 'flags', 'carp celebration streamer'],
+        ['🎐', 'wind chime', 'wind_chime', 'bell celebration chime wind'],
+        ['🎑', 'moon viewing ceremony', 'rice_scene', 'celebration ceremony moon viewing'],
+        ['🧧', 'red envelope', 'red_envelope', 'envelope gift good hóngbāo lai luck money red see'],
+        ['🎀', 'ribbon', 'ribbon', 'celebration'],
+        ['🎁', 'wrapped gift', 'gift', 'birthday bow box celebration christmas gift present surprise wrapped'],
+        ['🎗️', 'reminder ribbon', 'reminder_ribbon', 'celebration reminder ribbon'],
+        ['🎟️', 'admission tickets', 'admission_tickets tickets', 'admission ticket tickets'],
+        ['🎫', 'ticket', 'ticket', 'admission stub'],
+        ['🎖️', 'military medal', 'medal medal_military', 'award celebration medal military'],
+        ['🏆', 'trophy', 'trophy', 'champion champs prize slay sport victory win winning'],
+        ['🏅', 'sports medal', 'sports_medal medal_sports', 'award gold medal sports winner'],
+        ['🥇', '1st place medal', 'first_place_medal 1st_place_medal', '1st first gold medal place'],
+        ['🥈', '2nd place medal', 'second_place_medal 2nd_place_medal', '2nd medal place second silver'],
+        ['🥉', '3rd place medal', 'third_place_medal 3rd_place_medal', '3rd bronze medal place third'],
+        ['⚽', 'soccer ball', 'soccer', 'ball football futbol soccer sport'],
+        ['⚾', 'baseball', 'baseball', 'ball sport'],
+        ['🥎', 'softball', 'softball', 'ball glove sports underarm'],
+        ['🏀', 'basketball', 'basketball', 'ball hoop sport'],
+        ['🏐', 'volleyball', 'volleyball', 'ball game'],
+        ['🏈', 'american football', 'football', 'american ball bowl football sport super'],
+        ['🏉', 'rugby football', 'rugby_football', 'ball football rugby sport'],
+        ['🎾', 'tennis', 'tennis', 'ball racquet sport'],
+        ['🥏', 'flying disc', 'flying_disc', 'disc flying ultimate'],
+        ['🎳', 'bowling', 'bowling', 'ball game sport strike'],
+        ['🏏', 'cricket game', 'cricket_bat_and_ball cricket_game', 'ball bat cricket game'],
+        ['🏑', 'field hockey', 'field_hockey_stick_and_ball field_hockey', 'ball field game hockey stick'],
+        ['🏒', 'ice hockey', 'ice_hockey_stick_and_puck ice_hockey', 'game hockey ice puck stick'],
+        ['🥍', 'lacrosse', 'lacrosse', 'ball goal sports stick'],
+        ['🏓', 'ping pong', 'table_tennis_paddle_and_ball ping_pong', 'ball bat game paddle ping pingpong pong table tennis'],
+        ['🏸', 'badminton', 'badminton_racquet_and_shuttlecock badminton', 'birdie game racquet shuttlecock'],
+        ['🥊', 'boxing glove', 'boxing_glove', 'boxing glove'],
+        ['🥋', 'martial arts uniform', 'martial_arts_uniform', 'arts judo karate martial taekwondo uniform'],
+        ['🥅', 'goal net', 'goal_net', 'goal net'],
+        ['⛳', 'flag in hole', 'golf', 'flag golf hole sport'],
+        ['⛸️', 'ice skate', 'ice_skate', 'ice skate skating'],
+        ['🎣', 'fishing pole', 'fishing_pole_and_fish', 'entertainment fish fishing pole sport'],
+        ['🤿', 'diving mask', 'diving_mask', 'diving mask scuba snorkeling'],
+        ['🎽', 'running shirt', 'running_shirt_with_sash', 'athletics running sash shirt'],
+        ['🎿', 'skis', 'ski', 'ski snow sport'],
+        ['🛷', 'sled', 'sled', 'luge sledge sleigh snow toboggan'],
+        ['🥌', 'curling stone', 'curling_stone', 'curling game rock stone'],
+        ['🎯', 'bullseye', 'dart', 'bull dart direct entertainment game hit target'],
+        ['🪀', 'yo-yo', 'yo-yo yo_yo', 'fluctuate toy'],
+        ['🪁', 'kite', 'kite', 'fly soar'],
+        ['🔫', 'water pistol', 'gun', 'gun handgun pistol revolver tool water weapon'],
+        ['🎱', 'pool 8 ball', '8ball', '8 8ball ball billiard eight game pool'],
+        ['🔮', 'crystal ball', 'crystal_ball', 'ball crystal fairy fairytale fantasy fortune future magic tale tool'],
+        ['🪄', 'magic wand', 'magic_wand', 'magic magician wand witch wizard'],
+        ['🎮', 'video game', 'video_game', 'controller entertainment game video'],
+        ['🕹️', 'joystick', 'joystick', 'game video videogame'],
+        ['🎰', 'slot machine', 'slot_machine', 'casino gamble gambling game machine slot slots'],
+        ['🎲', 'game die', 'game_die', 'dice die entertainment game'],
+        ['🧩', 'puzzle piece', 'jigsaw', 'clue interlocking jigsaw piece puzzle'],
+        ['🧸', 'teddy bear', 'teddy_bear', 'bear plaything plush stuffed teddy toy'],
+        ['🪅', 'piñata', 'pinata', 'candy celebrate celebration cinco de festive mayo party pinada pinata'],
+        ['🪩', 'mirror ball', 'mirror_ball', 'ball dance disco glitter mirror party'],
+        ['🪆', 'nesting dolls', 'nesting_dolls', 'babooshka baboushka babushka doll dolls matryoshka nesting russia'],
+        ['♠️', 'spade suit', 'spades', 'card game spade suit'],
+        ['♥️', 'heart suit', 'hearts', 'card emotion game heart hearts suit'],
+        ['♦️', 'diamond suit', 'diamonds', 'card diamond game suit'],
+        ['♣️', 'club suit', 'clubs', 'card club clubs game suit'],
+        ['♟️', 'chess pawn', 'chess_pawn', 'chess dupe expendable pawn'],
+        ['🃏', 'joker', 'black_joker', 'card game wildcard'],
+        ['🀄', 'mahjong red dragon', 'mahjong', 'dragon game mahjong red'],
+        ['🎴', 'flower playing cards', 'flower_playing_cards', 'card cards flower game japanese playing'],
+        ['🎭', 'performing arts', 'performing_arts', 'actor actress art arts entertainment mask performing theater theatre thespian'],
+        ['🖼️', 'framed picture', 'frame_with_picture framed_picture', 'art frame framed museum painting picture'],
+        ['🎨', 'artist palette', 'art', 'art artist artsy arty colorful creative entertainment museum painter painting palette'],
+        ['🧵', 'thread', 'thread', 'needle sewing spool string'],
+        ['🪡', 'sewing needle', 'sewing_needle', 'embroidery needle sew sewing stitches sutures tailoring thread'],
+        ['🧶', 'yarn', 'yarn', 'ball crochet knit'],
+        ['🪢', 'knot', 'knot', 'cord rope tangled tie twine twist']
+      ]
+    },
+    {
+      id: 'objects',
+      name: 'Objects',
+      icon: '💡',
+      emojis: [
+        ['👓', 'glasses', 'eyeglasses', 'clothing eye eyeglasses eyewear'],
+        ['🕶️', 'sunglasses', 'dark_sunglasses', 'dark eye eyewear glasses'],
+        ['🥽', 'goggles', 'goggles', 'dive eye protection scuba swimming welding'],
+        ['🥼', 'lab coat', 'lab_coat', 'clothes coat doctor dr experiment jacket lab scientist white'],
+        ['🦺', 'safety vest', 'safety_vest', 'emergency safety vest'],
+        ['👔', 'necktie', 'necktie', 'clothing employed serious shirt tie'],
+        ['👕', 't-shirt', 'shirt tshirt', 'blue casual clothes clothing collar dressed shirt shopping tshirt weekend'],
+        ['👖', 'jeans', 'jeans', 'blue casual clothes clothing denim dressed pants shopping trousers weekend'],
+        ['🧣', 'scarf', 'scarf', 'bundle cold neck up'],
+        ['🧤', 'gloves', 'gloves', 'hand'],
+        ['🧥', 'coat', 'coat', 'brr bundle cold jacket up'],
+        ['🧦', 'socks', 'socks', 'stocking'],
+        ['👗', 'dress', 'dress', 'clothes clothing dressed fancy shopping'],
+        ['👘', 'kimono', 'kimono', 'clothing comfortable'],
+        ['🥻', 'sari', 'sari', 'clothing dress'],
+        ['🩱', 'one-piece swimsuit', 'one-piece_swimsuit one_piece_swimsuit', 'bathing one-piece suit swimsuit'],
+        ['🩲', 'briefs', 'briefs swim_brief', 'bathing one-piece suit swimsuit underwear'],
+        ['🩳', 'shorts', 'shorts', 'bathing pants suit swimsuit underwear'],
+        ['👙', 'bikini', 'bikini', 'bathing beach clothing pool suit swim'],
+        ['👚', 'woman’s clothes', 'womans_clothes', 'blouse clothes clothing collar dress dressed lady shirt shopping woman woman’s'],
+        ['🪭', 'folding hand fan', 'folding_hand_fan', 'clack clap cool cooling dance fan flirt flutter folding hand hot shy'],
+        ['👛', 'purse', 'purse', 'clothes clothing coin dress fancy handbag shopping'],
+        ['👜', 'handbag', 'handbag', 'bag clothes clothing dress lady purse shopping'],
+        ['👝', 'clutch bag', 'pouch', 'bag clothes clothing clutch dress handbag pouch purse'],
+        ['🛍️', 'shopping bags', 'shopping_bags shopping', 'bag bags hotel shopping'],
+        ['🎒', 'backpack', 'school_satchel', 'backpacking bag bookbag education rucksack satchel school'],
+        ['🩴', 'thong sandal', 'thong_sandal', 'beach flip flop sandal sandals shoe thong thongs zōri'],
+        ['👞', 'man’s shoe', 'mans_shoe shoe', 'brown clothes clothing feet foot kick man man’s shoe shoes shopping'],
+        ['👟', 'running shoe', 'athletic_shoe', 'athletic clothes clothing fast kick running shoe shoes shopping sneaker tennis'],
+        ['🥾', 'hiking boot', 'hiking_boot', 'backpacking boot brown camping hiking outdoors shoe'],
+        ['🥿', 'flat shoe', 'womans_flat_shoe flat_shoe', 'ballet comfy flat flats shoe slip-on slipper'],
+        ['👠', 'high-heeled shoe', 'high_heel', 'clothes clothing dress fashion heel heels high-heeled shoe shoes shopping stiletto woman'],
+        ['👡', 'woman’s sandal', 'sandal', 'clothing sandal shoe woman woman’s'],
+        ['🩰', 'ballet shoes', 'ballet_shoes', 'ballet dance shoes'],
+        ['👢', 'woman’s boot', 'boot', 'boot clothes clothing dress shoe shoes shopping woman woman’s'],
+        ['🪮', 'hair pick', 'hair_pick', 'afro comb groom hair pick'],
+        ['👑', 'crown', 'crown', 'clothing family king medieval queen royal royalty win'],
+        ['👒', 'woman’s hat', 'womans_hat', 'clothes clothing garden hat hats party woman woman’s'],
+        ['🎩', 'top hat', 'tophat', 'clothes clothing fancy formal hat magic top tophat'],
+        ['🎓', 'graduation cap', 'mortar_board', 'cap celebration clothing education graduation hat scholar'],
+        ['🧢', 'billed cap', 'billed_cap', 'baseball bent billed cap dad hat'],
+        ['🪖', 'military helmet', 'military_helmet', 'army helmet military soldier war warrior'],
+        ['⛑️', 'rescue worker’s helmet', 'helmet_with_white_cross rescue_worker_helmet', 'aid cross face hat helmet rescue worker’s'],
+        ['📿', 'prayer beads', 'prayer_beads', 'beads clothing necklace prayer religion'],
+        ['💄', 'lipstick', 'lipstick', 'cosmetics date makeup'],
+        ['💍', 'ring', 'ring', 'diamond engaged engagement married romance shiny sparkling wedding'],
+        ['💎', 'gem stone', 'gem', 'diamond engagement gem jewel money romance stone wedding'],
+        ['🔇', 'muted speaker', 'mute', 'mute muted quiet silent sound speaker'],
+        ['🔈', 'speaker low volume', 'speaker', 'low soft sound speaker volume'],
+        ['🔉', 'speaker medium volume', 'sound', 'medium sound speaker volume'],
+        ['🔊', 'speaker high volume', 'loud_sound', 'high loud music sound speaker volume'],
+        ['📢', 'loudspeaker', 'loudspeaker', 'address communication loud public sound'],
+        ['📣', 'megaphone', 'mega', 'cheering sound'],
+        ['📯', 'postal horn', 'postal_horn', 'horn post postal'],
+        ['🔔', 'bell', 'bell', 'break church sound'],
+        ['🔕', 'bell with slash', 'no_bell', 'bell forbidden mute no not prohibited quiet silent slash sound'],
+        ['🎼', 'musical score', 'musical_score', 'music musical note score'],
+        ['🎵', 'musical note', 'musical_note', 'music musical note sound'],
+        ['🎶', 'musical notes', 'notes', 'music musical note notes sound'],
+        ['🎙️', 'studio microphone', 'studio_microphone', 'mic microphone music studio'],
+        ['🎚️', 'level slider', 'level_slider', 'level music slider'],
+        ['🎛️', 'control knobs', 'control_knobs', 'control knobs music'],
+        ['🎤', 'microphone', 'microphone', 'karaoke mic music sing sound'],
+        ['🎧', 'headphone', 'headphones', 'earbud sound'],
+        ['📻', 'radio', 'radio', 'entertainment tbt video'],
+        ['🎷', 'saxophone', 'saxophone', 'instrument music sax'],
+        ['🎺', 'trumpet', 'trumpet', 'instrument music'],
+        ['🪗', 'accordion', 'accordion', 'box concertina instrument music squeeze squeezebox'],
+        ['🎸', 'guitar', 'guitar', 'instrument music strat'],
+        ['🎹', 'musical keyboard', 'musical_keyboard', 'instrument keyboard music musical piano'],
+        ['🎻', 'violin', 'violin', 'instrument music'],
+        ['🪕', 'banjo', 'banjo', 'music stringed'],
+        ['🥁', 'drum', 'drum_with_drumsticks drum', 'drumsticks music'],
+        ['🪘', 'long drum', 'long_drum', 'beat conga drum instrument long rhythm'],
+        ['🪇', 'maracas', 'maracas', 'cha dance instrument music party percussion rattle shake shaker'],
+        ['🪈', 'flute', 'flute', 'band fife flautist instrument marching music orchestra piccolo pipe recorder woodwind'],
+        ['📱', 'mobile phone', 'iphone', 'cell communication mobile phone telephone'],
+        ['📲', 'mobile phone with arrow', 'calling', 'arrow build call cell communication mobile phone receive telephone'],
+        ['☎️', 'telephone', 'phone telephone', 'phone'],
+        ['📞', 'telephone receiver', 'telephone_receiver', 'communication phone receiver telephone voip'],
+        ['📟', 'pager', 'pager', 'communication'],
+        ['📠', 'fax machine', 'fax', 'communication fax machine'],
+        ['🔋', 'battery', 'battery', 'battery'],
+        ['🪫', 'low battery', 'low_battery', 'battery drained electronic energy low power'],
+        ['🔌', 'electric plug', 'electric_plug', 'electric electricity plug'],
+        ['💻', 'laptop', 'computer', 'computer office pc personal'],
+        ['🖥️', 'desktop computer', 'desktop_computer', 'computer desktop monitor'],
+        ['🖨️', 'printer', 'printer', 'computer'],
+        ['⌨️', 'keyboard', 'keyboard', 'computer'],
+        ['🖱️', 'computer mouse', 'three_button_mouse computer_mouse', 'computer mouse'],
+        ['🖲️', 'trackball', 'trackball', 'computer'],
+        ['💽', 'computer disk', 'minidisc', 'computer disk minidisk optical'],
+        ['💾', 'floppy disk', 'floppy_disk', 'computer disk floppy'],
+        ['💿', 'optical disk', 'cd', 'blu-ray cd computer disk dvd optical'],
+        ['📀', 'dvd', 'dvd', 'blu-ray cd computer disk optical'],
+        ['🧮', 'abacus', 'abacus', 'calculation calculator'],
+        ['🎥', 'movie camera', 'movie_camera', 'bollywood camera cinema film hollywood movie record'],
+        ['🎞️', 'film frames', 'film_frames film_strip', 'cinema film frames movie'],
+        ['📽️', 'film projector', 'film_projector', 'cinema film movie projector video'],
+        ['🎬', 'clapper board', 'clapper', 'action board clapper movie'],
+        ['📺', 'television', 'tv', 'tv video'],
+        ['📷', 'camera', 'camera', 'photo selfie snap tbt trip video'],
+        ['📸', 'camera with flash', 'camera_with_flash camera_flash', 'camera flash video'],
+        ['📹', 'video camera', 'video_camera', 'camcorder camera tbt video'],
+        ['📼', 'videocassette', 'vhs', 'old school tape vcr vhs video'],
+        ['🔍', 'magnifying glass tilted left', 'mag', 'glass lab left left-pointing magnifying science search tilted tool'],
+        ['🔎', 'magnifying glass tilted right', 'mag_right', 'contact glass lab magnifying right right-pointing science search tilted tool'],
+        ['🕯️', 'candle', 'candle', 'light'],
+        ['💡', 'light bulb', 'bulb', 'bulb comic electric idea light'],
+        ['🔦', 'flashlight', 'flashlight', 'electric light tool torch'],
+        ['🏮', 'red paper lantern', 'izakaya_lantern lantern', 'bar lantern light paper red restaurant'],
+        ['🪔', 'diya lamp', 'diya_lamp', 'diya lamp light oil'],
+        ['📔', 'notebook with decorative cover', 'notebook_with_decorative_cover', 'book cover decorated decorative education notebook school writing'],
+        ['📕', 'closed book', 'closed_book', 'book closed education'],
+        ['📖', 'open book', 'book open_book', 'book education fantasy knowledge library novels open reading'],
+        ['📗', 'green book', 'green_book', 'book education fantasy green library reading'],
+        ['📘', 'blue book', 'blue_book', 'blue book education fantasy library reading'],
+        ['📙', 'orange book', 'orange_book', 'book education fantasy library orange reading'],
+        ['📚', 'books', 'books', 'book education fantasy knowledge library novels reading school study'],
+        ['📓', 'notebook', 'notebook', 'notebook'],
+        ['📒', 'ledger', 'ledger', 'notebook'],
+        ['📃', 'page with curl', 'page_with_curl', 'curl document page paper'],
+        ['📜', 'scroll', 'scroll', 'paper'],
+        ['📄', 'page facing up', 'page_facing_up', 'document facing page paper up'],
+        ['📰', 'newspaper', 'newspaper', 'communication news paper'],
+        ['🗞️', 'rolled-up newspaper', 'rolled_up_newspaper newspaper_roll', 'news newspaper paper rolled rolled-up'],
+        ['📑', 'bookmark tabs', 'bookmark_tabs', 'bookmark mark marker tabs'],
+        ['🔖', 'bookmark', 'bookmark', 'mark'],
+        ['🏷️', 'label', 'label', 'tag'],
+        ['🪙', 'coin', 'coin', 'dollar euro gold metal money rich silver treasure'],
+        ['💰', 'money bag', 'moneybag', 'bag bank bet billion cash cost dollar gold million money moneybag paid paying pot rich win'],
+        ['💴', 'yen banknote', 'yen', 'bank banknote bill currency money note yen'],
+        ['💵', 'dollar banknote', 'dollar', 'bank banknote bill currency dollar money note'],
+        ['💶', 'euro banknote', 'euro', '100 bank banknote bill currency euro money note rich'],
+        ['💷', 'pound banknote', 'pound', 'bank banknote bill billion cash currency money note pound pounds'],
+        ['💸', 'money with wings', 'money_with_wings', 'bank banknote bill billion cash dollar fly million money note pay wings'],
+        ['💳', 'credit card', 'credit_card', 'bank card cash charge credit money pay'],
+        ['🧾', 'receipt', 'receipt', 'accounting bookkeeping evidence invoice proof'],
+        ['💹', 'chart increasing with yen', 'chart', 'bank chart currency graph growth increasing market money rise trend upward yen'],
+        ['✉️', 'envelope', 'email envelope', 'e-mail email letter'],
+        ['📧', 'e-mail', 'e-mail email', 'email letter mail'],
+        ['📨', 'incoming envelope', 'incoming_envelope', 'delivering e-mail email envelope incoming letter mail receive sent'],
+        ['📩', 'envelope with arrow', 'envelope_with_arrow', 'arrow communication down e-mail email envelope letter mail outgoing send sent'],
+        ['📤', 'outbox tray', 'outbox_tray', 'box email letter mail outbox sent tray'],
+        ['📥', 'inbox tray', 'inbox_tray', 'box email inbox letter mail receive tray zero'],
+        ['📦', 'package', 'package', 'box communication delivery parcel shipping'],
+        ['📫', 'closed mailbox with raised flag', 'mailbox', 'closed communication flag mail mailbox postbox raised'],
+        ['📪', 'closed mailbox with lowered flag', 'mailbox_closed', 'closed flag lowered mail mailbox postbox'],
+        ['📬', 'open mailbox with raised flag', 'mailbox_with_mail', 'flag mail mailbox open postbox raised'],
+        ['📭', 'open mailbox with lowered flag', 'mailbox_with_no_mail', 'flag lowered mail mailbox open postbox'],
+        ['📮', 'postbox', 'postbox', 'mail mailbox'],
+        ['🗳️', 'ballot box with ballot', 'ballot_box_with_ballot ballot_box', 'ballot box'],
+        ['✏️', 'pencil', 'pencil2', 'pencil'],
+        ['✒️', 'black nib', 'black_nib', 'black nib pen'],
+        ['🖋️', 'fountain pen', 'lower_left_fountain_pen fountain_pen', 'fountain pen'],
+        ['🖊️', 'pen', 'lower_left_ballpoint_pen pen', 'ballpoint'],
+        ['🖌️', 'paintbrush', 'lower_left_paintbrush paintbrush', 'painting'],
+        ['🖍️', 'crayon', 'lower_left_crayon crayon', 'crayon'],
+        ['📝', 'memo', 'memo pencil', 'communication media notes pencil'],
+        ['💼', 'briefcase', 'briefcase', 'office'],
+        ['📁', 'file folder', 'file_folder', 'file folder'],
+        ['📂', 'open file folder', 'open_file_folder', 'file folder open'],
+        ['🗂️', 'card index dividers', 'card_index_dividers', 'card dividers index'],
+        ['📅', 'calendar', 'date', 'date'],
+        ['📆', 'tear-off calendar', 'calendar', 'calendar tear-off'],
+        ['🗒️', 'spiral notepad', 'spiral_note_pad spiral_notepad', 'note notepad pad spiral'],
+        ['🗓️', 'spiral calendar', 'spiral_calendar_pad spiral_calendar', 'calendar pad spiral'],
+        ['📇', 'card index', 'card_index', 'card index old rolodex school'],
+        ['📈', 'chart increasing', 'chart_with_upwards_trend', 'chart data graph growth increasing right trend up upward'],
+        ['📉', 'chart decreasing', 'chart_with_downwards_trend', 'chart data decreasing down downward graph negative trend'],
+        ['📊', 'bar chart', 'bar_chart', 'bar chart data graph'],
+        ['📋', 'clipboard', 'clipboard', 'do list notes'],
+        ['📌', 'pushpin', 'pushpin', 'collage pin'],
+        ['📍', 'round pushpin', 'round_pushpin', 'location map pin pushpin round'],
+        ['📎', 'paperclip', 'paperclip', 'paperclip'],
+        ['🖇️', 'linked paperclips', 'linked_paperclips paperclips', 'link linked paperclip paperclips'],
+        ['📏', 'straight ruler', 'straight_ruler', 'angle edge math ruler straight straightedge'],
+        ['📐', 'triangular ruler', 'triangular_ruler', 'angle math rule ruler set slide triangle triangular'],
+        ['✂️', 'scissors', 'scissors', 'cut cutting paper tool'],
+        ['🗃️', 'card file box', 'card_file_box', 'box card file'],
+        ['🗄️', 'file cabinet', 'file_cabinet', 'cabinet file filing paper'],
+        ['🗑️', 'wastebasket', 'wastebasket', 'can garbage trash waste'],
+        ['🔒', 'locked', 'lock', 'closed lock private'],
+        ['🔓', 'unlocked', 'unlock', 'cracked lock open unlock'],
+        ['🔏', 'locked with pen', 'lock_with_ink_pen', 'ink lock locked nib pen privacy'],
+        ['🔐', 'locked with key', 'closed_lock_with_key', 'bike closed key lock locked secure'],
+        ['🔑', 'key', 'key', 'keys lock major password unlock'],
+        ['🗝️', 'old key', 'old_key', 'clue key lock old'],
+        ['🔨', 'hammer', 'hammer', 'home improvement repairs tool'],
+        ['🪓', 'axe', 'axe', 'ax chop hatchet split wood'],
+        ['⛏️', 'pick', 'pick', 'hammer mining tool'],
+        ['⚒️', 'hammer and pick', 'hammer_and_pick', 'hammer pick tool'],
+        ['🛠️', 'hammer and wrench', 'hammer_and_wrench', 'hammer spanner tool wrench'],
+        ['🗡️', 'dagger', 'dagger_knife dagger', 'knife weapon'],
+        ['⚔️', 'crossed swords', 'crossed_swords', 'crossed swords weapon'],
+        ['💣', 'bomb', 'bomb', 'boom comic dangerous explosion hot'],
+        ['🪃', 'boomerang', 'boomerang', 'rebound repercussion weapon'],
+        ['🏹', 'bow and arrow', 'bow_and_arrow', 'archer archery arrow bow sagittarius tool weapon zodiac'],
+        ['🛡️', 'shield', 'shield', 'weapon'],
+        ['🪚', 'carpentry saw', 'carpentry_saw', 'carpenter carpentry cut lumber saw tool trim'],
+        ['🔧', 'wrench', 'wrench', 'home improvement spanner tool'],
+        ['🪛', 'screwdriver', 'screwdriver', 'flathead handy screw tool'],
+        ['🔩', 'nut and bolt', 'nut_and_bolt', 'bolt home improvement nut tool'],
+        ['⚙️', 'gear', 'gear', 'cog cogwheel tool'],
+        ['🗜️', 'clamp', 'compression clamp', 'compress tool vice'],
+        ['⚖️', 'balance scale', 'scales balance_scale', 'balance justice libra scale scales tool weight zodiac'],
+        ['🦯', 'white cane', 'probing_cane', 'accessibility blind cane probing white'],
+        ['🔗', 'link', 'link', 'links'],
+        ['⛓️‍💥', 'broken chain', 'broken_chain', 'break breaking broken chain cuffs freedom'],
+        ['⛓️', 'chains', 'chains', 'chain'],
+        ['🪝', 'hook', 'hook', 'catch crook curve ensnare point selling'],
+        ['🧰', 'toolbox', 'toolbox', 'box chest mechanic red tool'],
+        ['🧲', 'magnet', 'magnet', 'attraction horseshoe magnetic negative positive shape u'],
+        ['🪜', 'ladder', 'ladder', 'climb rung step'],
+        ['⚗️', 'alembic', 'alembic', 'chemistry tool'],
+        ['🧪', 'test tube', 'test_tube', 'chemist chemistry experiment lab science test tube'],
+        ['🧫', 'petri dish', 'petri_dish', 'bacteria biologist biology culture dish lab petri'],
+        ['🧬', 'dna', 'dna', 'biologist evolution gene genetics life'],
+        ['🔬', 'microscope', 'microscope', 'experiment lab science tool'],
+        ['🔭', 'telescope', 'telescope', 'contact extraterrestrial science tool'],
+        ['📡', 'satellite antenna', 'satellite_antenna satellite', 'aliens antenna contact dish satellite science'],
+        ['💉', 'syringe', 'syringe', 'doctor flu medicine needle shot sick tool vaccination'],
+        ['🩸', 'drop of blood', 'drop_of_blood', 'bleed blood donation drop injury medicine menstruation'],
+        ['💊', 'pill', 'pill', 'doctor drugs medicated medicine pills sick vitamin'],
+        ['🩹', 'adhesive bandage', 'adhesive_bandage', 'adhesive bandage'],
+        ['🩼', 'crutch', 'crutch', 'aid cane disability help hurt injured mobility stick'],
+        ['🩺', 'stethoscope', 'stethoscope', 'doctor heart medicine'],
+        ['🩻', 'x-ray', 'x-ray x_ray', 'bones doctor medical skeleton skull xray'],
+        ['🚪', 'door', 'door', 'back closet front'],
+        ['🛗', 'elevator', 'elevator', 'accessibility hoist lift'],
+        ['🪞', 'mirror', 'mirror', 'makeup reflection reflector speculum'],
+        ['🪟', 'window', 'window', 'air frame fresh opening transparent view'],
+        ['🛏️', 'bed', 'bed', 'hotel sleep'],
+        ['🛋️', 'couch and lamp', 'couch_and_lamp', 'couch hotel lamp'],
+        ['🪑', 'chair', 'chair', 'seat sit'],
+        ['🚽', 'toilet', 'toilet', 'bathroom'],
+        ['🪠', 'plunger', 'plunger', 'cup force plumber poop suction toilet'],
+        ['🚿', 'shower', 'shower', 'water'],
+        ['🛁', 'bathtub', 'bathtub', 'bath'],
+        ['🪤', 'mouse trap', 'mouse_trap', 'bait cheese lure mouse mousetrap snare trap'],
+        ['🪒', 'razor', 'razor', 'sharp shave'],
+        ['🧴', 'lotion bottle', 'lotion_bottle', 'bottle lotion moisturizer shampoo sunscreen'],
+        ['🧷', 'safety pin', 'safety_pin', 'diaper pin punk rock safety'],
+        ['🧹', 'broom', 'broom', 'cleaning sweeping witch'],
+        ['🧺', 'basket', 'basket', 'farming laundry picnic'],
+        ['🧻', 'roll of paper', 'roll_of_paper', 'paper roll toilet towels'],
+        ['🪣', 'bucket', 'bucket', 'cask pail vat'],
+        ['🧼', 'soap', 'soap', 'bar bathing clean cleaning lather soapdish'],
+        ['🫧', 'bubbles', 'bubbles', 'bubble burp clean floating pearl soap underwater'],
+        ['🪥', 'toothbrush', 'toothbrush', 'bathroom brush clean dental hygiene teeth toiletry'],
+        ['🧽', 'sponge', 'sponge', 'absorbing cleaning porous soak'],
+        ['🧯', 'fire extinguisher', 'fire_extinguisher', 'extinguish extinguisher fire quench'],
+        ['🛒', 'shopping cart', 'shopping_trolley shopping_cart', 'cart shopping trolley'],
+        ['🚬', 'cigarette', 'smoking', 'smoking'],
+        ['⚰️', 'coffin', 'coffin', 'dead death vampire'],
+        ['🪦', 'headstone', 'headstone', 'cemetery dead grave graveyard memorial rip tomb tombstone'],
+        ['⚱️', 'funeral urn', 'funeral_urn', 'ashes death funeral urn'],
+        ['🧿', 'nazar amulet', 'nazar_amulet', 'amulet bead blue charm evil-eye nazar talisman'],
+        ['🪬', 'hamsa', 'hamsa', 'amulet fatima fortune guide hand mary miriam palm protect protection'],
+        ['🗿', 'moai', 'moyai', 'face moyai statue stoneface travel'],
+        ['🪧', 'placard', 'placard', 'card demonstration notice picket plaque protest sign'],
+        ['🪪', 'identification card', 'identification_card', 'card credentials document id identification license security']
+      ]
+    },
+    {
+      id: 'symbols',
+      name: 'Symbols',
+      icon: '💟',
+      emojis: [
+        ['🏧', 'ATM sign', 'atm', 'atm automated bank cash money sign teller'],
+        ['🚮', 'litter in bin sign', 'put_litter_in_its_place', 'bin litter litterbin sign'],
+        ['🚰', 'potable water', 'potable_water', 'drinking potable water'],
+        ['♿', 'wheelchair symbol', 'wheelchair', 'access handicap symbol wheelchair'],
+        ['🚹', 'men’s room', 'mens', 'bathroom lavatory man men’s restroom room toilet wc'],
+        ['🚺', 'women’s room', 'womens', 'bathroom lavatory restroom room toilet wc woman women’s'],
+        ['🚻', 'restroom', 'restroom', 'bathroom lavatory toilet wc'],
+        ['🚼', 'baby symbol', 'baby_symbol', 'baby changing symbol'],
+        ['🚾', 'water closet', 'wc', 'bathroom closet lavatory restroom toilet water wc'],
+        ['🛂', 'passport control', 'passport_control', 'control passport'],
+        ['🛃', 'customs', 'customs', 'packing'],
+        ['🛄', 'baggage claim', 'baggage_claim', 'arrived baggage bags case checked claim journey packing plane ready travel trip'],
+        ['🛅', 'left luggage', 'left_luggage', 'baggage case left locker luggage'],
+        ['⚠️', 'warning', 'warning', 'caution'],
+        ['🚸', 'children crossing', 'children_crossing', 'child children crossing pedestrian traffic'],
+        ['⛔', 'no entry', 'no_entry', 'do entry fail forbidden no not pass prohibited traffic'],
+        ['🚫', 'prohibited', 'no_entry_sign', 'entry forbidden no not smoke'],
+        ['🚳', 'no bicycles', 'no_bicycles', 'bicycle bicycles bike forbidden no not prohibited'],
+        ['🚭', 'no smoking', 'no_smoking', 'forbidden no not prohibited smoke smoking'],
+        ['🚯', 'no littering', 'do_not_litter', 'forbidden litter littering no not prohibited'],
+        ['🚱', 'non-potable water', 'non-potable_water', 'dry non-drinking non-potable prohibited water'],
+        ['🚷', 'no pedestrians', 'no_pedestrians', 'forbidden no not pedestrian pedestrians prohibited'],
+        ['📵', 'no mobile phones', 'no_mobile_phones', 'cell forbidden mobile no not phone phones prohibited telephone'],
+        ['🔞', 'no one under eighteen', 'underage', '18 age eighteen forbidden no not one prohibited restriction underage'],
+        ['☢️', 'radioactive', 'radioactive_sign radioactive', 'sign'],
+        ['☣️', 'biohazard', 'biohazard_sign biohazard', 'sign'],
+        ['⬆️', 'up arrow', 'arrow_up', 'arrow cardinal direction north up'],
+        ['↗️', 'up-right arrow', 'arrow_upper_right', 'arrow direction intercardinal northeast up-right'],
+        ['➡️', 'right arrow', 'arrow_right', 'arrow cardinal direction east right'],
+        ['↘️', 'down-right arrow', 'arrow_lower_right', 'arrow direction down-right intercardinal southeast'],
+        ['⬇️', 'down arrow', 'arrow_down', 'arrow cardinal direction down south'],
+        ['↙️', 'down-left arrow', 'arrow_lower_left', 'arrow direction down-left intercardinal southwest'],
+        ['⬅️', 'left arrow', 'arrow_left', 'arrow cardinal direction left west'],
+        ['↖️', 'up-left arrow', 'arrow_upper_left', 'arrow direction intercardinal northwest up-left'],
+        ['↕️', 'up-down arrow', 'arrow_up_down', 'arrow up-down'],
+        ['↔️', 'left-right arrow', 'left_right_arrow', 'arrow left-right'],
+        ['↩️', 'right arrow curving left', 'leftwards_arrow_with_hook', 'arrow curving left right'],
+        ['↪️', 'left arrow curving right', 'arrow_right_hook', 'arrow curving left right'],
+        ['⤴️', 'right arrow curving up', 'arrow_heading_up', 'arrow curving right up'],
+        ['⤵️', 'right arrow curving down', 'arrow_heading_down', 'arrow curving down right'],
+        ['🔃', 'clockwise vertical arrows', 'arrows_clockwise', 'arrow arrows clockwise refresh reload vertical'],
+        ['🔄', 'counterclockwise arrows button', 'arrows_counterclockwise', 'again anticlockwise arrow arrows button counterclockwise deja refresh rewindershins vu'],
+        ['🔙', 'BACK arrow', 'back', 'arrow back'],
+        ['🔚', 'END arrow', 'end', 'arrow end'],
+        ['🔛', 'ON! arrow', 'on', 'arrow mark on!'],
+        ['🔜', 'SOON arrow', 'soon', 'arrow brb omw soon'],
+        ['🔝', 'TOP arrow', 'top', 'arrow homie top up'],
+        ['🛐', 'place of worship', 'place_of_worship', 'place pray religion worship'],
+        ['⚛️', 'atom symbol', 'atom_symbol', 'atheist atom symbol'],
+        ['🕉️', 'om', 'om_symbol om', 'hindu religion'],
+        ['✡️', 'star of David', 'star_of_david', 'david jew jewish judaism religion star'],
+        ['☸️', 'wheel of dharma', 'wheel_of_dharma', 'buddhist dharma religion wheel'],
+        ['☯️', 'yin yang', 'yin_yang', 'difficult lives religion tao taoist total yang yin yinyang'],
+        ['✝️', 'latin cross', 'latin_cross', 'christ christian cross latin religion'],
+        ['☦️', 'orthodox cross', 'orthodox_cross', 'christian cross orthodox religion'],
+        ['☪️', 'star and crescent', 'star_and_crescent', 'crescent islam muslim ramadan religion star'],
+        ['☮️', 'peace symbol', 'peace_symbol', 'healing peace peaceful symbol'],
+        ['🕎', 'menorah', 'menorah_with_nine_branches menorah', 'candelabrum candlestick hanukkah jewish judaism religion'],
+        ['🔯', 'dotted six-pointed star', 'six_pointed_star', 'dotted fortune jewish judaism six-pointed star'],
+        ['🪯', 'khanda', 'khanda', 'deg fateh khalsa religion sikh sikhism tegh'],
+        ['♈', 'Aries', 'aries', 'aries horoscope ram zodiac'],
+        ['♉', 'Taurus', 'taurus', 'bull horoscope ox taurus zodiac'],
+        ['♊', 'Gemini', 'gemini', 'gemini horoscope twins zodiac'],
+        ['♋', 'Cancer', 'cancer', 'cancer crab horoscope zodiac'],
+        ['♌', 'Leo', 'leo', 'horoscope leo lion zodiac'],
+        ['♍', 'Virgo', 'virgo', 'horoscope virgo zodiac'],
+        ['♎', 'Libra', 'libra', 'balance horoscope justice libra scales zodiac'],
+        ['♏', 'Scorpio', 'scorpius', 'horoscope scorpio scorpion scorpius zodiac'],
+        ['♐', 'Sagittarius', 'sagittarius', 'archer horoscope sagittarius zodiac'],
+        ['♑', 'Capricorn', 'capricorn', 'capricorn goat horoscope zodiac'],
+        ['♒', 'Aquarius', 'aquarius', 'aquarius bearer horoscope water zodiac'],
+        ['♓', 'Pisces', 'pisces', 'fish horoscope pisces zodiac'],
+        ['⛎', 'Ophiuchus', 'ophiuchus', 'bearer ophiuchus serpent snake zodiac'],
+        ['🔀', 'shuffle tracks button', 'twisted_rightwards_arrows', 'arrow button crossed shuffle tracks'],
+        ['🔁', 'repeat button', 'repeat', 'arrow button clockwise repeat'],
+        ['🔂', 'repeat single button', 'repeat_one', 'arrow button clockwise once repeat single'],
+        ['▶️', 'play button', 'arrow_forward', 'arrow button play right triangle'],
+        ['⏩', 'fast-forward button', 'fast_forward', 'arrow button double fast fast-forward forward'],
+        ['⏭️', 'next track button', 'black_right_pointing_double_triangle_with_vertical_bar next_track_button', 'arrow button next scene track triangle'],
+        ['⏯️', 'play or pause button', 'black_right_pointing_triangle_with_double_vertical_bar play_or_pause_button', 'arrow button pause play right triangle'],
+        ['◀️', 'reverse button', 'arrow_backward', 'arrow button left reverse triangle'],
+        ['⏪', 'fast reverse button', 'rewind', 'arrow button double fast reverse rewind'],
+        ['⏮️', 'last track button', 'black_left_pointing_double_triangle_with_vertical_bar previous_track_button', 'arrow button last previous scene track triangle'],
+        ['🔼', 'upwards button', 'arrow_up_small', 'arrow button red up upwards'],
+        ['⏫', 'fast up button', 'arrow_double_up', 'arrow button double fast up'],
+        ['🔽', 'downwards button', 'arrow_down_small', 'arrow button down downwards red'],
+        ['⏬', 'fast down button', 'arrow_double_down', 'arrow button double down fast'],
+        ['⏸️', 'pause button', 'double_vertical_bar pause_button', 'bar button double pause vertical'],
+        ['⏹️', 'stop button', 'black_square_for_stop stop_button', 'button square stop'],
+        ['⏺️', 'record button', 'black_circle_for_record record_button', 'button circle record'],
+        ['⏏️', 'eject button', 'eject eject_button', 'button eject'],
+        ['🎦', 'cinema', 'cinema', 'camera film movie'],
+        ['🔅', 'dim button', 'low_brightness', 'brightness button dim low'],
+        ['🔆', 'bright button', 'high_brightness', 'bright brightness button light'],
+        ['📶', 'antenna bars', 'signal_strength', 'antenna bar bars cell communication mobile phone signal telephone'],
+        ['🛜', 'wireless', 'wireless', 'broadband computer connectivity hotspot internet network router smartphone wi-fi wifi wlan'],
+        ['📳', 'vibration mode', 'vibration_mode', 'cell communication mobile mode phone telephone vibration'],
+        ['📴', 'mobile phone off', 'mobile_phone_off', 'cell mobile off phone telephone'],
+        ['♀️', 'female sign', 'female_sign', 'female sign woman'],
+        ['♂️', 'male sign', 'male_sign', 'male man sign'],
+        ['⚧️', 'transgender symbol', 'transgender_symbol', 'symbol transgender'],
+        ['✖️', 'multiply', 'heavy_multiplication_x', 'cancel multiplication sign x ×'],
+        ['➕', 'plus', 'heavy_plus_sign', '+'],
+        ['➖', 'minus', 'heavy_minus_sign', '- heavy math sign −'],
+        ['➗', 'divide', 'heavy_division_sign', 'division heavy math sign ÷'],
+        ['🟰', 'heavy equals sign', 'heavy_equals_sign', 'answer equal equality equals heavy math sign'],
+        ['♾️', 'infinity', 'infinity', 'forever unbounded universal'],
+        ['‼️', 'double exclamation mark', 'bangbang', '! !! bangbang double exclamation mark punctuation'],
+        ['⁉️', 'exclamation question mark', 'interrobang', '! !? ? exclamation interrobang mark punctuation question'],
+        ['❓', 'red question mark', 'question', '? mark punctuation question red'],
+        ['❔', 'white question mark', 'grey_question', '? mark outlined punctuation question white'],
+        ['❕', 'white exclamation mark', 'grey_exclamation', '! exclamation mark outlined punctuation white'],
+        ['❗', 'red exclamation mark', 'exclamation heavy_exclamation_mark', '! exclamation mark punctuation red'],
+        ['〰️', 'wavy dash', 'wavy_dash', 'dash punctuation wavy'],
+        ['💱', 'currency exchange', 'currency_exchange', 'bank currency exchange money'],
+        ['💲', 'heavy dollar sign', 'heavy_dollar_sign', 'billion cash charge currency dollar heavy million money pay sign'],
+        ['⚕️', 'medical symbol', 'medical_symbol staff_of_aesculapius', 'aesculapius medical medicine staff symbol'],
+        ['♻️', 'recycling symbol', 'recycle', 'recycle recycling symbol'],
+        ['⚜️', 'fleur-de-lis', 'fleur_de_lis', 'knights'],
+        ['🔱', 'trident emblem', 'trident', 'anchor emblem poseidon ship tool trident'],
+        ['📛', 'name badge', 'name_badge', 'badge name'],
+        ['🔰', 'Japanese symbol for beginner', 'beginner', 'beginner chevron green japanese leaf symbol tool yellow'],
+        ['⭕', 'hollow red circle', 'o', 'circle heavy hollow large o red'],
+        ['✅', 'check mark button', 'white_check_mark', 'button check checked checkmark complete completed done fixed mark tick ✓'],
+        ['☑️', 'check box with check', 'ballot_box_with_check', 'ballot box check checked done off tick ✓'],
+        ['✔️', 'check mark', 'heavy_check_mark', 'check checked checkmark done heavy mark tick ✓'],
+        ['❌', 'cross mark', 'x', 'cancel cross mark multiplication multiply x ×'],
+        ['❎', 'cross mark button', 'negative_squared_cross_mark', 'button cross mark multiplication multiply square x ×'],
+        ['➰', 'curly loop', 'curly_loop', 'curl curly loop'],
+        ['➿', 'double curly loop', 'loop', 'curl curly double loop'],
+        ['〽️', 'part alternation mark', 'part_alternation_mark', 'alternation mark part'],
+        ['✳️', 'eight-spoked asterisk', 'eight_spoked_asterisk', '* asterisk eight-spoked'],
+        ['✴️', 'eight-pointed star', 'eight_pointed_black_star', '* eight-pointed star'],
+        ['❇️', 'sparkle', 'sparkle', '*'],
+        ['©️', 'copyright', 'copyright', 'c'],
+        ['®️', 'registered', 'registered', 'r'],
+        ['™️', 'trade mark', 'tm', 'mark tm trade trademark'],
+        ['#️⃣', 'keycap: #', 'hash', 'keycap'],
+        ['*️⃣', 'keycap: *', 'keycap_star asterisk', 'keycap'],
+        ['0️⃣', 'keycap: 0', 'zero', '0 keycap zero'],
+        ['1️⃣', 'keycap: 1', 'one', '1 keycap one'],
+        ['2️⃣', 'keycap: 2', 'two', '2 keycap two'],
+        ['3️⃣', 'keycap: 3', 'three', '3 keycap three'],
+        ['4️⃣', 'keycap: 4', 'four', '4 four keycap'],
+        ['5️⃣', 'keycap: 5', 'five', '5 five keycap'],
+        ['6️⃣', 'keycap: 6', 'six', '6 keycap six'],
+        ['7️⃣', 'keycap: 7', 'seven', '7 keycap seven'],
+        ['8️⃣', 'keycap: 8', 'eight', '8 eight keycap'],
+        ['9️⃣', 'keycap: 9', 'nine', '9 keycap nine'],
+        ['🔟', 'keycap: 10', 'keycap_ten', 'keycap'],
+        ['🔠', 'input latin uppercase', 'capital_abcd', 'abcd input latin letters uppercase'],
+        ['🔡', 'input latin lowercase', 'abcd', 'abcd input latin letters lowercase'],
+        ['🔢', 'input numbers', '1234', '1234 input numbers'],
+        ['🔣', 'input symbols', 'symbols', '% & input symbols ♪ 〒'],
+        ['🔤', 'input latin letters', 'abc', 'abc alphabet input latin letters'],
+        ['🅰️', 'A button (blood type)', 'a', 'blood button type'],
+        ['🆎', 'AB button (blood type)', 'ab', 'ab blood button type'],
+        ['🅱️', 'B button (blood type)', 'b', 'b blood button type'],
+        ['🆑', 'CL button', 'cl', 'button cl'],
+        ['🆒', 'COOL button', 'cool', 'button cool'],
+        ['🆓', 'FREE button', 'free', 'button free'],
+        ['ℹ️', 'information', 'information_source', 'i'],
+        ['🆔', 'ID button', 'id', 'button id identity'],
+        ['Ⓜ️', 'circled M', 'm', 'circle circled m'],
+        ['🆕', 'NEW button', 'new', 'button new'],
+        ['🆖', 'NG button', 'ng', 'button ng'],
+        ['🅾️', 'O button (blood type)', 'o2', 'blood button o type'],
+        ['🆗', 'OK button', 'ok', 'button ok okay'],
+        ['🅿️', 'P button', 'parking', 'button p parking'],
+        ['🆘', 'SOS button', 'sos', 'button help sos'],
+        ['🆙', 'UP! button', 'up', 'button mark up up!'],
+        ['🆚', 'VS button', 'vs', 'button versus vs'],
+        ['🈁', 'Japanese “here” button', 'koko', 'button here japanese katakana'],
+        ['🈂️', 'Japanese “service charge” button', 'sa', 'button charge japanese katakana service'],
+        ['🈷️', 'Japanese “monthly amount” button', 'u6708', 'amount button ideograph japanese monthly'],
+        ['🈶', 'Japanese “not free of charge” button', 'u6709', 'button charge free ideograph japanese not'],
+        ['🈯', 'Japanese “reserved” button', 'u6307', 'button ideograph japanese reserved'],
+        ['🉐', 'Japanese “bargain” button', 'ideograph_advantage', 'bargain button ideograph japanese'],
+        ['🈹', 'Japanese “discount” button', 'u5272', 'button discount ideograph japanese'],
+        ['🈚', 'Japanese “free of charge” button', 'u7121', 'button charge free ideograph japanese'],
+        ['🈲', 'Japanese “prohibited” button', 'u7981', 'button ideograph japanese prohibited'],
+        ['🉑', 'Japanese “acceptable” button', 'accept', 'acceptable button ideograph japanese'],
+        ['🈸', 'Japanese “application” button', 'u7533', 'application button ideograph japanese'],
+        ['🈴', 'Japanese “passing grade” button', 'u5408', 'button grade ideograph japanese passing'],
+        ['🈳', 'Japanese “vacancy” button', 'u7a7a', 'button ideograph japanese vacancy'],
+        ['㊗️', 'Japanese “congratulations” button', 'congratulations', 'button congratulations ideograph japanese'],
+        ['㊙️', 'Japanese “secret” button', 'secret', 'button ideograph japanese secret'],
+        ['🈺', 'Japanese “open for business” button', 'u55b6', 'business button ideograph japanese open'],
+        ['🈵', 'Japanese “no vacancy” button', 'u6e80', 'button ideograph japanese no vacancy'],
+        ['🔴', 'red circle', 'red_circle', 'circle geometric red'],
+        ['🟠', 'orange circle', 'large_orange_circle orange_circle', 'circle orange'],
+        ['🟡', 'yellow circle', 'large_yellow_circle yellow_circle', 'circle yellow'],
+        ['🟢', 'green circle', 'large_green_circle green_circle', 'circle green'],
+        ['🔵', 'blue circle', 'large_blue_circle', 'blue circle geometric'],
+        ['🟣', 'purple circle', 'large_purple_circle purple_circle', 'circle purple'],
+        ['🟤', 'brown circle', 'large_brown_circle brown_circle', 'brown circle'],
+        ['⚫', 'black circle', 'black_circle', 'black circle geometric'],
+        ['⚪', 'white circle', 'white_circle', 'circle geometric white'],
+        ['🟥', 'red square', 'large_red_square red_square', 'card penalty red square'],
+        ['🟧', 'orange square', 'large_orange_square orange_square', 'orange square'],
+        ['🟨', 'yellow square', 'large_yellow_square yellow_square', 'card penalty square yellow'],
+        ['🟩', 'green square', 'large_green_square green_square', 'green square'],
+        ['🟦', 'blue square', 'large_blue_square blue_square', 'blue square'],
+        ['🟪', 'purple square', 'large_purple_square purple_square', 'purple square'],
+        ['🟫', 'brown square', 'large_brown_square brown_square', 'brown square'],
+        ['⬛', 'black large square', 'black_large_square', 'black geometric large square'],
+        ['⬜', 'white large square', 'white_large_square', 'geometric large square white'],
+        ['◼️', 'black medium square', 'black_medium_square', 'black geometric medium square'],
+        ['◻️', 'white medium square', 'white_medium_square', 'geometric medium square white'],
+        ['◾', 'black medium-small square', 'black_medium_small_square', 'black geometric medium-small square'],
+        ['◽', 'white medium-small square', 'white_medium_small_square', 'geometric medium-small square white'],
+        ['▪️', 'black small square', 'black_small_square', 'black geometric small square'],
+        ['▫️', 'white small square', 'white_small_square', 'geometric small square white'],
+        ['🔶', 'large orange diamond', 'large_orange_diamond', 'diamond geometric large orange'],
+        ['🔷', 'large blue diamond', 'large_blue_diamond', 'blue diamond geometric large'],
+        ['🔸', 'small orange diamond', 'small_orange_diamond', 'diamond geometric orange small'],
+        ['🔹', 'small blue diamond', 'small_blue_diamond', 'blue diamond geometric small'],
+        ['🔺', 'red triangle pointed up', 'small_red_triangle', 'geometric pointed red triangle up'],
+        ['🔻', 'red triangle pointed down', 'small_red_triangle_down', 'down geometric pointed red triangle'],
+        ['💠', 'diamond with a dot', 'diamond_shape_with_a_dot_inside', 'comic diamond dot geometric'],
+        ['🔘', 'radio button', 'radio_button', 'button geometric radio'],
+        ['🔳', 'white square button', 'white_square_button', 'button geometric outlined square white'],
+        ['🔲', 'black square button', 'black_square_button', 'black button geometric square']
+      ]
+    },
+    {
+      id: 'flags',
+      name: 'Flags',
+      icon: '🏁',
+      emojis: [
+        ['🏁', 'chequered flag', 'checkered_flag', 'checkered chequered finish flag flags game race racing sport win'],
+        ['🚩', 'triangular flag', 'triangular_flag_on_post', 'construction flag golf post triangular'],
+        ['🎌', 'crossed flags', 'crossed_flags', 'celebration cross crossed flags japanese'],
+        ['🏴', 'black flag', 'waving_black_flag black_flag', 'black flag waving'],
+        ['🏳️', 'white flag', 'waving_white_flag white_flag', 'flag waving white'],
+        ['🏳️‍🌈', 'rainbow flag', 'rainbow-flag rainbow_flag', 'bisexual flag gay genderqueer glbt glbtq lesbian lgbt lgbtq lgbtqia pride queer rainbow trans transgender'],
+        ['🏳️‍⚧️', 'transgender flag', 'transgender_flag', 'blue flag light pink transgender white'],
+        ['🏴‍☠️', 'pirate flag', 'pirate_flag', 'flag jolly pirate plunder roger treasure'],
+        ['🇦🇨', 'flag: Ascension Island', 'flag-ac ascension_island', 'AC flag'],
+        ['🇦🇩', 'flag: Andorra', 'flag-ad andorra', 'AD flag'],
+        ['🇦🇪', 'flag: United Arab Emirates', 'flag-ae united_arab_emirates', 'AE flag'],
+        ['🇦🇫', 'flag: Afghanistan', 'flag-af afghanistan', 'AF flag'],
+        ['🇦🇬', 'flag: Antigua & Barbuda', 'flag-ag antigua_barbuda', 'AG flag'],
+        ['🇦🇮', 'flag: Anguilla', 'flag-ai anguilla', 'AI flag'],
+        ['🇦🇱', 'flag: Albania', 'flag-al albania', 'AL flag'],
+        ['🇦🇲', 'flag: Armenia', 'flag-am armenia', 'AM flag'],
+        ['🇦🇴', 'flag: Angola', 'flag-ao angola', 'AO flag'],
+        ['🇦🇶', 'flag: Antarctica', 'flag-aq antarctica', 'AQ flag'],
+        ['🇦🇷', 'flag: Argentina', 'flag-ar argentina', 'AR flag'],
+        ['🇦🇸', 'flag: American Samoa', 'flag-as american_samoa', 'AS flag'],
+        ['🇦🇹', 'flag: Austria', 'flag-at austria', 'AT flag'],
+        ['🇦🇺', 'flag: Australia', 'flag-au australia', 'AU flag'],
+        ['🇦🇼', 'flag: Aruba', 'flag-aw aruba', 'AW flag'],
+        ['🇦🇽', 'flag: Åland Islands', 'flag-ax aland_islands', 'AX flag'],
+        ['🇦🇿', 'flag: Azerbaijan', 'flag-az azerbaijan', 'AZ flag'],
+        ['🇧🇦', 'flag: Bosnia & Herzegovina', 'flag-ba bosnia_herzegovina', 'BA flag'],
+        ['🇧🇧', 'flag: Barbados', 'flag-bb barbados', 'BB flag'],
+        ['🇧🇩', 'flag: Bangladesh', 'flag-bd bangladesh', 'BD flag'],
+        ['🇧🇪', 'flag: Belgium', 'flag-be belgium', 'BE flag'],
+        ['🇧🇫', 'flag: Burkina Faso', 'flag-bf burkina_faso', 'BF flag'],
+        ['🇧🇬', 'flag: Bulgaria', 'flag-bg bulgaria', 'BG flag'],
+        ['🇧🇭', 'flag: Bahrain', 'flag-bh bahrain', 'BH flag'],
+        ['🇧🇮', 'flag: Burundi', 'flag-bi burundi', 'BI flag'],
+        ['🇧🇯', 'flag: Benin', 'flag-bj benin', 'BJ flag'],
+        ['🇧🇱', 'flag: St. Barthélemy', 'flag-bl st_barthelemy', 'BL flag'],
+        ['🇧🇲', 'flag: Bermuda', 'flag-bm bermuda', 'BM flag'],
+        ['🇧🇳', 'flag: Brunei', 'flag-bn brunei', 'BN flag'],
+        ['🇧🇴', 'flag: Bolivia', 'flag-bo bolivia', 'BO flag'],
+        ['🇧🇶', 'flag: Caribbean Netherlands', 'flag-bq caribbean_netherlands', 'BQ flag'],
+        ['🇧🇷', 'flag: Brazil', 'flag-br brazil', 'BR flag'],
+        ['🇧🇸', 'flag: Bahamas', 'flag-bs bahamas', 'BS flag'],
+        ['🇧🇹', 'flag: Bhutan', 'flag-bt bhutan', 'BT flag'],
+        ['🇧🇻', 'flag: Bouvet Island', 'flag-bv bouvet_island', 'BV flag'],
+        ['🇧🇼', 'flag: Botswana', 'flag-bw botswana', 'BW flag'],
+        ['🇧🇾', 'flag: Belarus', 'flag-by belarus', 'BY flag'],
+        ['🇧🇿', 'flag: Belize', 'flag-bz belize', 'BZ flag'],
+        ['🇨🇦', 'flag: Canada', 'flag-ca canada', 'CA flag'],
+        ['🇨🇨', 'flag: Cocos (Keeling) Islands', 'flag-cc cocos_islands', 'CC flag'],
+        ['🇨🇩', 'flag: Congo - Kinshasa', 'flag-cd congo_kinshasa', 'CD flag'],
+        ['🇨🇫', 'flag: Central African Republic', 'flag-cf central_african_republic', 'CF flag'],
+        ['🇨🇬', 'flag: Congo - Brazzaville', 'flag-cg congo_brazzaville', 'CG flag'],
+        ['🇨🇭', 'flag: Switzerland', 'flag-ch switzerland', 'CH flag'],
+        ['🇨🇮', 'flag: Côte d’Ivoire', 'flag-ci cote_divoire', 'CI flag'],
+        ['🇨🇰', 'flag: Cook Islands', 'flag-ck cook_islands', 'CK flag'],
+        ['🇨🇱', 'flag: Chile', 'flag-cl chile', 'CL flag'],
+        ['🇨🇲', 'flag: Cameroon', 'flag-cm cameroon', 'CM flag'],
+        ['🇨🇳', 'flag: China', 'cn flag-cn', 'CN flag'],
+        ['🇨🇴', 'flag: Colombia', 'flag-co colombia', 'CO flag'],
+        ['🇨🇵', 'flag: Clipperton Island', 'flag-cp clipperton_island', 'CP flag'],
+        ['🇨🇷', 'flag: Costa Rica', 'flag-cr costa_rica', 'CR flag'],
+        ['🇨🇺', 'flag: Cuba', 'flag-cu cuba', 'CU flag'],
+        ['🇨🇻', 'flag: Cape Verde', 'flag-cv cape_verde', 'CV flag'],
+        ['🇨🇼', 'flag: Curaçao', 'flag-cw curacao', 'CW flag'],
+        ['🇨🇽', 'flag: Christmas Island', 'flag-cx christmas_island', 'CX flag'],
+        ['🇨🇾', 'flag: Cyprus', 'flag-cy cyprus', 'CY flag'],
+        ['🇨🇿', 'flag: Czechia', 'flag-cz czech_republic', 'CZ flag'],
+        ['🇩🇪', 'flag: Germany', 'de flag-de', 'DE flag'],
+        ['🇩🇬', 'flag: Diego Garcia', 'flag-dg diego_garcia', 'DG flag'],
+        ['🇩🇯', 'flag: Djibouti', 'flag-dj djibouti', 'DJ flag'],
+        ['🇩🇰', 'flag: Denmark', 'flag-dk denmark', 'DK flag'],
+        ['🇩🇲', 'flag: Dominica', 'flag-dm dominica', 'DM flag'],
+        ['🇩🇴', 'flag: Dominican Republic', 'flag-do dominican_republic', 'DO flag'],
+        ['🇩🇿', 'flag: Algeria', 'flag-dz algeria', 'DZ flag'],
+        ['🇪🇦', 'flag: Ceuta & Melilla', 'flag-ea ceuta_melilla', 'EA flag'],
+        ['🇪🇨', 'flag: Ecuador', 'flag-ec ecuador', 'EC flag'],
+        ['🇪🇪', 'flag: Estonia', 'flag-ee estonia', 'EE flag'],
+        ['🇪🇬', 'flag: Egypt', 'flag-eg egypt', 'EG flag'],
+        ['🇪🇭', 'flag: Western Sahara', 'flag-eh western_sahara', 'EH flag'],
+        ['🇪🇷', 'flag: Eritrea', 'flag-er eritrea', 'ER flag'],
+        ['🇪🇸', 'flag: Spain', 'es flag-es', 'ES flag'],
+        ['🇪🇹', 'flag: Ethiopia', 'flag-et ethiopia', 'ET flag'],
+        ['🇪🇺', 'flag: European Union', 'flag-eu eu european_union', 'EU flag'],
+        ['🇫🇮', 'flag: Finland', 'flag-fi finland', 'FI flag'],
+        ['🇫🇯', 'flag: Fiji', 'flag-fj fiji', 'FJ flag'],
+        ['🇫🇰', 'flag: Falkland Islands', 'flag-fk falkland_islands', 'FK flag'],
+        ['🇫🇲', 'flag: Micronesia', 'flag-fm micronesia', 'FM flag'],
+        ['🇫🇴', 'flag: Faroe Islands', 'flag-fo faroe_islands', 'FO flag'],
+        ['🇫🇷', 'flag: France', 'fr flag-fr', 'FR flag'],
+        ['🇬🇦', 'flag: Gabon', 'flag-ga gabon', 'GA flag'],
+        ['🇬🇧', 'flag: United Kingdom', 'gb uk flag-gb', 'GB flag'],
+        ['🇬🇩', 'flag: Grenada', 'flag-gd grenada', 'GD flag'],
+        ['🇬🇪', 'flag: Georgia', 'flag-ge georgia', 'GE flag'],
+        ['🇬🇫', 'flag: French Guiana', 'flag-gf french_guiana', 'GF flag'],
+        ['🇬🇬', 'flag: Guernsey', 'flag-gg guernsey', 'GG flag'],
+        ['🇬🇭', 'flag: Ghana', 'flag-gh ghana', 'GH flag'],
+        ['🇬🇮', 'flag: Gibraltar', 'flag-gi gibraltar', 'GI flag'],
+        ['🇬🇱', 'flag: Greenland', 'flag-gl greenland', 'GL flag'],
+        ['🇬🇲', 'flag: Gambia', 'flag-gm gambia', 'GM flag'],
+        ['🇬🇳', 'flag: Guinea', 'flag-gn guinea', 'GN flag'],
+        ['🇬🇵', 'flag: Guadeloupe', 'flag-gp guadeloupe', 'GP flag'],
+        ['🇬🇶', 'flag: Equatorial Guinea', 'flag-gq equatorial_guinea', 'GQ flag'],
+        ['🇬🇷', 'flag: Greece', 'flag-gr greece', 'GR flag'],
+        ['🇬🇸', 'flag: South Georgia & South Sandwich Islands', 'flag-gs south_georgia_south_sandwich_islands', 'GS flag'],
+        ['🇬🇹', 'flag: Guatemala', 'flag-gt guatemala', 'GT flag'],
+        ['🇬🇺', 'flag: Guam', 'flag-gu guam', 'GU flag'],
+        ['🇬🇼', 'flag: Guinea-Bissau', 'flag-gw guinea_bissau', 'GW flag'],
+        ['🇬🇾', 'flag: Guyana', 'flag-gy guyana', 'GY flag'],
+        ['🇭🇰', 'flag: Hong Kong SAR China', 'flag-hk hong_kong', 'HK flag'],
+        ['🇭🇲', 'flag: Heard & McDonald Islands', 'flag-hm heard_mcdonald_islands', 'HM flag'],
+        ['🇭🇳', 'flag: Honduras', 'flag-hn honduras', 'HN flag'],
+        ['🇭🇷', 'flag: Croatia', 'flag-hr croatia', 'HR flag'],
+        ['🇭🇹', 'flag: Haiti', 'flag-ht haiti', 'HT flag'],
+        ['🇭🇺', 'flag: Hungary', 'flag-hu hungary', 'HU flag'],
+        ['🇮🇨', 'flag: Canary Islands', 'flag-ic canary_islands', 'IC flag'],
+        ['🇮🇩', 'flag: Indonesia', 'flag-id indonesia', 'ID flag'],
+        ['🇮🇪', 'flag: Ireland', 'flag-ie ireland', 'IE flag'],
+        ['🇮🇱', 'flag: Israel', 'flag-il israel', 'IL flag'],
+        ['🇮🇲', 'flag: Isle of Man', 'flag-im isle_of_man', 'IM flag'],
+        ['🇮🇳', 'flag: India', 'flag-in india', 'IN flag'],
+        ['🇮🇴', 'flag: British Indian Ocean Territory', 'flag-io british_indian_ocean_territory', 'IO flag'],
+        ['🇮🇶', 'flag: Iraq', 'flag-iq iraq', 'IQ flag'],
+        ['🇮🇷', 'flag: Iran', 'flag-ir iran', 'IR flag'],
+        ['🇮🇸', 'flag: Iceland', 'flag-is iceland', 'IS flag'],
+        ['🇮🇹', 'flag: Italy', 'it flag-it', 'IT flag'],
+        ['🇯🇪', 'flag: Jersey', 'flag-je jersey', 'JE flag'],
+        ['🇯🇲', 'flag: Jamaica', 'flag-jm jamaica', 'JM flag'],
+        ['🇯🇴', 'flag: Jordan', 'flag-jo jordan', 'JO flag'],
+        ['🇯🇵', 'flag: Japan', 'jp flag-jp', 'JP flag'],
+        ['🇰🇪', 'flag: Kenya', 'flag-ke kenya', 'KE flag'],
+        ['🇰🇬', 'flag: Kyrgyzstan', 'flag-kg kyrgyzstan', 'KG flag'],
+        ['🇰🇭', 'flag: Cambodia', 'flag-kh cambodia', 'KH flag'],
+        ['🇰🇮', 'flag: Kiribati', 'flag-ki kiribati', 'KI flag'],
+        ['🇰🇲', 'flag: Comoros', 'flag-km comoros', 'KM flag'],
+        ['🇰🇳', 'flag: St. Kitts & Nevis', 'flag-kn st_kitts_nevis', 'KN flag'],
+        ['🇰🇵', 'flag: North Korea', 'flag-kp north_korea', 'KP flag'],
+        ['🇰🇷', 'flag: South Korea', 'kr flag-kr', 'KR flag'],
+        ['🇰🇼', 'flag: Kuwait', 'flag-kw kuwait', 'KW flag'],
+        ['🇰🇾', 'flag: Cayman Islands', 'flag-ky cayman_islands', 'KY flag'],
+        ['🇰🇿', 'flag: Kazakhstan', 'flag-kz kazakhstan', 'KZ flag'],
+        ['🇱🇦', 'flag: Laos', 'flag-la laos', 'LA flag'],
+        ['🇱🇧', 'flag: Lebanon', 'flag-lb lebanon', 'LB flag'],
+        ['🇱🇨', 'flag: St. Lucia', 'flag-lc st_lucia', 'LC flag'],
+        ['🇱🇮', 'flag: Liechtenstein', 'flag-li liechtenstein', 'LI flag'],
+        ['🇱🇰', 'flag: Sri Lanka', 'flag-lk sri_lanka', 'LK flag'],
+        ['🇱🇷', 'flag: Liberia', 'flag-lr liberia', 'LR flag'],
+        ['🇱🇸', 'flag: Lesotho', 'flag-ls lesotho', 'LS flag'],
+        ['🇱🇹', 'flag: Lithuania', 'flag-lt lithuania', 'LT flag'],
+        ['🇱🇺', 'flag: Luxembourg', 'flag-lu luxembourg', 'LU flag'],
+        ['🇱🇻', 'flag: Latvia', 'flag-lv latvia', 'LV flag'],
+        ['🇱🇾', 'flag: Libya', 'flag-ly libya', 'LY flag'],
+        ['🇲🇦', 'flag: Morocco', 'flag-ma morocco', 'MA flag'],
+        ['🇲🇨', 'flag: Monaco', 'flag-mc monaco', 'MC flag'],
+        ['🇲🇩', 'flag: Moldova', 'flag-md moldova', 'MD flag'],
+        ['🇲🇪', 'flag: Montenegro', 'flag-me montenegro', 'ME flag'],
+        ['🇲🇫', 'flag: St. Martin', 'flag-mf st_martin', 'MF flag'],
+        ['🇲🇬', 'flag: Madagascar', 'flag-mg madagascar', 'MG flag'],
+        ['🇲🇭', 'flag: Marshall Islands', 'flag-mh marshall_islands', 'MH flag'],
+        ['🇲🇰', 'flag: North Macedonia', 'flag-mk macedonia', 'MK flag'],
+        ['🇲🇱', 'flag: Mali', 'flag-ml mali', 'ML flag'],
+        ['🇲🇲', 'flag: Myanmar (Burma)', 'flag-mm myanmar', 'MM flag'],
+        ['🇲🇳', 'flag: Mongolia', 'flag-mn mongolia', 'MN flag'],
+        ['🇲🇴', 'flag: Macao SAR China', 'flag-mo macau', 'MO flag'],
+        ['🇲🇵', 'flag: Northern Mariana Islands', 'flag-mp northern_mariana_islands', 'MP flag'],
+        ['🇲🇶', 'flag: Martinique', 'flag-mq martinique', 'MQ flag'],
+        ['🇲🇷', 'flag: Mauritania', 'flag-mr mauritania', 'MR flag'],
+        ['🇲🇸', 'flag: Montserrat', 'flag-ms montserrat', 'MS flag'],
+        ['🇲🇹', 'flag: Malta', 'flag-mt malta', 'MT flag'],
+        ['🇲🇺', 'flag: Mauritius', 'flag-mu mauritius', 'MU flag'],
+        ['🇲🇻', 'flag: Maldives', 'flag-mv maldives', 'MV flag'],
+        ['🇲🇼', 'flag: Malawi', 'flag-mw malawi', 'MW flag'],
+        ['🇲🇽', 'flag: Mexico', 'flag-mx mexico', 'MX flag'],
+        ['🇲🇾', 'flag: Malaysia', 'flag-my malaysia', 'MY flag'],
+        ['🇲🇿', 'flag: Mozambique', 'flag-mz mozambique', 'MZ flag'],
+        ['🇳🇦', 'flag: Namibia', 'flag-na namibia', 'NA flag'],
+        ['🇳🇨', 'flag: New Caledonia', 'flag-nc new_caledonia', 'NC flag'],
+        ['🇳🇪', 'flag: Niger', 'flag-ne niger', 'NE flag'],
+        ['🇳🇫', 'flag: Norfolk Island', 'flag-nf norfolk_island', 'NF flag'],
+        ['🇳🇬', 'flag: Nigeria', 'flag-ng nigeria', 'NG flag'],
+        ['🇳🇮', 'flag: Nicaragua', 'flag-ni nicaragua', 'NI flag'],
+        ['🇳🇱', 'flag: Netherlands', 'flag-nl netherlands', 'NL flag'],
+        ['🇳🇴', 'flag: Norway', 'flag-no norway', 'NO flag'],
+        ['🇳🇵', 'flag: Nepal', 'flag-np nepal', 'NP flag'],
+        ['🇳🇷', 'flag: Nauru', 'flag-nr nauru', 'NR flag'],
+        ['🇳🇺', 'flag: Niue', 'flag-nu niue', 'NU flag'],
+        ['🇳🇿', 'flag: New Zealand', 'flag-nz new_zealand', 'NZ flag'],
+        ['🇴🇲', 'flag: Oman', 'flag-om oman', 'OM flag'],
+        ['🇵🇦', 'flag: Panama', 'flag-pa panama', 'PA flag'],
+        ['🇵🇪', 'flag: Peru', 'flag-pe peru', 'PE flag'],
+        ['🇵🇫', 'flag: French Polynesia', 'flag-pf french_polynesia', 'PF flag'],
+        ['🇵🇬', 'flag: Papua New Guinea', 'flag-pg papua_new_guinea', 'PG flag'],
+        ['🇵🇭', 'flag: Philippines', 'flag-ph philippines', 'PH flag'],
+        ['🇵🇰', 'flag: Pakistan', 'flag-pk pakistan', 'PK flag'],
+        ['🇵🇱', 'flag: Poland', 'flag-pl poland', 'PL flag'],
+        ['🇵🇲', 'flag: St. Pierre & Miquelon', 'flag-pm st_pierre_miquelon', 'PM flag'],
+        ['🇵🇳', 'flag: Pitcairn Islands', 'flag-pn pitcairn_islands', 'PN flag'],
+        ['🇵🇷', 'flag: Puerto Rico', 'flag-pr puerto_rico', 'PR flag'],
+        ['🇵🇸', 'flag: Palestinian Territories', 'flag-ps palestinian_territories', 'PS flag'],
+        ['🇵🇹', 'flag: Portugal', 'flag-pt portugal', 'PT flag'],
+        ['🇵🇼', 'flag: Palau', 'flag-pw palau', 'PW flag'],
+        ['🇵🇾', 'flag: Paraguay', 'flag-py paraguay', 'PY flag'],
+        ['🇶🇦', 'flag: Qatar', 'flag-qa qatar', 'QA flag'],
+        ['🇷🇪', 'flag: Réunion', 'flag-re reunion', 'RE flag'],
+        ['🇷🇴', 'flag: Romania', 'flag-ro romania', 'RO flag'],
+        ['🇷🇸', 'flag: Serbia', 'flag-rs serbia', 'RS flag'],
+        ['🇷🇺', 'flag: Russia', 'ru flag-ru', 'RU flag'],
+        ['🇷🇼', 'flag: Rwanda', 'flag-rw rwanda', 'RW flag'],
+        ['🇸🇦', 'flag: Saudi Arabia', 'flag-sa saudi_arabia', 'SA flag'],
+        ['🇸🇧', 'flag: Solomon Islands', 'flag-sb solomon_islands', 'SB flag'],
+        ['🇸🇨', 'flag: Seychelles', 'flag-sc seychelles', 'SC flag'],
+        ['🇸🇩', 'flag: Sudan', 'flag-sd sudan', 'SD flag'],
+        ['🇸🇪', 'flag: Sweden', 'flag-se sweden', 'SE flag'],
+        ['🇸🇬', 'flag: Singapore', 'flag-sg singapore', 'SG flag'],
+        ['🇸🇭', 'flag: St. Helena', 'flag-sh st_helena', 'SH flag'],
+        ['🇸🇮', 'flag: Slovenia', 'flag-si slovenia', 'SI flag'],
+        ['🇸🇯', 'flag: Svalbard & Jan Mayen', 'flag-sj svalbard_jan_mayen', 'SJ flag'],
+        ['🇸🇰', 'flag: Slovakia', 'flag-sk slovakia', 'SK flag'],
+        ['🇸🇱', 'flag: Sierra Leone', 'flag-sl sierra_leone', 'SL flag'],
+        ['🇸🇲', 'flag: San Marino', 'flag-sm san_marino', 'SM flag'],
+        ['🇸🇳', 'flag: Senegal', 'flag-sn senegal', 'SN flag'],
+        ['🇸🇴', 'flag: Somalia', 'flag-so somalia', 'SO flag'],
+        ['🇸🇷', 'flag: Suriname', 'flag-sr suriname', 'SR flag'],
+        ['🇸🇸', 'flag: South Sudan', 'flag-ss south_sudan', 'SS flag'],
+        ['🇸🇹', 'flag: São Tomé & Príncipe', 'flag-st sao_tome_principe', 'ST flag'],
+        ['🇸🇻', 'flag: El Salvador', 'flag-sv el_salvador', 'SV flag'],
+        ['🇸🇽', 'flag: Sint Maarten', 'flag-sx sint_maarten', 'SX flag'],
+        ['🇸🇾', 'flag: Syria', 'flag-sy syria', 'SY flag'],
+        ['🇸🇿', 'flag: Eswatini', 'flag-sz swaziland', 'SZ flag'],
+        ['🇹🇦', 'flag: Tristan da Cunha', 'flag-ta tristan_da_cunha', 'TA flag'],
+        ['🇹🇨', 'flag: Turks & Caicos Islands', 'flag-tc turks_caicos_islands', 'TC flag'],
+        ['🇹🇩', 'flag: Chad', 'flag-td chad', 'TD flag'],
+        ['🇹🇫', 'flag: French Southern Territories', 'flag-tf french_southern_territories', 'TF flag'],
+        ['🇹🇬', 'flag: Togo', 'flag-tg togo', 'TG flag'],
+        ['🇹🇭', 'flag: Thailand', 'flag-th thailand', 'TH flag'],
+        ['🇹🇯', 'flag: Tajikistan', 'flag-tj tajikistan', 'TJ flag'],
+        ['🇹🇰', 'flag: Tokelau', 'flag-tk tokelau', 'TK flag'],
+        ['🇹🇱', 'flag: Timor-Leste', 'flag-tl timor_leste', 'TL flag'],
+        ['🇹🇲', 'flag: Turkmenistan', 'flag-tm turkmenistan', 'TM flag'],
+        ['🇹🇳', 'flag: Tunisia', 'flag-tn tunisia', 'TN flag'],
+        ['🇹🇴', 'flag: Tonga', 'flag-to tonga', 'TO flag'],
+        ['🇹🇷', 'flag: Türkiye', 'flag-tr tr', 'TR flag'],
+        ['🇹🇹', 'flag: Trinidad & Tobago', 'flag-tt trinidad_tobago', 'TT flag'],
+        ['🇹🇻', 'flag: Tuvalu', 'flag-tv tuvalu', 'TV flag'],
+        ['🇹🇼', 'flag: Taiwan', 'flag-tw taiwan', 'TW flag'],
+        ['🇹🇿', 'flag: Tanzania', 'flag-tz tanzania', 'TZ flag'],
+        ['🇺🇦', 'flag: Ukraine', 'flag-ua ukraine', 'UA flag'],
+        ['🇺🇬', 'flag: Uganda', 'flag-ug uganda', 'UG flag'],
+        ['🇺🇲', 'flag: U.S. Outlying Islands', 'flag-um us_outlying_islands', 'UM flag'],
+        ['🇺🇳', 'flag: United Nations', 'flag-un united_nations', 'UN flag'],
+        ['🇺🇸', 'flag: United States', 'us flag-us', 'US flag'],
+        ['🇺🇾', 'flag: Uruguay', 'flag-uy uruguay', 'UY flag'],
+        ['🇺🇿', 'flag: Uzbekistan', 'flag-uz uzbekistan', 'UZ flag'],
+        ['🇻🇦', 'flag: Vatican City', 'flag-va vatican_city', 'VA flag'],
+        ['🇻🇨', 'flag: St. Vincent & Grenadines', 'flag-vc st_vincent_grenadines', 'VC flag'],
+        ['🇻🇪', 'flag: Venezuela', 'flag-ve venezuela', 'VE flag'],
+        ['🇻🇬', 'flag: British Virgin Islands', 'flag-vg british_virgin_islands', 'VG flag'],
+        ['🇻🇮', 'flag: U.S. Virgin Islands', 'flag-vi us_virgin_islands', 'VI flag'],
+        ['🇻🇳', 'flag: Vietnam', 'flag-vn vietnam', 'VN flag'],
+        ['🇻🇺', 'flag: Vanuatu', 'flag-vu vanuatu', 'VU flag'],
+        ['🇼🇫', 'flag: Wallis & Futuna', 'flag-wf wallis_futuna', 'WF flag'],
+        ['🇼🇸', 'flag: Samoa', 'flag-ws samoa', 'WS flag'],
+        ['🇽🇰', 'flag: Kosovo', 'flag-xk kosovo', 'XK flag'],
+        ['🇾🇪', 'flag: Yemen', 'flag-ye yemen', 'YE flag'],
+        ['🇾🇹', 'flag: Mayotte', 'flag-yt mayotte', 'YT flag'],
+        ['🇿🇦', 'flag: South Africa', 'flag-za south_africa', 'ZA flag'],
+        ['🇿🇲', 'flag: Zambia', 'flag-zm zambia', 'ZM flag'],
+        ['🇿🇼', 'flag: Zimbabwe', 'flag-zw zimbabwe', 'ZW flag'],
+        ['🏴󠁧󠁢󠁥󠁮󠁧󠁿', 'flag: England', 'flag-england england', 'flag gbeng'],
+        ['🏴󠁧󠁢󠁳󠁣󠁴󠁿', 'flag: Scotland', 'flag-scotland scotland', 'flag gbsct'],
+        ['🏴󠁧󠁢󠁷󠁬󠁳󠁿', 'flag: Wales', 'flag-wales wales', 'flag gbwls']
+      ]
+    }
+  ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZEmojiData;
+} else {
+  window.EZEmojiData = EZEmojiData;
+}
@@ -0,0 +1,1095 @@
+/**
+ * Emoji Picker Component
+ * A searchable emoji popover with category tabs, skin tones, frequently used emoji and a guild's custom emoji
+ * Search matches names, shortcodes and keywords from EZEmojiData, and frequently used emoji and the chosen
+ * skin tone are kept in localStorage so they carry over between pickers and page loads
+ *
+ * Usage:
+ * const picker = new EZEmojiPicker(document.body, {
+ *   customEmojis: [{ id: '123456789012345678', name: 'party', animated: true }],
+ *   onSelect: (emoji) => console.log(emoji) // '🔥', '👍🏽' or '<a:party:123456789012345678>'
+ * });
+ * triggerButton.addEventListener('click', () => picker.toggle(triggerButton));
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+  globalThis.EZEmojiData = globalThis.EZEmojiData || require('./emojiData');
+}
+
+class EZEmojiPicker {
+  constructor(container, options = {}) {
+    this.container = container || document.body;
+    this.options = {
+      data: options.data || (typeof EZEmojiData !== 'undefined' ? EZEmojiData : { categories: [] }),
+      customEmojis: options.customEmojis || [],
+      customCategoryName: options.customCategoryName || 'Custom',
+      recentCategoryName: options.recentCategoryName || 'Frequently Used',
+      searchPlaceholder: options.searchPlaceholder || 'Search emoji',
+      noResultsText: options.noResultsText || 'No emoji found',
+      columns: options.columns || 9,
+      recentLimit: options.recentLimit || 18,
+      storageKey: options.storageKey !== undefined ? options.storageKey : 'ez-emoji-picker',
+      closeOnSelect: options.closeOnSelect !== undefined ? options.closeOnSelect : true,
+      emojiCdn: options.emojiCdn || null,
+      ...options
+    };
+
+    this.element = null;
+    this.elements = {};
+    this.isOpen = false;
+    this.id = `ez-emoji-picker-${++EZEmojiPicker._idCounter}`;
+    this.anchor = null;
+    this.returnFocus = null;
+    this.searchQuery = '';
+    this.categorySections = [];
+    this.customSection = null;
+    this.recentSection = null;
+    this.browseSections = [];
+    this.sections = [];
+    this.items = [];
+    this.activeIndex = -1;
+    this.searchIndex = null;
+    this.lookup = null;
+
+    const stored = this._loadStorage();
+    this.usage = Array.isArray(stored.usage) ? stored.usage : [];
+    this.options.skinTone = this._normalizeSkinTone(options.skinTone !== undefined ? options.skinTone : stored.skinTone);
+
+    this._handleDocumentClick = (e) => {
+      if (!this.isOpen || this.element.contains(e.target)) return;
+      if (this.anchor && this.anchor.contains && this.anchor.contains(e.target)) return;
+      this.close(false);
+    };
+    this._handleDocumentKeydown = (e) => {
+      if (this.isOpen && e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    };
+    this._handleReposition = (e) => {
+      if (e && e.type === 'scroll' && this.element.contains(e.target)) return;
+      this._position();
+    };
+
+    this.onSelectCallback = options.onSelect || null;
+    this.onOpenCallback = options.onOpen || null;
+    this.onCloseCallback = options.onClose || null;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'ez-emoji-picker';
+    this.element.id = this.id;
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-label', 'Emoji picker');
+    this.element.style.display = 'none';
+    this.element.style.setProperty('--ez-emoji-picker-columns', this.options.columns);
+
+    const tones = EZEmojiPicker.SKIN_TONES.map((tone, index) => `
+      <button type="button" class="ez-emoji-picker-tone-option" role="radio" data-tone="${index}" aria-label="${tone}" title="${tone}">${EZEmojiPicker.applySkinTone(EZEmojiPicker.TONE_SAMPLE, index)}</button>
+    `).join('');
+
+    this.element.innerHTML = `
+      <div class="ez-emoji-picker-header">
+        <input type="text" class="ez-emoji-picker-search" placeholder="${EZSanitize.escapeHtml(this.options.searchPlaceholder)}" aria-label="${EZSanitize.escapeHtml(this.options.searchPlaceholder)}" autocomplete="off" spellcheck="false">
+        <button type="button" class="ez-emoji-picker-tone" aria-haspopup="true" aria-expanded="false"></button>
+        <div class="ez-emoji-picker-tones" role="radiogroup" aria-label="Skin tone" hidden>${tones}</div>
+      </div>
+      <div class="ez-emoji-picker-tabs" role="tablist" aria-label="Emoji categories"></div>
+      <div class="ez-emoji-picker-body">
+        <div class="ez-emoji-picker-sections"></div>
+        <div class="ez-emoji-picker-results" hidden></div>
+      </div>
+      <div class="ez-emoji-picker-footer" aria-live="polite">
+        <span class="ez-emoji-picker-preview-emoji"></span>
+        <span class="ez-emoji-picker-preview-text">
+          <span class="ez-emoji-picker-preview-name"></span>
+          <span class="ez-emoji-picker-preview-shortcode"></span>
+        </span>
+      </div>
+    `;
+
+    this.elements = {
+      root: this.element,
+      search: this.element.querySelector('.ez-emoji-picker-search'),
+      toneButton: this.element.querySelector('.ez-emoji-picker-tone'),
+      tones: this.element.querySelector('.ez-emoji-picker-tones'),
+      tabs: this.element.querySelector('.ez-emoji-picker-tabs'),
+      body: this.element.querySelector('.ez-emoji-picker-body'),
+      sections: this.element.querySelector('.ez-emoji-picker-sections'),
+      results: this.element.querySelector('.ez-emoji-picker-results'),
+      footer: this.element.querySelector('.ez-emoji-picker-footer'),
+      previewEmoji: this.element.querySelector('.ez-emoji-picker-preview-emoji'),
+      previewName: this.element.querySelector('.ez-emoji-picker-preview-name'),
+      previewShortcode: this.element.querySelector('.ez-emoji-picker-preview-shortcode')
+    };
+
+    if (!document.getElementById('ez-emoji-picker-styles')) this._addStyles();
+
+    this._updateToneButton();
+
+    // The categories are built once - only the small recent and custom sections and search results are rebuilt
+    this.categorySections = this.options.data.categories.map(category => this._createSection(
+      category.id,
+      category.name,
+      category.icon,
+      category.emojis.map(entry => this._toItem(entry))
+    ));
+    this._renderCustomSection();
+    this._renderRecentSection();
+    this._layoutSections();
+
+    this._setupEventListeners();
+    this.container.appendChild(this.element);
+    return this.element;
+  }
+
+  /**
+   * Add a skin tone modifier to an emoji from EZEmojiData
+   * @param {Array} entry - An EZEmojiData entry
+   * @param {number} tone - 0 for the default yellow, 1-5 for light to dark
+   * @returns {string} - The emoji with the tone applied, or unchanged when it has no skin tones
+   */
+  static applySkinTone(entry, tone) {
+    const skinTones = entry[4];
+    if (!tone || !skinTones) return entry[0];
+    if (Array.isArray(skinTones)) return skinTones[tone - 1] || entry[0];
+
+    // The modifier replaces any variation selector straight after the base character
+    const [first, ...rest] = Array.from(entry[0]);
+    if (rest[0] === '\uFE0F') rest.shift();
+    return [first, EZEmojiPicker.SKIN_TONE_MODIFIERS[tone - 1], ...rest].join('');
+  }
+
+  _normalizeSkinTone(tone) {
+    const value = parseInt(tone, 10);
+    return value >= 0 && value < EZEmojiPicker.SKIN_TONES.length ? value : 0;
+  }
+
+  _loadStorage() {
+    if (!this.options.storageKey) return {};
+
+    try {
+      return JSON.parse(window.localStorage.getItem(this.options.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  _saveStorage() {
+    if (!this.options.storageKey) return;
+
+    try {
+      window.localStorage.setItem(this.options.storageKey, JSON.stringify({ usage: this.usage, skinTone: this.options.skinTone }));
+    } catch (error) {
+      // Storage is full or blocked - frequently used emoji then only last as long as the page
+    }
+  }
+
+  _recordUsage(emoji) {
+    const existing = this.usage.find(entry => entry.emoji === emoji);
+    if (existing) {
+      existing.count++;
+      existing.lastUsed = Date.now();
+    } else {
+      this.usage.push({ emoji, count: 1, lastUsed: Date.now() });
+    }
+
+    // Keep more than are shown so an emoji that drops off the list doesn't lose its count straight away
+    this.usage.sort((a, b) => b.lastUsed - a.lastUsed);
+    this.usage = this.usage.slice(0, this.options.recentLimit * 3);
+    this._saveStorage();
+  }
+
+  _getCustomItems() {
+    return this.options.customEmojis
+      .map(emoji => EZEmoji.parse(emoji))
+      .filter(parsed => parsed && parsed.id)
+      .map(parsed => ({ emoji: EZEmoji.toString(parsed), name: parsed.name, shortcode: `:${parsed.name}:`, custom: true }));
+  }
+
+  _toItem(entry) {
+    const shortcode = entry[2].split(' ')[0];
+    return {
+      emoji: EZEmojiPicker.applySkinTone(entry, this.options.skinTone),
+      name: entry[1],
+      shortcode: shortcode ? `:${shortcode}:` : '',
+      custom: false,
+      entry
+    };
+  }
+
+  /**
+   * Find the name and shortcode of an emoji string, including toned variants of emoji in the dataset
+   * @param {string} emoji - The emoji string
+   * @returns {Object} - A picker item - unknown emoji get an empty name
+   */
+  _describe(emoji) {
+    if (EZEmoji.isCustom(emoji)) {
+      const custom = this._getCustomItems().find(item => item.emoji === emoji);
+      const parsed = EZEmoji.parse(emoji);
+      return custom || { emoji, name: parsed.name, shortcode: `:${parsed.name}:`, custom: true };
+    }
+
+    if (!this.lookup) {
+      this.lookup = new Map();
+      this.options.data.categories.forEach(category => {
+        category.emojis.forEach(entry => {
+          this.lookup.set(entry[0], entry);
+          if (Array.isArray(entry[4])) entry[4].forEach(variant => this.lookup.set(variant, entry));
+        });
+      });
+    }
+
+    const untoned = emoji.replace(/[\u{1F3FB}-\u{1F3FF}]/gu, '');
+    const [first, ...rest] = Array.from(untoned);
+    const entry = this.lookup.get(emoji) || this.lookup.get(untoned) || this.lookup.get([first, '\uFE0F', ...rest].join(''));
+    if (!entry) return { emoji, name: '', shortcode: '', custom: false };
+
+    return { ...this._toItem(entry), emoji };
+  }
+
+  /**
+   * Frequently used emoji - the most used first, with ties going to the most recent
+   * @returns {Array<string>} - Emoji strings, at most recentLimit of them
+   */
+  getRecent() {
+    return [...this.usage]
+      .sort((a, b) => b.count - a.count || b.lastUsed - a.lastUsed)
+      .slice(0, this.options.recentLimit)
+      .map(entry => entry.emoji);
+  }
+
+  clearRecent() {
+    this.usage = [];
+    this._saveStorage();
+
+    if (this.element) {
+      this._renderRecentSection();
+      this._layoutSections();
+    }
+    return this;
+  }
+
+  /**
+   * Build a section's element, keeping a reference to each item's button on the item
+   * @param {string} id - The section id
+   * @param {string} name - The section title
+   * @param {string} icon - The emoji shown on the section's tab
+   * @param {Array<Object>} items - Picker items
+   * @returns {Object} - { id, name, icon, items, element }
+   */
+  _createSection(id, name, icon, items) {
+    const element = document.createElement('div');
+    element.className = 'ez-emoji-picker-section';
+    element.setAttribute('data-section', id);
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-label', name);
+
+    element.innerHTML = `
+      <div class="ez-emoji-picker-section-title">${EZSanitize.escapeHtml(name)}</div>
+      <div class="ez-emoji-picker-grid">${items.map(item => `
+        <button type="button" class="ez-emoji-picker-item" tabindex="-1" aria-label="${EZSanitize.escapeHtml(item.name || item.emoji)}">${this._renderItemContent(item)}</button>
+      `).join('')}</div>
+    `;
+
+    const buttons = element.querySelectorAll('.ez-emoji-picker-item');
+    items.forEach((item, position) => { item.element = buttons[position]; });
+
+    return { id, name, icon, items, element };
+  }
+
+  _renderItemContent(item) {
+    return item.custom
+      ? EZEmoji.render(item.emoji, { cdn: this.options.emojiCdn, className: 'ez-emoji-picker-image' })
+      : EZSanitize.escapeHtml(item.emoji);
+  }
+
+  _renderCustomSection() {
+    if (this.customSection) this.customSection.element.remove();
+
+    const items = this._getCustomItems();
+    this.customSection = items.length
+      ? this._createSection('custom', this.options.customCategoryName, items[0].emoji, items)
+      : null;
+  }
+
+  _renderRecentSection() {
+    if (this.recentSection) this.recentSection.element.remove();
+
+    const items = this.getRecent().map(emoji => this._describe(emoji));
+    this.recentSection = items.length
+      ? this._createSection('recent', this.options.recentCategoryName, '🕘', items)
+      : null;
+  }
+
+  /**
+   * Put the browsable sections in order - frequently used, custom, then the categories - and redraw the tabs
+   */
+  _layoutSections() {
+    this.browseSections = [this.recentSection, this.customSection, ...this.categorySections].filter(Boolean);
+    this.browseSections.forEach(section => this.elements.sections.appendChild(section.element));
+
+    this.elements.tabs.innerHTML = this.browseSections.map(section => {
+      const icon = EZEmoji.isCustom(section.icon)
+        ? EZEmoji.render(section.icon, { cdn: this.options.emojiCdn, className: 'ez-emoji-picker-image' })
+        : EZSanitize.escapeHtml(section.icon);
+      return `<button type="button" class="ez-emoji-picker-tab" role="tab" data-section="${EZSanitize.escapeHtml(section.id)}" aria-label="${EZSanitize.escapeHtml(section.name)}" title="${EZSanitize.escapeHtml(section.name)}" aria-selected="false"${this.searchQuery ? ' disabled' : ''}>${icon}</button>`;
+    }).join('');
+
+    if (!this.searchQuery) {
+      this._useSections(this.browseSections);
+      if (this.browseSections.length) this._setActiveTab(this.browseSections[0].id);
+    }
+  }
+
+  /**
+   * Make a set of sections the one that keyboard navigation and clicks work on
+   * @param {Array<Object>} sections - The browsable sections, or the search results
+   */
+  _useSections(sections) {
+    this._setActiveIndex(-1, false);
+
+    this.sections = sections;
+    this.items = [];
+    sections.forEach((section, sectionIndex) => {
+      section.start = this.items.length;
+      section.length = section.items.length;
+      section.items.forEach((item, position) => {
+        item.section = sectionIndex;
+        item.position = position;
+        item.element.setAttribute('data-index', this.items.length);
+        this.items.push(item);
+      });
+    });
+
+    this.elements.body.scrollTop = 0;
+    this._setActiveIndex(this.items.length ? 0 : -1, false);
+  }
+
+  /**
+   * Show results for the search box's query in place of the categories, or the categories again when it is empty
+   */
+  _applySearch() {
+    this.searchQuery = this.elements.search.value.trim();
+    const searching = Boolean(this.searchQuery);
+
+    this.elements.sections.hidden = searching;
+    this.elements.results.hidden = !searching;
+    this.elements.tabs.querySelectorAll('.ez-emoji-picker-tab').forEach(tab => { tab.disabled = searching; });
+    this.elements.results.innerHTML = '';
+
+    if (!searching) {
+      this._useSections(this.browseSections);
+      if (this.browseSections.length) this._setActiveTab(this.browseSections[0].id);
+      return;
+    }
+
+    const items = this._search(this.searchQuery);
+    if (!items.length) {
+      this.elements.results.innerHTML = `<div class="ez-emoji-picker-empty">${EZSanitize.escapeHtml(this.options.noResultsText)}</div>`;
+      this._useSections([]);
+      return;
+    }
+
+    const results = this._createSection('search', 'Search Results', '', items);
+    this.elements.results.appendChild(results.element);
+    this._useSections([results]);
+  }
+
+  /**
+   * Match every word of the query against the start of a word in an emoji's name, shortcodes or keywords
+   * Exact shortcodes rank first, then names starting with the query, then shortcodes, then keywords
+   * @param {string} query - The search text - colons around a shortcode are ignored
+   * @returns {Array<Object>} - Matching picker items, custom emoji included
+   */
+  _search(query) {
+    const normalized = query.toLowerCase().replace(/:/g, ' ').trim();
+    const terms = normalized.split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+
+    if (!this.searchIndex) {
+      this.searchIndex = [];
+      this.options.data.categories.forEach(category => {
+        category.emojis.forEach(entry => {
+          const shortcodes = entry[2] ? entry[2].split(' ') : [];
+          const text = `${entry[1]} ${entry[2]} ${entry[3]}`.toLowerCase();
+          const words = new Set([...text.split(/\s+/), ...text.split(/[\s_\-:,.()'"!&]+/)].filter(Boolean));
+          this.searchIndex.push({ entry, name: entry[1].toLowerCase(), shortcodes, words: [...words] });
+        });
+      });
+    }
+
+    const matches = [];
+    const matchesTerms = words => terms.every(term => words.some(word => word.startsWith(term)));
+
+    this._getCustomItems().forEach(item => {
+      const name = item.name.toLowerCase();
+      if (matchesTerms([name, ...name.split('_')])) {
+        matches.push({ item, rank: name === normalized ? 0 : 1 });
+      }
+    });
+
+    this.searchIndex.forEach(indexed => {
+      if (!matchesTerms(indexed.words)) return;
+
+      let rank = 4;
+      if (indexed.shortcodes.includes(normalized)) rank = 0;
+      else if (indexed.name.startsWith(normalized)) rank = 1;
+      else if (indexed.shortcodes.some(shortcode => shortcode.startsWith(terms[0]))) rank = 2;
+      else if (indexed.name.split(/\s+/).some(word => word.startsWith(terms[0]))) rank = 3;
+
+      matches.push({ item: this._toItem(indexed.entry), rank });
+    });
+
+    return matches
+      .map((match, order) => ({ ...match, order }))
+      .sort((a, b) => a.rank - b.rank || a.order - b.order)
+      .map(match => match.item);
+  }
+
+  _setActiveTab(sectionId) {
+    this.elements.tabs.querySelectorAll('.ez-emoji-picker-tab').forEach(tab => {
+      const active = tab.getAttribute('data-section') === sectionId;
+      tab.classList.toggle('ez-emoji-picker-tab-active', active);
+      tab.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+  }
+
+  _getItemElement(index) {
+    const item = this.items[index];
+    return item ? item.element : null;
+  }
+
+  /**
+   * Move the roving tabindex to an emoji and show it in the footer
+   * @param {number} index - The index in this.items, or -1 for none
+   * @param {boolean} focus - Whether to move keyboard focus to it
+   */
+  _setActiveIndex(index, focus = true) {
+    const previous = this.activeIndex >= 0 ? this._getItemElement(this.activeIndex) : null;
+    if (previous) {
+      previous.tabIndex = -1;
+      previous.classList.remove('ez-emoji-picker-item-active');
+    }
+
+    this.activeIndex = index;
+    const element = index >= 0 ? this._getItemElement(index) : null;
+
+    if (element) {
+      element.tabIndex = 0;
+      element.classList.add('ez-emoji-picker-item-active');
+      if (focus) {
+        element.focus();
+        if (element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    this._updatePreview(index >= 0 ? this.items[index] : null);
+  }
+
+  _updatePreview(item) {
+    if (!item) {
+      this.elements.previewEmoji.innerHTML = '';
+      this.elements.previewName.textContent = '';
+      this.elements.previewShortcode.textContent = '';
+      return;
+    }
+
+    this.elements.previewEmoji.innerHTML = this._renderItemContent(item);
+    this.elements.previewName.textContent = item.name;
+    this.elements.previewShortcode.textContent = item.shortcode;
+  }
+
+  /**
+   * Work out where an arrow key moves to - up and down keep the column and cross into the neighbouring section
+   * @param {string} key - The key that was pressed
+   * @returns {number|null} - The new index, -1 to go back to the search box, or null to stay put
+   */
+  _getNavigationTarget(key) {
+    const columns = this.options.columns;
+    const current = this.items[this.activeIndex];
+    if (!current) return this.items.length ? 0 : null;
+
+    const section = this.sections[current.section];
+    const column = current.position % columns;
+    const lastRowStart = length => Math.floor((length - 1) / columns) * columns;
+
+    switch (key) {
+      case 'ArrowRight':
+        return this.activeIndex + 1 < this.items.length ? this.activeIndex + 1 : null;
+      case 'ArrowLeft':
+        return this.activeIndex > 0 ? this.activeIndex - 1 : -1;
+      case 'ArrowDown': {
+        if (current.position + columns < section.length) return this.activeIndex + columns;
+        if (current.position < lastRowStart(section.length)) return section.start + section.length - 1;
+
+        const next = this.sections.slice(current.section + 1).find(candidate => candidate.length);
+        return next ? next.start + Math.min(column, next.length - 1) : null;
+      }
+      case 'ArrowUp': {
+        if (current.position - columns >= 0) return this.activeIndex - columns;
+
+        const previous = this.sections.slice(0, current.section).reverse().find(candidate => candidate.length);
+        if (!previous) return -1;
+        return previous.start + Math.min(lastRowStart(previous.length) + column, previous.length - 1);
+      }
+      case 'Home':
+        return 0;
+      case 'End':
+        return this.items.length - 1;
+      default:
+        return null;
+    }
+  }
+
+  _setupEventListeners() {
+    this.elements.search.addEventListener('input', () => this._applySearch());
+
+    this.elements.search.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' && this.items.length) {
+        e.preventDefault();
+        this._setActiveIndex(this.activeIndex >= 0 ? this.activeIndex : 0);
+      } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+        e.preventDefault();
+        this._select(this.items[this.activeIndex]);
+      }
+    });
+
+    this.elements.body.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('ez-emoji-picker-item')) return;
+
+      const target = this._getNavigationTarget(e.key);
+      if (target === null) return;
+
+      e.preventDefault();
+      if (target === -1) this.elements.search.focus();
+      else this._setActiveIndex(target);
+    });
+
+    this.elements.body.addEventListener('click', (e) => {
+      const itemElement = e.target.closest('.ez-emoji-picker-item');
+      if (!itemElement) return;
+
+      const index = parseInt(itemElement.getAttribute('data-index'), 10);
+      this._setActiveIndex(index, false);
+      this._select(this.items[index]);
+    });
+
+    this.elements.body.addEventListener('mouseover', (e) => {
+      const itemElement = e.target.closest('.ez-emoji-picker-item');
+      if (itemElement) this._updatePreview(this.items[parseInt(itemElement.getAttribute('data-index'), 10)]);
+    });
+
+    this.elements.body.addEventListener('focusin', (e) => {
+      const itemElement = e.target.closest('.ez-emoji-picker-item');
+      const index = itemElement ? parseInt(itemElement.getAttribute('data-index'), 10) : -1;
+      if (index >= 0 && index !== this.activeIndex) this._setActiveIndex(index, false);
+    });
+
+    this.elements.body.addEventListener('scroll', () => {
+      if (this.searchQuery) return;
+
+      const scrollTop = this.elements.body.scrollTop;
+      const current = this.browseSections.filter(section => section.element.offsetTop - this.elements.body.offsetTop <= scrollTop + 1).pop();
+      if (current) this._setActiveTab(current.id);
+    });
+
+    this.elements.tabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('.ez-emoji-picker-tab');
+      if (tab && !tab.disabled) this.scrollToCategory(tab.getAttribute('data-section'));
+    });
+
+    this.elements.toneButton.addEventListener('click', () => {
+      this._toggleTones(this.elements.tones.hidden);
+    });
+
+    this.elements.tones.addEventListener('click', (e) => {
+      const option = e.target.closest('.ez-emoji-picker-tone-option');
+      if (!option) return;
+
+      this.setSkinTone(parseInt(option.getAttribute('data-tone'), 10));
+      this._toggleTones(false);
+      this.elements.toneButton.focus();
+    });
+
+    this.elements.tones.addEventListener('keydown', (e) => {
+      const options = Array.from(this.elements.tones.querySelectorAll('.ez-emoji-picker-tone-option'));
+      const index = options.indexOf(e.target);
+      if (index === -1) return;
+
+      if (e.key === 'ArrowRight' || e.key === 'ArrowDown') options[(index + 1) % options.length].focus();
+      else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') options[(index - 1 + options.length) % options.length].focus();
+      else if (e.key === 'Escape') {
+        this._toggleTones(false);
+        this.elements.toneButton.focus();
+        e.stopPropagation();
+      } else return;
+
+      e.preventDefault();
+    });
+  }
+
+  _toggleTones(show) {
+    this.elements.tones.hidden = !show;
+    this.elements.toneButton.setAttribute('aria-expanded', show ? 'true' : 'false');
+    if (!show) return;
+
+    const selected = this.elements.tones.querySelector(`[data-tone="${this.options.skinTone}"]`);
+    if (selected) selected.focus();
+  }
+
+  _updateToneButton() {
+    const tone = EZEmojiPicker.SKIN_TONES[this.options.skinTone];
+    this.elements.toneButton.textContent = EZEmojiPicker.applySkinTone(EZEmojiPicker.TONE_SAMPLE, this.options.skinTone);
+    this.elements.toneButton.setAttribute('aria-label', `Skin tone: ${tone}`);
+    this.elements.toneButton.title = `Skin tone: ${tone}`;
+
+    this.elements.tones.querySelectorAll('.ez-emoji-picker-tone-option').forEach(option => {
+      option.setAttribute('aria-checked', option.getAttribute('data-tone') === String(this.options.skinTone) ? 'true' : 'false');
+    });
+  }
+
+  _select(item) {
+    if (!item) return;
+
+    this._recordUsage(item.emoji);
+    if (this.onSelectCallback) this.onSelectCallback(item.emoji, this);
+    if (this.options.closeOnSelect) this.close();
+  }
+
+  _position() {
+    if (!this.isOpen || !this.anchor) return;
+
+    const margin = 8;
+    const gap = 4;
+    const rect = this.anchor.getBoundingClientRect
+      ? this.anchor.getBoundingClientRect()
+      : { left: this.anchor.clientX, right: this.anchor.clientX, top: this.anchor.clientY, bottom: this.anchor.clientY };
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+
+    const spaceBelow = window.innerHeight - rect.bottom - gap - margin;
+    const flip = height > spaceBelow && rect.top - gap - margin > spaceBelow;
+    const top = flip ? rect.top - gap - height : rect.bottom + gap;
+    const left = Math.min(rect.left, window.innerWidth - width - margin);
+
+    this.element.style.top = `${Math.max(top, margin)}px`;
+    this.element.style.left = `${Math.max(left, margin)}px`;
+  }
+
+  /**
+   * Show the picker next to an element, or at the pointer position of a mouse event
+   * @param {Element|Event|Object} anchor - An element, or anything with clientX and clientY
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  open(anchor = null) {
+    if (!this.element) this.render();
+
+    this.anchor = anchor;
+    if (this.isOpen) {
+      this._position();
+      return this;
+    }
+
+    // Another picker may have recorded usage since this one was created
+    const stored = this._loadStorage();
+    if (Array.isArray(stored.usage)) this.usage = stored.usage;
+
+    this.isOpen = true;
+    this.returnFocus = document.activeElement;
+    this.elements.search.value = '';
+    this.searchQuery = '';
+    this._toggleTones(false);
+    this._renderRecentSection();
+    this._layoutSections();
+    this._applySearch();
+
+    this.element.style.display = '';
+    this._position();
+    this.elements.search.focus();
+
+    // Wait for the click that opened the picker to finish before listening for outside clicks
+    setTimeout(() => {
+      if (this.isOpen) document.addEventListener('click', this._handleDocumentClick);
+    }, 0);
+    document.addEventListener('keydown', this._handleDocumentKeydown);
+    window.addEventListener('resize', this._handleReposition);
+    window.addEventListener('scroll', this._handleReposition, true);
+
+    if (this.onOpenCallback) this.onOpenCallback(this);
+    return this;
+  }
+
+  /**
+   * Hide the picker
+   * @param {boolean} restoreFocus - Whether to move focus back to where it was before opening - defaults to true
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  close(restoreFocus = true) {
+    if (!this.isOpen) return this;
+
+    this.isOpen = false;
+    this.element.style.display = 'none';
+
+    document.removeEventListener('click', this._handleDocumentClick);
+    document.removeEventListener('keydown', this._handleDocumentKeydown);
+    window.removeEventListener('resize', this._handleReposition);
+    window.removeEventListener('scroll', this._handleReposition, true);
+
+    if (restoreFocus && this.returnFocus && this.returnFocus.isConnected && this.returnFocus.focus) this.returnFocus.focus();
+    this.returnFocus = null;
+
+    if (this.onCloseCallback) this.onCloseCallback(this);
+    return this;
+  }
+
+  toggle(anchor = null) {
+    return this.isOpen ? this.close() : this.open(anchor);
+  }
+
+  /**
+   * Filter the picker as if the query had been typed into its search box
+   * @param {string} query - The search text - an empty string shows every category again
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  search(query) {
+    if (!this.element) this.render();
+
+    this.elements.search.value = query || '';
+    this._applySearch();
+    return this;
+  }
+
+  /**
+   * Scroll a category into view and mark its tab as active
+   * @param {string} sectionId - A category id from EZEmojiData, 'recent' or 'custom'
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  scrollToCategory(sectionId) {
+    if (!this.element || this.searchQuery) return this;
+
+    const section = this.browseSections.find(candidate => candidate.id === sectionId);
+    if (!section) return this;
+
+    this.elements.body.scrollTop = section.element.offsetTop - this.elements.body.offsetTop;
+    this._setActiveTab(sectionId);
+    this._setActiveIndex(section.start, false);
+    return this;
+  }
+
+  /**
+   * Choose the skin tone applied to emoji that support one - remembered for later pickers
+   * @param {number} tone - 0 for the default yellow, 1-5 for light to dark
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  setSkinTone(tone) {
+    this.options.skinTone = this._normalizeSkinTone(tone);
+    this._saveStorage();
+
+    if (this.element) {
+      this._updateToneButton();
+
+      // Only emoji with skin tones change, so update their buttons in place
+      this.categorySections.forEach(section => section.items.forEach(item => {
+        if (!item.entry[4]) return;
+        item.emoji = EZEmojiPicker.applySkinTone(item.entry, this.options.skinTone);
+        item.element.textContent = item.emoji;
+      }));
+
+      if (this.searchQuery) this._applySearch();
+      else this._updatePreview(this.items[this.activeIndex]);
+    }
+    return this;
+  }
+
+  getSkinTone() {
+    return this.options.skinTone;
+  }
+
+  /**
+   * Replace the custom emoji section
+   * @param {Array} emojis - Custom emoji as <:name:id> strings or { id, name, animated } objects
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  setCustomEmojis(emojis) {
+    this.options.customEmojis = emojis || [];
+
+    if (this.element) {
+      this._renderCustomSection();
+      this._layoutSections();
+      if (this.searchQuery) this._applySearch();
+    }
+    return this;
+  }
+
+  /**
+   * Remove the picker from the page along with its document listeners
+   */
+  destroy() {
+    this.close(false);
+    if (this.element) this.element.remove();
+
+    this.element = null;
+    this.elements = {};
+  }
+
+  _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-emoji-picker-styles';
+    style.textContent = `
+      .ez-emoji-picker {
+          position: fixed;
+          z-index: 1000;
+          display: flex;
+          flex-direction: column;
+          width: calc(var(--ez-emoji-picker-columns, 9) * 36px + 24px);
+          max-width: calc(100vw - 16px);
+          background-color: #2f3136;
+          border: 1px solid #202225;
+          border-radius: 8px;
+          box-shadow: 0 8px 16px rgba(0, 0, 0, 0.24);
+          color: #dcddde;
+          font-family: 'gg sans', 'Noto Sans', 'Helvetica Neue', Helvetica, Arial, sans-serif;
+          overflow: hidden;
+      }
+
+      .ez-emoji-picker button {
+          font: inherit;
+          color: inherit;
+          background: none;
+          border: none;
+          padding: 0;
+          margin: 0;
+          cursor: pointer;
+      }
+
+      .ez-emoji-picker button:focus-visible {
+          outline: 2px solid #00a8fc;
+          outline-offset: -2px;
+      }
+
+      .ez-emoji-picker-header {
+          position: relative;
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px;
+          border-bottom: 1px solid #202225;
+      }
+
+      .ez-emoji-picker-search {
+          flex-grow: 1;
+          min-width: 0;
+          background-color: #202225;
+          border: none;
+          border-radius: 4px;
+          color: #dcddde;
+          padding: 8px;
+          font-size: 14px;
+          outline: none;
+      }
+
+      .ez-emoji-picker-tone {
+          width: 32px;
+          height: 32px;
+          font-size: 20px;
+          border-radius: 4px;
+      }
+
+      .ez-emoji-picker-tone:hover {
+          background-color: #40444b;
+      }
+
+      .ez-emoji-picker-tones {
+          position: absolute;
+          top: 44px;
+          right: 8px;
+          z-index: 1;
+          display: flex;
+          gap: 2px;
+          padding: 4px;
+          background-color: #18191c;
+          border-radius: 4px;
+          box-shadow: 0 4px 8px rgba(0, 0, 0, 0.24);
+      }
+
+      .ez-emoji-picker-tones[hidden] {
+          display: none;
+      }
+
+      .ez-emoji-picker-tone-option {
+          width: 32px;
+          height: 32px;
+          font-size: 20px;
+          border-radius: 4px;
+      }
+
+      .ez-emoji-picker-tone-option:hover,
+      .ez-emoji-picker-tone-option[aria-checked="true"] {
+          background-color: #40444b;
+      }
+
+      .ez-emoji-picker-tabs {
+          display: flex;
+          gap: 2px;
+          padding: 4px 8px;
+          border-bottom: 1px solid #202225;
+          overflow-x: auto;
+      }
+
+      .ez-emoji-picker-tab {
+          flex: 0 0 auto;
+          width: 28px;
+          height: 28px;
+          font-size: 18px;
+          border-radius: 4px;
+          opacity: 0.6;
+      }
+
+      .ez-emoji-picker-tab:hover,
+      .ez-emoji-picker-tab-active {
+          opacity: 1;
+          background-color: #40444b;
+      }
+
+      .ez-emoji-picker-tab:disabled {
+          opacity: 0.3;
+          background: none;
+          cursor: default;
+      }
+
+      .ez-emoji-picker-body {
+          position: relative;
+          height: 280px;
+          overflow-y: auto;
+          padding: 0 8px 8px;
+      }
+
+      .ez-emoji-picker-section-title {
+          position: sticky;
+          top: 0;
+          padding: 8px 4px 4px;
+          background-color: #2f3136;
+          font-size: 12px;
+          font-weight: 600;
+          text-transform: uppercase;
+          color: #b9bbbe;
+      }
+
+      .ez-emoji-picker-grid {
+          display: grid;
+          grid-template-columns: repeat(var(--ez-emoji-picker-columns, 9), 36px);
+      }
+
+      .ez-emoji-picker-item {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          width: 36px;
+          height: 36px;
+          font-size: 24px;
+          line-height: 1;
+          border-radius: 4px;
+      }
+
+      .ez-emoji-picker-item:hover,
+      .ez-emoji-picker-item-active {
+          background-color: #40444b;
+      }
+
+      .ez-emoji-picker-image {
+          width: 24px;
+          height: 24px;
+          vertical-align: middle;
+      }
+
+      .ez-emoji-picker-empty {
+          padding: 32px 8px;
+          text-align: center;
+          color: #b9bbbe;
+          font-size: 14px;
+      }
+
+      .ez-emoji-picker-footer {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          min-height: 48px;
+          padding: 0 12px;
+          background-color: #292b2f;
+      }
+
+      .ez-emoji-picker-preview-emoji {
+          font-size: 28px;
+      }
+
+      .ez-emoji-picker-preview-emoji .ez-emoji-picker-image {
+          width: 28px;
+          height: 28px;
+      }
+
+      .ez-emoji-picker-preview-text {
+          display: flex;
+          flex-direction: column;
+          min-width: 0;
+      }
+
+      .ez-emoji-picker-preview-name {
+          font-size: 14px;
+          font-weight: 600;
+          color: #ffffff;
+          text-transform: capitalize;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+      }
+
+      .ez-emoji-picker-preview-shortcode {
+          font-size: 12px;
+          color: #b9bbbe;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Set a specific CSS style property on a picker element
+   * @param {string} property - The CSS property name
+   * @param {string} value - The CSS property value
+   * @param {string} elementName - The element to target (root, search, tabs, body, footer) - defaults to root
+   * @returns {EZEmojiPicker} - Returns this for method chaining
+   */
+  setStyleProperty(property, value, elementName = 'root') {
+    if (this.elements[elementName]) this.elements[elementName].style[property] = value;
+    return this;
+  }
+
+  /**
+   * Gets the list of available elements that can be styled
+   * @returns {Object} Object containing element names and descriptions
+   */
+  getElementsList() {
+    return {
+      root: "The picker popover",
+      search: "The search input",
+      tabs: "The category tab bar",
+      body: "The scrolling emoji grid",
+      footer: "The preview of the highlighted emoji"
+    };
+  }
+}
+
+EZEmojiPicker._idCounter = 0;
+EZEmojiPicker.SKIN_TONES = ['Default', 'Light', 'Medium-Light', 'Medium', 'Medium-Dark', 'Dark'];
+EZEmojiPicker.SKIN_TONE_MODIFIERS = ['\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+EZEmojiPicker.TONE_SAMPLE = ['✋', 'raised hand', '', '', 1];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZEmojiPicker;
+} else {
+  window.EZEmojiPicker = EZEmojiPicker;
+}
@@ -7,6 +7,13 @@
  * myForm.render();
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZSelectMenu = globalThis.EZSelectMenu || require('./selectMenu');
+  globalThis.EZButtonGroup = globalThis.EZButtonGroup || require('./buttonGroup');
+}
+
 class EZForm {
   constructor(container, options = {}) {
     this.container = container;
@@ -15,6 +22,7 @@ class EZForm {
       submitButton: options.submitButton || { text: 'Submit' },
       title: options.title || '',
       description: options.description || '',
+      html: options.html || false,
       ...options
     };
     this.element = null;
@@ -33,8 +41,8 @@ class EZForm {
     if (this.options.title || this.options.description) {
       headerHTML = `
         <div class="ez-form-header">
-          ${this.options.title ? `<h3 class="ez-form-title">${this.options.title}</h3>` : ''}
-          ${this.options.description ? `<p class="ez-form-description">${this.options.description}</p>` : ''}
+          ${this.options.title ? `<h3 class="ez-form-title">${EZSanitize.html(this.options.title, this.options.html)}</h3>` : ''}
+          ${this.options.description ? `<p class="ez-form-description">${EZSanitize.html(this.options.description, this.options.html)}</p>` : ''}
         </div>
       `;
     }
@@ -44,7 +52,7 @@ class EZForm {
       <div class="ez-form-fields"></div>
       <div class="ez-form-footer">
         <button type="submit" class="ez-form-submit">
-          ${this.options.submitButton.text}
+          ${EZSanitize.html(this.options.submitButton.text, this.options.html)}
         </button>
       </div>
     `;
@@ -80,7 +88,7 @@ class EZForm {
       if (field.label) {
         const label = document.createElement('label');
         label.className = 'ez-field-label';
-        label.innerHTML = field.label;
+        label.innerHTML = EZSanitize.html(field.label, this.options.html);
         if (field.required) label.innerHTML += ' <span class="required">*</span>';
         fieldContainer.appendChild(label);
       }
@@ -88,7 +96,7 @@ class EZForm {
       if (field.description) {
         const description = document.createElement('div');
         description.className = 'ez-field-description';
-        description.innerHTML = field.description;
+        description.innerHTML = EZSanitize.html(field.description, this.options.html);
         fieldContainer.appendChild(description);
       }
 
@@ -105,6 +113,21 @@ class EZForm {
             options: field.options || [],
             value: field.value,
             disabled: field.disabled,
+            minValues: field.minValues || 0,
+            maxValues: field.maxValues || 1,
+            html: this.options.html,
+            onChange: (value) => this._handleFieldChange(field.id || `field-${index}`, value)
+          });
+          break;
+
+        case 'buttonGroup':
+          component = new EZButtonGroup(inputContainer, {
+            items: field.options || [],
+            mode: field.mode,
+            value: field.value,
+            disabled: field.disabled,
+            allowDeselect: field.allowDeselect,
+            html: this.options.html,
             onChange: (value) => this._handleFieldChange(field.id || `field-${index}`, value)
           });
           break;
@@ -179,10 +202,14 @@ class EZForm {
       validationMessage.style.display = 'none';
       const value = this.getValue(fieldId);
 
-      if (field.required && (value === undefined || value === null || value === '')) {
+      if (field.required && this._isEmptyValue(value)) {
         validationMessage.textContent = field.requiredMessage || 'This field is required';
         validationMessage.style.display = 'block';
         isValid = false;
+      } else if (Array.isArray(value) && value.length > 0 && value.length < (field.minValues || 0)) {
+        validationMessage.textContent = field.minValuesMessage || `Select at least ${field.minValues} options`;
+        validationMessage.style.display = 'block';
+        isValid = false;
       }
 
       if (field.validate && typeof field.validate === 'function') {
@@ -198,6 +225,11 @@ class EZForm {
     return isValid;
   }
 
+  _isEmptyValue(value) {
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || value === '';
+  }
+
   _handleFieldChange(fieldId, value) {
     this._updateDependentFields(fieldId, value);
 
@@ -219,9 +251,11 @@ class EZForm {
         } else if (field.dependsOn.condition === 'notEquals') {
           shouldEnable = value !== field.dependsOn.value;
         } else if (field.dependsOn.condition === 'contains') {
-          shouldEnable = String(value).includes(field.dependsOn.value);
+          shouldEnable = Array.isArray(value)
+            ? value.includes(field.dependsOn.value)
+            : String(value).includes(field.dependsOn.value);
         } else if (field.dependsOn.condition === 'notEmpty') {
-          shouldEnable = value !== undefined && value !== null && value !== '';
+          shouldEnable = !this._isEmptyValue(value);
         }
 
         if (componentInfo.component.enable && componentInfo.component.disable) {
@@ -411,7 +445,13 @@ class EZForm {
   reset() {
     this.options.fields.forEach((field, index) => {
       const fieldId = field.id || `field-${index}`;
-      this.setValue(fieldId, field.value || '');
+      const componentInfo = this.fieldComponents.find(info => info.id === fieldId);
+
+      if (componentInfo && typeof componentInfo.component.reset === 'function') {
+        componentInfo.component.reset();
+      } else {
+        this.setValue(fieldId, field.value || '');
+      }
     });
 
     const validationMessages = this.element.querySelectorAll('.ez-validation-message');
@@ -0,0 +1,496 @@
+/**
+ * Discord Markdown Renderer
+ * Converts Discord-flavored markdown into HTML for the EZ components
+ *
+ * Usage:
+ * element.innerHTML = EZMarkdown.render('**bold** and ||spoiler||', 'description');
+ * EZMarkdown.bindSpoilers(element);
+ *
+ * Mentions are resolved through an optional directory:
+ * EZMarkdown.render('Hi <@123>', 'description', { directory: { users: [{ id: '123', username: 'wumpus' }] } });
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+}
+
+class EZMarkdown {
+  constructor(options = {}) {
+    this.options = {
+      links: options.links || false,
+      blocks: options.blocks || false,
+      mentions: options.mentions || false,
+      directory: options.directory || null,
+      locale: options.locale || undefined,
+      emojiCdn: options.emojiCdn || null,
+      ...options
+    };
+    this.tokens = [];
+  }
+
+  /**
+   * Render text with the rules Discord applies in the given context
+   * @param {string} text - The raw markdown text
+   * @param {string} context - One of the keys of EZMarkdown.CONTEXTS - defaults to description
+   * @param {Object} options - Extra options: directory ({ users, roles, channels }), locale and emojiCdn
+   * @returns {string} - The rendered HTML
+   */
+  static render(text, context = 'description', options = {}) {
+    const rules = EZMarkdown.CONTEXTS[context] || EZMarkdown.CONTEXTS.description;
+    return new EZMarkdown({ ...options, ...rules }).render(text);
+  }
+
+  /**
+   * Format a date the way Discord formats a timestamp with the given style
+   * @param {Date} date - The date to format
+   * @param {string} style - One of t, T, d, D, f, F or R - defaults to f
+   * @param {string} locale - The locale to format with - defaults to the browser locale
+   * @returns {string} - The formatted date
+   */
+  static formatTimestamp(date, style = 'f', locale = undefined) {
+    if (style === 'R') return EZMarkdown._formatRelativeTime(date, locale);
+
+    const format = EZMarkdown.TIMESTAMP_FORMATS[style] || EZMarkdown.TIMESTAMP_FORMATS.f;
+    return new Intl.DateTimeFormat(locale, format).format(date);
+  }
+
+  /**
+   * Update the text of every relative timestamp inside an element
+   * @param {HTMLElement} element - The element containing rendered markdown
+   * @param {string} locale - The locale to format with - defaults to the browser locale
+   */
+  static refreshTimestamps(element, locale = undefined) {
+    element.querySelectorAll('.ez-md-timestamp[data-style="R"]').forEach(timestamp => {
+      const date = new Date(Number(timestamp.dataset.timestamp) * 1000);
+      timestamp.textContent = EZMarkdown.formatTimestamp(date, 'R', locale);
+    });
+  }
+
+  /**
+   * Keep the relative timestamps inside an element up to date
+   * The timer stops itself once the element is removed from the page
+   * @param {HTMLElement} element - The element containing rendered markdown
+   * @param {string} locale - The locale to format with - defaults to the browser locale
+   * @returns {number|null} - The interval id, or null when the element has no relative timestamps
+   */
+  static watchTimestamps(element, locale = undefined) {
+    if (!element.querySelector('.ez-md-timestamp[data-style="R"]')) return null;
+
+    const interval = setInterval(() => {
+      if (!element.parentNode) {
+        clearInterval(interval);
+        return;
+      }
+
+      EZMarkdown.refreshTimestamps(element, locale);
+    }, 1000);
+
+    return interval;
+  }
+
+  /**
+   * Format a date the way Discord labels message and footer times - "Today at 4:20 PM"
+   * @param {Date} date - The date to format
+   * @param {string} locale - The locale to format with - defaults to the browser locale
+   * @returns {string} - The formatted date, or an empty string for an invalid date
+   */
+  static formatCalendar(date, locale = undefined) {
+    if (isNaN(date.getTime())) return '';
+
+    const time = date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+    if (date.toDateString() === today.toDateString()) return `Today at ${time}`;
+    if (date.toDateString() === yesterday.toDateString()) return `Yesterday at ${time}`;
+    return `${date.toLocaleDateString(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })} ${time}`;
+  }
+
+  static _formatRelativeTime(date, locale) {
+    const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+    const [unit, size] = EZMarkdown.RELATIVE_TIME_UNITS.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || ['second', 1];
+
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'always' }).format(Math.round(seconds / size), unit);
+  }
+
+  /**
+   * Make the spoilers inside an element reveal themselves when clicked
+   * @param {HTMLElement} element - The element containing rendered markdown
+   * @returns {HTMLElement} - The same element
+   */
+  static bindSpoilers(element) {
+    element.addEventListener('click', (e) => {
+      const spoiler = e.target.closest('.ez-md-spoiler');
+      if (spoiler && !spoiler.classList.contains('ez-md-spoiler-revealed')) {
+        e.preventDefault();
+        spoiler.classList.add('ez-md-spoiler-revealed');
+      }
+    });
+    return element;
+  }
+
+  render(text) {
+    if (text === undefined || text === null || text === '') return '';
+
+    if (typeof document !== 'undefined' && !document.getElementById('ez-markdown-styles')) this._addStyles();
+
+    // NUL delimits tokens, so input must never contain it or it could forge one
+    const source = String(text).replace(/\u0000/g, '');
+
+    this.tokens = [];
+    const html = this.options.blocks ? this._renderBlocks(source) : this._renderInline(source);
+    return this._restoreTokens(html);
+  }
+
+  /**
+   * Set rendered HTML aside so later rules don't touch it
+   * Tokens nested in the HTML are restored straight away, so every stored token is final
+   * @param {string} html - The rendered HTML
+   * @returns {string} - The placeholder to put in the text instead
+   */
+  _token(html) {
+    this.tokens.push(this._restoreTokens(html));
+    return `\u0000${this.tokens.length - 1}\u0000`;
+  }
+
+  _restoreTokens(html) {
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => this.tokens[index]);
+  }
+
+  _renderBlocks(text) {
+    // The newline after a closing fence is kept so a heading or quote on the next line still starts a line
+    const codeBlocks = new Set();
+    text = text.replace(/```(?:([\w+-]+)\n)?\n?([\s\S]*?)```/g, (match, language, code) => {
+      const languageClass = language ? ` language-${EZSanitize.escapeHtml(language)}` : '';
+      const token = this._token(`<pre class="ez-md-codeblock"><code class="ez-md-code${languageClass}">${EZSanitize.escapeHtml(code.replace(/\n$/, ''))}</code></pre>`);
+      codeBlocks.add(token);
+      return token;
+    });
+
+    const lines = text.split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length) blocks.push(paragraph.map(line => this._renderInline(line)).join('<br>'));
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      let match;
+
+      // A code block on a line of its own is a block, not part of the paragraph around it
+      if (codeBlocks.has(line)) {
+        flushParagraph();
+        blocks.push(line);
+        continue;
+      }
+
+      if ((match = line.match(/^>>> ?([\s\S]*)$/))) {
+        flushParagraph();
+        const rest = [match[1], ...lines.slice(i + 1)].join('\n');
+        blocks.push(`<blockquote class="ez-md-quote">${this._renderBlocks(rest)}</blockquote>`);
+        break;
+      }
+
+      if (/^> ?/.test(line) && !/^>>>/.test(line)) {
+        flushParagraph();
+        const quoteLines = [];
+        while (i < lines.length && /^> ?/.test(lines[i]) && !/^>>>/.test(lines[i])) {
+          quoteLines.push(lines[i].replace(/^> ?/, ''));
+          i++;
+        }
+        i--;
+        blocks.push(`<blockquote class="ez-md-quote">${this._renderBlocks(quoteLines.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      if ((match = line.match(/^(#{1,3}) (.+)$/))) {
+        flushParagraph();
+        const level = match[1].length;
+        blocks.push(`<h${level} class="ez-md-heading">${this._renderInline(match[2])}</h${level}>`);
+        continue;
+      }
+
+      if ((match = line.match(/^-# (.+)$/))) {
+        flushParagraph();
+        blocks.push(`<div class="ez-md-subtext">${this._renderInline(match[1])}</div>`);
+        continue;
+      }
+
+      if (/^\s*([-*]|\d+\.) \S/.test(line)) {
+        flushParagraph();
+        const ordered = /^\s*\d+\./.test(line);
+        const start = ordered ? parseInt(line.trim(), 10) : 1;
+        const items = [];
+
+        while (i < lines.length && /^\s*([-*]|\d+\.) \S/.test(lines[i]) && /^\s*\d+\./.test(lines[i]) === ordered) {
+          const itemMatch = lines[i].match(/^(\s*)(?:[-*]|\d+\.) (.*)$/);
+          const indent = Math.min(Math.floor(itemMatch[1].length / 2), 2);
+          items.push(`<li class="ez-md-list-item"${indent ? ` style="margin-left: ${indent * 16}px;"` : ''}>${this._renderInline(itemMatch[2])}</li>`);
+          i++;
+        }
+        i--;
+
+        const tag = ordered ? 'ol' : 'ul';
+        blocks.push(`<${tag} class="ez-md-list"${ordered && start !== 1 ? ` start="${start}"` : ''}>${items.join('')}</${tag}>`);
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+
+    flushParagraph();
+    return blocks.join('');
+  }
+
+  _renderInline(text) {
+    text = text.replace(/\\([*_~`|\\>#\[\]()-])/g, (match, character) => this._token(EZSanitize.escapeHtml(character)));
+
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+      return this._token(`<code class="ez-md-code">${EZSanitize.escapeHtml(code.trim())}</code>`);
+    });
+
+    // Links come before mentions and emoji so those can't be rendered inside a URL, and a URL
+    // running into an escape or code span token is left as text rather than split around it
+    if (this.options.links) {
+      text = text.replace(/\[([^\[\]]+)\]\(<?(https?:\/\/[^\s)>\u0000]+)>?\)/g, (match, label, url) => {
+        return this._token(this._renderLink(url, this._renderInline(label)));
+      });
+
+      text = text.replace(/<?(https?:\/\/[^\s<>\u0000]*[^\s<>.,:;"')\]!?\u0000])>?/g, (match, url, offset, source) => {
+        if (source[offset + match.length] === '\u0000') return match;
+        return this._token(this._renderLink(url, EZSanitize.escapeHtml(url)));
+      });
+    }
+
+    if (this.options.mentions) {
+      text = text.replace(/<t:(-?\d{1,13})(?::([tTdDfFR]))?>/g, (match, seconds, style) => this._token(this._renderTimestamp(match, Number(seconds), style || 'f')));
+      text = text.replace(/<@!?(\d{1,20})>/g, (match, id) => this._token(this._renderUserMention(id)));
+      text = text.replace(/<@&(\d{1,20})>/g, (match, id) => this._token(this._renderRoleMention(id)));
+      text = text.replace(/<#(\d{1,20})>/g, (match, id) => this._token(this._renderChannelMention(id)));
+      text = text.replace(/@(everyone|here)\b/g, (match) => this._token(`<span class="ez-md-mention">${match}</span>`));
+    }
+
+    text = text.replace(/<a?:\w{2,32}:\d{1,20}>/g, (match) => {
+      return this._token(EZEmoji.render(match, { cdn: this.options.emojiCdn, className: 'ez-md-emoji' }));
+    });
+
+    let html = EZSanitize.escapeHtml(text);
+
+    html = html
+      .replace(/\*\*\*(?!\s)([\s\S]+?)\*\*\*/g, '<strong><em>$1</em></strong>')
+      .replace(/\*\*(?!\s)([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?!\s)([\s\S]+?)__/g, '<u>$1</u>')
+      .replace(/\*(?![\s*])([\s\S]+?)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?![\s_])([\s\S]+?)_(?![\w])/g, '$1<em>$2</em>')
+      .replace(/~~(?!\s)([\s\S]+?)~~/g, '<s>$1</s>')
+      .replace(/\|\|([\s\S]+?)\|\|/g, '<span class="ez-md-spoiler" title="Click to reveal spoiler">$1</span>')
+      .replace(/\n/g, '<br>');
+
+    return html;
+  }
+
+  _renderTimestamp(source, seconds, style) {
+    const date = new Date(seconds * 1000);
+    if (isNaN(date.getTime())) return EZSanitize.escapeHtml(source);
+
+    const text = EZMarkdown.formatTimestamp(date, style, this.options.locale);
+    const title = EZMarkdown.formatTimestamp(date, 'F', this.options.locale);
+    return `<time class="ez-md-timestamp" datetime="${date.toISOString()}" data-timestamp="${seconds}" data-style="${style}" title="${EZSanitize.escapeHtml(title)}">${EZSanitize.escapeHtml(text)}</time>`;
+  }
+
+  _findInDirectory(collection, id) {
+    const directory = this.options.directory || {};
+    return (directory[collection] || []).find(item => String(item.id) === id) || null;
+  }
+
+  _renderUserMention(id) {
+    const user = this._findInDirectory('users', id);
+    const name = user ? (user.globalName || user.displayName || user.username) : 'unknown-user';
+    return `<span class="ez-md-mention" data-user-id="${id}">@${EZSanitize.escapeHtml(name)}</span>`;
+  }
+
+  _renderRoleMention(id) {
+    const role = this._findInDirectory('roles', id);
+    if (!role) return `<span class="ez-md-mention" data-role-id="${id}">@unknown-role</span>`;
+
+    const color = typeof role.color === 'number' ? `#${role.color.toString(16).padStart(6, '0')}` : EZSanitize.sanitizeColor(role.color);
+    const style = color && /^#[0-9a-f]{6}$/i.test(color) && color !== '#000000'
+      ? ` style="color: ${color}; background-color: ${color}1a;"`
+      : '';
+
+    return `<span class="ez-md-mention" data-role-id="${id}"${style}>@${EZSanitize.escapeHtml(role.name)}</span>`;
+  }
+
+  _renderChannelMention(id) {
+    const channel = this._findInDirectory('channels', id);
+    return `<span class="ez-md-mention" data-channel-id="${id}">#${EZSanitize.escapeHtml(channel ? channel.name : 'unknown-channel')}</span>`;
+  }
+
+  _renderLink(url, labelHTML) {
+    const href = EZSanitize.sanitizeUrl(url);
+    if (!href) return labelHTML;
+    return `<a class="ez-md-link" href="${EZSanitize.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${labelHTML}</a>`;
+  }
+
+  _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-markdown-styles';
+    style.textContent = `
+      .ez-md-code {
+          font-family: Consolas, 'Andale Mono WT', 'Andale Mono', 'Lucida Console', Monaco, 'Courier New', monospace;
+          font-size: 0.85em;
+          background-color: #2f3136;
+          border-radius: 3px;
+          padding: 0 0.2em;
+      }
+
+      .ez-md-codeblock {
+          margin: 4px 0;
+          padding: 7px;
+          background-color: #2f3136;
+          border: 1px solid #202225;
+          border-radius: 4px;
+          white-space: pre-wrap;
+          overflow-x: auto;
+      }
+
+      .ez-md-codeblock .ez-md-code {
+          padding: 0;
+          background: none;
+      }
+
+      .ez-md-quote {
+          margin: 0;
+          padding: 0 8px 0 12px;
+          border-left: 4px solid #4f545c;
+      }
+
+      .ez-md-heading {
+          margin: 8px 0 4px;
+          color: #ffffff;
+          line-height: 1.375;
+      }
+
+      h1.ez-md-heading {
+          font-size: 1.5em;
+      }
+
+      h2.ez-md-heading {
+          font-size: 1.25em;
+      }
+
+      h3.ez-md-heading {
+          font-size: 1em;
+      }
+
+      .ez-md-subtext {
+          font-size: 0.8125em;
+          color: #949ba4;
+      }
+
+      .ez-md-list {
+          margin: 4px 0;
+          padding-left: 20px;
+      }
+
+      .ez-md-link {
+          color: #00a8fc;
+          text-decoration: none;
+      }
+
+      .ez-md-link:hover {
+          text-decoration: underline;
+      }
+
+      .ez-md-mention {
+          background-color: rgba(88, 101, 242, 0.3);
+          color: #c9cdfb;
+          border-radius: 3px;
+          padding: 0 2px;
+          font-weight: 500;
+      }
+
+      .ez-md-timestamp {
+          background-color: rgba(255, 255, 255, 0.06);
+          border-radius: 3px;
+          padding: 0 2px;
+      }
+
+      .ez-md-emoji {
+          width: 1.375em;
+          height: 1.375em;
+          vertical-align: bottom;
+          object-fit: contain;
+      }
+
+      .ez-md-spoiler {
+          background-color: #202225;
+          color: transparent;
+          border-radius: 3px;
+          cursor: pointer;
+          transition: background-color 0.1s;
+      }
+
+      .ez-md-spoiler * {
+          visibility: hidden;
+      }
+
+      .ez-md-spoiler:hover {
+          background-color: #292b2f;
+      }
+
+      .ez-md-spoiler-revealed {
+          background-color: rgba(255, 255, 255, 0.1);
+          color: inherit;
+          cursor: auto;
+      }
+
+      .ez-md-spoiler-revealed * {
+          visibility: visible;
+      }
+
+      .ez-md-spoiler-revealed:hover {
+          background-color: rgba(255, 255, 255, 0.1);
+      }
+    `;
+
+    document.head.appendChild(style);
+  }
+}
+
+EZMarkdown.CONTEXTS = {
+  title: { links: false, blocks: false, mentions: false },
+  fieldName: { links: false, blocks: false, mentions: false },
+  description: { links: true, blocks: true, mentions: true },
+  fieldValue: { links: true, blocks: true, mentions: true },
+  content: { links: true, blocks: true, mentions: true }
+};
+
+EZMarkdown.TIMESTAMP_FORMATS = {
+  t: { hour: 'numeric', minute: '2-digit' },
+  T: { hour: 'numeric', minute: '2-digit', second: '2-digit' },
+  d: { year: 'numeric', month: '2-digit', day: '2-digit' },
+  D: { year: 'numeric', month: 'long', day: 'numeric' },
+  f: { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+  F: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+};
+
+EZMarkdown.RELATIVE_TIME_UNITS = [
+  ['year', 31536000],
+  ['month', 2592000],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1]
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZMarkdown;
+} else {
+  window.EZMarkdown = EZMarkdown;
+}
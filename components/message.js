@@ -0,0 +1,443 @@
+/**
+ * Discord-like Message Component
+ * Previews a whole message - author header, markdown content, embeds and action rows -
+ * using the EZEmbed and EZComponentGrid components for each part
+ *
+ * Usage:
+ * const myMessage = new EZMessage(containerElement, {
+ *   username: 'Wumpus',
+ *   content: 'Hello **world**',
+ *   embeds: [{ title: 'First embed', description: 'Embed options as for EZEmbed, or an EZEmbed' }],
+ *   components: [
+ *     [{ component: 'button', text: 'Yes', style: 'success' }, { component: 'button', text: 'No', style: 'danger' }],
+ *     [{ component: 'select', placeholder: 'Pick one', options: [{ label: 'A', value: 'a' }] }]
+ *   ]
+ * });
+ * myMessage.render();
+ * fetch(webhookUrl, { method: 'POST', body: JSON.stringify(myMessage.toJSON()) });
+ */
+
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZMarkdown = globalThis.EZMarkdown || require('./markdown');
+  globalThis.EZEmbedValidator = globalThis.EZEmbedValidator || require('./embedValidator');
+  globalThis.EZEmbed = globalThis.EZEmbed || require('./embed');
+  globalThis.EZComponentGrid = globalThis.EZComponentGrid || require('./componentGrid');
+}
+
+class EZMessage {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      username: options.username || '',
+      avatarUrl: options.avatarUrl || '',
+      bot: options.bot !== false,
+      timestamp: options.timestamp || null,
+      content: options.content || '',
+      embeds: options.embeds || [],
+      components: options.components || [],
+      markdown: options.markdown !== false,
+      html: options.html || false,
+      directory: options.directory || null,
+      emojiCdn: options.emojiCdn || null,
+      locale: options.locale || undefined,
+      ...options
+    };
+
+    this.element = null;
+    this.elements = {};
+    this.embeds = [];
+    this.componentGrid = null;
+    this.timestampInterval = null;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'ez-message';
+
+    this.element.innerHTML = `
+      ${this._renderAvatar()}
+      <div class="ez-message-body">
+        <div class="ez-message-header">
+          <span class="ez-message-username">${EZSanitize.html(this.options.username || 'Bot', this.options.html)}</span>
+          ${this.options.bot ? '<span class="ez-message-bot-tag">APP</span>' : ''}
+          ${this._renderTimestamp()}
+        </div>
+        <div class="ez-message-content">${this._renderContent()}</div>
+        <div class="ez-message-embeds"></div>
+        <div class="ez-message-components"></div>
+      </div>
+    `;
+
+    this.elements = {
+      root: this.element,
+      avatar: this.element.querySelector('.ez-message-avatar'),
+      header: this.element.querySelector('.ez-message-header'),
+      username: this.element.querySelector('.ez-message-username'),
+      content: this.element.querySelector('.ez-message-content'),
+      embeds: this.element.querySelector('.ez-message-embeds'),
+      components: this.element.querySelector('.ez-message-components')
+    };
+
+    if (!document.getElementById('ez-message-styles')) this._addStyles();
+    if (this.options.markdown && !this.options.html) EZMarkdown.bindSpoilers(this.elements.content);
+
+    this._renderEmbeds();
+    this._renderComponents();
+
+    this.container.appendChild(this.element);
+    this._watchTimestamps();
+    return this.element;
+  }
+
+  _renderAvatar() {
+    const avatarUrl = EZSanitize.sanitizeUrl(this.options.avatarUrl);
+    if (avatarUrl) return `<img class="ez-message-avatar" src="${EZSanitize.escapeHtml(avatarUrl)}" alt="">`;
+
+    const initial = Array.from(String(this.options.username || 'Bot'))[0].toUpperCase();
+    return `<div class="ez-message-avatar ez-message-avatar-default">${EZSanitize.escapeHtml(initial)}</div>`;
+  }
+
+  _renderTimestamp() {
+    const date = this.options.timestamp ? new Date(this.options.timestamp) : new Date();
+    const label = EZMarkdown.formatCalendar(date, this.options.locale);
+    if (!label) return '';
+
+    return `<time class="ez-message-timestamp" datetime="${EZSanitize.escapeHtml(date.toISOString())}">${EZSanitize.escapeHtml(label)}</time>`;
+  }
+
+  _renderContent() {
+    if (this.options.html || !this.options.markdown) return EZSanitize.html(this.options.content, this.options.html);
+
+    return EZMarkdown.render(this.options.content, 'content', {
+      directory: this.options.directory,
+      locale: this.options.locale,
+      emojiCdn: this.options.emojiCdn
+    });
+  }
+
+  _renderEmbeds() {
+    this.embeds = this._createEmbeds(this.elements.embeds);
+    this.embeds.forEach(embed => embed.render());
+  }
+
+  _renderComponents() {
+    this.componentGrid = this._createComponentGrid(this.elements.components);
+    this.componentGrid.render();
+  }
+
+  _createEmbeds(container) {
+    return this.options.embeds.map(embed => new EZEmbed(container, {
+      // EZEmbed's placeholder title, description and color would otherwise end up in the payload
+      title: '',
+      description: '',
+      color: '',
+      markdown: this.options.markdown,
+      html: this.options.html,
+      directory: this.options.directory,
+      locale: this.options.locale,
+      emojiCdn: this.options.emojiCdn,
+      ...(embed instanceof EZEmbed ? embed.options : embed)
+    }));
+  }
+
+  // The embeds toJSON serializes - unrendered messages build them just for serializing
+  _getEmbeds() {
+    return this.element ? this.embeds : this._createEmbeds(null);
+  }
+
+  _createComponentGrid(container) {
+    return new EZComponentGrid(container, {
+      rows: this.options.components,
+      html: this.options.html,
+      emojiCdn: this.options.emojiCdn,
+      // Keep rows moved through the grid when the message re-renders
+      onChange: (rows, grid) => { this.options.components = grid.rows; }
+    });
+  }
+
+  _watchTimestamps() {
+    clearInterval(this.timestampInterval);
+    this.timestampInterval = this.options.markdown && !this.options.html
+      ? EZMarkdown.watchTimestamps(this.elements.content, this.options.locale)
+      : null;
+  }
+
+  _addStyles() {
+    const style = document.createElement('style');
+    style.id = 'ez-message-styles';
+    style.textContent = `
+      .ez-message {
+        display: flex;
+        gap: 16px;
+        padding: 8px 16px;
+        background-color: #313338;
+        color: #dbdee1;
+        font-family: 'gg sans', 'Noto Sans', 'Helvetica Neue', Helvetica, Arial, sans-serif;
+        font-size: 16px;
+        line-height: 1.375;
+      }
+
+      .ez-message:hover {
+        background-color: #2e3035;
+      }
+
+      .ez-message-avatar {
+        flex-shrink: 0;
+        width: 40px;
+        height: 40px;
+        border-radius: 50%;
+        object-fit: cover;
+      }
+
+      .ez-message-avatar-default {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background-color: #5865F2;
+        color: #ffffff;
+        font-weight: 600;
+      }
+
+      .ez-message-body {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .ez-message-header {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+
+      .ez-message-username {
+        color: #f2f3f5;
+        font-weight: 500;
+      }
+
+      .ez-message-bot-tag {
+        padding: 0 4px;
+        border-radius: 3px;
+        background-color: #5865F2;
+        color: #ffffff;
+        font-size: 10px;
+        font-weight: 600;
+        line-height: 15px;
+      }
+
+      .ez-message-timestamp {
+        margin-left: 4px;
+        color: #949ba4;
+        font-size: 12px;
+      }
+
+      .ez-message-content {
+        overflow-wrap: anywhere;
+      }
+
+      .ez-message-content:empty {
+        display: none;
+      }
+
+      .ez-message-embeds > * {
+        margin-top: 8px;
+      }
+
+      .ez-message-components .ez-component-grid:not(:empty) {
+        margin-top: 8px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  update(newOptions) {
+    this.options = { ...this.options, ...newOptions };
+    if (this.element) {
+      if (this.componentGrid) this.componentGrid.destroy();
+      this.element.remove();
+      this.render();
+    }
+    return this;
+  }
+
+  /**
+   * Replace the message's markdown content
+   * @param {string} content - The new content
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  setContent(content) {
+    return this.update({ content });
+  }
+
+  /**
+   * Add an embed below the existing ones - ignored once the message has 10 embeds
+   * @param {Object|EZEmbed} embedOptions - Options for the EZEmbed constructor, or an EZEmbed
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  addEmbed(embedOptions) {
+    if (this.options.embeds.length >= EZMessage.LIMITS.embeds) return this;
+    return this.update({ embeds: [...this.options.embeds, embedOptions] });
+  }
+
+  /**
+   * Remove the embed at the given position
+   * @param {number} index - The embed's index
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  removeEmbed(index) {
+    return this.update({ embeds: this.options.embeds.filter((embed, i) => i !== index) });
+  }
+
+  /**
+   * Replace the action rows below the message
+   * @param {Array[]} components - Rows of components - see EZComponentGrid
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  setComponents(components) {
+    return this.update({ components });
+  }
+
+  /**
+   * Set the guild data used to resolve mentions in the content and every embed
+   * @param {Object} directory - Guild data: { users, roles, channels } - see EZMarkdown
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  setDirectory(directory) {
+    return this.update({ directory });
+  }
+
+  /**
+   * Check the message against Discord's limits, including each of the embeds toJSON sends
+   * Embed errors are prefixed with their position, e.g. embeds[1].title
+   * @returns {Object} - { valid, errors: [{ path, code, message, limit, length }] }
+   */
+  validate() {
+    const limits = EZMessage.LIMITS;
+    const errors = [];
+
+    const contentLength = EZEmbedValidator.getLength(this.options.content);
+    if (contentLength > limits.content) {
+      errors.push({
+        path: 'content',
+        code: 'too_long',
+        message: `Content must be ${limits.content} characters or fewer (currently ${contentLength})`,
+        limit: limits.content,
+        length: contentLength
+      });
+    }
+
+    const embeds = this._getEmbeds();
+    let embedsLength = 0;
+    embeds.forEach((embed, index) => {
+      const result = EZEmbedValidator.validate(embed.options);
+      embedsLength += result.totalLength;
+      result.errors
+        .filter(error => error.path !== 'total')
+        .forEach(error => errors.push({ ...error, path: `embeds[${index}].${error.path}` }));
+    });
+
+    const embedCount = this._getEmbedsJSON(embeds).length;
+    if (embedCount > limits.embeds) {
+      errors.push({
+        path: 'embeds',
+        code: 'too_many',
+        message: `Messages can have at most ${limits.embeds} embeds, counting each gallery image (currently ${embedCount})`,
+        limit: limits.embeds,
+        length: embedCount
+      });
+    }
+
+    if (embedsLength > EZEmbedValidator.LIMITS.total) {
+      errors.push({
+        path: 'embeds',
+        code: 'too_long',
+        message: `All embeds together can contain at most ${EZEmbedValidator.LIMITS.total} characters (currently ${embedsLength})`,
+        limit: EZEmbedValidator.LIMITS.total,
+        length: embedsLength
+      });
+    }
+
+    errors.push(...(this.componentGrid || this._createComponentGrid(null)).validate().errors);
+
+    if (!String(this.options.content).trim() && !this.options.embeds.length && !this.options.components.length) {
+      errors.push({ path: 'content', code: 'required', message: 'Messages need content, an embed or components' });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Convert the message to a payload for Discord's execute webhook or create message endpoints
+   * @param {Object} options - { webhook } - set webhook to false to leave out the username and avatar_url overrides
+   * @returns {Object} - The message payload
+   */
+  toJSON(options = {}) {
+    const webhook = options.webhook !== false;
+    const embeds = this._getEmbedsJSON(this._getEmbeds());
+    const rows = (this.componentGrid || this._createComponentGrid(null)).toJSON();
+
+    const payload = {
+      username: webhook && this.options.username ? this.options.username : undefined,
+      avatar_url: webhook && this.options.avatarUrl ? this.options.avatarUrl : undefined,
+      content: this.options.content || undefined,
+      embeds: embeds.length ? embeds : undefined,
+      components: rows.length ? rows : undefined
+    };
+
+    Object.keys(payload).forEach(key => {
+      if (payload[key] === undefined) delete payload[key];
+    });
+
+    return payload;
+  }
+
+  /**
+   * Serialize embeds, flattening galleries into the separate embeds Discord expects
+   * @param {EZEmbed[]} embeds - The embeds to serialize
+   * @returns {Object[]} - Discord embed objects
+   */
+  _getEmbedsJSON(embeds) {
+    return embeds.reduce((result, embed) => result.concat(embed.toJSON()), []);
+  }
+
+  /**
+   * Set a specific CSS style property on a message element
+   * @param {string} property - The CSS property name
+   * @param {string} value - The CSS property value
+   * @param {string} elementName - The element to target (root, avatar, header, username, content, embeds, components) - defaults to root
+   * @returns {EZMessage} - Returns this for method chaining
+   */
+  setStyleProperty(property, value, elementName = 'root') {
+    const targetElement = this.elements[elementName];
+    if (targetElement) targetElement.style[property] = value;
+    return this;
+  }
+
+  /**
+   * Gets the list of available elements that can be styled
+   * @returns {Object} Object containing element names and descriptions
+   */
+  getElementsList() {
+    return {
+      root: "The message container",
+      avatar: "The author's avatar",
+      header: "The row with the username, app tag and time",
+      username: "The author's name",
+      content: "The markdown content",
+      embeds: "Container of the message's embeds",
+      components: "Container of the action rows"
+    };
+  }
+}
+
+EZMessage.LIMITS = {
+  content: 2000,
+  embeds: 10
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZMessage;
+} else {
+  window.EZMessage = EZMessage;
+}
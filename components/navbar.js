@@ -1,3 +1,8 @@
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+}
+
 class EZNavbar {
   constructor(container, options = {}) {
     this.container = container;
@@ -9,6 +14,7 @@ class EZNavbar {
       visible: options.visible || false,
       onActive: options.onActive || null,
       onInactive: options.onInactive || null,
+      html: options.html || false,
       ...options
     };
     this.element = null;
@@ -30,7 +36,7 @@ class EZNavbar {
 
     if (this.options.siteIcon) {
       const siteIconLink = document.createElement('a');
-      siteIconLink.href = this.options.siteIconUrl;
+      siteIconLink.href = EZSanitize.sanitizeUrl(this.options.siteIconUrl) || '#';
       siteIconLink.className = 'EZnavbar-site-icon';
       siteIconLink.innerHTML = this._renderIcon(this.options.siteIcon);
       this.element.appendChild(siteIconLink);
@@ -42,10 +48,10 @@ class EZNavbar {
     this.options.items.forEach(item => {
       const navItem = document.createElement('a');
       navItem.className = `EZnavbar-item ${item.active ? 'EZnavbar-item-active' : ''}`;
-      navItem.href = item.url || '#';
+      navItem.href = EZSanitize.sanitizeUrl(item.url) || '#';
       navItem.innerHTML = `
         ${item.icon ? `<span class="EZnavbar-icon">${this._renderIcon(item.icon)}</span>` : ''}
-        <span class="EZnavbar-text">${item.text}</span>
+        <span class="EZnavbar-text">${EZSanitize.html(item.text, this.options.html)}</span>
       `;
       navItem.addEventListener('click', (e) => {
         e.preventDefault();
@@ -88,11 +94,12 @@ class EZNavbar {
    */
   _renderIcon(icon) {
     if (icon.startsWith('http://') || icon.startsWith('https://') || icon.endsWith('.png') || icon.endsWith('.jpg') || icon.endsWith('.gif')) {
-      return `<img src="${icon}" alt="icon" class="EZnavbar-icon-image">`;
+      const src = EZSanitize.sanitizeUrl(icon);
+      return src ? `<img src="${EZSanitize.escapeHtml(src)}" alt="icon" class="EZnavbar-icon-image">` : '';
     } else if (icon.startsWith('fa-')) {
-      return `<i class="${icon}"></i>`;
+      return `<i class="${EZSanitize.escapeHtml(icon)}"></i>`;
     } else {
-      return icon;
+      return EZSanitize.html(icon, this.options.html);
     }
   }
 
@@ -0,0 +1,95 @@
+/**
+ * Shared Sanitizing Helpers
+ * Escapes user data before it reaches innerHTML and filters URLs and colors
+ * against an allow-list. Components only skip escaping when created with `html: true`.
+ *
+ * Usage:
+ * element.innerHTML = `<span>${EZSanitize.escapeHtml(text)}</span>`;
+ * const src = EZSanitize.sanitizeUrl(url); // '' when the URL is not allowed
+ */
+
+class EZSanitize {
+  /**
+   * Escape a value for use as HTML text or inside a quoted attribute
+   * @param {*} value - The value to escape - null and undefined become an empty string
+   * @returns {string} - The escaped string
+   */
+  static escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+      .replace(/`/g, '&#96;');
+  }
+
+  /**
+   * Escape a value unless the caller explicitly trusts it as markup
+   * @param {*} value - The text or markup
+   * @param {boolean} trusted - Whether the value is trusted HTML - from the component's `html` option
+   * @returns {string} - HTML safe to interpolate
+   */
+  static html(value, trusted = false) {
+    if (value === undefined || value === null) return '';
+    return trusted ? String(value) : EZSanitize.escapeHtml(value);
+  }
+
+  /**
+   * Check a URL against the allow-list - http, https and data:image URLs
+   * Relative URLs are resolved against the current page first
+   * @param {string} url - The URL to check
+   * @param {string[]} protocols - The protocols to allow - defaults to EZSanitize.ALLOWED_PROTOCOLS
+   * @returns {string} - The trimmed URL, or an empty string when it is not allowed
+   */
+  static sanitizeUrl(url, protocols = EZSanitize.ALLOWED_PROTOCOLS) {
+    if (typeof url !== 'string') return '';
+
+    const trimmed = url.trim();
+    if (!trimmed) return '';
+
+    if (/^data:/i.test(trimmed)) {
+      return EZSanitize.DATA_IMAGE_PATTERN.test(trimmed) ? trimmed : '';
+    }
+
+    let protocol;
+    try {
+      const base = typeof window !== 'undefined' && window.location && /^https?:$/.test(window.location.protocol)
+        ? window.location.href
+        : 'https://localhost/';
+      protocol = new URL(trimmed, base).protocol;
+    } catch (e) {
+      return '';
+    }
+
+    return protocols.includes(protocol) ? trimmed : '';
+  }
+
+  /**
+   * Check a CSS color - hex, rgb(a), hsl(a) or a plain color keyword
+   * @param {string} color - The color to check
+   * @param {string} fallback - Returned when the color is not allowed
+   * @returns {string} - The color or the fallback
+   */
+  static sanitizeColor(color, fallback = '') {
+    if (typeof color !== 'string') return fallback;
+
+    const trimmed = color.trim();
+    if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(trimmed)) return trimmed;
+    if (/^(rgb|hsl)a?\(\s*[\d.%\s,/+-]+\)$/i.test(trimmed)) return trimmed;
+    if (/^[a-z]+$/i.test(trimmed)) return trimmed;
+
+    return fallback;
+  }
+}
+
+EZSanitize.ALLOWED_PROTOCOLS = ['http:', 'https:'];
+EZSanitize.DATA_IMAGE_PATTERN = /^data:image\/(png|jpe?g|gif|webp|bmp|avif|x-icon|vnd\.microsoft\.icon)(;[a-z0-9=.+-]+)*(;base64)?,/i;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZSanitize;
+} else {
+  window.EZSanitize = EZSanitize;
+}
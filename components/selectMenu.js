@@ -7,6 +7,12 @@
  * myMenu.render();
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+}
+
 class EZSelectMenu {
   constructor(container, options = {}) {
     this.container = container;
@@ -17,104 +23,1134 @@ class EZSelectMenu {
       value: options.value || null,
       maxValues: options.maxValues || 1,
       minValues: options.minValues || 0,
+      searchable: options.searchable || false,
+      searchPlaceholder: options.searchPlaceholder || 'Search...',
+      noResultsText: options.noResultsText || 'No results found',
+      loadOptions: options.loadOptions || null,
+      loadDebounce: options.loadDebounce !== undefined ? options.loadDebounce : 300,
+      cacheOptions: options.cacheOptions !== undefined ? options.cacheOptions : true,
+      loadingText: options.loadingText || 'Loading...',
+      loadErrorText: options.loadErrorText || 'Failed to load options',
+      type: options.type || 'string',
+      directory: options.directory || null,
+      channelTypes: options.channelTypes || null,
+      customId: options.customId || '',
+      portal: options.portal || false,
+      maxDropdownHeight: options.maxDropdownHeight || 300,
+      virtualize: options.virtualize || false,
+      optionHeight: options.optionHeight || 40,
+      creatable: options.creatable || false,
+      createPattern: options.createPattern || null,
+      createPatternMessage: options.createPatternMessage || 'Invalid value',
+      validateNewOption: options.validateNewOption || null,
+      formatCreateLabel: options.formatCreateLabel || (inputValue => `Create "${inputValue}"`),
+      clearable: options.clearable || false,
+      html: options.html || false,
+      emojiCdn: options.emojiCdn || null,
       ...options
     };
     this.element = null;
     this.elements = {};
     this.isOpen = false;
+    this.id = `ez-select-${++EZSelectMenu._idCounter}`;
+    this.activeIndex = -1;
+    this.typeAheadBuffer = '';
+    this.typeAheadTimeout = null;
+    this.searchQuery = '';
+    this.visibleItems = [];
+    this.navigableOptions = [];
+    this.optionElements = new Map();
+    this.virtualRange = null;
+    this.createError = null;
+    this.isCreating = false;
+    this.loadState = null;
+    this.loadRequestId = 0;
+    this.loadTimeout = null;
+    this.loadController = null;
+    this.optionsCache = new Map();
+    this.knownOptions = new Map();
+    // minValues defaults to 0 for the UI, but Discord's own default is 1 - only send it when it was asked for
+    this.hasMinValues = options.minValues !== undefined;
+
+    if (this._isAutoPopulated()) {
+      if (options.searchable === undefined) this.options.searchable = true;
+      if (this.options.directory) this.options.options = this._buildDirectoryOptions(this.options.directory);
+    }
+
+    this._getSelectableOptions().forEach(option => this.knownOptions.set(String(option.value), option));
+
+    const hasValue = Array.isArray(this.options.value) ? this.options.value.length > 0 : !!this.options.value;
+    if (!hasValue) this.options.value = this._getDefaultOptionValue();
+    if (this._isMultiple()) this.options.value = this._normalizeValues(this.options.value);
+
+    this.initialValue = this._isMultiple() ? [...this.options.value] : this.options.value;
+
+    this._handleDocumentClick = (e) => {
+      if (this.isOpen && !this._containsTarget(e.target)) this.close();
+    };
+    this._handleDocumentKeydown = (e) => {
+      if (this.isOpen && e.key === 'Escape') this.close();
+    };
+    this._handleReposition = (e) => {
+      if (e && e.type === 'scroll' && this.elements.dropdown.contains(e.target)) return;
+      this._positionDropdown();
+    };
 
     this.onChangeCallback = options.onChange || null;
     this.onOpenCallback = options.onOpen || null;
     this.onCloseCallback = options.onClose || null;
+    this.onCreateOptionCallback = options.onCreateOption || null;
   }
 
   render() {
     this.element = document.createElement('div');
     this.element.className = 'ez-select-menu';
 
-    if (this.options.disabled) this.element.classList.add('ez-select-disabled');
+    if (this.options.disabled) this.element.classList.add('ez-select-disabled');
+    if (this._isMultiple()) this.element.classList.add('ez-select-multiple');
+
+    let selectButtonHTML = `
+          <div class="ez-select-button" role="combobox" tabindex="${this.options.disabled ? -1 : 0}"
+            aria-haspopup="listbox" aria-expanded="false" aria-controls="${this.id}-listbox"
+            ${this.options.disabled ? 'aria-disabled="true"' : ''}>
+            ${this._renderButtonContent()}
+          </div>
+        `;
+
+    let searchHTML = this._isSearchable() ? `
+            <div class="ez-select-search">
+              <input type="text" class="ez-select-search-input" placeholder="${EZSanitize.escapeHtml(this.options.searchPlaceholder)}"
+                role="combobox" aria-autocomplete="list" aria-expanded="true" aria-controls="${this.id}-listbox">
+            </div>
+          ` : '';
+
+    let dropdownHTML = `
+          <div class="ez-select-dropdown${this._isMultiple() ? ' ez-select-dropdown-multiple' : ''}" style="display: none;">
+            ${searchHTML}
+            ${this.options.loadOptions ? '<div class="ez-select-status" role="status" style="display: none;"></div>' : ''}
+            <div class="ez-select-options" id="${this.id}-listbox" role="listbox"
+              ${this._isMultiple() ? 'aria-multiselectable="true"' : ''}>
+              ${this._renderOptionsList()}
+            </div>
+            ${this._isSearchable() ? `<div class="ez-select-empty" style="display: none;">${this._renderText(this.options.noResultsText)}</div>` : ''}
+          </div>
+        `;
+
+    this.element.innerHTML = selectButtonHTML + dropdownHTML;
+    this.elements = {
+      root: this.element,
+      button: this.element.querySelector('.ez-select-button'),
+      dropdown: this.element.querySelector('.ez-select-dropdown'),
+      list: this.element.querySelector('.ez-select-options'),
+      searchInput: this.element.querySelector('.ez-select-search-input'),
+      emptyState: this.element.querySelector('.ez-select-empty'),
+      status: this.element.querySelector('.ez-select-status'),
+      placeholder: this.element.querySelector('.ez-select-placeholder'),
+      arrow: this.element.querySelector('.ez-select-arrow'),
+      options: []
+    };
+
+    if (this.options.virtualize) this.elements.list.classList.add('ez-select-options-virtual');
+    if (!document.getElementById('ez-select-styles')) this._addStyles();
+
+    if (this.elements.searchInput) this.elements.searchInput.value = this.searchQuery;
+
+    this._indexOptionElements();
+    this._updateOptionStates();
+    this._applyFilter();
+    this._setLoadState(this.loadState);
+    this._setupEventListeners();
+    this.container.appendChild(this.element);
+    this._mountPortal();
+    return this.element;
+  }
+
+  _getPortalTarget() {
+    if (!this.options.portal) return null;
+    return this.options.portal === true ? document.body : this.options.portal;
+  }
+
+  _mountPortal() {
+    const portalTarget = this._getPortalTarget();
+    if (!portalTarget) return;
+
+    this.elements.dropdown.classList.add('ez-select-dropdown-portal');
+    portalTarget.appendChild(this.elements.dropdown);
+  }
+
+  _containsTarget(target) {
+    return this.element.contains(target) || this.elements.dropdown.contains(target);
+  }
+
+  /**
+   * Place the open dropdown below the button, flipping it above when there is more room there,
+   * and limit the option list to the space that is left in the viewport
+   */
+  _positionDropdown() {
+    if (!this.isOpen) return;
+
+    const dropdown = this.elements.dropdown;
+    const list = this.elements.list;
+    const margin = 8;
+    const gap = 4;
+    const rect = this.elements.button.getBoundingClientRect();
+
+    list.style.maxHeight = `${this.options.maxDropdownHeight}px`;
+
+    const chromeHeight = dropdown.offsetHeight - list.offsetHeight;
+    const desiredHeight = Math.min(dropdown.scrollHeight, this.options.maxDropdownHeight + chromeHeight);
+    const spaceBelow = window.innerHeight - rect.bottom - gap - margin;
+    const spaceAbove = rect.top - gap - margin;
+    const flip = desiredHeight > spaceBelow && spaceAbove > spaceBelow;
+    const availableHeight = flip ? spaceAbove : spaceBelow;
+
+    list.style.maxHeight = `${Math.max(Math.min(this.options.maxDropdownHeight, availableHeight - chromeHeight), 0)}px`;
+    dropdown.classList.toggle('ez-select-dropdown-up', flip);
+    this.element.classList.toggle('ez-select-flipped', flip);
+
+    if (!this._getPortalTarget()) return;
+
+    dropdown.style.left = `${rect.left}px`;
+    dropdown.style.width = `${rect.width}px`;
+
+    if (flip) {
+      dropdown.style.top = '';
+      dropdown.style.bottom = `${window.innerHeight - rect.top + gap}px`;
+    } else {
+      dropdown.style.top = `${rect.bottom + gap}px`;
+      dropdown.style.bottom = '';
+    }
+  }
+
+  _renderOptionsList() {
+    if (this.options.virtualize) {
+      this.virtualRange = null;
+      return '<div class="ez-select-virtual-spacer"><div class="ez-select-virtual-window"></div></div>';
+    }
+
+    let html = '';
+    let groupOpen = false;
+
+    this.options.options.forEach((item, index) => {
+      if (item.type === 'group' || item.type === 'separator') {
+        if (groupOpen) html += '</div>';
+        groupOpen = false;
+      }
+
+      if (item.type === 'separator') {
+        html += '<div class="ez-select-separator" role="separator"></div>';
+      } else if (item.type === 'group') {
+        html += `
+                <div class="ez-select-group" role="group" aria-labelledby="${this.id}-group-${index}">
+                  <div class="ez-select-group-header" id="${this.id}-group-${index}">${this._renderText(item.label)}</div>
+              `;
+        groupOpen = true;
+      } else {
+        html += this._renderOption(item, index);
+      }
+    });
+
+    return groupOpen ? html + '</div>' : html;
+  }
+
+  _renderOption(option, index, query = '') {
+    return `
+                <div class="ez-select-option${option.disabled ? ' ez-select-option-disabled' : ''}" id="${this.id}-option-${index}" role="option"
+                  data-value="${EZSanitize.escapeHtml(option.value)}"${option.disabled ? ' data-disabled="true"' : ''}
+                  ${option.disabled && option.disabledReason ? `title="${EZSanitize.escapeHtml(option.disabledReason)}"` : ''}>
+                  ${this._isMultiple() ? '<div class="ez-select-option-check"></div>' : ''}
+                  ${this._renderOptionContent(option, query)}
+                </div>
+              `;
+  }
+
+  _renderCreateOption(item) {
+    return `
+                <div class="ez-select-option ez-select-create-option" id="${this.id}-option-create" role="option"
+                  data-value="${EZSanitize.escapeHtml(item.value)}" data-create="true"${item.disabled ? ' data-disabled="true"' : ''}>
+                  <div class="ez-select-option-content">
+                    <div class="ez-select-option-emoji ez-select-create-icon">+</div>
+                    <div class="ez-select-option-text">
+                      <div class="ez-select-option-title">${EZSanitize.escapeHtml(item.label)}</div>
+                      ${item.disabledReason ? `<div class="ez-select-option-description ez-select-create-error">${EZSanitize.escapeHtml(item.disabledReason)}</div>` : ''}
+                    </div>
+                  </div>
+                </div>
+              `;
+  }
+
+  _indexOptionElements() {
+    this.elements.options = this.elements.list.querySelectorAll('.ez-select-option');
+    this.optionElements = new Map();
+    this.elements.options.forEach(optionElement => {
+      this.optionElements.set(optionElement.getAttribute('data-value'), optionElement);
+    });
+  }
+
+  _getOptionElement(option) {
+    return option ? this.optionElements.get(String(option.value)) || null : null;
+  }
+
+  _getRowHeight(item) {
+    if (item.type === 'group') return 28;
+    if (item.type === 'separator') return 9;
+    return this.options.optionHeight;
+  }
+
+  _getRowOffsets() {
+    if (this.rowOffsetsFor !== this.visibleItems) {
+      let offset = 0;
+      this.rowOffsets = this.visibleItems.map(entry => {
+        const rowOffset = offset;
+        offset += this._getRowHeight(entry.item);
+        return rowOffset;
+      });
+      this.rowOffsets.push(offset);
+      this.rowOffsetsFor = this.visibleItems;
+    }
+
+    return this.rowOffsets;
+  }
+
+  /**
+   * Mount only the rows that intersect the visible part of the option list (virtualize mode)
+   * @param {boolean} force - Re-render even if the visible range has not changed
+   */
+  _renderVirtualWindow(force = false) {
+    const list = this.elements.list;
+    const spacer = list.querySelector('.ez-select-virtual-spacer');
+    const windowElement = list.querySelector('.ez-select-virtual-window');
+    if (!spacer || !windowElement) return;
+
+    const offsets = this._getRowOffsets();
+    const rowCount = this.visibleItems.length;
+    const overscan = 5;
+    const viewportHeight = list.clientHeight || this.options.maxDropdownHeight;
+    const scrollTop = list.scrollTop;
+
+    let low = 0;
+    let high = rowCount;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= scrollTop) low = mid + 1;
+      else high = mid;
+    }
+
+    const start = Math.max(0, low - overscan);
+    let end = low;
+    while (end < rowCount && offsets[end] < scrollTop + viewportHeight) end++;
+    end = Math.min(rowCount, end + overscan);
+
+    spacer.style.height = `${offsets[rowCount]}px`;
+
+    if (!force && this.virtualRange && this.virtualRange.start === start && this.virtualRange.end === end) return;
+    this.virtualRange = { start, end };
+
+    windowElement.style.transform = `translateY(${offsets[start] || 0}px)`;
+    windowElement.innerHTML = this.visibleItems.slice(start, end).map(({ item, index }) => {
+      if (item.type === 'separator') return '<div class="ez-select-separator" role="separator"></div>';
+      if (item.type === 'group') return `<div class="ez-select-group-header" id="${this.id}-group-${index}" role="presentation">${this._renderText(item.label)}</div>`;
+      if (item.type === 'create') return this._renderCreateOption(item);
+      return this._renderOption(item, index, this.searchQuery);
+    }).join('');
+
+    Array.from(windowElement.children).forEach((rowElement, i) => {
+      rowElement.style.height = `${this._getRowHeight(this.visibleItems[start + i].item)}px`;
+    });
+
+    this._indexOptionElements();
+    this._updateOptionStates();
+
+    const activeElement = this._getOptionElement(this.navigableOptions[this.activeIndex]);
+    if (activeElement) activeElement.classList.add('ez-select-option-active');
+  }
+
+  _scrollToRow(option) {
+    const list = this.elements.list;
+    const rowIndex = this.visibleItems.findIndex(entry => entry.item === option);
+    if (rowIndex === -1) return;
+
+    const offsets = this._getRowOffsets();
+    const viewportHeight = list.clientHeight || this.options.maxDropdownHeight;
+
+    if (offsets[rowIndex] < list.scrollTop) {
+      list.scrollTop = offsets[rowIndex];
+    } else if (offsets[rowIndex + 1] > list.scrollTop + viewportHeight) {
+      list.scrollTop = offsets[rowIndex + 1] - viewportHeight;
+    }
+
+    this._renderVirtualWindow();
+  }
+
+  _renderButtonContent() {
+    let html;
+
+    if (this._isMultiple()) {
+      const selectedOptions = this._getSelectedOptions();
+      html = selectedOptions.length
+        ? `<div class="ez-select-chips">${selectedOptions.map(option => this._renderChip(option)).join('')}</div>`
+        : `<div class="ez-select-placeholder">${this._renderText(this.options.placeholder)}</div>`;
+    } else {
+      const selectedOption = this._getSelectedOption();
+      html = selectedOption
+        ? this._renderOptionContent(selectedOption)
+        : `<div class="ez-select-placeholder">${this._renderText(this.options.placeholder)}</div>`;
+    }
+
+    if (this._canClear()) html += '<div class="ez-select-clear" title="Clear selection" aria-label="Clear selection">×</div>';
+
+    return html + `
+          <div class="ez-select-arrow">
+            <svg width="24" height="24" viewBox="0 0 24 24">
+              <path fill="currentColor" d="M16.59 8.59L12 13.17 7.41 8.59 6 10l6 6 6-6z"></path>
+            </svg>
+          </div>
+        `;
+  }
+
+  _canClear() {
+    return this.options.clearable &&
+      !this.options.disabled &&
+      !(this.options.minValues > 0) &&
+      this._getSelectedValues().length > 0;
+  }
+
+  _getDefaultOptionValue() {
+    const defaults = this._getSelectableOptions()
+      .filter(option => option.default && !option.disabled)
+      .map(option => option.value);
+
+    if (this._isMultiple()) return defaults;
+    return defaults.length ? defaults[0] : null;
+  }
+
+  _renderText(value) {
+    return EZSanitize.html(value, this.options.html);
+  }
+
+  _renderEmoji(emoji) {
+    return EZEmoji.render(emoji, { cdn: this.options.emojiCdn, html: this.options.html });
+  }
+
+  _renderChip(option) {
+    return `
+          <div class="ez-select-chip" data-value="${EZSanitize.escapeHtml(option.value)}">
+            ${option.emoji ? `<span class="ez-select-chip-emoji">${this._renderEmoji(option.emoji)}</span>` : ''}
+            <span class="ez-select-chip-label">${this._renderText(this._getOptionLabel(option))}</span>
+            <span class="ez-select-chip-remove" title="Remove">×</span>
+          </div>
+        `;
+  }
+
+  _renderOptionContent(option, query = '') {
+    let html = '<div class="ez-select-option-content">';
+
+    if (option.kind === 'user') {
+      const avatarUrl = EZSanitize.sanitizeUrl(option.avatarUrl);
+      html += avatarUrl
+        ? `<img class="ez-select-option-avatar" src="${EZSanitize.escapeHtml(avatarUrl)}" alt="">`
+        : `<div class="ez-select-option-avatar ez-select-option-avatar-default">${EZSanitize.escapeHtml(String(this._getOptionLabel(option)).charAt(0).toUpperCase())}</div>`;
+    } else if (option.kind === 'role') {
+      html += `<div class="ez-select-option-role-color" style="background-color: ${EZSanitize.sanitizeColor(option.roleColor, '#99aab5')};"></div>`;
+    } else if (option.kind === 'channel') {
+      html += `<div class="ez-select-option-channel-icon">${EZSanitize.escapeHtml(option.channelIcon)}</div>`;
+    } else if (option.emoji) {
+      html += `<div class="ez-select-option-emoji">${this._renderEmoji(option.emoji)}</div>`;
+    }
+
+    html += '<div class="ez-select-option-text">';
+    html += `<div class="ez-select-option-title">${this._highlightMatch(this._getOptionLabel(option), query)}</div>`;
+
+    if (option.description) html += `<div class="ez-select-option-description">${this._highlightMatch(option.description, query)}</div>`;
+
+    html += '</div>';
+    html += '</div>';
+    return html;
+  }
+
+  _getOptionLabel(option) {
+    return option.label || option.title || option.value;
+  }
+
+  _isAutoPopulated() {
+    return this.options.type !== 'string';
+  }
+
+  _buildUserOptions(users = []) {
+    return users.map(user => {
+      const displayName = user.globalName || user.displayName || user.username;
+      return {
+        kind: 'user',
+        value: String(user.id),
+        label: displayName,
+        description: user.username && user.username !== displayName ? user.username : '',
+        avatarUrl: user.avatarUrl || user.avatar || ''
+      };
+    });
+  }
+
+  _buildRoleOptions(roles = []) {
+    return roles.map(role => {
+      const color = typeof role.color === 'number'
+        ? `#${role.color.toString(16).padStart(6, '0')}`
+        : role.color;
+
+      return {
+        kind: 'role',
+        value: String(role.id),
+        label: role.name,
+        roleColor: color && color !== '#000000' ? color : '#99aab5'
+      };
+    });
+  }
+
+  _buildChannelOptions(channels = []) {
+    const channelTypes = this.options.channelTypes;
+
+    return channels
+      .filter(channel => !channelTypes || channelTypes.includes(channel.type || 0))
+      .map(channel => ({
+        kind: 'channel',
+        value: String(channel.id),
+        label: channel.name,
+        channelIcon: EZSelectMenu.CHANNEL_ICONS[channel.type || 0] || '#'
+      }));
+  }
+
+  /**
+   * Build the option list for user, role, mentionable and channel menus
+   * @param {Object} directory - Guild data: { users: [{id, username, globalName, avatarUrl}], roles: [{id, name, color}], channels: [{id, name, type}] }
+   * @returns {Object[]} - The generated options
+   */
+  _buildDirectoryOptions(directory) {
+    switch (this.options.type) {
+      case 'user':
+        return this._buildUserOptions(directory.users);
+
+      case 'role':
+        return this._buildRoleOptions(directory.roles);
+
+      case 'channel':
+        return this._buildChannelOptions(directory.channels);
+
+      case 'mentionable': {
+        const users = this._buildUserOptions(directory.users);
+        const roles = this._buildRoleOptions(directory.roles);
+        return [
+          ...(users.length ? [{ type: 'group', label: 'Users' }, ...users] : []),
+          ...(roles.length ? [{ type: 'group', label: 'Roles' }, ...roles] : [])
+        ];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Replace the guild data used by user, role, mentionable and channel menus
+   * @param {Object} directory - Guild data: { users, roles, channels }
+   * @returns {EZSelectMenu} - Returns this for method chaining
+   */
+  setDirectory(directory) {
+    this.options.directory = directory;
+    if (this._isAutoPopulated()) this.setOptions(this._buildDirectoryOptions(directory || {}));
+    return this;
+  }
+
+  _findOption(value) {
+    return this.knownOptions.get(String(value));
+  }
+
+  _isOptionItem(item) {
+    return item.type !== 'group' && item.type !== 'separator';
+  }
+
+  _getSelectableOptions() {
+    return this.options.options.filter(item => this._isOptionItem(item));
+  }
+
+  _isSearchable() {
+    return this.options.searchable || this.options.creatable || !!this.options.loadOptions;
+  }
+
+  /**
+   * Run the built-in and custom checks for a value typed into a creatable menu
+   * @param {string} inputValue - The trimmed search input
+   * @returns {string|null} - An error message, or null if the value can be created
+   */
+  _validateNewOption(inputValue) {
+    // A new option is selected as soon as it exists, so there has to be room for it
+    if (this._isMaxValuesReached()) return `You can select up to ${this.options.maxValues} options`;
+
+    if (this.options.createPattern && !this.options.createPattern.test(inputValue)) return this.options.createPatternMessage;
+
+    if (this.options.validateNewOption) {
+      const result = this.options.validateNewOption(inputValue, this._getSelectableOptions(), this);
+      if (result === false) return 'Invalid value';
+      if (typeof result === 'string') return result;
+    }
+
+    return null;
+  }
+
+  _isMaxValuesReached() {
+    return this._isMultiple() && this._getSelectedValues().length >= this.options.maxValues;
+  }
+
+  _isDuplicateOption(inputValue) {
+    const normalized = inputValue.toLowerCase();
+    return this._getSelectableOptions().some(option =>
+      String(option.value).toLowerCase() === normalized ||
+      String(this._getOptionLabel(option)).toLowerCase() === normalized
+    );
+  }
+
+  _getCreateItem() {
+    const inputValue = this.searchQuery.trim();
+    if (!this.options.creatable || !inputValue || this._isDuplicateOption(inputValue)) return null;
+
+    const error = this.isCreating ? null : this.createError || this._validateNewOption(inputValue);
+    return {
+      type: 'create',
+      value: inputValue,
+      label: this.options.formatCreateLabel(inputValue),
+      disabled: this.isCreating || !!error,
+      disabledReason: error || ''
+    };
+  }
+
+  /**
+   * Create an option from the search input through the onCreateOption hook, then append and select it
+   * @param {string} inputValue - The value typed by the user
+   * @returns {Promise<Object|null>} - Resolves with the new option, or null if it was not created
+   */
+  createOption(inputValue) {
+    inputValue = String(inputValue).trim();
+    if (!inputValue || this.isCreating || this._isDuplicateOption(inputValue) || this._validateNewOption(inputValue)) return Promise.resolve(null);
+
+    this.isCreating = true;
+    this.createError = null;
+    this._applyFilter();
+
+    return Promise.resolve()
+      .then(() => this.onCreateOptionCallback ? this.onCreateOptionCallback(inputValue, this) : undefined)
+      .then(created => {
+        this.isCreating = false;
+
+        if (created === false) {
+          this._applyFilter();
+          return null;
+        }
+
+        if (this._isMaxValuesReached()) {
+          this.createError = `You can select up to ${this.options.maxValues} options`;
+          this._applyFilter();
+          return null;
+        }
+
+        const option = created && typeof created === 'object'
+          ? created
+          : { label: created || inputValue, value: created || inputValue };
+
+        this.setOptions([...this.options.options, option]);
+        this.setSearchQuery('');
+        this._selectOption(option.value);
+        return option;
+      })
+      .catch(error => {
+        this.isCreating = false;
+        this.createError = (error && error.message) || 'Could not create option';
+        this._applyFilter();
+        return null;
+      });
+  }
+
+  /**
+   * Match a query against text, preferring a contiguous substring and falling back to
+   * an in-order subsequence of characters
+   * @param {string} text - The text to search in
+   * @param {string} query - The search query
+   * @returns {number[]|null} - Indices of the matched characters, or null if there is no match
+   */
+  _fuzzyMatch(text, query) {
+    const haystack = String(text).toLowerCase();
+    const needle = query.toLowerCase();
+    const substringIndex = haystack.indexOf(needle);
+
+    if (substringIndex !== -1) return Array.from(needle, (_, i) => substringIndex + i);
+
+    const indices = [];
+    let position = 0;
+
+    for (const character of needle) {
+      position = haystack.indexOf(character, position);
+      if (position === -1) return null;
+      indices.push(position++);
+    }
+
+    return indices;
+  }
+
+  _highlightMatch(text, query) {
+    text = String(text);
+    const indices = query && !this.options.html ? this._fuzzyMatch(text, query) : null;
+    if (!indices) return this._renderText(text);
+
+    let html = '';
+    let inMark = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const matched = indices.includes(i);
+      if (matched && !inMark) html += '<mark class="ez-select-highlight">';
+      if (!matched && inMark) html += '</mark>';
+      html += EZSanitize.escapeHtml(text[i]);
+      inMark = matched;
+    }
+
+    return inMark ? html + '</mark>' : html;
+  }
+
+  _optionMatches(option, query) {
+    if (!query) return true;
+    return [this._getOptionLabel(option), option.value, option.description]
+      .some(text => text !== undefined && text !== null && text !== '' && this._fuzzyMatch(text, query));
+  }
+
+  _refreshVisibleItems() {
+    const query = this.searchQuery;
+    // Remote results are already filtered by loadOptions, so they are only highlighted here
+    const filtering = this._isSearchable() && !!query && !this.options.loadOptions;
+    const items = [];
+    let pendingGroup = null;
+
+    this.options.options.forEach((item, index) => {
+      if (item.type === 'group') {
+        pendingGroup = { item, index };
+      } else if (item.type === 'separator') {
+        pendingGroup = null;
+        if (!query) items.push({ item, index });
+      } else if (!filtering || this._optionMatches(item, query)) {
+        if (pendingGroup) items.push(pendingGroup);
+        pendingGroup = null;
+        items.push({ item, index });
+      }
+    });
+
+    const createItem = this._getCreateItem();
+    if (createItem) items.push({ item: createItem, index: -1 });
+
+    this.visibleItems = items;
+    this.navigableOptions = items
+      .map(entry => entry.item)
+      .filter(item => this._isOptionItem(item) && !item.disabled);
+  }
+
+  _applyFilter() {
+    if (!this.elements.list) return;
+
+    this._refreshVisibleItems();
+    const visibleOptions = this.visibleItems.filter(entry => this._isOptionItem(entry.item));
+
+    if (this.options.virtualize) {
+      this._renderVirtualWindow(true);
+    } else if (this._isSearchable()) {
+      const visibleValues = new Set(visibleOptions.map(entry => String(entry.item.value)));
+
+      const createItem = this.visibleItems.map(entry => entry.item).find(item => item.type === 'create');
+      const createElement = this.elements.list.querySelector('.ez-select-create-option');
+
+      if (createElement) createElement.remove();
+      if (createItem) this.elements.list.insertAdjacentHTML('beforeend', this._renderCreateOption(createItem));
+      if (createElement || createItem) this._indexOptionElements();
+
+      this.elements.options.forEach(optionElement => {
+        if (optionElement.hasAttribute('data-create')) return;
+
+        const value = optionElement.getAttribute('data-value');
+        const visible = visibleValues.has(value);
+
+        optionElement.style.display = visible ? '' : 'none';
+        if (visible) optionElement.querySelector('.ez-select-option-content').outerHTML = this._renderOptionContent(this._findOption(value), this.searchQuery);
+      });
+
+      this.elements.list.querySelectorAll('.ez-select-group').forEach(groupElement => {
+        const hasVisibleOptions = Array.from(groupElement.querySelectorAll('.ez-select-option'))
+          .some(optionElement => optionElement.style.display !== 'none');
+        groupElement.style.display = hasVisibleOptions ? '' : 'none';
+      });
+
+      this.elements.list.querySelectorAll('.ez-select-separator').forEach(separatorElement => {
+        separatorElement.style.display = this.searchQuery ? 'none' : '';
+      });
+    }
+
+    if (this.elements.emptyState) this.elements.emptyState.style.display = visibleOptions.length || this.loadState ? 'none' : 'block';
+  }
+
+  _setLoadState(state) {
+    this.loadState = state;
+    const status = this.elements.status;
+    if (!status) return;
+
+    status.classList.toggle('ez-select-status-error', state === 'error');
+
+    if (state === 'loading') {
+      status.innerHTML = `<span class="ez-select-spinner"></span>${this._renderText(this.options.loadingText)}`;
+    } else if (state === 'error') {
+      status.innerHTML = `
+              <span>${this._renderText(this.options.loadErrorText)}</span>
+              <button type="button" class="ez-select-retry">Retry</button>
+            `;
+    } else {
+      status.innerHTML = '';
+    }
+
+    status.style.display = state ? 'flex' : 'none';
+    this._applyFilter();
+    this._positionDropdown();
+  }
+
+  _scheduleLoad(query) {
+    clearTimeout(this.loadTimeout);
+
+    if (this.options.cacheOptions && this.optionsCache.has(query)) {
+      this._loadOptions(query);
+      return;
+    }
+
+    this.loadTimeout = setTimeout(() => this._loadOptions(query), this.options.loadDebounce);
+  }
+
+  /**
+   * Fetch options through the loadOptions hook, ignoring responses that arrive after a newer request
+   * @param {string} query - The search query passed to loadOptions
+   * @returns {Promise} - Resolves once the options are applied or the request is superseded
+   */
+  _loadOptions(query) {
+    clearTimeout(this.loadTimeout);
+    if (this.loadController) this.loadController.abort();
+
+    const requestId = ++this.loadRequestId;
+
+    if (this.options.cacheOptions && this.optionsCache.has(query)) {
+      this.loadController = null;
+      this._setLoadState(null);
+      this.setOptions(this.optionsCache.get(query));
+      return Promise.resolve();
+    }
+
+    this.loadController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const signal = this.loadController ? this.loadController.signal : undefined;
+    this._setLoadState('loading');
+
+    return Promise.resolve()
+      .then(() => this.options.loadOptions(query, { signal }))
+      .then(loadedOptions => {
+        if (requestId !== this.loadRequestId) return;
+
+        loadedOptions = loadedOptions || [];
+        if (this.options.cacheOptions) this.optionsCache.set(query, loadedOptions);
+
+        this.loadController = null;
+        this._setLoadState(null);
+        this.setOptions(loadedOptions);
+      })
+      .catch(() => {
+        if (requestId !== this.loadRequestId) return;
+
+        this.loadController = null;
+        this._setLoadState('error');
+      });
+  }
+
+  /**
+   * Clear cached results and query loadOptions again for the current search
+   * @returns {Promise} - Resolves once the options are reloaded
+   */
+  refreshOptions() {
+    if (!this.options.loadOptions) return Promise.resolve();
+
+    this.optionsCache.clear();
+    return this._loadOptions(this.searchQuery);
+  }
+
+  /**
+   * Filter the options shown in a searchable dropdown
+   * @param {string} query - The search query
+   * @returns {EZSelectMenu} - Returns this for method chaining
+   */
+  setSearchQuery(query) {
+    this.searchQuery = query || '';
+    this.createError = null;
+    if (this.elements.searchInput && this.elements.searchInput.value !== this.searchQuery) this.elements.searchInput.value = this.searchQuery;
+
+    this._applyFilter();
+    if (this.isOpen) this._setActiveIndex(0);
+    return this;
+  }
+
+  _getSelectedOption() {
+    if (!this.options.value) return null;
+    return this._findOption(this.options.value);
+  }
+
+  _getSelectedOptions() {
+    const values = this._getSelectedValues();
+    return values
+      .map(value => this._findOption(value))
+      .filter(Boolean);
+  }
+
+  _getSelectedValues() {
+    if (this._isMultiple()) return this.options.value;
+    return this.options.value ? [this.options.value] : [];
+  }
+
+  _isMultiple() {
+    return this.options.maxValues > 1;
+  }
+
+  _normalizeValues(value) {
+    if (value === undefined || value === null || value === '') return [];
+
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter((item, index) => values.indexOf(item) === index).slice(0, this.options.maxValues);
+  }
+
+  _updateOptionStates() {
+    if (!this.elements.options) return;
+
+    const selectedValues = this._getSelectedValues();
+    const maxReached = this._isMultiple() && selectedValues.length >= this.options.maxValues;
+    const minReached = selectedValues.length <= (this.options.minValues || 0);
+
+    this.elements.options.forEach(optionElement => {
+      const isSelected = selectedValues.includes(optionElement.getAttribute('data-value'));
+      const isDisabled = optionElement.hasAttribute('data-disabled') ||
+        (this._isMultiple() && ((!isSelected && maxReached) || (isSelected && minReached)));
+      optionElement.classList.toggle('ez-select-option-selected', isSelected);
+      optionElement.classList.toggle('ez-select-option-disabled', isDisabled);
+      optionElement.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+      optionElement.setAttribute('aria-disabled', isDisabled ? 'true' : 'false');
+    });
+  }
+
+  _setActiveIndex(index) {
+    const navigableOptions = this.navigableOptions;
+    const previous = this.elements.list.querySelector('.ez-select-option-active');
+    if (previous) previous.classList.remove('ez-select-option-active');
+
+    const focusTargets = [this.elements.button, this.elements.searchInput].filter(Boolean);
+
+    if (!navigableOptions.length || index < 0) {
+      this.activeIndex = -1;
+      focusTargets.forEach(target => target.removeAttribute('aria-activedescendant'));
+      return;
+    }
+
+    this.activeIndex = Math.max(0, Math.min(index, navigableOptions.length - 1));
+    const activeOption = navigableOptions[this.activeIndex];
+
+    if (this.options.virtualize) this._scrollToRow(activeOption);
+
+    const activeElement = this._getOptionElement(activeOption);
+    if (!activeElement) return;
+
+    activeElement.classList.add('ez-select-option-active');
+    focusTargets.forEach(target => target.setAttribute('aria-activedescendant', activeElement.id));
+
+    if (!this.options.virtualize && activeElement.scrollIntoView) activeElement.scrollIntoView({ block: 'nearest' });
+  }
+
+  _getActiveOption() {
+    return this.navigableOptions[this.activeIndex] || null;
+  }
+
+  _activateOption(option) {
+    if (option.type === 'create') return this.createOption(option.value);
+    return this._selectOption(option.value);
+  }
+
+  _selectOption(value) {
+    const option = this._findOption(value);
+    if (option && option.disabled) return this;
+
+    if (this._isMultiple()) return this._toggleValue(value);
+
+    this.setValue(value);
+    return this.close(true);
+  }
+
+  _handleTypeAhead(character) {
+    clearTimeout(this.typeAheadTimeout);
+    this.typeAheadBuffer += character.toLowerCase();
+    this.typeAheadTimeout = setTimeout(() => {
+      this.typeAheadBuffer = '';
+    }, 500);
+
+    const navigableOptions = this.navigableOptions;
+    const start = this.typeAheadBuffer.length === 1 ? this.activeIndex + 1 : Math.max(this.activeIndex, 0);
+
+    for (let i = 0; i < navigableOptions.length; i++) {
+      const index = (start + i) % navigableOptions.length;
+
+      if (String(this._getOptionLabel(navigableOptions[index])).toLowerCase().startsWith(this.typeAheadBuffer)) {
+        this._setActiveIndex(index);
+        return;
+      }
+    }
+  }
+
+  _handleKeydown(e) {
+    const lastIndex = this.navigableOptions.length - 1;
 
-    const selectedOption = this._getSelectedOption();
-    let selectButtonHTML = `
-          <div class="ez-select-button">
-            ${selectedOption ? this._renderOptionContent(selectedOption) : `<div class="ez-select-placeholder">${this.options.placeholder}</div>`}
-            <div class="ez-select-arrow">
-              <svg width="24" height="24" viewBox="0 0 24 24">
-                <path fill="currentColor" d="M16.59 8.59L12 13.17 7.41 8.59 6 10l6 6 6-6z"></path>
-              </svg>
-            </div>
-          </div>
-        `;
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!this.isOpen) this.open();
+        else this._setActiveIndex(this.activeIndex + 1);
+        break;
 
-    let dropdownHTML = `
-          <div class="ez-select-dropdown" style="display: none;">
-            ${this.options.options.map(option => `
-              <div class="ez-select-option" data-value="${option.value}">
-                ${this._renderOptionContent(option)}
-              </div>
-            `).join('')}
-          </div>
-        `;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (!this.isOpen) this.open();
+        else this._setActiveIndex(Math.max(this.activeIndex - 1, 0));
+        break;
 
-    this.element.innerHTML = selectButtonHTML + dropdownHTML;
-    this.elements = {
-      root: this.element,
-      button: this.element.querySelector('.ez-select-button'),
-      dropdown: this.element.querySelector('.ez-select-dropdown'),
-      placeholder: this.element.querySelector('.ez-select-placeholder'),
-      arrow: this.element.querySelector('.ez-select-arrow'),
-      options: this.element.querySelectorAll('.ez-select-option')
-    };
+      case 'Home':
+        e.preventDefault();
+        if (!this.isOpen) this.open();
+        this._setActiveIndex(0);
+        break;
 
-    if (!document.getElementById('ez-select-styles')) this._addStyles();
+      case 'End':
+        e.preventDefault();
+        if (!this.isOpen) this.open();
+        this._setActiveIndex(lastIndex);
+        break;
 
-    this._setupEventListeners();
-    this.container.appendChild(this.element);
-    return this.element;
-  }
+      case 'Enter':
+      case ' ':
+        if (e.key === ' ' && this.typeAheadBuffer) {
+          this._handleTypeAhead(e.key);
+          break;
+        }
 
-  _renderOptionContent(option) {
-    let html = '<div class="ez-select-option-content">';
+        e.preventDefault();
+        if (!this.isOpen) {
+          this.open();
+        } else if (this._getActiveOption()) {
+          this._activateOption(this._getActiveOption());
+        }
+        break;
 
-    if (option.emoji) html += `<div class="ez-select-option-emoji">${option.emoji}</div>`;
+      case 'Escape':
+        if (this.isOpen) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.close(true);
+        }
+        break;
 
-    html += '<div class="ez-select-option-text">';
-    html += `<div class="ez-select-option-title">${option.label || option.title || option.value}</div>`;
+      case 'Tab':
+        if (this.isOpen) this.close();
+        break;
 
-    if (option.description) html += `<div class="ez-select-option-description">${option.description}</div>`;
+      case 'Backspace':
+      case 'Delete':
+        if (!this.isOpen && this._canClear()) {
+          e.preventDefault();
+          this.clear();
+        }
+        break;
 
-    html += '</div>';
-    html += '</div>';
-    return html;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          if (!this.isOpen) this.open();
+          this._handleTypeAhead(e.key);
+        }
+    }
   }
 
-  _getSelectedOption() {
-    if (!this.options.value) return null;
-    return this.options.options.find(option => option.value === this.options.value);
+  _toggleValue(value) {
+    const values = this._getSelectedValues();
+
+    if (values.includes(value)) {
+      if (values.length <= (this.options.minValues || 0)) return this;
+      return this.setValue(values.filter(item => item !== value));
+    }
+
+    if (values.length >= this.options.maxValues) return this;
+    return this.setValue([...values, value]);
   }
 
   _setupEventListeners() {
     if (this.options.disabled) return;
 
-    this.elements.button.addEventListener('click', () => {
+    this.elements.button.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('.ez-select-chip-remove');
+
+      if (e.target.closest('.ez-select-clear')) {
+        e.stopPropagation();
+        this.clear();
+        return;
+      }
+
+      if (removeButton) {
+        e.stopPropagation();
+        this._toggleValue(removeButton.closest('.ez-select-chip').getAttribute('data-value'));
+        return;
+      }
+
       this.toggle();
     });
 
-    this.elements.options.forEach(optionElement => {
-      optionElement.addEventListener('click', () => {
-        const value = optionElement.getAttribute('data-value');
-        this.setValue(value);
-        this.close();
+    this.elements.button.addEventListener('keydown', (e) => this._handleKeydown(e));
+
+    if (this.elements.searchInput) {
+      this.elements.searchInput.addEventListener('input', () => {
+        this.setSearchQuery(this.elements.searchInput.value);
+        if (this.options.loadOptions) this._scheduleLoad(this.searchQuery);
       });
-    });
 
-    document.addEventListener('click', (e) => {
-      if (this.isOpen && !this.element.contains(e.target)) this.close();
+      this.elements.searchInput.addEventListener('keydown', (e) => {
+        if (['ArrowDown', 'ArrowUp', 'Enter', 'Escape', 'Tab'].includes(e.key)) this._handleKeydown(e);
+      });
+    }
+
+    this.elements.list.addEventListener('click', (e) => {
+      const optionElement = e.target.closest('.ez-select-option');
+      if (!optionElement || optionElement.hasAttribute('data-disabled')) return;
+
+      if (optionElement.hasAttribute('data-create')) {
+        this.createOption(optionElement.getAttribute('data-value'));
+      } else {
+        this._selectOption(optionElement.getAttribute('data-value'));
+      }
     });
 
-    document.addEventListener('keydown', (e) => {
-      if (this.isOpen && e.key === 'Escape') this.close();
+    this.elements.list.addEventListener('mousemove', (e) => {
+      const optionElement = e.target.closest('.ez-select-option');
+      if (!optionElement) return;
+
+      const value = optionElement.getAttribute('data-value');
+      const index = this.navigableOptions.findIndex(option => String(option.value) === value);
+      if (index !== this.activeIndex) this._setActiveIndex(index);
     });
+
+    if (this.options.virtualize) {
+      this.elements.list.addEventListener('scroll', () => this._renderVirtualWindow());
+    }
+
+    if (this.elements.status) {
+      this.elements.status.addEventListener('click', (e) => {
+        if (e.target.closest('.ez-select-retry')) this._loadOptions(this.searchQuery);
+      });
+    }
+
+    document.addEventListener('click', this._handleDocumentClick);
+    document.addEventListener('keydown', this._handleDocumentKeydown);
   }
 
   _addStyles() {
@@ -146,10 +1182,29 @@ class EZSelectMenu {
               border-color: #5865f2;
           }
 
+          .ez-select-button:focus-visible {
+              outline: none;
+              border-color: #5865f2;
+              box-shadow: 0 0 0 2px rgba(88, 101, 242, 0.5);
+          }
+
           .ez-select-placeholder {
               color: #72767d;
           }
 
+          .ez-select-clear {
+              margin-left: auto;
+              padding: 0 6px;
+              color: #72767d;
+              font-size: 18px;
+              line-height: 1;
+              cursor: pointer;
+          }
+
+          .ez-select-clear:hover {
+              color: #dcddde;
+          }
+
           .ez-select-arrow {
               color: #72767d;
               display: flex;
@@ -174,13 +1229,154 @@ class EZSelectMenu {
               box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
           }
 
+          .ez-select-dropdown-up {
+              top: auto;
+              bottom: 100%;
+              margin-top: 0;
+              margin-bottom: 4px;
+          }
+
+          .ez-select-dropdown-portal {
+              position: fixed;
+              margin: 0;
+              font-family: 'Whitney', 'Helvetica Neue', Helvetica, Arial, sans-serif;
+              color: #dcddde;
+              box-sizing: border-box;
+          }
+
+          .ez-select-options {
+              max-height: 300px;
+              overflow-y: auto;
+          }
+
+          .ez-select-virtual-spacer {
+              position: relative;
+          }
+
+          .ez-select-virtual-window {
+              position: absolute;
+              top: 0;
+              left: 0;
+              right: 0;
+          }
+
+          .ez-select-options-virtual .ez-select-option {
+              box-sizing: border-box;
+              overflow: hidden;
+              padding-top: 0;
+              padding-bottom: 0;
+              display: flex;
+              align-items: center;
+          }
+
+          .ez-select-options-virtual .ez-select-option-content {
+              flex: 1;
+              min-width: 0;
+          }
+
+          .ez-select-options-virtual .ez-select-group-header {
+              box-sizing: border-box;
+          }
+
+          .ez-select-options-virtual .ez-select-separator {
+              box-sizing: border-box;
+              margin: 0 8px;
+              padding: 4px 0;
+              background-clip: content-box;
+          }
+
+          .ez-select-search {
+              padding: 8px;
+              border-bottom: 1px solid #202225;
+          }
+
+          .ez-select-search-input {
+              width: 100%;
+              background-color: #202225;
+              border: none;
+              border-radius: 3px;
+              color: #dcddde;
+              padding: 6px 8px;
+              font-size: 14px;
+              box-sizing: border-box;
+              outline: none;
+          }
+
+          .ez-select-highlight {
+              background-color: transparent;
+              color: #00a8fc;
+              font-weight: 600;
+          }
+
+          .ez-select-status {
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              gap: 8px;
+              padding: 10px;
+              color: #b9bbbe;
+              font-size: 14px;
+          }
+
+          .ez-select-status-error {
+              color: #ed4245;
+          }
+
+          .ez-select-retry {
+              background-color: #4f545c;
+              color: #ffffff;
+              border: none;
+              border-radius: 3px;
+              padding: 4px 8px;
+              font-size: 12px;
+              cursor: pointer;
+          }
+
+          .ez-select-retry:hover {
+              background-color: #5d626b;
+          }
+
+          .ez-select-spinner {
+              width: 14px;
+              height: 14px;
+              border: 2px solid #72767d;
+              border-top-color: #dcddde;
+              border-radius: 50%;
+              animation: ez-select-spin 0.8s linear infinite;
+          }
+
+          @keyframes ez-select-spin {
+              to { transform: rotate(360deg); }
+          }
+
+          .ez-select-create-option {
+              border-top: 1px solid #202225;
+          }
+
+          .ez-select-create-icon {
+              color: #00a8fc;
+              font-weight: 600;
+          }
+
+          .ez-select-create-error {
+              color: #ed4245;
+          }
+
+          .ez-select-empty {
+              padding: 10px;
+              color: #72767d;
+              font-size: 14px;
+              text-align: center;
+          }
+
           .ez-select-option {
               padding: 10px;
               cursor: pointer;
               transition: background-color 0.1s;
           }
 
-          .ez-select-option:hover {
+          .ez-select-option:hover,
+          .ez-select-option-active {
               background-color: #4f545c;
           }
 
@@ -196,6 +1392,46 @@ class EZSelectMenu {
               text-align: center;
           }
 
+          .ez-select-option-emoji .ez-emoji,
+          .ez-select-chip-emoji .ez-emoji {
+              width: 20px;
+              height: 20px;
+              vertical-align: middle;
+          }
+
+          .ez-select-option-avatar {
+              width: 24px;
+              height: 24px;
+              min-width: 24px;
+              border-radius: 50%;
+              object-fit: cover;
+          }
+
+          .ez-select-option-avatar-default {
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              background-color: #5865f2;
+              color: #ffffff;
+              font-size: 12px;
+              font-weight: 600;
+          }
+
+          .ez-select-option-role-color {
+              width: 12px;
+              height: 12px;
+              min-width: 12px;
+              margin: 0 6px;
+              border-radius: 50%;
+          }
+
+          .ez-select-option-channel-icon {
+              min-width: 24px;
+              text-align: center;
+              font-size: 18px;
+              color: #8e9297;
+          }
+
           .ez-select-option-text {
               display: flex;
               flex-direction: column;
@@ -217,6 +1453,87 @@ class EZSelectMenu {
               opacity: 0.5;
               pointer-events: none;
           }
+
+          .ez-select-chips {
+              display: flex;
+              flex-wrap: wrap;
+              gap: 4px;
+          }
+
+          .ez-select-chip {
+              display: flex;
+              align-items: center;
+              gap: 4px;
+              background-color: #4f545c;
+              border-radius: 3px;
+              padding: 2px 6px;
+              font-size: 13px;
+              color: #ffffff;
+          }
+
+          .ez-select-chip-remove {
+              cursor: pointer;
+              color: #b9bbbe;
+              font-size: 14px;
+              line-height: 1;
+          }
+
+          .ez-select-chip-remove:hover {
+              color: #ffffff;
+          }
+
+          .ez-select-dropdown-multiple .ez-select-option {
+              display: flex;
+              align-items: center;
+              gap: 10px;
+          }
+
+          .ez-select-option-check {
+              width: 16px;
+              height: 16px;
+              min-width: 16px;
+              border: 2px solid #72767d;
+              border-radius: 3px;
+              box-sizing: border-box;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              font-size: 12px;
+              color: #ffffff;
+          }
+
+          .ez-select-option-selected .ez-select-option-check {
+              background-color: #5865f2;
+              border-color: #5865f2;
+          }
+
+          .ez-select-option-selected .ez-select-option-check::after {
+              content: '✓';
+          }
+
+          .ez-select-option-disabled {
+              opacity: 0.5;
+              cursor: not-allowed;
+          }
+
+          .ez-select-option-disabled:hover {
+              background-color: transparent;
+          }
+
+          .ez-select-group-header {
+              padding: 8px 10px 4px;
+              font-size: 12px;
+              font-weight: 700;
+              text-transform: uppercase;
+              color: #96989d;
+              cursor: default;
+          }
+
+          .ez-select-separator {
+              height: 1px;
+              margin: 4px 8px;
+              background-color: #4f545c;
+          }
         `;
 
     document.head.appendChild(style);
@@ -224,27 +1541,43 @@ class EZSelectMenu {
 
   setValue(value) {
     const prevValue = this.options.value;
+
+    if (this._isMultiple()) value = this._normalizeValues(value);
     this.options.value = value;
 
-    const selectedOption = this._getSelectedOption();
-    const buttonContent = selectedOption
-      ? this._renderOptionContent(selectedOption)
-      : `<div class="ez-select-placeholder">${this.options.placeholder}</div>`;
+    if (this.elements.button) {
+      this.elements.button.innerHTML = this._renderButtonContent();
+      this._updateOptionStates();
+    }
 
-    this.elements.button.innerHTML = buttonContent + `
-          <div class="ez-select-arrow">
-            <svg width="24" height="24" viewBox="0 0 24 24">
-              <path fill="currentColor" d="M16.59 8.59L12 13.17 7.41 8.59 6 10l6 6 6-6z"></path>
-            </svg>
-          </div>
-        `;
+    const changed = this._isMultiple()
+      ? JSON.stringify(prevValue) !== JSON.stringify(value)
+      : prevValue !== value;
 
-    if (this.onChangeCallback && prevValue !== value) this.onChangeCallback(value, this);
+    if (this.onChangeCallback && changed) this.onChangeCallback(this.getValue(), this);
 
     return this;
   }
 
+  /**
+   * Remove the current selection, unless minValues requires at least one value
+   * @returns {EZSelectMenu} - Returns this for method chaining
+   */
+  clear() {
+    if (this.options.minValues > 0) return this;
+    return this.setValue(this._isMultiple() ? [] : null);
+  }
+
+  /**
+   * Restore the initial value (the value option, or the options flagged as default)
+   * @returns {EZSelectMenu} - Returns this for method chaining
+   */
+  reset() {
+    return this.setValue(this._isMultiple() ? [...this.initialValue] : this.initialValue);
+  }
+
   getValue() {
+    if (this._isMultiple()) return [...this.options.value];
     return this.options.value;
   }
 
@@ -253,17 +1586,45 @@ class EZSelectMenu {
       this.isOpen = true;
       this.element.classList.add('open');
       this.elements.dropdown.style.display = 'block';
+      this.elements.button.setAttribute('aria-expanded', 'true');
+
+      this._positionDropdown();
+      if (this.options.virtualize) this._renderVirtualWindow(true);
+
+      const selectedValues = this._getSelectedValues().map(String);
+      const selectedIndex = this.navigableOptions.findIndex(option => selectedValues.includes(String(option.value)));
+      this._setActiveIndex(selectedIndex === -1 ? 0 : selectedIndex);
+
+      window.addEventListener('scroll', this._handleReposition, true);
+      window.addEventListener('resize', this._handleReposition);
+
+      if (this.elements.searchInput) this.elements.searchInput.focus();
+      if (this.options.loadOptions) this._loadOptions(this.searchQuery);
 
       if (this.onOpenCallback) this.onOpenCallback(this);
     }
     return this;
   }
 
-  close() {
+  /**
+   * Close the dropdown
+   * @param {boolean} restoreFocus - Move focus back to the select button - defaults to false
+   * @returns {EZSelectMenu} - Returns this for method chaining
+   */
+  close(restoreFocus = false) {
     if (this.isOpen) {
       this.isOpen = false;
       this.element.classList.remove('open');
       this.elements.dropdown.style.display = 'none';
+      this.elements.button.setAttribute('aria-expanded', 'false');
+      this.elements.button.removeAttribute('aria-activedescendant');
+      this._setActiveIndex(-1);
+
+      window.removeEventListener('scroll', this._handleReposition, true);
+      window.removeEventListener('resize', this._handleReposition);
+
+      if (this.searchQuery) this.setSearchQuery('');
+      if (restoreFocus) this.elements.button.focus();
 
       if (this.onCloseCallback) this.onCloseCallback(this);
     }
@@ -276,24 +1637,137 @@ class EZSelectMenu {
 
   setOptions(newOptions) {
     this.options.options = newOptions;
+    this._getSelectableOptions().forEach(option => this.knownOptions.set(String(option.value), option));
 
     if (this.element) {
-      this.element.remove();
-      this.render();
+      this.elements.list.innerHTML = this._renderOptionsList();
+      this._indexOptionElements();
+      this.elements.button.innerHTML = this._renderButtonContent();
+
+      this._updateOptionStates();
+      this._applyFilter();
+
+      if (this.isOpen) {
+        this._setActiveIndex(0);
+        this._positionDropdown();
+      }
     }
 
     return this;
   }
 
+  /**
+   * Remove the select menu from the page along with its portal dropdown and document listeners
+   */
+  destroy() {
+    this.close();
+    clearTimeout(this.loadTimeout);
+    clearTimeout(this.typeAheadTimeout);
+    this.loadRequestId++;
+    if (this.loadController) this.loadController.abort();
+
+    document.removeEventListener('click', this._handleDocumentClick);
+    document.removeEventListener('keydown', this._handleDocumentKeydown);
+
+    if (this.elements.dropdown) this.elements.dropdown.remove();
+    if (this.element) this.element.remove();
+
+    this.element = null;
+    this.elements = {};
+  }
+
+  toJSON() {
+    return {
+      type: this._isAutoPopulated() ? this.options.type : undefined,
+      placeholder: this.options.placeholder,
+      channelTypes: this.options.type === 'channel' && this.options.channelTypes ? this.options.channelTypes : undefined,
+      options: this._isAutoPopulated() ? undefined : this.options.options.map(item => {
+        if (item.type === 'separator') return { type: 'separator' };
+        if (item.type === 'group') return { type: 'group', label: item.label };
+
+        return {
+          label: this._getOptionLabel(item),
+          value: item.value,
+          description: item.description || undefined,
+          emoji: item.emoji || undefined,
+          default: item.default || undefined,
+          disabled: item.disabled || undefined,
+          disabledReason: item.disabled && item.disabledReason ? item.disabledReason : undefined
+        };
+      }),
+      value: this.getValue() || undefined,
+      minValues: this.options.minValues || undefined,
+      maxValues: this._isMultiple() ? this.options.maxValues : undefined,
+      disabled: this.options.disabled || undefined
+    };
+  }
+
+  /**
+   * Serialize the menu as a Discord select menu component payload
+   * @returns {Object} - The component object for the Discord API
+   */
+  toDiscordJSON() {
+    const type = this.options.type;
+    const component = {
+      type: EZSelectMenu.COMPONENT_TYPES[type] || EZSelectMenu.COMPONENT_TYPES.string,
+      custom_id: this.options.customId || undefined,
+      placeholder: this.options.placeholder || undefined,
+      min_values: this.hasMinValues ? this.options.minValues : undefined,
+      max_values: this.options.maxValues || 1,
+      disabled: this.options.disabled || undefined
+    };
+    const selectedValues = this._getSelectedValues();
+
+    if (!this._isAutoPopulated()) {
+      // Values are sent as strings, so compare them as strings too - a numeric value would otherwise lose its default
+      const defaultValues = selectedValues.map(String);
+
+      // Discord has no concept of groups, separators or disabled options
+      component.options = this._getSelectableOptions()
+        .filter(option => !option.disabled)
+        .map(option => ({
+          label: String(this._getOptionLabel(option)),
+          value: String(option.value),
+          description: option.description || undefined,
+          emoji: EZEmoji.toDiscordJSON(option.emoji),
+          default: defaultValues.includes(String(option.value)) || undefined
+        }));
+    } else {
+      if (type === 'channel' && this.options.channelTypes) component.channel_types = this.options.channelTypes;
+
+      if (selectedValues.length) {
+        component.default_values = selectedValues.map(value => {
+          const option = this._findOption(value);
+          const fallbackType = type === 'mentionable' ? 'user' : type;
+          return { id: String(value), type: option && option.kind ? option.kind : fallbackType };
+        });
+      }
+    }
+
+    Object.keys(component).forEach(key => {
+      if (component[key] === undefined) delete component[key];
+    });
+
+    return component;
+  }
+
   disable() {
     this.options.disabled = true;
-    if (this.element) this.element.classList.add('ez-select-disabled');
+    if (this.element) {
+      this.element.classList.add('ez-select-disabled');
+      this.elements.button.setAttribute('tabindex', '-1');
+      this.elements.button.setAttribute('aria-disabled', 'true');
+    }
     return this;
   }
 
   enable() {
     this.options.disabled = false;
-    if (this.element) this.element.classList.remove('ez-select-disabled');
+    if (this.element) {
+      this.element.classList.remove('ez-select-disabled');
+      this.elements.button.setAttribute('tabindex', '0');
+      this.elements.button.removeAttribute('aria-disabled');
+    }
     return this;
   }
 
@@ -301,7 +1775,7 @@ class EZSelectMenu {
    * Set a specific CSS style property on a select menu element
    * @param {string} property - The CSS property name
    * @param {string} value - The CSS property value
-   * @param {string} elementName - The element to target (root, button, dropdown, placeholder, arrow) - defaults to root
+   * @param {string} elementName - The element to target (root, button, dropdown, list, searchInput, placeholder, arrow) - defaults to root
    * @returns {EZSelectMenu} - Returns this for method chaining
    */
   setStyleProperty(property, value, elementName = 'root') {
@@ -347,6 +1821,10 @@ class EZSelectMenu {
       root: "The main select menu container",
       button: "The button that opens the dropdown",
       dropdown: "The dropdown menu containing options",
+      list: "The list of options inside the dropdown",
+      searchInput: "The search input (searchable menus only)",
+      emptyState: "The message shown when no options match the search (searchable menus only)",
+      status: "The loading/error message (menus using loadOptions only)",
       placeholder: "The placeholder text (when no option is selected)",
       arrow: "The dropdown arrow icon",
       options: "All option elements (styling applied to all options)"
@@ -354,6 +1832,29 @@ class EZSelectMenu {
   }
 }
 
+EZSelectMenu._idCounter = 0;
+
+EZSelectMenu.COMPONENT_TYPES = {
+  string: 3,
+  user: 5,
+  role: 6,
+  mentionable: 7,
+  channel: 8
+};
+
+EZSelectMenu.CHANNEL_ICONS = {
+  0: '#',
+  2: '🔊',
+  4: '📁',
+  5: '📢',
+  10: '🧵',
+  11: '🧵',
+  12: '🧵',
+  13: '🎙️',
+  15: '💬',
+  16: '🖼️'
+};
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = EZSelectMenu;
 } else {
@@ -10,15 +10,27 @@
  * });
  */
 
+// Browsers load the scripts this one uses first (see README.md) - CommonJS consumers get them from require
+if (typeof require === 'function') {
+  globalThis.EZSanitize = globalThis.EZSanitize || require('./sanitize');
+  globalThis.EZEmoji = globalThis.EZEmoji || require('./emoji');
+  globalThis.EZEmojiPicker = globalThis.EZEmojiPicker || require('./emojiPicker');
+  globalThis.EZSelectMenu = globalThis.EZSelectMenu || require('./selectMenu');
+}
+
 class EZSelectMenuCreator {
   constructor(container, options = {}) {
     this.container = container;
     this.options = {
       initialData: options.initialData || {},
+      emojiCdn: options.emojiCdn || null,
+      customEmojis: options.customEmojis || [],
       ...options
     };
 
     this.elements = {};
+    this.emojiPicker = null;
+    this.emojiPickerIndex = -1;
     this.eventHandlers = {
       update: []
     };
@@ -70,7 +82,7 @@ class EZSelectMenuCreator {
         <h3>Select Menu Creator</h3>
         <div class="setting-group">
           <label for="select-placeholder">Placeholder:</label>
-          <input type="text" id="select-placeholder" class="setting-input" value="${this.currentData.placeholder}">
+          <input type="text" id="select-placeholder" class="setting-input" value="${EZSanitize.escapeHtml(this.currentData.placeholder)}">
         </div>
         <div class="setting-group">
           <label class="checkbox-label">
@@ -85,7 +97,11 @@ class EZSelectMenuCreator {
       <div class="options-section">
         <div class="options-header">
           <h4>Options</h4>
-          <button id="add-option" class="ez-button">Add Option</button>
+          <div class="options-header-actions">
+            <button id="add-group" class="ez-button ez-button-secondary">Add Group</button>
+            <button id="add-separator" class="ez-button ez-button-secondary">Add Separator</button>
+            <button id="add-option" class="ez-button">Add Option</button>
+          </div>
         </div>
         <div id="options-container" class="options-container">
           ${this._renderOptions()}
@@ -107,6 +123,8 @@ class EZSelectMenuCreator {
       placeholderInput: document.getElementById('select-placeholder'),
       disabledCheckbox: document.getElementById('select-disabled'),
       addOptionButton: document.getElementById('add-option'),
+      addGroupButton: document.getElementById('add-group'),
+      addSeparatorButton: document.getElementById('add-separator'),
       optionsContainer: document.getElementById('options-container'),
       previewContainer: document.getElementById('select-preview')
     };
@@ -119,39 +137,98 @@ class EZSelectMenuCreator {
   _renderOptions() {
     if (!this.currentData.options.length) return '<div class="no-options">No options added yet. Click "Add Option" to create one.</div>';
 
-    return this.currentData.options.map((option, index) => `
-      <div class="option-editor" data-index="${index}">
-        <div class="option-header">
-          <h5>Option ${index + 1}</h5>
+    let optionNumber = 0;
+
+    return this.currentData.options.map((option, index) => {
+      if (option.type === 'separator') return this._renderSeparatorEditor(index);
+      if (option.type === 'group') return this._renderGroupEditor(option, index);
+      return this._renderOptionEditor(option, index, ++optionNumber);
+    }).join('');
+  }
+
+  _renderEditorActions() {
+    return `
           <div class="option-actions">
             <button class="move-up-btn" title="Move Up">↑</button>
             <button class="move-down-btn" title="Move Down">↓</button>
             <button class="delete-option-btn" title="Delete">×</button>
           </div>
+    `;
+  }
+
+  _renderSeparatorEditor(index) {
+    return `
+      <div class="option-editor separator-editor" data-index="${index}">
+        <div class="option-header">
+          <h5>Separator</h5>
+          ${this._renderEditorActions()}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderGroupEditor(group, index) {
+    return `
+      <div class="option-editor group-editor" data-index="${index}">
+        <div class="option-header">
+          <h5>Group</h5>
+          ${this._renderEditorActions()}
+        </div>
+        <div class="setting-group">
+          <label>Header:</label>
+          <input type="text" class="setting-input group-label" value="${EZSanitize.escapeHtml(group.label)}">
+        </div>
+      </div>
+    `;
+  }
+
+  _renderOptionEditor(option, index, optionNumber) {
+    return `
+      <div class="option-editor" data-index="${index}">
+        <div class="option-header">
+          <h5>Option ${optionNumber}</h5>
+          ${this._renderEditorActions()}
         </div>
         <div class="option-fields">
           <div class="setting-group">
             <label>Label/Title:</label>
-            <input type="text" class="setting-input option-label" value="${option.label || option.title || ''}">
+            <input type="text" class="setting-input option-label" value="${EZSanitize.escapeHtml(option.label || option.title)}">
           </div>
           <div class="setting-group">
             <label>Value:</label>
-            <input type="text" class="setting-input option-value" value="${option.value || ''}">
+            <input type="text" class="setting-input option-value" value="${EZSanitize.escapeHtml(option.value)}">
           </div>
           <div class="setting-group">
             <label>Description (optional):</label>
-            <input type="text" class="setting-input option-description" value="${option.description || ''}">
+            <input type="text" class="setting-input option-description" value="${EZSanitize.escapeHtml(option.description)}">
           </div>
           <div class="setting-group">
             <label>Emoji (optional):</label>
             <div class="emoji-input-container">
-              <input type="text" class="setting-input option-emoji" value="${option.emoji || ''}" readonly placeholder="Click to add emoji">
+              <span class="option-emoji-preview">${EZEmoji.render(option.emoji, { cdn: this.options.emojiCdn })}</span>
+              <input type="text" class="setting-input option-emoji" value="${EZSanitize.escapeHtml(EZEmoji.toString(option.emoji))}" placeholder="Pick an emoji or paste <:name:id>">
               <button class="emoji-picker-toggle">😊</button>
             </div>
           </div>
+          <div class="setting-group">
+            <label class="checkbox-label">
+              <input type="checkbox" class="option-default" ${option.default ? 'checked' : ''}>
+              <span>Selected by default</span>
+            </label>
+          </div>
+          <div class="setting-group">
+            <label class="checkbox-label">
+              <input type="checkbox" class="option-disabled" ${option.disabled ? 'checked' : ''}>
+              <span>Disabled</span>
+            </label>
+          </div>
+          <div class="setting-group" ${option.disabled ? '' : 'style="display: none;"'}>
+            <label>Disabled reason (optional):</label>
+            <input type="text" class="setting-input option-disabled-reason" value="${EZSanitize.escapeHtml(option.disabledReason)}">
+          </div>
         </div>
       </div>
-    `).join('');
+    `;
   }
 
   _setupEventListeners() {
@@ -171,6 +248,14 @@ class EZSelectMenuCreator {
       this.addOption();
     });
 
+    this.elements.addGroupButton.addEventListener('click', () => {
+      this.addGroup();
+    });
+
+    this.elements.addSeparatorButton.addEventListener('click', () => {
+      this.addSeparator();
+    });
+
     this.elements.optionsContainer.addEventListener('click', (e) => {
       const optionEditor = e.target.closest('.option-editor');
       if (!optionEditor) return;
@@ -202,170 +287,70 @@ class EZSelectMenuCreator {
         this.currentData.options[index].value = e.target.value;
       } else if (e.target.classList.contains('option-description')) {
         this.currentData.options[index].description = e.target.value;
+      } else if (e.target.classList.contains('option-disabled-reason')) {
+        this.currentData.options[index].disabledReason = e.target.value;
+      } else if (e.target.classList.contains('option-emoji')) {
+        this.currentData.options[index].emoji = e.target.value.trim();
+        this._renderOptionEmojiPreview(optionEditor, this.currentData.options[index].emoji);
+      } else if (e.target.classList.contains('group-label')) {
+        this.currentData.options[index].label = e.target.value;
+      } else {
+        return;
       }
 
       this._updatePreview();
       this._notifyUpdate();
     });
-  }
 
-  _showEmojiPicker(event, optionIndex) {
-    if (!document.getElementById('emoji-picker')) this._createEmojiPicker();
-
-    const emojiPicker = document.getElementById('emoji-picker');
-    const emojiList = document.getElementById('emoji-list');
-    emojiPicker.style.position = 'fixed';
-    emojiPicker.style.top = `${event.clientY}px`;
-    emojiPicker.style.left = `${event.clientX}px`;
-    emojiPicker.style.display = 'block';
-    emojiPicker.setAttribute('data-option-index', optionIndex);
-    document.getElementById('emoji-search').focus();
-
-    const closeEmojiPicker = (e) => {
-      if (!emojiPicker.contains(e.target) && e.target !== event.target) {
-        emojiPicker.style.display = 'none';
-        document.removeEventListener('click', closeEmojiPicker);
-      }
-    };
-
-    setTimeout(() => {
-      document.addEventListener('click', closeEmojiPicker);
-    }, 100);
-  }
+    this.elements.optionsContainer.addEventListener('change', (e) => {
+      const optionEditor = e.target.closest('.option-editor');
+      if (!optionEditor) return;
 
-  _createEmojiPicker() {
-    const emojiPicker = document.createElement('div');
-    emojiPicker.id = 'emoji-picker';
-    emojiPicker.className = 'emoji-picker';
+      const index = parseInt(optionEditor.getAttribute('data-index'), 10);
 
-    emojiPicker.innerHTML = `
-      <div class="emoji-picker-header">
-        <input type="text" id="emoji-search" placeholder="Search emojis...">
-        <button id="close-emoji-picker" class="close-button">✕</button>
-      </div>
-      <div id="emoji-list" class="emoji-list"></div>
-    `;
+      if (e.target.classList.contains('option-default')) {
+        this.currentData.options[index].default = e.target.checked;
+      } else if (e.target.classList.contains('option-disabled')) {
+        const reasonInput = optionEditor.querySelector('.option-disabled-reason');
+        this.currentData.options[index].disabled = e.target.checked;
+        reasonInput.closest('.setting-group').style.display = e.target.checked ? '' : 'none';
+      } else {
+        return;
+      }
 
-    document.body.appendChild(emojiPicker);
-    const emojiList = document.getElementById('emoji-list');
-    const emojis = [
-      '😀', '😃', '😄', '😁', '😆', '😅', '😂', '🤣', '😊', '😇',
-      '🙂', '🙃', '😉', '😌', '😍', '🥰', '😘', '😗', '😙', '😚',
-      '😋', '😛', '😝', '😜', '🤪', '🤨', '🧐', '🤓', '😎', '🤩',
-      '🥳', '😏', '😒', '😞', '😔', '😟', '😕', '🙁', '☹️', '😣',
-      '😖', '😫', '😩', '🥺', '😢', '😭', '😤', '😠', '😡', '🤬',
-      '🤯', '😳', '🥵', '🥶', '😱', '😨', '😰', '😥', '😓', '🤗',
-      '🤔', '🤭', '🤫', '🤥', '😶', '😐', '😑', '😬', '🙄', '😯',
-      '👍', '👎', '👌', '✌️', '🤞', '🤟', '🤘', '👊', '✊', '🤛',
-      '💻', '📱', '📞', '📟', '📠', '📺', '📻', '🎮', '🕹️', '🎵',
-      '🔥', '✨', '🎉', '🎊', '💯', '💪', '👑', '🏆', '🥇', '🎯'
-    ];
-
-    emojis.forEach(emoji => {
-      const emojiItem = document.createElement('div');
-      emojiItem.className = 'emoji-item';
-      emojiItem.textContent = emoji;
-      emojiList.appendChild(emojiItem);
-
-      emojiItem.addEventListener('click', () => {
-        const optionIndex = parseInt(emojiPicker.getAttribute('data-option-index'), 10);
-        this.setOptionEmoji(optionIndex, emoji);
-        emojiPicker.style.display = 'none';
-      });
+      this._updatePreview();
+      this._notifyUpdate();
     });
+  }
 
-    const searchInput = document.getElementById('emoji-search');
-    searchInput.addEventListener('input', () => {
-      const searchTerm = searchInput.value.toLowerCase();
-      document.querySelectorAll('.emoji-item').forEach(item => {
-        const visible = !searchTerm || item.textContent.includes(searchTerm);
-        item.style.display = visible ? 'block' : 'none';
+  _showEmojiPicker(event, optionIndex) {
+    if (!this.emojiPicker) {
+      this.emojiPicker = new EZEmojiPicker(document.body, {
+        customEmojis: this.options.customEmojis,
+        emojiCdn: this.options.emojiCdn,
+        onSelect: (emoji) => this.setOptionEmoji(this.emojiPickerIndex, emoji)
       });
-    });
+    }
 
-    document.getElementById('close-emoji-picker').addEventListener('click', () => {
-      emojiPicker.style.display = 'none';
-    });
+    this.emojiPickerIndex = optionIndex;
+    this.emojiPicker.open(event.target);
+  }
 
-    if (!document.getElementById('emoji-picker-styles')) {
-      const style = document.createElement('style');
-      style.id = 'emoji-picker-styles';
-      style.textContent = `
-        .emoji-picker {
-            background-color: #36393f;
-            border: 1px solid #202225;
-            border-radius: 5px;
-            box-shadow: 0 2px 10px rgba(0, 0, 0, 0.2);
-            width: 300px;
-            max-height: 400px;
-            overflow: hidden;
-            z-index: 1000;
-            display: none;
-        }
-
-        .emoji-picker-header {
-            display: flex;
-            padding: 8px;
-            border-bottom: 1px solid #202225;
-        }
-
-        .emoji-picker-header input {
-            flex-grow: 1;
-            background-color: #40444b;
-            border: none;
-            border-radius: 3px;
-            color: #dcddde;
-            padding: 8px;
-            font-size: 14px;
-            outline: none;
-        }
-
-        .emoji-list {
-            display: grid;
-            grid-template-columns: repeat(6, 1fr);
-            gap: 5px;
-            padding: 10px;
-            max-height: 300px;
-            overflow-y: auto;
-        }
-
-        .emoji-item {
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            width: 36px;
-            height: 36px;
-            font-size: 22px;
-            cursor: pointer;
-            border-radius: 3px;
-        }
-
-        .emoji-item:hover {
-            background-color: #40444b;
-        }
-
-        .close-button {
-            background: none;
-            border: none;
-            color: #dcddde;
-            font-size: 16px;
-            cursor: pointer;
-            margin-left: 8px;
-        }
-      `;
-      document.head.appendChild(style);
-    }
+  _renderOptionEmojiPreview(optionEditor, emoji) {
+    const preview = optionEditor.querySelector('.option-emoji-preview');
+    if (preview) preview.innerHTML = EZEmoji.render(emoji, { cdn: this.options.emojiCdn });
   }
 
   _updatePreview() {
+    if (this.previewMenu) this.previewMenu.destroy();
     this.elements.previewContainer.innerHTML = '';
 
-    const selectMenu = new EZSelectMenu(
+    this.previewMenu = new EZSelectMenu(
       this.elements.previewContainer,
-      this.currentData
+      { ...this.currentData, emojiCdn: this.options.emojiCdn }
     );
 
-    selectMenu.render();
+    this.previewMenu.render();
   }
 
   _notifyUpdate() {
@@ -479,6 +464,27 @@ class EZSelectMenuCreator {
           background-color: #4752c4;
       }
 
+      .ez-button-secondary {
+          background-color: #4f545c;
+      }
+
+      .ez-button-secondary:hover {
+          background-color: #5d626b;
+      }
+
+      .options-header-actions {
+          display: flex;
+          gap: 5px;
+      }
+
+      .separator-editor .option-header {
+          margin-bottom: 0;
+      }
+
+      .group-editor {
+          border-left: 3px solid #5865f2;
+      }
+
       .options-container {
           max-height: 300px;
           overflow-y: auto;
@@ -559,9 +565,19 @@ class EZSelectMenuCreator {
 
       .emoji-input-container {
           display: flex;
+          align-items: center;
           gap: 5px;
       }
 
+      .option-emoji-preview {
+          font-size: 18px;
+          line-height: 1;
+      }
+
+      .option-emoji-preview:empty {
+          display: none;
+      }
+
       .emoji-picker-toggle {
           background-color: #4f545c;
           color: white;
@@ -580,9 +596,10 @@ class EZSelectMenuCreator {
   }
 
   addOption() {
+    const optionCount = this.currentData.options.filter(option => !option.type).length;
     const newOption = {
-      label: `Option ${this.currentData.options.length + 1}`,
-      title: `Option ${this.currentData.options.length + 1}`,
+      label: `Option ${optionCount + 1}`,
+      title: `Option ${optionCount + 1}`,
       value: `option-${++this.optionIdCounter}`,
       description: '',
       emoji: ''
@@ -596,6 +613,24 @@ class EZSelectMenuCreator {
     return this;
   }
 
+  addGroup(label = 'Group') {
+    this.currentData.options.push({ type: 'group', label });
+    this._recreateOptions();
+    this._updatePreview();
+    this._notifyUpdate();
+
+    return this;
+  }
+
+  addSeparator() {
+    this.currentData.options.push({ type: 'separator' });
+    this._recreateOptions();
+    this._updatePreview();
+    this._notifyUpdate();
+
+    return this;
+  }
+
   deleteOption(index) {
     if (index >= 0 && index < this.currentData.options.length) {
       this.currentData.options.splice(index, 1);
@@ -625,12 +660,13 @@ class EZSelectMenuCreator {
 
   setOptionEmoji(index, emoji) {
     if (index >= 0 && index < this.currentData.options.length) {
-      this.currentData.options[index].emoji = emoji;
+      this.currentData.options[index].emoji = EZEmoji.toString(emoji);
 
       const optionEditors = this.elements.optionsContainer.querySelectorAll('.option-editor');
       if (optionEditors[index]) {
         const emojiInput = optionEditors[index].querySelector('.option-emoji');
-        if (emojiInput) emojiInput.value = emoji;
+        if (emojiInput) emojiInput.value = this.currentData.options[index].emoji;
+        this._renderOptionEmojiPreview(optionEditors[index], this.currentData.options[index].emoji);
       }
 
       this._updatePreview();
@@ -0,0 +1,156 @@
+/**
+ * Emoji Dataset Generator
+ * Builds components/emojiData.js from emojibase-data - names and keywords from its English data,
+ * shortcodes from its iamcal (Slack/Discord) and GitHub sets
+ *
+ * Usage - unpack the pinned emojibase-data release outside the repository, then run from the repository root:
+ * (cd /tmp && npm pack emojibase-data@17.0.0 && tar -xzf emojibase-data-17.0.0.tgz)
+ * node scripts/generateEmojiData.js /tmp/package
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EMOJIBASE_VERSION = '17.0.0';
+const MAX_EMOJI_VERSION = 15.1;
+const OUTPUT = path.join(__dirname, '..', 'components', 'emojiData.js');
+
+// emojibase group numbers - group 2 only holds the bare skin tone modifiers, so it is left out
+const CATEGORIES = [
+  { group: 0, id: 'smileys', name: 'Smileys & Emotion', icon: '😀' },
+  { group: 1, id: 'people', name: 'People & Body', icon: '👋' },
+  { group: 3, id: 'nature', name: 'Animals & Nature', icon: '🐻' },
+  { group: 4, id: 'food', name: 'Food & Drink', icon: '🍔' },
+  { group: 5, id: 'travel', name: 'Travel & Places', icon: '🚗' },
+  { group: 6, id: 'activities', name: 'Activities', icon: '⚽' },
+  { group: 7, id: 'objects', name: 'Objects', icon: '💡' },
+  { group: 8, id: 'symbols', name: 'Symbols', icon: '💟' },
+  { group: 9, id: 'flags', name: 'Flags', icon: '🏁' }
+];
+
+const SKIN_TONE_MODIFIERS = ['\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+
+const stripVariation = emoji => emoji.replace(/\uFE0F/g, '');
+
+/**
+ * Keep a variation selector only after characters that default to text presentation, as Discord does
+ * @param {string} emoji - A fully qualified emoji
+ * @returns {string} - The emoji as Discord writes it
+ */
+function qualify(emoji) {
+  const codePoints = Array.from(emoji);
+  return codePoints
+    .filter((codePoint, index) => codePoint !== '\uFE0F' || (index > 0 && !/\p{Emoji_Presentation}/u.test(codePoints[index - 1])))
+    .join('');
+}
+
+// The rule EZEmojiPicker.applySkinTone follows when an entry's skinTones is 1
+function insertModifier(emoji, tone) {
+  const codePoints = Array.from(stripVariation(emoji));
+  return [codePoints[0], SKIN_TONE_MODIFIERS[tone - 1], ...codePoints.slice(1)].join('');
+}
+
+/**
+ * Work out an entry's skinTones value
+ * @param {Object} emoji - An emojibase emoji
+ * @returns {number|string[]|undefined} - 1, the five toned variants, or undefined when it has no uniform tones
+ */
+function getSkinTones(emoji) {
+  if (!emoji.skins) return undefined;
+
+  const uniform = [1, 2, 3, 4, 5].map(tone => emoji.skins.find(skin =>
+    skin.tone === tone || (Array.isArray(skin.tone) && skin.tone.every(value => value === tone))
+  ));
+
+  // Emoji like couples also come in mixed tones, which the picker's single tone can't choose between
+  if (!uniform.every(Boolean)) return undefined;
+
+  if (uniform.every((skin, index) => stripVariation(skin.emoji) === insertModifier(emoji.emoji, index + 1))) return 1;
+  return uniform.map(skin => qualify(skin.emoji));
+}
+
+function literal(value) {
+  if (Array.isArray(value)) return `[${value.map(literal).join(', ')}]`;
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  return String(value);
+}
+
+function generate(packageDir) {
+  const pkg = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  if (pkg.name !== 'emojibase-data' || pkg.version !== EMOJIBASE_VERSION) {
+    console.error(`Expected emojibase-data ${EMOJIBASE_VERSION}, found ${pkg.name} ${pkg.version}`);
+    process.exit(1);
+  }
+
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(packageDir, file), 'utf8'));
+  const data = readJson('en/data.json');
+  const iamcal = readJson('en/shortcodes/iamcal.json');
+  const github = readJson('en/shortcodes/github.json');
+
+  const groups = new Map(CATEGORIES.map(category => [category.group, []]));
+
+  data.forEach(emoji => {
+    if (!groups.has(emoji.group) || emoji.version > MAX_EMOJI_VERSION) return;
+
+    const shortcodes = [...new Set([].concat(iamcal[emoji.hexcode] || [], github[emoji.hexcode] || []))];
+    const entry = [qualify(emoji.emoji), emoji.label, shortcodes.join(' '), (emoji.tags || []).join(' ')];
+
+    const skinTones = getSkinTones(emoji);
+    if (skinTones) entry.push(skinTones);
+
+    groups.get(emoji.group).push(entry);
+  });
+
+  const license = fs.readFileSync(path.join(packageDir, 'LICENSE'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => ` * ${line}`.trimEnd())
+    .join('\n');
+
+  const categories = CATEGORIES.map(category => [
+    '    {',
+    `      id: ${literal(category.id)},`,
+    `      name: ${literal(category.name)},`,
+    `      icon: ${literal(category.icon)},`,
+    '      emojis: [',
+    groups.get(category.group).map(entry => `        ${literal(entry)}`).join(',\n'),
+    '      ]',
+    '    }'
+  ].join('\n')).join(',\n');
+
+  return `/**
+ * Emoji Dataset
+ * Every Unicode emoji up to Emoji ${MAX_EMOJI_VERSION} with its name, shortcodes and search keywords, grouped by category
+ * Used by EZEmojiPicker - generated from emojibase-data ${EMOJIBASE_VERSION} by scripts/generateEmojiData.js,
+ * so regenerate it rather than editing entries by hand
+ *
+ * Entries are [emoji, name, shortcodes, keywords, skinTones]:
+ * shortcodes and keywords are space-separated, and skinTones is 1 when a tone modifier follows
+ * the first code point, or the five toned variants when it does not - it is left out when the emoji has no tones
+ *
+ * emojibase-data (https://emojibase.dev) is distributed under the MIT License:
+ *
+${license}
+ */
+
+const EZEmojiData = {
+  categories: [
+${categories}
+  ]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EZEmojiData;
+} else {
+  window.EZEmojiData = EZEmojiData;
+}
+`;
+}
+
+if (!process.argv[2]) {
+  console.error('Usage: node scripts/generateEmojiData.js <path to an unpacked emojibase-data package>');
+  process.exit(1);
+}
+
+fs.writeFileSync(OUTPUT, generate(path.resolve(process.argv[2])));
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);